@@ -42,7 +42,7 @@ var conf = module.exports = convict({
   env: {
     // XXX: should we deprecate this configuration paramater?
     doc: "What environment are we running in?  Note: all hosted environments are 'production'.  ",
-    format: ["production", "local", "test_mysql", "test_json"],
+    format: ["production", "local", "test_mysql", "test_json", "test_sqlite"],
     default: 'production',
     env: 'NODE_ENV'
   },
@@ -115,7 +115,8 @@ var conf = module.exports = convict({
   },
   database: {
     driver: {
-      format: ['json', 'mysql'],
+      doc: "Where user data is stored.  'json' is for local development only, 'sqlite' stores it in a single file for small deployments and 'mysql' scales.",
+      format: ['json', 'mysql', 'sqlite'],
       default: 'json'
     },
     user: {
@@ -141,6 +142,7 @@ var conf = module.exports = convict({
       default:  true
     },
     name: {
+      doc: "The name of the mysql database, or the path of the sqlite database file (relative to var_path)",
       format: String,
       default: '',
       env: 'DATABASE_NAME'
@@ -258,6 +260,40 @@ var conf = module.exports = convict({
     default: 12,
     env: 'BCRYPT_WORK_FACTOR',
   },
+  password_hash: {
+    algorithm: {
+      doc: "The algorithm new password hashes are made with.  Hashes made with another are replaced when their user next authenticates.",
+      format: ['bcrypt', 'pbkdf2'],
+      default: 'bcrypt',
+      env: 'PASSWORD_HASH_ALGORITHM'
+    },
+    pbkdf2_cost: {
+      doc: "How expensive should PBKDF2 password hashes be?  This is the base 2 logarithm of the number of iterations, each increment is 2x the cost.",
+      format: 'int',
+      default: 17,
+      env: 'PBKDF2_COST'
+    }
+  },
+  password_policy: {
+    min_length: {
+      doc: "The minimum length of newly chosen passwords.  Existing passwords of at least 8 characters keep working.",
+      format: 'int',
+      default: 8,
+      env: 'PASSWORD_MIN_LENGTH'
+    },
+    disallow_email_local_part: {
+      doc: "Should newly chosen passwords be refused when they contain the local part (what comes before the @) of the user's email address?",
+      format: Boolean,
+      default: false,
+      env: 'PASSWORD_DISALLOW_EMAIL_LOCAL_PART'
+    },
+    blocklist_file: {
+      doc: "A file of breached passwords to refuse, one hex SHA-1 hash of a password per line.  Read as the browserid and dbwriter processes start, which refuse to if it can't be.",
+      format: String,
+      default: '',
+      env: 'PASSWORD_BLOCKLIST_FILE'
+    }
+  },
   authentication_duration_ms: {
     doc: "How long may a user stay signed?",
     format: 'duration',
@@ -289,6 +325,12 @@ var conf = module.exports = convict({
     format: 'duration',
     default: 86400000
   },
+  verification_wait_ms: {
+    doc: "How long may a client wait on a pending email verification before it must ask again?  Keep it below the timeouts of the proxies in front of the dbwriter",
+    format: 'duration',
+    default: 30000,
+    env: 'VERIFICATION_WAIT_MS'
+  },
   max_compute_processes: {
     doc: "How many computation processes will be spun.  Default is good, based on the number of CPU cores on the machine.",
     format: 'int',
@@ -300,6 +342,120 @@ var conf = module.exports = convict({
     format: 'duration',
     default: 10
   },
+  verifier_batch: {
+    max_assertions: {
+      doc: "The maximum number of assertions which may be submitted in a single request to the verifier's /verify/batch endpoint",
+      format: 'int',
+      default: 20,
+      env: 'VERIFIER_BATCH_MAX_ASSERTIONS'
+    }
+  },
+  verifier_replay_cache: {
+    enabled: {
+      doc: "Should the verifier reject assertions which have already been verified for the same audience?",
+      format: Boolean,
+      default: false,
+      env: 'VERIFIER_REPLAY_CACHE'
+    },
+    backend: {
+      doc: "Where verified assertions are remembered.  Use 'mysql' (with the `database` connection settings, its table is added by schema migration 007) when running several verifier processes.",
+      format: ['memory', 'mysql'],
+      default: 'memory',
+      env: 'VERIFIER_REPLAY_CACHE_BACKEND'
+    },
+    max_entries: {
+      doc: "The maximum number of assertions remembered by the memory backend.  When it's full of unexpired assertions, verification fails until some expire.",
+      format: 'int',
+      default: 100000
+    }
+  },
+  certificate_chains: {
+    max_length: {
+      doc: "The maximum number of certificates the verifier will accept in an assertion's certificate chain.  1 disables chaining.",
+      format: 'int',
+      default: 1,
+      env: 'CERTIFICATE_CHAIN_MAX_LENGTH'
+    },
+    intermediates: {
+      doc: "A mapping of intermediate issuer hostnames to the list of email domains they may issue certificates for.",
+      format: Object,
+      default: {},
+      env: 'CERTIFICATE_CHAIN_INTERMEDIATES' // JSON text, i.e. {"hr.example.com": ["example.com"]}
+    }
+  },
+  sessions: {
+    last_seen_resolution_ms: {
+      doc: "How often is the time a signed in session was last used recorded? Finer resolutions cost more database writes",
+      format: 'duration',
+      default: 600000 // 10 minutes
+    }
+  },
+  rate_limit: {
+    store: {
+      doc: "Where are the token buckets of rate limited wsapi calls kept? 'memory' keeps them in each process, 'dbwriter' in the dbwriter, which all processes of a deployment share",
+      format: ['memory', 'dbwriter'],
+      default: 'memory',
+      env: 'RATE_LIMIT_STORE'
+    },
+    trusted_proxies: {
+      doc: "Addresses of the proxies whose X-Real-IP header is believed to give the address of the client. The router must be among them, as must any proxy in front of it",
+      format: Array,
+      default: [ '127.0.0.1', '::1', '::ffff:127.0.0.1' ],
+      env: 'RATE_LIMIT_TRUSTED_PROXIES'
+    },
+    policies: {
+      address_lookup: {
+        capacity: {
+          doc: "How many lookups of whether an address is known, and how, may be made at once?",
+          format: 'nat',
+          default: 60
+        },
+        refill_ms: {
+          doc: "How often may another lookup be made?",
+          format: 'duration',
+          default: 1000
+        }
+      },
+      authentication: {
+        capacity: {
+          doc: "How many password authentication attempts may be made at once, from an IP address or for an email address?",
+          format: 'nat',
+          default: 20,
+          env: 'RATE_LIMIT_AUTHENTICATION'
+        },
+        refill_ms: {
+          doc: "How often may another authentication attempt be made?",
+          format: 'duration',
+          default: 10000
+        }
+      },
+      email_sending: {
+        capacity: {
+          doc: "How many calls that send email may be made at once from an IP address?",
+          format: 'nat',
+          default: 20,
+          env: 'RATE_LIMIT_EMAIL_SENDING'
+        },
+        refill_ms: {
+          doc: "How often may another call that sends email be made?",
+          format: 'duration',
+          default: 30000
+        }
+      }
+    }
+  },
+  account_events: {
+    max_age_ms: {
+      doc: "For how long are security relevant events (password changes, failed sign-in attempts, ...) kept for each account?",
+      format: 'duration',
+      default: 7776000000 // 90 days
+    },
+    list_limit: {
+      doc: "The maximum number of recent events /wsapi/list_account_events returns",
+      format: 'int',
+      default: 20
+    }
+  },
   disable_primary_support: {
     doc: "Disables primary support when true",
     format: Boolean,
@@ -393,6 +549,37 @@ var conf = module.exports = convict({
     default: 8000,
     env: 'DECLARATION_OF_SUPPORT_TIMEOUT_MS'
   },
+  support_document_cache: {
+    min_ttl_ms: {
+      doc: "How long is a support document cached for at least, whatever its caching headers say?",
+      format: 'duration',
+      default: 60000, // 1 minute
+      env: 'SUPPORT_DOCUMENT_MIN_TTL_MS'
+    },
+    max_ttl_ms: {
+      doc: "How long is a support document cached for at most, whatever its caching headers say?",
+      format: 'duration',
+      default: 3600000, // 1 hour
+      env: 'SUPPORT_DOCUMENT_MAX_TTL_MS'
+    },
+    negative_ttl_ms: {
+      doc: "How long is a failure to fetch a support document remembered?",
+      format: 'duration',
+      default: 30000,
+      env: 'SUPPORT_DOCUMENT_NEGATIVE_TTL_MS'
+    },
+    max_stale_ms: {
+      doc: "For how long past its expiry is a support document used, if it can't be fetched again?",
+      format: 'duration',
+      default: 21600000, // 6 hours
+      env: 'SUPPORT_DOCUMENT_MAX_STALE_MS'
+    },
+    max_entries: {
+      doc: "How many support documents may be cached?",
+      format: 'int',
+      default: 10000
+    }
+  },
   enable_development_menu: {
     doc: "Whether or not the development menu can be accessed",
     format: Boolean,
@@ -506,6 +693,8 @@ if (conf.get('env') === 'test_json') {
   conf.set('database.driver', 'json');
 } else if (conf.get('env') === 'test_mysql') {
   conf.set('database.driver', 'mysql');
+} else if (conf.get('env') === 'test_sqlite') {
+  conf.set('database.driver', 'sqlite');
 }
 
 // dom measuring uses an inline script, eww
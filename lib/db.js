@@ -3,7 +3,8 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 var logger = require('./logging/logging.js').logger;
-const config = require('./configuration.js');
+const config = require('./configuration.js'),
+      events = require('events');
 
 var driver;
 
@@ -61,6 +62,21 @@ exports.closeAndRemove = function(cb) {
   });
 };
 
+// the event emitter raises "verified" events with the secret of a staged
+// email or password change, when it's completed by this process.  See
+// wsapi/wait_for_verification.js
+exports.events = new events.EventEmitter();
+// there's a listener per waiting request
+exports.events.setMaxListeners(0);
+
+// the calls that complete a staged change, the secret is their first argument
+const COMPLETIONS = [
+  'completeConfirmEmail',
+  'completeCreateUser',
+  'completePasswordReset',
+  'completeSignIn'
+];
+
 // accepts a function that will be invoked once the database is ready for transactions.
 // this hook is important to pause the rest of application startup until async database
 // connection establishment is complete.
@@ -82,11 +98,16 @@ exports.onReady = function(f) {
   'emailType',
   'emailIsVerified',
   'emailsBelongToSameAccount',
+  'exportRecords',
+  'getSession',
+  'getTotpSecret',
   'lastPasswordReset',
   'haveVerificationSecret',
   'isStaged',
   'lastStaged',
+  'listAccountEvents',
   'listEmails',
+  'listSessions',
   'emailLastUsedAs',
   'ping',
   'userKnown',
@@ -105,21 +126,30 @@ exports.onReady = function(f) {
 // to work.
 [
   'addPrimaryEmailToAccount',
+  'addSession',
   'cancelAccount',
   'clearAuthFailures',
   'completeConfirmEmail',
   'completeCreateUser',
   'completePasswordReset',
+  'completeSignIn',
   'createUnverifiedUser',
   'createUserWithPrimaryEmail',
   'forgetIDP',
+  'importRecord',
   'incAuthFailures',
+  'recordAccountEvent',
   'removeEmail',
+  'removeSession',
+  'setTotpSecret',
   'stageEmail',
+  'stageSignIn',
   'stageUser',
+  'touchSession',
   'updateEmailLastUsedAs',
   'updateIDPLastSeen',
-  'updatePassword'
+  'updatePassword',
+  'updateTotpLastStep'
 ].forEach(function(fn) {
   exports[fn] = function() {
     if (!config.get('database.may_write')) {
@@ -134,10 +164,23 @@ exports.onReady = function(f) {
       throw err;
     }
     checkReady();
+    if (COMPLETIONS.indexOf(fn) !== -1) return complete(fn, arguments);
     driver[fn].apply(undefined, arguments);
   };
 });
 
+// call the driver to complete a staged change, and raise a "verified" event
+// if it succeeded
+function complete(fn, args) {
+  var secret = args[0], cb = args[args.length - 1];
+  args = Array.prototype.slice.call(args, 0, args.length - 1);
+  args.push(function(err) {
+    cb.apply(undefined, arguments);
+    if (!err) exports.events.emit('verified', secret);
+  });
+  driver[fn].apply(undefined, args);
+}
+
 exports.addTestUser = function() {
   // would we like to check the environment here?
   checkReady();
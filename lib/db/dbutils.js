@@ -20,3 +20,76 @@ exports.withType = function(email, cb) {
     cb(type);
   });
 };
+
+/*
+ * Database contents are exported and imported (see scripts/db_transfer.js)
+ * as a stream of records, the same for all drivers.  Timestamps are in
+ * seconds since the epoch.
+ *
+ *   { kind: 'user', id: <int>, passwd: <hash or null>, lastPasswordReset: <ts>,
+ *     failedAuthTries: <int>, totpSecret: <base32 string or null>, totpLastStep: <int>,
+ *     emails: [ { address: <string>, type: 'primary'|'secondary', verified: <bool> } ] }
+ *   { kind: 'session', id: <string>, user: <int>, device: <string>, createdAt: <ts>,
+ *     lastSeen: <ts>, expiresAt: <ts> }
+ *   { kind: 'event', user: <int>, type: <string>, detail: <string or null>, at: <ts> }
+ *   { kind: 'staged', secret: <string>, newAccount: <bool>, existingUser: <int or null>,
+ *     email: <string>, passwd: <hash or null>, ts: <ts>, signIn: <bool> }
+ *   { kind: 'idp', domain: <string>, lastSeen: <ts> }
+ *
+ * Drivers export all users before any session, event or staged records,
+ * which may refer to them.
+ */
+exports.EXPORT_FORMAT = 'browserid-db';
+exports.EXPORT_VERSION = 1;
+
+function isInt(x) { return typeof x === 'number' && x % 1 === 0; }
+function isHash(x) { return x === null || typeof x === 'string'; }
+
+// returns a description of what's wrong with `record`, or undefined if
+// it's well formed.
+exports.checkRecord = function(r) {
+  if (!r || typeof r !== 'object') return "record is not an object";
+  if (r.kind === 'user') {
+    if (!isInt(r.id) || r.id < 1) return "user has an invalid id";
+    if (!isHash(r.passwd)) return "user " + r.id + " has an invalid password hash";
+    if (!isInt(r.lastPasswordReset)) return "user " + r.id + " has an invalid lastPasswordReset";
+    if (!isInt(r.failedAuthTries)) return "user " + r.id + " has an invalid failedAuthTries";
+    // second factors were added to the format later, so may be absent
+    if (r.totpSecret !== undefined && !isHash(r.totpSecret)) return "user " + r.id + " has an invalid totpSecret";
+    if (r.totpLastStep !== undefined && !isInt(r.totpLastStep)) return "user " + r.id + " has an invalid totpLastStep";
+    if (!Array.isArray(r.emails)) return "user " + r.id + " has no emails";
+    for (var i = 0; i < r.emails.length; i++) {
+      var e = r.emails[i];
+      if (!e || typeof e.address !== 'string' ||
+          [ 'primary', 'secondary' ].indexOf(e.type) === -1 ||
+          typeof e.verified !== 'boolean') {
+        return "user " + r.id + " has an invalid email";
+      }
+    }
+  } else if (r.kind === 'session') {
+    if (typeof r.id !== 'string' || !r.id.length) return "session has an invalid id";
+    if (!isInt(r.user)) return "session " + r.id + " has an invalid user";
+    if (typeof r.device !== 'string') return "session " + r.id + " has an invalid device";
+    if (!isInt(r.createdAt) || !isInt(r.lastSeen) || !isInt(r.expiresAt)) {
+      return "session " + r.id + " has an invalid timestamp";
+    }
+  } else if (r.kind === 'event') {
+    if (!isInt(r.user)) return "event has an invalid user";
+    if (typeof r.type !== 'string' || !r.type.length) return "event of user " + r.user + " has an invalid type";
+    if (r.detail !== null && typeof r.detail !== 'string') return "event of user " + r.user + " has an invalid detail";
+    if (!isInt(r.at)) return "event of user " + r.user + " has an invalid at";
+  } else if (r.kind === 'staged') {
+    if (typeof r.secret !== 'string' || typeof r.email !== 'string') return "staged record is missing secret or email";
+    if (typeof r.newAccount !== 'boolean') return "staged record for " + r.email + " has an invalid newAccount";
+    if (r.existingUser !== null && !isInt(r.existingUser)) return "staged record for " + r.email + " has an invalid existingUser";
+    if (!isHash(r.passwd)) return "staged record for " + r.email + " has an invalid password hash";
+    if (!isInt(r.ts)) return "staged record for " + r.email + " has an invalid ts";
+    // sign-in links were added to the format later, so may be absent
+    if (r.signIn !== undefined && typeof r.signIn !== 'boolean') return "staged record for " + r.email + " has an invalid signIn";
+  } else if (r.kind === 'idp') {
+    if (typeof r.domain !== 'string') return "idp record is missing domain";
+    if (!isInt(r.lastSeen)) return "idp record for " + r.domain + " has an invalid lastSeen";
+  } else {
+    return "unknown record kind: " + r.kind;
+  }
+};
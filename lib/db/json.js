@@ -38,6 +38,8 @@ var dbPath = path.join(configuration.get('var_path'), "authdb.json");
  *       "password": <string password and salt info>,
  *       "lastPasswordReset": <seconds-since-epoch, integer>,
  *       "failedAuthTries": <number-of-consecutive-failed-authentication-attempts, integer>,
+ *       "totpSecret": <base32 encoded totp secret, absent when no second factor is enrolled>,
+ *       "totpLastStep": <time step of the last totp code accepted, integer>,
  *       "emails":{
  *         "syncer@somehost.com":{
  *           "type": <string secondary|primary>,
@@ -48,7 +50,24 @@ var dbPath = path.join(configuration.get('var_path'), "authdb.json");
  *   ],
  *   "stagedEmails":{},
  *   "staged":{},
- *   "idp":{}
+ *   "idp":{},
+ *   "accountEvents":[
+ *     {
+ *       "user": <numerical user id>,
+ *       "type": <string, i.e. password_change>,
+ *       "detail": <string or null, i.e. the email address concerned>,
+ *       "at": <seconds-since-epoch, integer>
+ *     }
+ *   ],
+ *   "sessions":{
+ *     <session id>: {
+ *       "user": <numerical user id>,
+ *       "device": <string, a coarse description of the browser, i.e. Firefox on Linux>,
+ *       "createdAt": <seconds-since-epoch, integer>,
+ *       "lastSeen": <seconds-since-epoch, integer>,
+ *       "expiresAt": <seconds-since-epoch, integer>
+ *     }
+ *   }
  *   }
  */
 
@@ -59,6 +78,10 @@ function getNextUserID() {
   jsel.forEach(".id", db.users, function(id) {
     if (id >= max) max = id + 1;
   });
+  // events outlive cancelled accounts, so their ids must not be reused
+  (db.accountEvents || []).forEach(function(e) {
+    if (e.user >= max) max = e.user + 1;
+  });
   return max;
 }
 
@@ -66,7 +89,9 @@ var db = {
   users: [ ],
   stagedEmails: { },
   staged: { },
-  idp: { }
+  idp: { },
+  accountEvents: [ ],
+  sessions: { }
 };
 
 function flush() {
@@ -108,6 +133,15 @@ exports.closeAndRemove = function(cb) {
   // if the file cannot be removed, it's not an error, just means it was never
   // written or deleted by a different process
   try { fs.unlinkSync(dbPath); } catch(e) { }
+  // and forget its contents, so the database is empty if opened again
+  db = {
+    users: [ ],
+    stagedEmails: { },
+    staged: { },
+    idp: { },
+    accountEvents: [ ],
+    sessions: { }
+  };
   process.nextTick(function() { cb(null); });
 };
 
@@ -163,11 +197,14 @@ exports.emailInfo = function(email, cb) {
   process.nextTick(function() { cb(null, response); });
 };
 
+// whether a change to `email` is staged.  A pending sign-in link changes
+// nothing, so it doesn't count.
 exports.isStaged = function(email, cb) {
   if (cb) {
     setTimeout(function() {
       sync();
-      cb(null, db.stagedEmails.hasOwnProperty(email));
+      cb(null, db.stagedEmails.hasOwnProperty(email) &&
+         db.staged[db.stagedEmails[email]].type !== "sign_in");
     }, 0);
   }
 };
@@ -257,13 +294,13 @@ exports.stageUser = function(email, hash, cb) {
   });
 };
 
-exports.stageEmail = function(existing_user, new_email, hash, cb) {
+function stageForExistingUser(type, existing_user, new_email, hash, cb) {
   secrets.generate(48, function(secret) {
     // overwrite previously staged users
     sync();
     deleteOldSecrets(new_email);
     db.staged[secret] = {
-      type: "add_email",
+      type: type,
       existing_user: existing_user,
       email: new_email,
       passwd: hash,
@@ -274,6 +311,15 @@ exports.stageEmail = function(existing_user, new_email, hash, cb) {
 
     process.nextTick(function() { cb(null, secret); });
   });
+}
+
+exports.stageEmail = function(existing_user, new_email, hash, cb) {
+  stageForExistingUser("add_email", existing_user, new_email, hash, cb);
+};
+
+// stage a sign-in link for an address `existing_user` owns
+exports.stageSignIn = function(existing_user, email, cb) {
+  stageForExistingUser("sign_in", existing_user, email, null, cb);
 };
 
 exports.createUserWithPrimaryEmail = function(email, cb) {
@@ -337,12 +383,22 @@ exports.verificationSecretForEmail = function(email, cb) {
   }, 0);
 };
 
-function getAndDeleteRowForSecret(secret, cb) {
+// get and delete the staged row of `secret`, provided it's a sign-in link if
+// `signIn` is true, or any other staged change if it's false.  A row of the
+// wrong kind is left alone, for the flow it's meant for.
+function getAndDeleteRowForSecret(secret, signIn, cb) {
   sync();
   if (!db.staged.hasOwnProperty(secret)) return cb("unknown secret");
 
-  // simply move from staged over to the emails "database"
   var o = db.staged[secret];
+  if ((o.type === "sign_in") !== signIn) {
+    return process.nextTick(function() {
+      cb(signIn ? "this verification link is not for a sign-in" :
+         "this verification link is for a sign-in");
+    });
+  }
+
+  // simply move from staged over to the emails "database"
   delete db.staged[secret];
   delete db.stagedEmails[o.email];
   flush();
@@ -353,7 +409,9 @@ function getAndDeleteRowForSecret(secret, cb) {
 // either a email re-verification, or an email addition - we treat these things
 // the same
 exports.completeConfirmEmail = function(secret, cb) {
-  getAndDeleteRowForSecret(secret, function(err, o) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
+    if (err) return cb(err);
+
     dbutils.withType(o.email, function (type) {
       exports.emailKnown(o.email, function(err, known) {
         function addIt() {
@@ -385,7 +443,9 @@ exports.completeConfirmEmail = function(secret, cb) {
 };
 
 exports.completeCreateUser = function(secret, cb) {
-  getAndDeleteRowForSecret(secret, function(err, o) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
+    if (err) return cb(err);
+
     dbutils.withType(o.email, function (type) {
       exports.emailKnown(o.email, function(err, known) {
         function createAccount() {
@@ -424,7 +484,9 @@ exports.completeCreateUser = function(secret, cb) {
 };
 
 exports.completePasswordReset = function(secret, password, cb) {
-  getAndDeleteRowForSecret(secret, function(err, o) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
+    if (err) return cb(err);
+
     exports.emailKnown(o.email, function(err) {
       if (err) return cb(err);
 
@@ -459,6 +521,30 @@ exports.completePasswordReset = function(secret, password, cb) {
   });
 };
 
+// a sign-in link proves control of an address the user already owns.  Nothing
+// changes but the staged row, which is consumed.
+exports.completeSignIn = function(secret, cb) {
+  getAndDeleteRowForSecret(secret, true, function(err, o) {
+    if (err) return cb(err);
+
+    if (o.new_acct || !o.existing_user || o.passwd) {
+      return cb("this verification link is not for a sign-in");
+    }
+
+    exports.emailToUID(o.email, function(err, uid) {
+      if (err) return cb(err);
+
+      // the address must still belong to the user who asked for the link,
+      // which also keeps links that add an address from being used here.
+      if (uid !== o.existing_user) {
+        return cb("cannot sign in, data inconsistency");
+      }
+
+      cb(null, o.email, uid);
+    });
+  });
+};
+
 exports.addPrimaryEmailToAccount = function(userID, emailToAdd, cb) {
   sync();
   exports.emailKnown(emailToAdd, function(err, known) {
@@ -478,15 +564,55 @@ exports.addPrimaryEmailToAccount = function(userID, emailToAdd, cb) {
 
 exports.checkAuth = function(userID, cb) {
   sync();
-  var hash, failedAuthTries;
+  var hash, failedAuthTries, hasSecondFactor;
   if (userID) {
     var m = jsel.match(":root > object:has(:root > .id:expr(x=?))", [ userID ], db.users);
     if (m.length === 1) {
       hash = m[0].password;
       failedAuthTries = m[0].failedAuthTries;
+      hasSecondFactor = typeof m[0].totpSecret === 'string';
     }
   }
-  process.nextTick(function() { cb(null, hash, failedAuthTries); });
+  process.nextTick(function() { cb(null, hash, failedAuthTries, hasSecondFactor); });
+};
+
+exports.getTotpSecret = function(userID, cb) {
+  if (typeof userID === 'string') userID = parseInt(userID, 10);
+  sync();
+  var m = jsel.match(":root > object:has(:root > .id:expr(x=?))", [ userID ], db.users);
+  process.nextTick(function() {
+    if (m.length !== 1) return cb("no such user");
+    cb(null, m[0].totpSecret || null, m[0].totpLastStep || 0);
+  });
+};
+
+exports.setTotpSecret = function(userID, secret, cb) {
+  if (typeof userID === 'string') userID = parseInt(userID, 10);
+  sync();
+  var err;
+  var m = jsel.match(":root > object:has(:root > .id:expr(x=?))", [ userID ], db.users);
+  if (m.length === 1) {
+    if (secret) m[0].totpSecret = secret;
+    else delete m[0].totpSecret;
+    m[0].totpLastStep = 0;
+    flush();
+  } else {
+    err = "no such user";
+  }
+  process.nextTick(function() { cb(err); });
+};
+
+exports.updateTotpLastStep = function(userID, step, cb) {
+  if (typeof userID === 'string') userID = parseInt(userID, 10);
+  sync();
+  var updated = false;
+  var m = jsel.match(":root > object:has(:root > .id:expr(x=?))", [ userID ], db.users);
+  if (m.length === 1 && (m[0].totpLastStep || 0) < step) {
+    m[0].totpLastStep = step;
+    updated = true;
+    flush();
+  }
+  process.nextTick(function() { cb(null, updated); });
 };
 
 exports.incAuthFailures = function(userID, cb) {
@@ -537,7 +663,8 @@ exports.userKnown = function(userID, cb) {
   var m = jsel.match(":root > object:has(:root > .id:expr(x=" + ESC(userID) + "))", db.users);
   var known = (m.length !== 0);
   var hasPass = (known && typeof m[0].password === 'string' && m[0].password.length > 0);
-  process.nextTick(function() { cb(null, known, hasPass); });
+  var hasSecondFactor = (known && typeof m[0].totpSecret === 'string');
+  process.nextTick(function() { cb(null, known, hasPass, hasSecondFactor); });
 };
 
 exports.updatePassword = function(userID, hash, invalidateSessions, cb) {
@@ -635,6 +762,18 @@ exports.cancelAccount = function(authenticated_uid, cb) {
       });
     }
 
+    removeUserSessions(authenticated_uid);
+    // the account's events are replaced by a record of its cancellation,
+    // which outlives it
+    db.accountEvents = (db.accountEvents || []).filter(function(e) {
+      return e.user !== authenticated_uid;
+    });
+    db.accountEvents.push({
+      user: authenticated_uid,
+      type: 'account_cancel',
+      detail: null,
+      at: now()
+    });
     db.users.splice(i, 1);
     flush();
   }
@@ -642,6 +781,124 @@ exports.cancelAccount = function(authenticated_uid, cb) {
   process.nextTick(function() { cb(null); });
 };
 
+function eventExpiry() {
+  return now() - Math.floor(configuration.get('account_events.max_age_ms') / 1000);
+}
+
+exports.recordAccountEvent = function(uid, type, detail, cb) {
+  if (typeof uid === 'string') uid = parseInt(uid, 10);
+  sync();
+  var expired = eventExpiry();
+  // drop this user's expired events as we go
+  db.accountEvents = (db.accountEvents || []).filter(function(e) {
+    return e.user !== uid || e.at >= expired;
+  });
+  db.accountEvents.push({
+    user: uid,
+    type: type,
+    detail: detail || null,
+    at: now()
+  });
+  flush();
+  process.nextTick(function() { cb(null); });
+};
+
+exports.listAccountEvents = function(uid, limit, cb) {
+  if (typeof uid === 'string') uid = parseInt(uid, 10);
+  sync();
+  var expired = eventExpiry();
+  var events = (db.accountEvents || []).filter(function(e) {
+    return e.user === uid && e.at >= expired;
+  }).map(function(e) {
+    return { type: e.type, detail: e.detail, at: e.at };
+  });
+  // newest first, events are appended in the order they happened
+  events = events.reverse().slice(0, limit);
+  process.nextTick(function() { cb(null, events); });
+};
+
+function removeUserSessions(uid) {
+  Object.keys(db.sessions || {}).forEach(function(sid) {
+    if (db.sessions[sid].user === uid) delete db.sessions[sid];
+  });
+}
+
+function liveSession(sid) {
+  var s = db.sessions && db.sessions.hasOwnProperty(sid) && db.sessions[sid];
+  return (s && s.expiresAt > now()) ? s : null;
+}
+
+exports.addSession = function(sid, uid, device, expiresAt, cb) {
+  if (typeof uid === 'string') uid = parseInt(uid, 10);
+  sync();
+  db.sessions = db.sessions || {};
+  // drop this user's expired sessions as we go
+  Object.keys(db.sessions).forEach(function(s) {
+    if (db.sessions[s].user === uid && !liveSession(s)) delete db.sessions[s];
+  });
+  db.sessions[sid] = {
+    user: uid,
+    device: device,
+    createdAt: now(),
+    lastSeen: now(),
+    expiresAt: expiresAt
+  };
+  flush();
+  process.nextTick(function() { cb(null); });
+};
+
+exports.getSession = function(sid, cb) {
+  sync();
+  var s = liveSession(sid);
+  process.nextTick(function() {
+    cb(null, s ? {
+      id: sid,
+      user: s.user,
+      device: s.device,
+      createdAt: s.createdAt,
+      lastSeen: s.lastSeen,
+      expiresAt: s.expiresAt
+    } : null);
+  });
+};
+
+exports.touchSession = function(sid, expiresAt, cb) {
+  sync();
+  var s = liveSession(sid);
+  if (s) {
+    s.lastSeen = now();
+    if (expiresAt) s.expiresAt = expiresAt;
+    flush();
+  }
+  process.nextTick(function() { cb(null); });
+};
+
+exports.listSessions = function(uid, cb) {
+  if (typeof uid === 'string') uid = parseInt(uid, 10);
+  sync();
+  var sessions = Object.keys(db.sessions || {}).filter(function(sid) {
+    return db.sessions[sid].user === uid && liveSession(sid);
+  }).map(function(sid) {
+    var s = db.sessions[sid];
+    return { id: sid, device: s.device, createdAt: s.createdAt, lastSeen: s.lastSeen };
+  });
+  // most recently used first
+  sessions.sort(function(a, b) { return b.lastSeen - a.lastSeen; });
+  process.nextTick(function() { cb(null, sessions); });
+};
+
+exports.removeSession = function(uid, sid, cb) {
+  if (typeof uid === 'string') uid = parseInt(uid, 10);
+  sync();
+  var removed = false;
+  if (db.sessions && db.sessions.hasOwnProperty(sid) && db.sessions[sid].user === uid) {
+    delete db.sessions[sid];
+    removed = true;
+    flush();
+  }
+  process.nextTick(function() { cb(null, removed); });
+};
+
 exports.createUnverifiedUser = function(email, hash, cb) {
   sync();
   var emailVal = {};
@@ -674,6 +931,7 @@ exports.addTestUser = function(email, hash, cb) {
       id: getNextUserID(),
       password: hash,
       lastPasswordReset: now(),
+      failedAuthTries: 0,
       emails: emailVal
     });
     flush();
@@ -704,3 +962,154 @@ exports.forgetIDP = function(domain, cb) {
   flush();
   process.nextTick(function() { cb(null); });
 };
+
+// call `onRecord(record, next)` for each user, session, account event, staged
+// email and IdP in the database (see dbutils.js for the format), then `cb(err)`.
+exports.exportRecords = function(onRecord, cb) {
+  sync();
+  var records = [];
+
+  db.users.forEach(function(user) {
+    records.push({
+      kind: 'user',
+      id: user.id,
+      passwd: typeof user.password === 'string' ? user.password : null,
+      lastPasswordReset: user.lastPasswordReset || 0,
+      failedAuthTries: user.failedAuthTries || 0,
+      totpSecret: typeof user.totpSecret === 'string' ? user.totpSecret : null,
+      totpLastStep: user.totpLastStep || 0,
+      emails: Object.keys(user.emails).map(function(address) {
+        return {
+          address: address,
+          type: user.emails[address].type || 'secondary',
+          verified: user.emails[address].verified !== false
+        };
+      })
+    });
+  });
+
+  Object.keys(db.sessions || {}).forEach(function(sid) {
+    var s = liveSession(sid);
+    if (!s) return;
+    records.push({
+      kind: 'session',
+      id: sid,
+      user: s.user,
+      device: s.device,
+      createdAt: s.createdAt,
+      lastSeen: s.lastSeen,
+      expiresAt: s.expiresAt
+    });
+  });
+
+  var expired = eventExpiry();
+  (db.accountEvents || []).forEach(function(e) {
+    if (e.at < expired) return;
+    records.push({
+      kind: 'event',
+      user: e.user,
+      type: e.type,
+      detail: e.detail,
+      at: e.at
+    });
+  });
+
+  Object.keys(db.staged).forEach(function(secret) {
+    var o = db.staged[secret];
+    records.push({
+      kind: 'staged',
+      secret: secret,
+      newAccount: o.type === 'add_account',
+      existingUser: typeof o.existing_user === 'number' ? o.existing_user : null,
+      email: o.email,
+      passwd: typeof o.passwd === 'string' ? o.passwd : null,
+      ts: Math.floor(o.when / 1000),
+      signIn: o.type === 'sign_in'
+    });
+  });
+
+  Object.keys(db.idp).forEach(function(domain) {
+    records.push({
+      kind: 'idp',
+      domain: domain,
+      lastSeen: Math.floor(db.idp[domain] / 1000)
+    });
+  });
+
+  var i = 0;
+  function next(err) {
+    if (err || i === records.length) {
+      return process.nextTick(function() { cb(err || null); });
+    }
+    onRecord(records[i++], next);
+  }
+  next();
+};
+
+// add a record produced by exportRecords() to the database, preserving
+// user ids.
+exports.importRecord = function(r, cb) {
+  var err = dbutils.checkRecord(r);
+  if (!err) {
+    sync();
+    if (r.kind === 'user') {
+      var emails = {};
+      r.emails.forEach(function(e) {
+        if (jsel.match(".emails ." + ESC(e.address), db.users).length) {
+          err = "email " + e.address + " already exists";
+        }
+        emails[e.address] = { type: e.type, verified: e.verified };
+      });
+      if (jsel.match(":root > object:has(:root > .id:expr(x=?))", [ r.id ], db.users).length) {
+        err = "user " + r.id + " already exists";
+      }
+      if (!err) {
+        var user = {
+          id: r.id,
+          password: r.passwd,
+          lastPasswordReset: r.lastPasswordReset,
+          failedAuthTries: r.failedAuthTries,
+          emails: emails
+        };
+        if (r.totpSecret) {
+          user.totpSecret = r.totpSecret;
+          user.totpLastStep = r.totpLastStep || 0;
+        }
+        db.users.push(user);
+      }
+    } else if (r.kind === 'session') {
+      db.sessions = db.sessions || {};
+      if (db.sessions.hasOwnProperty(r.id)) {
+        err = "session " + r.id + " already exists";
+      } else {
+        db.sessions[r.id] = {
+          user: r.user,
+          device: r.device,
+          createdAt: r.createdAt,
+          lastSeen: r.lastSeen,
+          expiresAt: r.expiresAt
+        };
+      }
+    } else if (r.kind === 'event') {
+      db.accountEvents = db.accountEvents || [];
+      db.accountEvents.push({ user: r.user, type: r.type, detail: r.detail, at: r.at });
+    } else if (r.kind === 'staged') {
+      if (db.staged[r.secret] || db.stagedEmails.hasOwnProperty(r.email)) {
+        err = r.email + " is already staged";
+      } else {
+        db.staged[r.secret] = {
+          type: r.newAccount ? "add_account" : (r.signIn ? "sign_in" : "add_email"),
+          existing_user: r.existingUser === null ? undefined : r.existingUser,
+          email: r.email,
+          passwd: r.passwd,
+          when: r.ts * 1000
+        };
+        db.stagedEmails[r.email] = r.secret;
+      }
+    } else {
+      db.idp[r.domain] = r.lastSeen * 1000;
+    }
+    if (!err) flush();
+  }
+  process.nextTick(function() { cb(err || null); });
+};
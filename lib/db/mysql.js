@@ -15,7 +15,9 @@
  *    | string    passwd            |      |*string address    |
  *    | timestamp lastPasswordReset |      | enum   type       |
  *    | int       failedAuthTries   |      | bool   verified   |
- *    +-----------------------------+      +-------------------+
+ *    | string    totpSecret        |      +-------------------+
+ *    | int       totpLastStep      |
+ *    +-----------------------------+
  *
  *    +------ staged ----------+
  *    |*int id                 |      +------ idp --------+
@@ -25,7 +27,20 @@
  *    |*string email           |      +-------------------+
  *    |*string passwd          |
  *    | timestamp ts           |
+ *    | bool signin            |
  *    +------------------------+
+ *
+ *    +--- account_event ---+      +--- session ---------+
+ *    |*int       id        |      |*string    id        |
+ *    |*int       user      |      |*int       user      |
+ *    | string    type      |      | string    device    |
+ *    | string    detail    |      | timestamp createdAt |
+ *    | timestamp at        |      | timestamp lastSeen  |
+ *    +---------------------+      | int       expiresAt |
+ *                                 +---------------------+
+ *
+ * The tables are created and evolved by the versioned migrations in
+ * ./mysql_migrations/ (see mysql_migrate.js).
  */
 
 /*global dne:true */
@@ -34,6 +49,7 @@ const
 conf = require('../configuration.js'),
 dbutils = require('./dbutils.js'),
 mysql = require('./mysql_wrapper.js'),
+migrate = require('./mysql_migrate.js'),
 logger = require('../logging/logging.js').logger,
 primary = require('../primary.js'),
 secrets = require('../secrets.js');
@@ -61,42 +77,6 @@ if (conf.get('env') === 'test_mysql' && process.env.STALL_MYSQL_WHEN_PRESENT) {
     });
 }
 
-// If you change these schemas, please notify <services-ops@mozilla.com>
-const schemas = [
-  "CREATE TABLE IF NOT EXISTS user (" +
-    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
-    "passwd CHAR(64)," +
-    "lastPasswordReset TIMESTAMP DEFAULT 0 NOT NULL," +
-    "failedAuthTries INT DEFAULT 0 NOT NULL" +
-    ") ENGINE=InnoDB;",
-
-  "CREATE TABLE IF NOT EXISTS email (" +
-    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
-    "user BIGINT NOT NULL," +
-    "address VARCHAR(255) UNIQUE NOT NULL," +
-    "type ENUM('secondary', 'primary') DEFAULT 'secondary' NOT NULL," +
-    "verified BOOLEAN DEFAULT TRUE NOT NULL, " +
-    "FOREIGN KEY user_fkey (user) REFERENCES user(id)" +
-    ") ENGINE=InnoDB;",
-
-  "CREATE TABLE IF NOT EXISTS staged (" +
-    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
-    "secret CHAR(48) UNIQUE NOT NULL," +
-    "new_acct BOOL NOT NULL," +
-    "existing_user BIGINT," +
-    "email VARCHAR(255) UNIQUE NOT NULL," +
-    "passwd CHAR(64)," +
-    "ts TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL," +
-    "FOREIGN KEY existing_user_fkey (existing_user) REFERENCES user(id)" +
-    ") ENGINE=InnoDB;",
-
-  "CREATE TABLE IF NOT EXISTS idp (" +
-    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
-    "domain VARCHAR(255) UNIQUE NOT NULL," +
-    "lastSeen TIMESTAMP DEFAULT 0 NOT NULL" +
-    ") ENGINE=InnoDB;",
-];
-
 function now() { return Math.floor(new Date().getTime() / 1000); }
 
 // log an unexpected database error
@@ -136,13 +116,22 @@ exports.open = function(cfg, cb) {
     client = mysql.createClient(options);
     client.ping(function(err) {
       logger.debug("connection to database " + (err ? ("fails: " + err) : "established"));
-      cb(err);
+      if (err) return cb(err);
+      // refuse to run against a schema newer than this code understands
+      migrate.checkVersion(client, function(err) {
+        if (err) {
+          client.end(function() { });
+          client = undefined;
+          return cb(err);
+        }
+        cb(null);
+      });
     });
   }
 
   // now create the databse
   if (cfg.create_schema) {
-    logger.debug("creating database and tables if required");
+    logger.debug("creating database and migrating schema if required");
     var createClient = mysql.createClient(options);
     createClient.query("CREATE DATABASE IF NOT EXISTS " + database, function(err) {
       if (err) {
@@ -157,29 +146,22 @@ exports.open = function(cfg, cb) {
           return;
         }
 
-        // now create tables
-        function createNextTable(i) {
-          if (i < schemas.length) {
-            createClient.query(schemas[i], function(err) {
-              if (err) {
-                logUnexpectedError(err);
-                cb(err);
-              } else {
-                createNextTable(i+1);
-              }
-            });
-          } else {
-            createClient.end(function(err) {
-              if (err) {
-                logUnexpectedError(err);
-                cb(err);
-              } else {
-                doConnect();
-              }
-            });
+        // now bring the schema up to date
+        migrate.migrate(createClient, migrate.LATEST, function(err) {
+          if (err) {
+            logUnexpectedError(err);
+            cb(err);
+            return;
           }
-        }
-        createNextTable(0);
+          createClient.end(function(err) {
+            if (err) {
+              logUnexpectedError(err);
+              cb(err);
+            } else {
+              doConnect();
+            }
+          });
+        });
       });
     });
   } else {
@@ -220,11 +202,12 @@ exports.emailKnown = function(email, cb) {
 
 exports.userKnown = function(uid, cb) {
   client.query(
-    "SELECT passwd FROM user WHERE id = ?", [ uid ],
+    "SELECT passwd, totpSecret FROM user WHERE id = ?", [ uid ],
     function(err, rows) {
       var known = rows && rows.length > 0;
       var hasPass = (known && typeof rows[0].passwd === 'string' && rows[0].passwd.length > 0);
-      cb(err, known, hasPass);
+      var hasSecondFactor = (known && typeof rows[0].totpSecret === 'string');
+      cb(err, known, hasPass, hasSecondFactor);
     }
   );
 };
@@ -293,9 +276,11 @@ exports.getIDPLastSeen = function(domain, cb) {
 };
 
 
+// whether a change to `email` is staged.  A pending sign-in link changes
+// nothing, so it doesn't count.
 exports.isStaged = function(email, cb) {
   client.query(
-    "SELECT COUNT(*) as N FROM staged WHERE email = ?", [ email ],
+    "SELECT COUNT(*) as N FROM staged WHERE email = ? AND signin = FALSE", [ email ],
     function(err, rows) {
       cb(err, rows && rows.length > 0 && rows[0].N > 0);
     }
@@ -317,7 +302,7 @@ exports.stageUser = function(email, hash, cb) {
   secrets.generate(48, function(secret) {
     // overwrite previously staged users
     client.query('INSERT INTO staged (secret, new_acct, email, passwd) VALUES(?,TRUE,?,?) ' +
-                 'ON DUPLICATE KEY UPDATE secret=VALUES(secret), existing_user=NULL, new_acct=TRUE, ts=NOW(), passwd=VALUES(passwd)',
+                 'ON DUPLICATE KEY UPDATE secret=VALUES(secret), existing_user=NULL, new_acct=TRUE, signin=FALSE, ts=NOW(), passwd=VALUES(passwd)',
                  [ secret, email, hash ],
                  function(err) {
                    cb(err, err ? undefined : secret);
@@ -402,7 +387,10 @@ function addEmailToUser(userID, email, type, cb) {
     });
 }
 
-function getAndDeleteRowForSecret(secret, cb) {
+// get and delete the staged row of `secret`, provided it's a sign-in link if
+// `signIn` is true, or any other staged change if it's false.  A row of the
+// wrong kind is left alone, for the flow it's meant for.
+function getAndDeleteRowForSecret(secret, signIn, cb) {
   client.query(
     "SELECT * FROM staged WHERE secret = ?", [ secret ],
     function(err, rows) {
@@ -411,6 +399,9 @@ function getAndDeleteRowForSecret(secret, cb) {
         cb(err);
       } else if (rows.length === 0) {
         cb("unknown secret");
+      } else if (rows[0].signin ? !signIn : signIn) {
+        cb(signIn ? "this verification link is not for a sign-in" :
+           "this verification link is for a sign-in");
       } else {
         // delete the record
         client.query("DELETE LOW_PRIORITY FROM staged WHERE secret = ?", [ secret ]);
@@ -420,7 +411,7 @@ function getAndDeleteRowForSecret(secret, cb) {
 }
 
 exports.completeCreateUser = function(secret, cb) {
-  getAndDeleteRowForSecret(secret, function(err, o) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
     if (err) return cb(err);
 
     if (!o.new_acct) return cb("this verification link is not for a new account");
@@ -440,7 +431,7 @@ exports.completeCreateUser = function(secret, cb) {
 // either a email re-verification, or an email addition - we treat these things
 // the same
 exports.completeConfirmEmail = function(secret, cb) {
-  getAndDeleteRowForSecret(secret, function(err, o) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
     if (err) return cb(err);
 
     if (o.new_acct) return cb("this verification link is not for an email addition");
@@ -467,7 +458,7 @@ exports.completeConfirmEmail = function(secret, cb) {
 };
 
 exports.completePasswordReset = function(secret, password, cb) {
-  getAndDeleteRowForSecret(secret, function(err, o) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
     if (err) return cb(err);
 
     if (o.new_acct || (!password && !o.passwd) || !o.existing_user) {
@@ -506,6 +497,30 @@ exports.completePasswordReset = function(secret, password, cb) {
   });
 };
 
+// a sign-in link proves control of an address the user already owns.  Nothing
+// changes but the staged row, which is consumed.
+exports.completeSignIn = function(secret, cb) {
+  getAndDeleteRowForSecret(secret, true, function(err, o) {
+    if (err) return cb(err);
+
+    if (o.new_acct || !o.existing_user || o.passwd) {
+      return cb("this verification link is not for a sign-in");
+    }
+
+    exports.emailToUID(o.email, function(err, uid) {
+      if (err) return cb(err);
+
+      // the address must still belong to the user who asked for the link,
+      // which also keeps links that add an address from being used here.
+      if (uid !== o.existing_user) {
+        return cb("cannot sign in, data inconsistency");
+      }
+
+      cb(null, o.email, uid);
+    });
+  });
+};
+
 exports.addPrimaryEmailToAccount = function(uid, emailToAdd, cb) {
   // we're adding an email address to an existing user account.  add appropriate entries into
   // email table
@@ -548,20 +563,29 @@ exports.userOwnsEmail = function(uid, email, cb) {
     });
 };
 
-exports.stageEmail = function(existing_user, new_email, hash, cb) {
+function stageForExistingUser(existing_user, new_email, hash, signIn, cb) {
   secrets.generate(48, function(secret) {
     // if we are staging a password reset in the new flow,
     // we nullify any previously staged password
     // this will clear out stale attempts from the old flow
     var overwrite_password = (hash === null);
     // overwrite previously staged users
-    client.query('INSERT INTO staged (secret, new_acct, existing_user, email, passwd) VALUES(?,FALSE,?,?,?) ' +
-                 'ON DUPLICATE KEY UPDATE secret=VALUES(secret), existing_user=VALUES(existing_user), new_acct=FALSE, ts=NOW()' + (overwrite_password ? ', passwd=VALUES(passwd)' : ''),
-                 [ secret, existing_user, new_email, hash ],
+    client.query('INSERT INTO staged (secret, new_acct, existing_user, email, passwd, signin) VALUES(?,FALSE,?,?,?,?) ' +
+                 'ON DUPLICATE KEY UPDATE secret=VALUES(secret), existing_user=VALUES(existing_user), new_acct=FALSE, signin=VALUES(signin), ts=NOW()' + (overwrite_password ? ', passwd=VALUES(passwd)' : ''),
+                 [ secret, existing_user, new_email, hash, signIn ],
                  function(err) {
                    cb(err, err ? undefined : secret);
                  });
   });
+}
+
+exports.stageEmail = function(existing_user, new_email, hash, cb) {
+  stageForExistingUser(existing_user, new_email, hash, false, cb);
+};
+
+// stage a sign-in link for an address `existing_user` owns
+exports.stageSignIn = function(existing_user, email, cb) {
+  stageForExistingUser(existing_user, email, null, true, cb);
 };
 
 exports.emailToUID = function(email, cb) {
@@ -575,15 +599,50 @@ exports.emailToUID = function(email, cb) {
 
 exports.checkAuth = function(uid, cb) {
   client.query(
-    'SELECT passwd, failedAuthTries FROM user WHERE id = ?',
+    'SELECT passwd, failedAuthTries, totpSecret FROM user WHERE id = ?',
     [ uid ],
     function (err, rows) {
-      var hash, failedAuthTries;
+      var hash, failedAuthTries, hasSecondFactor;
       if (!err && rows && rows.length === 1) {
         hash = rows[0].passwd;
         failedAuthTries = rows[0].failedAuthTries;
+        hasSecondFactor = typeof rows[0].totpSecret === 'string';
       }
-      cb(err, hash, failedAuthTries);
+      cb(err, hash, failedAuthTries, hasSecondFactor);
+    });
+};
+
+exports.getTotpSecret = function(uid, cb) {
+  client.query(
+    'SELECT totpSecret, totpLastStep FROM user WHERE id = ?',
+    [ uid ],
+    function (err, rows) {
+      if (err) return cb(err);
+      if (!rows || rows.length !== 1) return cb("no such user");
+      cb(null, rows[0].totpSecret || null, rows[0].totpLastStep);
+    });
+};
+
+exports.setTotpSecret = function(uid, secret, cb) {
+  client.query(
+    'UPDATE user SET totpSecret = ?, totpLastStep = 0 WHERE id = ?',
+    [ secret, uid ], function(err, r) {
+      if (!err && r && r.affectedRows === 0) {
+        err = "no such user";
+      }
+      cb(err);
+    });
+};
+
+// record that the code for time `step` was used.  calls back with false if
+// that step (or a later one) was already used, so a code is only accepted
+// once even when two processes check it at the same time.
+exports.updateTotpLastStep = function(uid, step, cb) {
+  client.query(
+    'UPDATE user SET totpLastStep = ? WHERE id = ? AND totpLastStep < ?',
+    [ step, uid, step ], function(err, r) {
+      if (err) return cb(err);
+      cb(null, r.affectedRows === 1);
     });
 };
 
@@ -713,11 +772,120 @@ exports.cancelAccount = function(uid, cb) {
     if (err) return cb(err);
     client.query("DELETE LOW_PRIORITY FROM staged WHERE existing_user = ?", [ uid ], function(err) {
       if (err) return cb(err);
-      client.query("DELETE LOW_PRIORITY FROM user WHERE id = ?", [ uid ], cb);
+      client.query("DELETE LOW_PRIORITY FROM session WHERE user = ?", [ uid ], function(err) {
+        if (err) return cb(err);
+        // the account's events are replaced by a record of its cancellation,
+        // which outlives it
+        client.query("DELETE LOW_PRIORITY FROM account_event WHERE user = ?", [ uid ], function(err) {
+          if (err) return cb(err);
+          client.query(
+            "INSERT INTO account_event(user, type, detail, at) VALUES(?, 'account_cancel', NULL, FROM_UNIXTIME(?))",
+            [ uid, now() ],
+            function(err) {
+              if (err) return cb(err);
+              client.query("DELETE LOW_PRIORITY FROM user WHERE id = ?", [ uid ], cb);
+            });
+        });
+      });
     });
   });
 };
 
+function eventExpiry() {
+  return now() - Math.floor(conf.get('account_events.max_age_ms') / 1000);
+}
+
+exports.recordAccountEvent = function(uid, type, detail, cb) {
+  // drop this user's expired events as we go
+  client.query(
+    'DELETE LOW_PRIORITY FROM account_event WHERE user = ? AND at < FROM_UNIXTIME(?)',
+    [ uid, eventExpiry() ],
+    function(err) {
+      if (err) return cb(err);
+      client.query(
+        'INSERT INTO account_event(user, type, detail, at) VALUES(?, ?, ?, FROM_UNIXTIME(?))',
+        [ uid, type, detail || null, now() ],
+        function(err) {
+          cb(err);
+        });
+    });
+};
+
+exports.listAccountEvents = function(uid, limit, cb) {
+  client.query(
+    'SELECT type, detail, UNIX_TIMESTAMP(at) AS at FROM account_event ' +
+      'WHERE user = ? AND at >= FROM_UNIXTIME(?) ORDER BY at DESC, id DESC LIMIT ?',
+    [ uid, eventExpiry(), limit ],
+    function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.map(function(row) {
+        return { type: row.type, detail: row.detail, at: row.at };
+      }));
+    });
+};
+
+exports.addSession = function(sid, uid, device, expiresAt, cb) {
+  // drop this user's expired sessions as we go
+  client.query(
+    'DELETE LOW_PRIORITY FROM session WHERE user = ? AND expiresAt <= ?',
+    [ uid, now() ],
+    function(err) {
+      if (err) return cb(err);
+      client.query(
+        'INSERT INTO session(id, user, device, createdAt, lastSeen, expiresAt) ' +
+          'VALUES(?, ?, ?, FROM_UNIXTIME(?), FROM_UNIXTIME(?), ?)',
+        [ sid, uid, device, now(), now(), expiresAt ],
+        function(err) {
+          cb(err);
+        });
+    });
+};
+
+exports.getSession = function(sid, cb) {
+  client.query(
+    'SELECT id, user, device, UNIX_TIMESTAMP(createdAt) AS createdAt, ' +
+      'UNIX_TIMESTAMP(lastSeen) AS lastSeen, expiresAt FROM session ' +
+      'WHERE id = ? AND expiresAt > ?',
+    [ sid, now() ],
+    function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.length ? rows[0] : null);
+    });
+};
+
+exports.touchSession = function(sid, expiresAt, cb) {
+  client.query(
+    'UPDATE session SET lastSeen = FROM_UNIXTIME(?), expiresAt = COALESCE(?, expiresAt) ' +
+      'WHERE id = ? AND expiresAt > ?',
+    [ now(), expiresAt || null, sid, now() ],
+    function(err) {
+      cb(err);
+    });
+};
+
+exports.listSessions = function(uid, cb) {
+  client.query(
+    'SELECT id, device, UNIX_TIMESTAMP(createdAt) AS createdAt, ' +
+      'UNIX_TIMESTAMP(lastSeen) AS lastSeen FROM session WHERE user = ? AND expiresAt > ? ' +
+      'ORDER BY lastSeen DESC, createdAt DESC',
+    [ uid, now() ],
+    function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.map(function(row) {
+        return { id: row.id, device: row.device, createdAt: row.createdAt, lastSeen: row.lastSeen };
+      }));
+    });
+};
+
+exports.removeSession = function(uid, sid, cb) {
+  client.query(
+    'DELETE FROM session WHERE id = ? AND user = ?',
+    [ sid, uid ],
+    function(err, r) {
+      cb(err, !err && r.affectedRows > 0);
+    });
+};
+
 exports.createUnverifiedUser = function(email, hash, cb) {
   client.query(
     'INSERT INTO user(passwd, lastPasswordReset) VALUES(?, FROM_UNIXTIME(?))',
@@ -757,6 +925,205 @@ exports.addTestUser = function(email, hash, cb) {
     });
 };
 
+// how many rows are read at once when exporting
+const EXPORT_PAGE_SIZE = 500;
+
+// call `onRecord(record, next)` for each user, session, account event, staged
+// email and IdP in the database (see dbutils.js for the format), then `cb(err)`.
+exports.exportRecords = function(onRecord, cb) {
+  function emitAll(records, done) {
+    var i = 0;
+    function next(err) {
+      if (err || i === records.length) return done(err);
+      onRecord(records[i++], next);
+    }
+    next();
+  }
+
+  // page through a table in id order.  `sql` selects rows with an id
+  // greater than its first, up to its second parameter, and `toRecords`
+  // converts each page of rows into records.
+  function exportTable(sql, toRecords, done) {
+    function page(afterId) {
+      client.query(sql, [ afterId, EXPORT_PAGE_SIZE ], function(err, rows) {
+        if (err || !rows.length) return done(err);
+        toRecords(rows, function(err, records) {
+          if (err) return done(err);
+          emitAll(records, function(err) {
+            if (err) return done(err);
+            page(rows[rows.length - 1].id);
+          });
+        });
+      });
+    }
+    page(0);
+  }
+
+  function usersToRecords(users, done) {
+    client.query(
+      "SELECT user, address, type, verified FROM email WHERE user >= ? AND user <= ?",
+      [ users[0].id, users[users.length - 1].id ],
+      function(err, rows) {
+        if (err) return done(err);
+        var emails = {};
+        rows.forEach(function(e) {
+          emails[e.user] = emails[e.user] || [];
+          emails[e.user].push({ address: e.address, type: e.type, verified: !!e.verified });
+        });
+        var records = users.map(function(u) {
+          return {
+            kind: 'user',
+            id: u.id,
+            passwd: typeof u.passwd === 'string' ? u.passwd : null,
+            lastPasswordReset: u.lastPasswordReset,
+            failedAuthTries: u.failedAuthTries,
+            totpSecret: typeof u.totpSecret === 'string' ? u.totpSecret : null,
+            totpLastStep: u.totpLastStep,
+            emails: emails[u.id] || []
+          };
+        });
+        // the users' sessions follow them, so they stay signed in
+        client.query(
+          "SELECT id, user, device, UNIX_TIMESTAMP(createdAt) AS createdAt, " +
+            "UNIX_TIMESTAMP(lastSeen) AS lastSeen, expiresAt FROM session " +
+            "WHERE user >= ? AND user <= ? AND expiresAt > ?",
+          [ users[0].id, users[users.length - 1].id, now() ],
+          function(err, rows) {
+            if (err) return done(err);
+            records = records.concat(rows.map(function(s) {
+              return {
+                kind: 'session',
+                id: s.id,
+                user: s.user,
+                device: s.device,
+                createdAt: s.createdAt,
+                lastSeen: s.lastSeen,
+                expiresAt: s.expiresAt
+              };
+            }));
+            // and so does their recent activity
+            client.query(
+              "SELECT user, type, detail, UNIX_TIMESTAMP(at) AS at FROM account_event " +
+                "WHERE user >= ? AND user <= ? AND at >= FROM_UNIXTIME(?) ORDER BY id",
+              [ users[0].id, users[users.length - 1].id, eventExpiry() ],
+              function(err, rows) {
+                if (err) return done(err);
+                done(null, records.concat(rows.map(function(e) {
+                  return {
+                    kind: 'event',
+                    user: e.user,
+                    type: e.type,
+                    detail: typeof e.detail === 'string' ? e.detail : null,
+                    at: e.at
+                  };
+                })));
+              });
+          });
+      });
+  }
+
+  function stagedToRecords(rows, done) {
+    done(null, rows.map(function(s) {
+      return {
+        kind: 'staged',
+        secret: s.secret,
+        newAccount: !!s.new_acct,
+        existingUser: typeof s.existing_user === 'number' ? s.existing_user : null,
+        email: s.email,
+        passwd: typeof s.passwd === 'string' ? s.passwd : null,
+        ts: s.ts,
+        signIn: !!s.signin
+      };
+    }));
+  }
+
+  function idpsToRecords(rows, done) {
+    done(null, rows.map(function(i) {
+      return { kind: 'idp', domain: i.domain, lastSeen: i.lastSeen };
+    }));
+  }
+
+  exportTable(
+    "SELECT id, passwd, UNIX_TIMESTAMP(lastPasswordReset) AS lastPasswordReset, failedAuthTries, " +
+      "totpSecret, totpLastStep FROM user WHERE id > ? ORDER BY id LIMIT ?",
+    usersToRecords,
+    function(err) {
+      if (err) return cb(err);
+      exportTable(
+        "SELECT id, secret, new_acct, existing_user, email, passwd, UNIX_TIMESTAMP(ts) AS ts, signin " +
+          "FROM staged WHERE id > ? ORDER BY id LIMIT ?",
+        stagedToRecords,
+        function(err) {
+          if (err) return cb(err);
+          exportTable(
+            "SELECT id, domain, UNIX_TIMESTAMP(lastSeen) AS lastSeen FROM idp WHERE id > ? ORDER BY id LIMIT ?",
+            idpsToRecords,
+            function(err) {
+              cb(err ? err : null);
+            });
+        });
+    });
+};
+
+// add a record produced by exportRecords() to the database, preserving
+// user ids.
+exports.importRecord = function(r, cb) {
+  var err = dbutils.checkRecord(r);
+  if (err) return process.nextTick(function() { cb(err); });
+
+  if (r.kind === 'user') {
+    client.query(
+      "INSERT INTO user(id, passwd, lastPasswordReset, failedAuthTries, totpSecret, totpLastStep) " +
+        "VALUES(?, ?, FROM_UNIXTIME(?), ?, ?, ?)",
+      [ r.id, r.passwd, r.lastPasswordReset, r.failedAuthTries, r.totpSecret || null, r.totpLastStep || 0 ],
+      function(err) {
+        if (err) return cb(err);
+        var emails = r.emails.slice();
+        function addNext(err) {
+          if (err || !emails.length) return cb(err ? err : null);
+          var e = emails.shift();
+          client.query(
+            "INSERT INTO email(user, address, type, verified) VALUES(?, ?, ?, ?)",
+            [ r.id, e.address, e.type, e.verified ? 1 : 0 ],
+            function(err) {
+              addNext(err);
+            });
+        }
+        addNext();
+      });
+  } else if (r.kind === 'staged') {
+    client.query(
+      "INSERT INTO staged(secret, new_acct, existing_user, email, passwd, ts, signin) " +
+        "VALUES(?, ?, ?, ?, ?, FROM_UNIXTIME(?), ?)",
+      [ r.secret, r.newAccount ? 1 : 0, r.existingUser, r.email, r.passwd, r.ts, r.signIn ? 1 : 0 ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  } else if (r.kind === 'event') {
+    client.query(
+      "INSERT INTO account_event(user, type, detail, at) VALUES(?, ?, ?, FROM_UNIXTIME(?))",
+      [ r.user, r.type, r.detail, r.at ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  } else if (r.kind === 'session') {
+    client.query(
+      "INSERT INTO session(id, user, device, createdAt, lastSeen, expiresAt) " +
+        "VALUES(?, ?, ?, FROM_UNIXTIME(?), FROM_UNIXTIME(?), ?)",
+      [ r.id, r.user, r.device, r.createdAt, r.lastSeen, r.expiresAt ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  } else {
+    client.query(
+      "INSERT INTO idp(domain, lastSeen) VALUES(?, FROM_UNIXTIME(?))",
+      [ r.domain, r.lastSeen ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  }
+};
+
 exports.ping = function(cb) {
   client.ping(function(err) {
     cb(err);
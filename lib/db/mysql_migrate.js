@@ -0,0 +1,210 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Versioned schema migrations for the mysql driver.
+ *
+ * Each schema version is described by a file in ./mysql_migrations/ named
+ * <version>_<name>.js, with versions counting up from 001.  A migration
+ * exports a `description` along with `up` and `down`, arrays of SQL
+ * statements which respectively apply and roll back the change.  The
+ * versions applied to a database are recorded in its `schema_version`
+ * table.
+ *
+ * Migrations are applied by the mysql driver at open() time when
+ * `database.create_schema` is set, or explicitly with scripts/db_migrate.js.
+ *
+ * If you add migrations, please notify <services-ops@mozilla.com>
+ */
+
+const
+fs = require('fs'),
+path = require('path'),
+logger = require('../logging/logging.js').logger;
+
+const MIGRATIONS_DIR = path.join(__dirname, 'mysql_migrations');
+
+// processes starting up together must not migrate the same database at
+// once.  we wait for the lock for a while, but well under the time the
+// mysql wrapper allows a query to run.
+const LOCK_NAME = 'browserid_schema_migration';
+const LOCK_TIMEOUT_S = 3;
+
+const VERSION_TABLE =
+  "CREATE TABLE IF NOT EXISTS schema_version (" +
+    "version INT PRIMARY KEY," +
+    "description VARCHAR(255) NOT NULL," +
+    "applied TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL" +
+    ") ENGINE=InnoDB;";
+
+function loadMigrations() {
+  var migrations = fs.readdirSync(MIGRATIONS_DIR).filter(function(file) {
+    return (/^[0-9]+_\w+\.js$/).test(file);
+  }).map(function(file) {
+    var m = require(path.join(MIGRATIONS_DIR, file));
+    return {
+      version: parseInt(file, 10),
+      name: file.replace(/\.js$/, ''),
+      description: m.description,
+      up: m.up,
+      down: m.down
+    };
+  }).sort(function(a, b) {
+    return a.version - b.version;
+  });
+
+  migrations.forEach(function(m, i) {
+    if (m.version !== i + 1) {
+      throw "schema migrations must be numbered consecutively from 1, found " + m.name;
+    }
+  });
+
+  return migrations;
+}
+
+const MIGRATIONS = loadMigrations();
+
+// the migrations known to this code, in order
+exports.migrations = MIGRATIONS;
+
+// the schema version this code expects
+exports.LATEST = MIGRATIONS.length;
+
+function tooNew(version) {
+  return "database schema is at version " + version + ", which is newer than " +
+    "the latest known to this code (" + exports.LATEST + ")";
+}
+
+// the schema version of the database `client` is connected to, 0 if no
+// migrations have been recorded.
+exports.currentVersion = function(client, cb) {
+  client.query(
+    "SELECT COUNT(*) AS n FROM information_schema.tables " +
+      "WHERE table_schema = DATABASE() AND table_name = 'schema_version'",
+    function(err, rows) {
+      if (err) return cb(err);
+      if (!rows[0].n) return cb(null, 0);
+      client.query("SELECT MAX(version) AS v FROM schema_version", function(err, rows) {
+        cb(err, err ? undefined : (rows[0].v || 0));
+      });
+    });
+};
+
+// check that the database schema is one this code can work with.  Newer
+// schemas are an error, older ones only worth a warning, as the code
+// which created them may still be running during a deployment.
+exports.checkVersion = function(client, cb) {
+  exports.currentVersion(client, function(err, version) {
+    if (err) return cb(err);
+    if (version > exports.LATEST) return cb(tooNew(version));
+    if (version < exports.LATEST) {
+      logger.warn("database schema is at version " + version + ", expected " +
+                  exports.LATEST + ".  apply migrations with scripts/db_migrate.js");
+    }
+    cb(null, version);
+  });
+};
+
+function runStatements(client, statements, cb) {
+  statements = statements.slice();
+  function next(err) {
+    if (err || !statements.length) return cb(err);
+    client.query(statements.shift(), function(err) {
+      next(err);
+    });
+  }
+  next();
+}
+
+function withLock(client, work, cb) {
+  client.query("SELECT GET_LOCK(?, ?) AS locked", [ LOCK_NAME, LOCK_TIMEOUT_S ], function(err, rows) {
+    if (err) return cb(err);
+    if (rows[0].locked !== 1) {
+      return cb("timed out waiting for another process to migrate the database schema");
+    }
+    work(function() {
+      var args = arguments;
+      client.query("SELECT RELEASE_LOCK(?)", [ LOCK_NAME ], function(err) {
+        if (err) logger.warn("couldn't release schema migration lock: " + err);
+        cb.apply(undefined, args);
+      });
+    });
+  });
+}
+
+// apply or roll back migrations until the schema is at version `target`,
+// only moving in `direction` ('up' or 'down') if one is given.  calls back
+// with an error or the version the schema is now at.
+function migrateTo(client, target, direction, cb) {
+  if (typeof target !== 'number' || target % 1 !== 0 || target < 0 || target > exports.LATEST) {
+    return process.nextTick(function() {
+      cb("no such schema version: " + target);
+    });
+  }
+
+  withLock(client, function(done) {
+    client.query(VERSION_TABLE, function(err) {
+      if (err) return done(err);
+      exports.currentVersion(client, function(err, version) {
+        if (err) return done(err);
+        if (version > exports.LATEST) return done(tooNew(version));
+        if (direction === 'up' && target < version) {
+          return done("database schema is at version " + version + ", applying migrations " +
+                      "won't take it back to version " + target + ", roll back instead");
+        }
+        if (direction === 'down' && target > version) {
+          return done("database schema is at version " + version + ", rolling back " +
+                      "won't take it up to version " + target + ", apply migrations instead");
+        }
+
+        function step() {
+          if (version === target) return done(null, version);
+
+          var m;
+          if (version < target) {
+            // the migration to version v+1 is at index v
+            m = MIGRATIONS[version];
+            logger.info("applying schema migration " + m.name);
+            runStatements(client, m.up, function(err) {
+              if (err) return done("couldn't apply schema migration " + m.name + ": " + err);
+              client.query("INSERT INTO schema_version (version, description) VALUES(?, ?)",
+                           [ m.version, m.description ], function(err) {
+                if (err) return done(err);
+                version = m.version;
+                step();
+              });
+            });
+          } else {
+            m = MIGRATIONS[version - 1];
+            logger.info("rolling back schema migration " + m.name);
+            runStatements(client, m.down, function(err) {
+              if (err) return done("couldn't roll back schema migration " + m.name + ": " + err);
+              client.query("DELETE FROM schema_version WHERE version = ?",
+                           [ m.version ], function(err) {
+                if (err) return done(err);
+                version = m.version - 1;
+                step();
+              });
+            });
+          }
+        }
+        step();
+      });
+    });
+  }, cb);
+}
+
+// move the schema to version `target`, in whichever direction reaches it.
+exports.migrate = function(client, target, cb) {
+  migrateTo(client, target, null, cb);
+};
+
+// apply migrations up to version `target`, refusing to roll any back.
+exports.apply = function(client, target, cb) {
+  migrateTo(client, target, 'up', cb);
+};
+
+// roll back migrations down to version `target`, refusing to apply any.
+exports.rollBack = function(client, target, cb) {
+  migrateTo(client, target, 'down', cb);
+};
@@ -0,0 +1,52 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* The schema as it was before migrations were introduced.  Tables are
+ * only created if missing, so applying this to an existing deployment
+ * simply records it as being at version 1.
+ */
+
+exports.description = "initial schema";
+
+exports.up = [
+  "CREATE TABLE IF NOT EXISTS user (" +
+    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
+    "passwd CHAR(64)," +
+    "lastPasswordReset TIMESTAMP DEFAULT 0 NOT NULL," +
+    "failedAuthTries INT DEFAULT 0 NOT NULL" +
+    ") ENGINE=InnoDB;",
+
+  "CREATE TABLE IF NOT EXISTS email (" +
+    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
+    "user BIGINT NOT NULL," +
+    "address VARCHAR(255) UNIQUE NOT NULL," +
+    "type ENUM('secondary', 'primary') DEFAULT 'secondary' NOT NULL," +
+    "verified BOOLEAN DEFAULT TRUE NOT NULL, " +
+    "FOREIGN KEY user_fkey (user) REFERENCES user(id)" +
+    ") ENGINE=InnoDB;",
+
+  "CREATE TABLE IF NOT EXISTS staged (" +
+    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
+    "secret CHAR(48) UNIQUE NOT NULL," +
+    "new_acct BOOL NOT NULL," +
+    "existing_user BIGINT," +
+    "email VARCHAR(255) UNIQUE NOT NULL," +
+    "passwd CHAR(64)," +
+    "ts TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL," +
+    "FOREIGN KEY existing_user_fkey (existing_user) REFERENCES user(id)" +
+    ") ENGINE=InnoDB;",
+
+  "CREATE TABLE IF NOT EXISTS idp (" +
+    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
+    "domain VARCHAR(255) UNIQUE NOT NULL," +
+    "lastSeen TIMESTAMP DEFAULT 0 NOT NULL" +
+    ") ENGINE=InnoDB;"
+];
+
+exports.down = [
+  "DROP TABLE IF EXISTS idp;",
+  "DROP TABLE IF EXISTS staged;",
+  "DROP TABLE IF EXISTS email;",
+  "DROP TABLE IF EXISTS user;"
+];
@@ -0,0 +1,26 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* A per account log of security relevant events.  They are replaced by a
+ * record of the cancellation of their account, which outlives it, see
+ * cancelAccount() in mysql.js.  Events deliberately don't reference the user
+ * table for that reason.
+ */
+
+exports.description = "account event log";
+
+exports.up = [
+  "CREATE TABLE IF NOT EXISTS account_event (" +
+    "id BIGINT AUTO_INCREMENT PRIMARY KEY," +
+    "user BIGINT NOT NULL," +
+    "type VARCHAR(32) NOT NULL," +
+    "detail VARCHAR(255)," +
+    "at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL," +
+    "INDEX user_at (user, at)" +
+    ") ENGINE=InnoDB;"
+];
+
+exports.down = [
+  "DROP TABLE IF EXISTS account_event;"
+];
@@ -0,0 +1,20 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* A TOTP second factor per user.  `totpSecret` is the base32 encoded
+ * shared secret, NULL when none is enrolled, and `totpLastStep` the time
+ * step of the last code accepted, which may not be used again.
+ */
+
+exports.description = "totp second factor";
+
+exports.up = [
+  "ALTER TABLE user " +
+    "ADD COLUMN totpSecret VARCHAR(64) NULL, " +
+    "ADD COLUMN totpLastStep BIGINT DEFAULT 0 NOT NULL;"
+];
+
+exports.down = [
+  "ALTER TABLE user DROP COLUMN totpSecret, DROP COLUMN totpLastStep;"
+];
@@ -0,0 +1,27 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* The registry of signed in sessions, so users can see where they are
+ * signed in and revoke a session.  `expiresAt` is in seconds since the
+ * epoch, as some sessions outlive the range of a TIMESTAMP.
+ */
+
+exports.description = "session registry";
+
+exports.up = [
+  "CREATE TABLE IF NOT EXISTS session (" +
+    "id CHAR(32) PRIMARY KEY," +
+    "user BIGINT NOT NULL," +
+    "device VARCHAR(64) NOT NULL," +
+    "createdAt TIMESTAMP DEFAULT 0 NOT NULL," +
+    "lastSeen TIMESTAMP DEFAULT 0 NOT NULL," +
+    "expiresAt BIGINT NOT NULL," +
+    "INDEX user (user)," +
+    "FOREIGN KEY session_user_fkey (user) REFERENCES user(id)" +
+    ") ENGINE=InnoDB;"
+];
+
+exports.down = [
+  "DROP TABLE IF EXISTS session;"
+];
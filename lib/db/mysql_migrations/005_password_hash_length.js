@@ -0,0 +1,21 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Password hashes other than bcrypt's (see lib/password_hash.js) are longer
+ * than the 64 characters that were reserved for them.
+ */
+
+exports.description = "longer password hashes";
+
+exports.up = [
+  "ALTER TABLE user MODIFY passwd VARCHAR(128);",
+  "ALTER TABLE staged MODIFY passwd VARCHAR(128);"
+];
+
+// hashes which no longer fit are truncated, so their users must reset their
+// password after a downgrade.
+exports.down = [
+  "ALTER TABLE staged MODIFY passwd CHAR(64);",
+  "ALTER TABLE user MODIFY passwd CHAR(64);"
+];
@@ -0,0 +1,20 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Staged sign-in links (see wsapi/stage_signin.js) are otherwise shaped
+ * like password resets, `signin` tells them apart so that neither can be
+ * redeemed as the other.
+ */
+
+exports.description = "staged sign-in links";
+
+exports.up = [
+  "ALTER TABLE staged ADD COLUMN signin BOOL DEFAULT FALSE NOT NULL;"
+];
+
+// pending sign-in links would become password resets
+exports.down = [
+  "DELETE FROM staged WHERE signin = TRUE;",
+  "ALTER TABLE staged DROP COLUMN signin;"
+];
@@ -0,0 +1,23 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* The table of the mysql replay cache backend of the verifier (see
+ * lib/verifier/replay_cache/mysql.js).  Verifiers created it themselves
+ * before it was migrated, hence IF NOT EXISTS.
+ */
+
+exports.description = "verifier replay cache";
+
+exports.up = [
+  "CREATE TABLE IF NOT EXISTS verifier_replay (" +
+    "id CHAR(64) PRIMARY KEY," +
+    "expires TIMESTAMP DEFAULT 0 NOT NULL," +
+    "INDEX expires_idx (expires)" +
+    ") ENGINE=InnoDB;"
+];
+
+// the cache only holds assertions which are yet to expire
+exports.down = [
+  "DROP TABLE verifier_replay;"
+];
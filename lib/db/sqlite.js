@@ -0,0 +1,1204 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* This is a sqlite driver for the browserid server.  It stores the same
+ * relational schema as the mysql driver in a single file, and is intended
+ * for small, self hosted deployments which want durable storage that
+ * several processes can safely share, without running a database server.
+ */
+
+/*
+ * The Schema:
+ *                                         +--- email ---------+
+ *    +--- user --------------------+      |*int    id         |
+ *    |*int       id                |<-----|*int    user       |
+ *    | string    passwd            |      |*string address    |
+ *    | int       lastPasswordReset |      | string type       |
+ *    | int       failedAuthTries   |      | bool   verified   |
+ *    | string    totpSecret        |      +-------------------+
+ *    | int       totpLastStep      |
+ *    +-----------------------------+
+ *
+ *    +------ staged ----------+
+ *    |*int id                 |      +------ idp --------+
+ *    |*string secret          |      |*int id            |
+ *    | bool new_acct          |      | string domain     |
+ *    | int existing_user      |      | int lastSeen      |
+ *    |*string email           |      +-------------------+
+ *    |*string passwd          |
+ *    | int ts                 |
+ *    | bool signin            |
+ *    +------------------------+
+ *
+ *    +--- account_event --+      +--- session -------+
+ *    |*int    id          |      |*string id         |
+ *    |*int    user        |      |*int    user       |
+ *    | string type        |      | string device     |
+ *    | string detail      |      | int    createdAt  |
+ *    | int    at          |      | int    lastSeen   |
+ *    +--------------------+      | int    expiresAt  |
+ *                                +-------------------+
+ *
+ * All times are stored as seconds since the epoch.
+ */
+
+/*global dne:true */
+
+const
+conf = require('../configuration.js'),
+dbutils = require('./dbutils.js'),
+fs = require('fs'),
+path = require('path'),
+sqlite3 = require('sqlite3'),
+logger = require('../logging/logging.js').logger,
+secrets = require('../secrets.js');
+
+var client;
+var dbPath;
+
+const schemas = [
+  "CREATE TABLE IF NOT EXISTS user (" +
+    "id INTEGER PRIMARY KEY AUTOINCREMENT," +
+    "passwd TEXT," +
+    "lastPasswordReset INTEGER DEFAULT 0 NOT NULL," +
+    "failedAuthTries INTEGER DEFAULT 0 NOT NULL," +
+    "totpSecret TEXT," +
+    "totpLastStep INTEGER DEFAULT 0 NOT NULL" +
+    ");",
+
+  "CREATE TABLE IF NOT EXISTS email (" +
+    "id INTEGER PRIMARY KEY AUTOINCREMENT," +
+    "user INTEGER NOT NULL REFERENCES user(id)," +
+    "address TEXT UNIQUE NOT NULL," +
+    "type TEXT DEFAULT 'secondary' NOT NULL CHECK (type IN ('secondary', 'primary'))," +
+    "verified BOOLEAN DEFAULT 1 NOT NULL" +
+    ");",
+
+  "CREATE INDEX IF NOT EXISTS email_user ON email (user);",
+
+  "CREATE TABLE IF NOT EXISTS staged (" +
+    "id INTEGER PRIMARY KEY AUTOINCREMENT," +
+    "secret TEXT UNIQUE NOT NULL," +
+    "new_acct BOOLEAN NOT NULL," +
+    "existing_user INTEGER REFERENCES user(id)," +
+    "email TEXT UNIQUE NOT NULL," +
+    "passwd TEXT," +
+    "ts INTEGER DEFAULT (strftime('%s', 'now')) NOT NULL," +
+    "signin BOOLEAN DEFAULT 0 NOT NULL" +
+    ");",
+
+  "CREATE TABLE IF NOT EXISTS idp (" +
+    "id INTEGER PRIMARY KEY AUTOINCREMENT," +
+    "domain TEXT UNIQUE NOT NULL," +
+    "lastSeen INTEGER DEFAULT 0 NOT NULL" +
+    ");",
+
+  // an account's events are replaced by a record of its cancellation, which
+  // outlives it, see cancelAccount()
+  "CREATE TABLE IF NOT EXISTS account_event (" +
+    "id INTEGER PRIMARY KEY AUTOINCREMENT," +
+    "user INTEGER NOT NULL," +
+    "type TEXT NOT NULL," +
+    "detail TEXT," +
+    "at INTEGER DEFAULT (strftime('%s', 'now')) NOT NULL" +
+    ");",
+
+  "CREATE INDEX IF NOT EXISTS account_event_user ON account_event (user, at);",
+
+  "CREATE TABLE IF NOT EXISTS session (" +
+    "id TEXT PRIMARY KEY," +
+    "user INTEGER NOT NULL REFERENCES user(id)," +
+    "device TEXT NOT NULL," +
+    "createdAt INTEGER NOT NULL," +
+    "lastSeen INTEGER NOT NULL," +
+    "expiresAt INTEGER NOT NULL" +
+    ");",
+
+  "CREATE INDEX IF NOT EXISTS session_user ON session (user);"
+];
+
+// columns added to tables after they were first created.  databases
+// created by earlier code gain them when the schema is created.
+const addedColumns = {
+  user: {
+    totpSecret: "TEXT",
+    totpLastStep: "INTEGER DEFAULT 0 NOT NULL"
+  },
+  staged: {
+    signin: "BOOLEAN DEFAULT 0 NOT NULL"
+  }
+};
+
+function addMissingColumns(cb) {
+  var alters = [];
+  var tables = Object.keys(addedColumns);
+  function checkTable(i) {
+    if (i === tables.length) return runAlters();
+    client.all("PRAGMA table_info(" + tables[i] + ")", function(err, rows) {
+      if (err) return cb(err);
+      var have = rows.map(function(r) { return r.name; });
+      Object.keys(addedColumns[tables[i]]).forEach(function(col) {
+        if (have.indexOf(col) === -1) {
+          alters.push("ALTER TABLE " + tables[i] + " ADD COLUMN " + col + " " +
+                      addedColumns[tables[i]][col] + ";");
+        }
+      });
+      checkTable(i + 1);
+    });
+  }
+  function runAlters() {
+    if (!alters.length) return cb(null);
+    var sql = alters.shift();
+    logger.info("upgrading database: " + sql);
+    client.exec(sql, function(err) {
+      if (err) return cb(err);
+      runAlters();
+    });
+  }
+  checkTable(0);
+}
+
+function now() { return Math.floor(new Date().getTime() / 1000); }
+
+// log an unexpected database error
+function logUnexpectedError(detail) {
+  // first, get line number of callee
+  var where;
+  try { dne; } catch (e) { where = e.stack.split('\n')[2].trim(); }
+  // now log it!
+  logger.warn("unexpected database failure: " + detail + " -- " + where);
+}
+
+// run a statement, mimicking the interface of the mysql wrapper: SELECTs
+// yield an array of rows, everything else an object with `insertId` and
+// `affectedRows`.
+function query(sql, args, cb) {
+  if (typeof args === 'function') {
+    cb = args;
+    args = [];
+  }
+  cb = cb || function(err) { if (err) logUnexpectedError(err); };
+
+  if (/^\s*SELECT/i.test(sql)) {
+    client.all(sql, args, cb);
+  } else {
+    client.run(sql, args, function(err) {
+      if (err) return cb(err);
+      cb(null, { insertId: this.lastID, affectedRows: this.changes });
+    });
+  }
+}
+
+// open & create the sqlite database.  `cfg.name` is the path of the
+// database file, relative paths are resolved against `var_path`.
+exports.open = function(cfg, cb) {
+  if (client) throw "database is already open!";
+
+  dbPath = path.resolve(conf.get('var_path'), cfg.name || "browserid.sqlite");
+  logger.debug("opening sqlite database: " + dbPath);
+
+  client = new sqlite3.Database(dbPath, function(err) {
+    if (err) {
+      client = undefined;
+      logUnexpectedError(err);
+      return cb(err);
+    }
+
+    // wait for other processes holding a write lock for at most as long as
+    // we'd allow a query to run
+    client.configure("busyTimeout", cfg.max_query_time_ms || 5000);
+
+    var setup = [
+      // write ahead logging lets readers proceed while another process writes
+      "PRAGMA journal_mode = WAL;",
+      "PRAGMA foreign_keys = ON;"
+    ];
+    if (cfg.create_schema) {
+      logger.debug("creating tables if required");
+      setup = setup.concat(schemas);
+    }
+
+    function done(err) {
+      if (err) {
+        logUnexpectedError(err);
+        return cb(err);
+      }
+      logger.debug("connection to database established");
+      cb(null);
+    }
+
+    function runNext(i) {
+      if (i === setup.length) {
+        return cfg.create_schema ? addMissingColumns(done) : done(null);
+      }
+      client.exec(setup[i], function(err) {
+        if (err) return done(err);
+        runNext(i + 1);
+      });
+    }
+    runNext(0);
+  });
+};
+
+exports.close = function(cb) {
+  client.close(function(err) {
+    client = undefined;
+    if (err) logUnexpectedError(err);
+    if (cb) cb(err ? err : null);
+  });
+};
+
+exports.closeAndRemove = function(cb) {
+  var db_to_remove = dbPath;
+
+  // don't let this happen to the default database, as a sanity check
+  if (path.basename(db_to_remove) === 'browserid.sqlite') {
+    throw "removing a database named 'browserid.sqlite' is not allowed";
+  }
+
+  exports.close(function(err) {
+    if (err) return cb(err);
+    // remove the write ahead log and its index along with the database
+    [ '', '-wal', '-shm' ].forEach(function(suffix) {
+      try { fs.unlinkSync(db_to_remove + suffix); } catch(e) { }
+    });
+    cb(null);
+  });
+};
+
+exports.emailKnown = function(email, cb) {
+  query(
+    "SELECT COUNT(*) as N FROM email WHERE address = ?", [ email ],
+    function(err, rows) {
+      cb(err, rows && rows.length > 0 && rows[0].N > 0);
+    }
+  );
+};
+
+exports.userKnown = function(uid, cb) {
+  query(
+    "SELECT passwd, totpSecret FROM user WHERE id = ?", [ uid ],
+    function(err, rows) {
+      var known = rows && rows.length > 0;
+      var hasPass = (known && typeof rows[0].passwd === 'string' && rows[0].passwd.length > 0);
+      var hasSecondFactor = (known && typeof rows[0].totpSecret === 'string');
+      cb(err, known, hasPass, hasSecondFactor);
+    }
+  );
+};
+
+exports.emailInfo = function(email, cb) {
+  query(
+    "SELECT user.passwd AS hasPassword, " +
+      "email.type as lastUsedAs, " +
+      "email.address as normalizedEmail, " +
+      "email.verified as verified FROM email, user " +
+      "WHERE email.address = ? AND " +
+      "email.user = user.id",
+    [ email ],
+    function(err, rows) {
+      if (err) {
+        cb(err);
+      } else if (!rows || !rows.length) {
+        cb(null, null);
+      } else {
+        rows[0].hasPassword = !!rows[0].hasPassword;
+        rows[0].verified = !!rows[0].verified;
+        cb(null, rows[0]);
+      }
+    });
+};
+
+exports.emailType = function(email, cb) {
+  query(
+    "SELECT type as lastUsedAs FROM email WHERE address = ?", [ email ],
+    function(err, rows) {
+      cb(err, (rows && rows.length > 0) ? rows[0].lastUsedAs : undefined);
+    }
+  );
+};
+
+exports.emailIsVerified = function(email, cb) {
+  query(
+    "SELECT verified FROM email WHERE address = ?", [ email ],
+    function(err, rows) {
+      if (rows && rows.length > 0) cb(err, !!rows[0].verified);
+      else cb('no such email');
+    }
+  );
+};
+
+exports.forgetIDP = function(domain, cb) {
+  query('DELETE FROM idp WHERE domain = ?', [ domain ], function(err) {
+    cb(err);
+  });
+};
+
+exports.updateIDPLastSeen = function(domain, cb) {
+  query('INSERT OR REPLACE INTO idp (domain, lastSeen) VALUES(?, ?)', [ domain, now() ],
+        function(err) {
+          cb(err);
+        }
+       );
+};
+
+exports.getIDPLastSeen = function(domain, cb) {
+  query('SELECT lastSeen AS ts FROM idp WHERE domain = ?', [ domain ],
+        function(err, rows) {
+          if (err) cb(err);
+          else if (rows && rows.length > 0) cb(err, new Date(rows[0].ts * 1000));
+          else cb(null, null);
+        }
+       );
+};
+
+
+// whether a change to `email` is staged.  A pending sign-in link changes
+// nothing, so it doesn't count.
+exports.isStaged = function(email, cb) {
+  query(
+    "SELECT COUNT(*) as N FROM staged WHERE email = ? AND signin = 0", [ email ],
+    function(err, rows) {
+      cb(err, rows && rows.length > 0 && rows[0].N > 0);
+    }
+  );
+};
+
+exports.lastStaged = function(email, cb) {
+  query(
+    "SELECT ts FROM staged WHERE email = ?", [ email ],
+    function(err, rows) {
+      if (err) cb(err);
+      else if (!rows || rows.length === 0) cb(null);
+      else cb(null, new Date(rows[0].ts * 1000));
+    }
+  );
+};
+
+exports.stageUser = function(email, hash, cb) {
+  secrets.generate(48, function(secret) {
+    // overwrite previously staged users
+    query('INSERT OR REPLACE INTO staged (secret, new_acct, existing_user, email, passwd, ts) ' +
+          'VALUES(?, 1, NULL, ?, ?, ?)',
+          [ secret, email, hash, now() ],
+          function(err) {
+            cb(err, err ? undefined : secret);
+          });
+  });
+};
+
+
+exports.haveVerificationSecret = function(secret, cb) {
+  query(
+    "SELECT count(*) as n FROM staged WHERE secret = ?", [ secret ],
+    function(err, rows) {
+      cb(err, rows && rows.length === 1 && rows[0].n === 1);
+    });
+};
+
+exports.emailForVerificationSecret = function(secret, cb) {
+  query(
+    "SELECT email, existing_user, passwd FROM staged WHERE secret = ?", [ secret ],
+    function(err, rows) {
+      if (err) return cb("database unavailable");
+
+      // if the record was not found, fail out
+      if (!rows || rows.length !== 1) return cb("no such secret");
+
+      cb(null, rows[0].email, rows[0].existing_user, rows[0].passwd);
+    });
+};
+
+exports.authForVerificationSecret = function(secret, cb) {
+  query(
+    "SELECT existing_user, passwd FROM staged WHERE secret = ?", [ secret ],
+    function(err, rows) {
+      if (err) return cb("database unavailable");
+
+      // if the record was not found, fail out
+      if (!rows || rows.length !== 1) return cb("no such secret");
+
+      var o = rows[0];
+
+      // if there is a hashed passwd in the result, we're done
+      if (o.passwd) return cb(null, o.passwd, o.existing_user, true);
+
+      // otherwise, let's get the passwd from the user record
+      if (!o.existing_user) return cb("no password for user");
+
+      exports.checkAuth(o.existing_user, function(err, hash) {
+        // fourth parameter indicates that there was no
+        // password in the stage table
+        cb(err, hash, o.existing_user, false);
+      });
+    });
+};
+
+exports.verificationSecretForEmail = function(email, cb) {
+  query(
+    "SELECT secret FROM staged WHERE email = ?", [ email ],
+    function(err, rows) {
+      cb(err, (rows && rows.length > 0) ? rows[0].secret : undefined);
+    });
+};
+
+function addEmailToUser(userID, email, type, cb) {
+  // issue #170 - delete any old records with the same
+  // email address.  this is necessary because
+  // gotVerificationSecret is invoked both for
+  // forgotten password flows and for new user signups.
+  query(
+    "DELETE FROM email WHERE address = ?",
+    [ email ],
+    function(err) {
+      if (err) return cb(err);
+      else {
+        query(
+          "INSERT INTO email(user, address, type) VALUES(?, ?, ?)",
+          [ userID, email, type ],
+          function(err) {
+            if (err) logUnexpectedError(err);
+            cb(err, email, userID);
+          });
+      }
+    });
+}
+
+// get and delete the staged row of `secret`, provided it's a sign-in link if
+// `signIn` is true, or any other staged change if it's false.  A row of the
+// wrong kind is left alone, for the flow it's meant for.
+function getAndDeleteRowForSecret(secret, signIn, cb) {
+  query(
+    "SELECT * FROM staged WHERE secret = ?", [ secret ],
+    function(err, rows) {
+      if (err) {
+        logUnexpectedError(err);
+        cb(err);
+      } else if (rows.length === 0) {
+        cb("unknown secret");
+      } else if (rows[0].signin ? !signIn : signIn) {
+        cb(signIn ? "this verification link is not for a sign-in" :
+           "this verification link is for a sign-in");
+      } else {
+        // delete the record
+        query("DELETE FROM staged WHERE secret = ?", [ secret ]);
+        cb(null, rows[0]);
+      }
+    });
+}
+
+exports.completeCreateUser = function(secret, cb) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
+    if (err) return cb(err);
+
+    if (!o.new_acct) return cb("this verification link is not for a new account");
+    dbutils.withType(o.email, function (type) {
+      // we're creating a new account, add appropriate entries into user and email tables.
+      query(
+        "INSERT INTO user(passwd, lastPasswordReset) VALUES(?, ?)",
+        [ o.passwd, now() ],
+        function(err, info) {
+          if (err) return cb(err);
+          addEmailToUser(info.insertId, o.email, type, cb);
+        });
+    });
+  });
+};
+
+// either a email re-verification, or an email addition - we treat these things
+// the same
+exports.completeConfirmEmail = function(secret, cb) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
+    if (err) return cb(err);
+
+    if (o.new_acct) return cb("this verification link is not for an email addition");
+
+    // ensure the expected existing_user field is populated, which it must always be when
+    // new_acct is false
+    if (typeof o.existing_user !== 'number') {
+      return cb("data inconsistency, no numeric existing user associated with staged email address");
+    }
+
+    dbutils.withType(o.email, function (type) {
+      // we're adding or reverifying an email address to an existing user account.  add appropriate
+      // entries into email table.
+      if (o.passwd) {
+        exports.updatePassword(o.existing_user, o.passwd, false, function(err) {
+          if (err) return cb('could not set user\'s password');
+          addEmailToUser(o.existing_user, o.email, type, cb);
+        });
+      } else {
+        addEmailToUser(o.existing_user, o.email, type, cb);
+      }
+    });
+  });
+};
+
+exports.completePasswordReset = function(secret, password, cb) {
+  getAndDeleteRowForSecret(secret, false, function(err, o) {
+    if (err) return cb(err);
+
+    if (o.new_acct || (!password && !o.passwd) || !o.existing_user) {
+      return cb("this verification link is not for a password reset");
+    }
+
+    // verify that the email still exists in the database, and the the user with whom it is
+    // associated is the same as the user in the database
+    exports.emailToUID(o.email, function(err, uid) {
+      if (err) return cb(err);
+
+      // if for some reason the email is associated with a different user now than when
+      // the action was initiated, error out.
+      if (uid !== o.existing_user) {
+        return cb("cannot update password, data inconsistency");
+      }
+
+      // flip the verification bit on all emails for the user other than the one just verified
+      query(
+        'UPDATE email SET verified = 0 WHERE user = ? AND type = ? AND address != ?',
+        [ uid, 'secondary', o.email ],
+        function(err) {
+          if (err) return cb(err);
+
+          // mark this address as verified
+          addEmailToUser(uid, o.email, 'secondary', function(err){
+            if (err) return cb(err);
+
+            // update the password!
+            exports.updatePassword(uid, password || o.passwd, true, function(err) {
+              cb(err, o.email, uid);
+            });
+          });
+        });
+    });
+  });
+};
+
+// a sign-in link proves control of an address the user already owns.  Nothing
+// changes but the staged row, which is consumed.
+exports.completeSignIn = function(secret, cb) {
+  getAndDeleteRowForSecret(secret, true, function(err, o) {
+    if (err) return cb(err);
+
+    if (o.new_acct || !o.existing_user || o.passwd) {
+      return cb("this verification link is not for a sign-in");
+    }
+
+    exports.emailToUID(o.email, function(err, uid) {
+      if (err) return cb(err);
+
+      // the address must still belong to the user who asked for the link,
+      // which also keeps links that add an address from being used here.
+      if (uid !== o.existing_user) {
+        return cb("cannot sign in, data inconsistency");
+      }
+
+      cb(null, o.email, uid);
+    });
+  });
+};
+
+exports.addPrimaryEmailToAccount = function(uid, emailToAdd, cb) {
+  // we're adding an email address to an existing user account.  add appropriate entries into
+  // email table
+  addEmailToUser(uid, emailToAdd, 'primary', cb);
+};
+
+exports.createUserWithPrimaryEmail = function(email, cb) {
+  var lastPasswordReset = now();
+  // create a new user acct with no password
+  query(
+    "INSERT INTO user(lastPasswordReset) VALUES(?)",
+    [ lastPasswordReset ],
+    function(err, info) {
+      if (err) return cb(err);
+      var uid = info.insertId;
+      query(
+        "INSERT INTO email(user, address, type) VALUES(?, ?, ?)",
+        [ uid, email, 'primary' ],
+        function(err) {
+          cb(err, uid, lastPasswordReset);
+        });
+    });
+};
+
+exports.emailsBelongToSameAccount = function(lhs, rhs, cb) {
+  query(
+    'SELECT COUNT(*) AS n FROM email WHERE address = ? AND user = ( SELECT user FROM email WHERE address = ? );',
+    [ lhs, rhs ],
+    function (err, rows) {
+      cb(err, rows && rows.length === 1 && rows[0].n === 1);
+    });
+};
+
+exports.userOwnsEmail = function(uid, email, cb) {
+  query(
+    'SELECT COUNT(*) AS n FROM email WHERE address = ? AND user = ?',
+    [ email, uid ],
+    function (err, rows) {
+      cb(err, rows && rows.length === 1 && rows[0].n === 1);
+    });
+};
+
+function stageForExistingUser(existing_user, new_email, hash, signIn, cb) {
+  secrets.generate(48, function(secret) {
+    // if we are staging a password reset in the new flow,
+    // we nullify any previously staged password
+    // this will clear out stale attempts from the old flow
+    var overwrite_password = (hash === null);
+    // overwrite previously staged users, sqlite has no equivalent of
+    // mysql's ON DUPLICATE KEY UPDATE so we update, then insert if there
+    // was nothing to update.
+    var args = [ secret, existing_user, signIn ? 1 : 0, now() ];
+    if (overwrite_password) args.push(hash);
+    args.push(new_email);
+    query('UPDATE staged SET secret = ?, existing_user = ?, new_acct = 0, signin = ?, ts = ?' +
+          (overwrite_password ? ', passwd = ?' : '') + ' WHERE email = ?',
+          args,
+          function(err, r) {
+            if (err || r.affectedRows > 0) return cb(err, err ? undefined : secret);
+            query('INSERT INTO staged (secret, new_acct, existing_user, email, passwd, ts, signin) ' +
+                  'VALUES(?, 0, ?, ?, ?, ?, ?)',
+                  [ secret, existing_user, new_email, hash, now(), signIn ? 1 : 0 ],
+                  function(err) {
+                    cb(err, err ? undefined : secret);
+                  });
+          });
+  });
+}
+
+exports.stageEmail = function(existing_user, new_email, hash, cb) {
+  stageForExistingUser(existing_user, new_email, hash, false, cb);
+};
+
+// stage a sign-in link for an address `existing_user` owns
+exports.stageSignIn = function(existing_user, email, cb) {
+  stageForExistingUser(existing_user, email, null, true, cb);
+};
+
+exports.emailToUID = function(email, cb) {
+  query(
+    'SELECT user FROM email WHERE address = ?',
+    [ email ],
+    function (err, rows) {
+      cb(err, (rows && rows.length === 1) ? rows[0].user : undefined);
+    });
+};
+
+exports.checkAuth = function(uid, cb) {
+  query(
+    'SELECT passwd, failedAuthTries, totpSecret FROM user WHERE id = ?',
+    [ uid ],
+    function (err, rows) {
+      var hash, failedAuthTries, hasSecondFactor;
+      if (!err && rows && rows.length === 1) {
+        hash = rows[0].passwd;
+        failedAuthTries = rows[0].failedAuthTries;
+        hasSecondFactor = typeof rows[0].totpSecret === 'string';
+      }
+      cb(err, hash, failedAuthTries, hasSecondFactor);
+    });
+};
+
+exports.getTotpSecret = function(uid, cb) {
+  query(
+    'SELECT totpSecret, totpLastStep FROM user WHERE id = ?',
+    [ uid ],
+    function (err, rows) {
+      if (err) return cb(err);
+      if (!rows || rows.length !== 1) return cb("no such user");
+      cb(null, rows[0].totpSecret || null, rows[0].totpLastStep);
+    });
+};
+
+exports.setTotpSecret = function(uid, secret, cb) {
+  query(
+    'UPDATE user SET totpSecret = ?, totpLastStep = 0 WHERE id = ?',
+    [ secret, uid ], function(err, r) {
+      if (!err && r && r.affectedRows === 0) {
+        err = "no such user";
+      }
+      cb(err);
+    });
+};
+
+// record that the code for time `step` was used.  calls back with false if
+// that step (or a later one) was already used, so a code is only accepted
+// once even when two processes check it at the same time.
+exports.updateTotpLastStep = function(uid, step, cb) {
+  query(
+    'UPDATE user SET totpLastStep = ? WHERE id = ? AND totpLastStep < ?',
+    [ step, uid, step ], function(err, r) {
+      if (err) return cb(err);
+      cb(null, r.affectedRows === 1);
+    });
+};
+
+exports.lastPasswordReset = function(uid, cb) {
+  query(
+    'SELECT lastPasswordReset FROM user WHERE id = ?',
+    [ uid ],
+    function (err, rows) {
+      cb(err, (rows && rows.length === 1) ? rows[0].lastPasswordReset : undefined);
+    });
+};
+
+exports.updatePassword = function(uid, hash, invalidateSessions, cb) {
+  // upon password update we'll always update the hash and reset 'failedAuthTries'
+  var sql = 'UPDATE user SET passwd = ?, failedAuthTries = 0';
+  var args = [ hash ];
+  // if invalidateSessions is specified, we'll update the lastPasswordReset field
+  // which will end all outstanding sessions for this user
+  if (invalidateSessions) {
+    sql += ', lastPasswordReset = ?';
+    args.push(now());
+  }
+  // finally, we always have the where clause.
+  sql += ' WHERE id = ?';
+  args.push(uid);
+
+  query(
+    sql, args,
+    function (err, r) {
+      if (!err && (!r || r.affectedRows !== 1)) {
+        err = "no record with id " + uid;
+      }
+      cb(err);
+    });
+};
+
+exports.clearAuthFailures = function(uid, cb) {
+  query(
+    'UPDATE user SET failedAuthTries = 0 WHERE id = ?',
+    [ uid ], function(err, r) {
+      if (!err && r && r.affectedRows === 0) {
+        err = "no such user";
+      }
+      cb(err);
+    });
+};
+
+exports.incAuthFailures = function(uid, cb) {
+  query(
+    'UPDATE user SET failedAuthTries = failedAuthTries + 1 WHERE id = ?',
+    [ uid ], function(err, r) {
+      if (!err && r && r.affectedRows === 0) {
+        err = "no such user";
+      }
+      cb(err);
+    });
+};
+
+/*
+ * list the user's emails.
+ *
+ * returns an object keyed by email address with properties for each email.
+ */
+exports.listEmails = function(uid, cb) {
+  query(
+    'SELECT address FROM email WHERE user = ?',
+      [ uid ],
+      function (err, rows) {
+        if (err) cb(err);
+        else {
+          var emails = [];
+
+          for (var i = 0; i < rows.length; i++) {
+            emails.push(rows[i].address);
+          }
+
+          cb(null, emails);
+        }
+      });
+};
+
+exports.emailLastUsedAs = function(email, cb) {
+  query('SELECT type as lastUsedAs FROM email WHERE address = ?', [email], function(err, rows) {
+    if (err) {
+      cb(err);
+    } else if (rows.length !== 1) {
+      cb('emailLastUsedAs Expected 1 row, got ' + rows.length + ' for ' + email);
+    } else {
+      cb(null, rows[0].lastUsedAs);
+    }
+  });
+};
+
+const typeEnum = ['primary', 'secondary'];
+
+exports.updateEmailLastUsedAs = function(email, type, cb) {
+  if (typeEnum.indexOf(type) === -1) {
+    process.nextTick(function () {
+      cb ('Invalid type for updating email.type');
+    });
+  } else {
+    query('UPDATE email SET type = ? WHERE address = ?', [type, email], function(err) {
+      cb(err);
+    });
+  }
+};
+
+exports.removeEmail = function(authenticated_user, email, cb) {
+  exports.userOwnsEmail(authenticated_user, email, function(err, ok) {
+    if (err) return cb(err);
+
+    if (!ok) {
+      logger.warn(authenticated_user + ' attempted to delete an email that doesn\'t belong to her: ' + email);
+      cb("authenticated user doesn't have permission to remove specified email " + email);
+      return;
+    }
+
+    query(
+      'DELETE FROM email WHERE address = ?',
+      [ email ],
+      function(err) {
+        cb(err);
+      });
+  });
+};
+
+exports.cancelAccount = function(uid, cb) {
+  query("DELETE FROM email WHERE user = ?", [ uid ], function(err) {
+    if (err) return cb(err);
+    query("DELETE FROM staged WHERE existing_user = ?", [ uid ], function(err) {
+      if (err) return cb(err);
+      query("DELETE FROM session WHERE user = ?", [ uid ], function(err) {
+        if (err) return cb(err);
+        // the account's events are replaced by a record of its cancellation,
+        // which outlives it
+        query("DELETE FROM account_event WHERE user = ?", [ uid ], function(err) {
+          if (err) return cb(err);
+          query("INSERT INTO account_event(user, type, detail, at) VALUES(?, 'account_cancel', NULL, ?)",
+                [ uid, now() ], function(err) {
+            if (err) return cb(err);
+            query("DELETE FROM user WHERE id = ?", [ uid ], function(err) {
+              cb(err);
+            });
+          });
+        });
+      });
+    });
+  });
+};
+
+function eventExpiry() {
+  return now() - Math.floor(conf.get('account_events.max_age_ms') / 1000);
+}
+
+exports.recordAccountEvent = function(uid, type, detail, cb) {
+  // drop this user's expired events as we go
+  query('DELETE FROM account_event WHERE user = ? AND at < ?', [ uid, eventExpiry() ], function(err) {
+    if (err) return cb(err);
+    query('INSERT INTO account_event(user, type, detail, at) VALUES(?, ?, ?, ?)',
+          [ uid, type, detail || null, now() ], function(err) {
+      cb(err);
+    });
+  });
+};
+
+exports.listAccountEvents = function(uid, limit, cb) {
+  query(
+    'SELECT type, detail, at FROM account_event WHERE user = ? AND at >= ? ' +
+      'ORDER BY at DESC, id DESC LIMIT ?',
+    [ uid, eventExpiry(), limit ],
+    function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.map(function(row) {
+        return { type: row.type, detail: row.detail, at: row.at };
+      }));
+    });
+};
+
+exports.addSession = function(sid, uid, device, expiresAt, cb) {
+  // drop this user's expired sessions as we go
+  query('DELETE FROM session WHERE user = ? AND expiresAt <= ?', [ uid, now() ], function(err) {
+    if (err) return cb(err);
+    query('INSERT INTO session(id, user, device, createdAt, lastSeen, expiresAt) ' +
+            'VALUES(?, ?, ?, ?, ?, ?)',
+          [ sid, uid, device, now(), now(), expiresAt ], function(err) {
+      cb(err);
+    });
+  });
+};
+
+exports.getSession = function(sid, cb) {
+  query(
+    'SELECT id, user, device, createdAt, lastSeen, expiresAt FROM session ' +
+      'WHERE id = ? AND expiresAt > ?',
+    [ sid, now() ],
+    function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.length ? rows[0] : null);
+    });
+};
+
+exports.touchSession = function(sid, expiresAt, cb) {
+  query(
+    'UPDATE session SET lastSeen = ?, expiresAt = COALESCE(?, expiresAt) ' +
+      'WHERE id = ? AND expiresAt > ?',
+    [ now(), expiresAt || null, sid, now() ],
+    function(err) {
+      cb(err);
+    });
+};
+
+exports.listSessions = function(uid, cb) {
+  query(
+    'SELECT id, device, createdAt, lastSeen FROM session WHERE user = ? AND expiresAt > ? ' +
+      'ORDER BY lastSeen DESC, createdAt DESC',
+    [ uid, now() ],
+    function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.map(function(row) {
+        return { id: row.id, device: row.device, createdAt: row.createdAt, lastSeen: row.lastSeen };
+      }));
+    });
+};
+
+exports.removeSession = function(uid, sid, cb) {
+  query('DELETE FROM session WHERE id = ? AND user = ?', [ sid, uid ], function(err, info) {
+    cb(err, !err && info.affectedRows > 0);
+  });
+};
+
+exports.createUnverifiedUser = function(email, hash, cb) {
+  query(
+    'INSERT INTO user(passwd, lastPasswordReset) VALUES(?, ?)',
+    [ hash, now() ],
+    function(err, info) {
+      if (err) return cb(err);
+
+      query(
+        'INSERT INTO email(user, address, verified) VALUES(?, ?, ?)',
+        [ info.insertId, email, 0 ],
+        function(err) {
+          if (err) {
+            logUnexpectedError(err);
+            return cb(err);
+          }
+          exports.stageEmail(info.insertId, email, hash, function(err, secret) {
+            cb(err, info.insertId, secret);
+          });
+        });
+    });
+};
+
+exports.addTestUser = function(email, hash, cb) {
+  query(
+    "INSERT INTO user(passwd, lastPasswordReset) VALUES(?, ?)",
+    [ hash, now() ],
+    function(err, info) {
+      if (err) return cb(err);
+
+      query(
+        "INSERT INTO email(user, address) VALUES(?, ?)",
+        [ info.insertId, email ],
+        function(err) {
+          if (err) logUnexpectedError(err);
+          cb(err, err ? null : email);
+        });
+    });
+};
+
+// how many rows are read at once when exporting
+const EXPORT_PAGE_SIZE = 500;
+
+// call `onRecord(record, next)` for each user, session, account event, staged
+// email and IdP in the database (see dbutils.js for the format), then `cb(err)`.
+exports.exportRecords = function(onRecord, cb) {
+  function emitAll(records, done) {
+    var i = 0;
+    function next(err) {
+      if (err || i === records.length) return done(err);
+      onRecord(records[i++], next);
+    }
+    next();
+  }
+
+  // page through a table in id order.  `sql` selects rows with an id
+  // greater than its first, up to its second parameter, and `toRecords`
+  // converts each page of rows into records.
+  function exportTable(sql, toRecords, done) {
+    function page(afterId) {
+      query(sql, [ afterId, EXPORT_PAGE_SIZE ], function(err, rows) {
+        if (err || !rows.length) return done(err);
+        toRecords(rows, function(err, records) {
+          if (err) return done(err);
+          emitAll(records, function(err) {
+            if (err) return done(err);
+            page(rows[rows.length - 1].id);
+          });
+        });
+      });
+    }
+    page(0);
+  }
+
+  function usersToRecords(users, done) {
+    query(
+      "SELECT user, address, type, verified FROM email WHERE user >= ? AND user <= ?",
+      [ users[0].id, users[users.length - 1].id ],
+      function(err, rows) {
+        if (err) return done(err);
+        var emails = {};
+        rows.forEach(function(e) {
+          emails[e.user] = emails[e.user] || [];
+          emails[e.user].push({ address: e.address, type: e.type, verified: !!e.verified });
+        });
+        var records = users.map(function(u) {
+          return {
+            kind: 'user',
+            id: u.id,
+            passwd: typeof u.passwd === 'string' ? u.passwd : null,
+            lastPasswordReset: u.lastPasswordReset,
+            failedAuthTries: u.failedAuthTries,
+            totpSecret: typeof u.totpSecret === 'string' ? u.totpSecret : null,
+            totpLastStep: u.totpLastStep,
+            emails: emails[u.id] || []
+          };
+        });
+        // the users' sessions follow them, so they stay signed in
+        query(
+          "SELECT id, user, device, createdAt, lastSeen, expiresAt FROM session " +
+            "WHERE user >= ? AND user <= ? AND expiresAt > ?",
+          [ users[0].id, users[users.length - 1].id, now() ],
+          function(err, rows) {
+            if (err) return done(err);
+            records = records.concat(rows.map(function(s) {
+              return {
+                kind: 'session',
+                id: s.id,
+                user: s.user,
+                device: s.device,
+                createdAt: s.createdAt,
+                lastSeen: s.lastSeen,
+                expiresAt: s.expiresAt
+              };
+            }));
+            // and so does their recent activity
+            query(
+              "SELECT user, type, detail, at FROM account_event " +
+                "WHERE user >= ? AND user <= ? AND at >= ? ORDER BY id",
+              [ users[0].id, users[users.length - 1].id, eventExpiry() ],
+              function(err, rows) {
+                if (err) return done(err);
+                done(null, records.concat(rows.map(function(e) {
+                  return {
+                    kind: 'event',
+                    user: e.user,
+                    type: e.type,
+                    detail: typeof e.detail === 'string' ? e.detail : null,
+                    at: e.at
+                  };
+                })));
+              });
+          });
+      });
+  }
+
+  function stagedToRecords(rows, done) {
+    done(null, rows.map(function(s) {
+      return {
+        kind: 'staged',
+        secret: s.secret,
+        newAccount: !!s.new_acct,
+        existingUser: typeof s.existing_user === 'number' ? s.existing_user : null,
+        email: s.email,
+        passwd: typeof s.passwd === 'string' ? s.passwd : null,
+        ts: s.ts,
+        signIn: !!s.signin
+      };
+    }));
+  }
+
+  function idpsToRecords(rows, done) {
+    done(null, rows.map(function(i) {
+      return { kind: 'idp', domain: i.domain, lastSeen: i.lastSeen };
+    }));
+  }
+
+  exportTable(
+    "SELECT id, passwd, lastPasswordReset, failedAuthTries, totpSecret, totpLastStep " +
+      "FROM user WHERE id > ? ORDER BY id LIMIT ?",
+    usersToRecords,
+    function(err) {
+      if (err) return cb(err);
+      exportTable(
+        "SELECT id, secret, new_acct, existing_user, email, passwd, ts, signin " +
+          "FROM staged WHERE id > ? ORDER BY id LIMIT ?",
+        stagedToRecords,
+        function(err) {
+          if (err) return cb(err);
+          exportTable(
+            "SELECT id, domain, lastSeen FROM idp WHERE id > ? ORDER BY id LIMIT ?",
+            idpsToRecords,
+            function(err) {
+              cb(err ? err : null);
+            });
+        });
+    });
+};
+
+// add a record produced by exportRecords() to the database, preserving
+// user ids.
+exports.importRecord = function(r, cb) {
+  var err = dbutils.checkRecord(r);
+  if (err) return process.nextTick(function() { cb(err); });
+
+  if (r.kind === 'user') {
+    query(
+      "INSERT INTO user(id, passwd, lastPasswordReset, failedAuthTries, totpSecret, totpLastStep) " +
+        "VALUES(?, ?, ?, ?, ?, ?)",
+      [ r.id, r.passwd, r.lastPasswordReset, r.failedAuthTries, r.totpSecret || null, r.totpLastStep || 0 ],
+      function(err) {
+        if (err) return cb(err);
+        var emails = r.emails.slice();
+        function addNext(err) {
+          if (err || !emails.length) return cb(err ? err : null);
+          var e = emails.shift();
+          query(
+            "INSERT INTO email(user, address, type, verified) VALUES(?, ?, ?, ?)",
+            [ r.id, e.address, e.type, e.verified ? 1 : 0 ],
+            function(err) {
+              addNext(err);
+            });
+        }
+        addNext();
+      });
+  } else if (r.kind === 'staged') {
+    query(
+      "INSERT INTO staged(secret, new_acct, existing_user, email, passwd, ts, signin) VALUES(?, ?, ?, ?, ?, ?, ?)",
+      [ r.secret, r.newAccount ? 1 : 0, r.existingUser, r.email, r.passwd, r.ts, r.signIn ? 1 : 0 ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  } else if (r.kind === 'event') {
+    query(
+      "INSERT INTO account_event(user, type, detail, at) VALUES(?, ?, ?, ?)",
+      [ r.user, r.type, r.detail, r.at ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  } else if (r.kind === 'session') {
+    query(
+      "INSERT INTO session(id, user, device, createdAt, lastSeen, expiresAt) VALUES(?, ?, ?, ?, ?, ?)",
+      [ r.id, r.user, r.device, r.createdAt, r.lastSeen, r.expiresAt ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  } else {
+    query(
+      "INSERT INTO idp(domain, lastSeen) VALUES(?, ?)",
+      [ r.domain, r.lastSeen ],
+      function(err) {
+        cb(err ? err : null);
+      });
+  }
+};
+
+exports.ping = function(cb) {
+  query("SELECT 1", function(err) {
+    cb(err);
+  });
+};
@@ -49,6 +49,12 @@ const templates = {
     template: 'transition.ejs',
     templateHTML: 'transition.html.ejs'
   },
+  "signin": {
+    landing: 'sign_in',
+    subject: _("%(site)s: Sign in"),
+    template: 'signin.ejs',
+    templateHTML: 'signin.html.ejs'
+  },
 };
 
 compileTemplates();
@@ -73,6 +79,7 @@ exports.sendNewUserEmail = underscore.partial(doSend, 'new');
 exports.sendConfirmationEmail = underscore.partial(doSend, 'confirm');
 exports.sendForgotPasswordEmail = underscore.partial(doSend, 'reset');
 exports.sendTransitionEmail = underscore.partial(doSend, 'transition');
+exports.sendSignInEmail = underscore.partial(doSend, 'signin');
 
 
 
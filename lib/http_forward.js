@@ -49,7 +49,7 @@ exports.forward = function(dest, req, res, cb) {
     res.statusCode = pres.statusCode;
 
     // forward necessary headers
-    ['Content-Type', 'Content-Length', 'Set-Cookie', 'Vary', 'Cache-Control', 'ETag', 'X-Frame-Options', 'Location', 'Access-Control-Allow-Origin', 'P3P']
+    ['Content-Type', 'Content-Length', 'Set-Cookie', 'Vary', 'Cache-Control', 'ETag', 'X-Frame-Options', 'Location', 'Access-Control-Allow-Origin', 'P3P', 'Retry-After']
       .forEach(function (header) {
         if (pres.headers.hasOwnProperty(header.toLowerCase())) {
           res.setHeader(header, pres.headers[header.toLowerCase()]);
@@ -40,6 +40,9 @@ exports.forbidden = function(resp, reason) {
   sendResponse(resp, "Forbidden", reason, 403);
 };
 
-exports.throttled = function(resp, reason) {
+// `retryAfter`, if given, is the number of seconds after which the client
+// may try again
+exports.throttled = function(resp, reason, retryAfter) {
+  if (retryAfter) resp.setHeader('Retry-After', String(retryAfter));
   sendResponse(resp, "Too Many Requests", reason, 429);
 };
@@ -0,0 +1,188 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// check that a primary identity provider conforms to what browserid expects
+// of it: that its support document (and the delegation of authority leading
+// to it) is valid, its keys are strong enough, its authentication and
+// provisioning pages can be loaded, and that a certificate signed by its key
+// is accepted by the verifier.
+//
+// support documents are fetched through primary.js, so a domain can be
+// shimmed with SHIMMED_PRIMARIES to check an IdP which isn't deployed yet.
+
+const
+http = require('http'),
+https = require('https'),
+url = require('url'),
+jwcrypto = require('jwcrypto'),
+config = require('./configuration.js'),
+primary = require('./primary.js'),
+certassertion = require('./verifier/certassertion.js');
+
+require("jwcrypto/lib/algs/rs");
+require("jwcrypto/lib/algs/ds");
+
+// the smallest acceptable keysize for each algorithm, as jwcrypto counts it
+// (RS 256 is a 2048 bit modulus)
+const MIN_KEYSIZES = {
+  RS: 256,
+  DS: 256
+};
+
+// the audience of the sample assertion
+const AUDIENCE = 'https://conformance.check';
+
+function checkKeys(keys) {
+  var weak = [], described = [];
+  keys.forEach(function(key) {
+    var pk = key.publicKey;
+    var name = pk.algorithm + pk.keysize + (key.kid ? " (" + key.kid + ")" : "");
+    described.push(name);
+    var min = MIN_KEYSIZES[pk.algorithm];
+    if (min === undefined || pk.keysize < min) weak.push(name);
+  });
+
+  if (weak.length) {
+    return { passed: false, message: "weak keys: " + weak.join(", ") };
+  }
+  return { passed: true, message: described.join(", ") };
+}
+
+// load one of the IdP's pages, which must succeed, and which browserid must
+// be able to frame if `framed`
+function checkPage(pageURL, framed, cb) {
+  var done = false;
+  function finish(passed, message) {
+    if (done) return;
+    done = true;
+    cb({ passed: passed, message: message });
+  }
+
+  var req;
+  try {
+    var u = url.parse(pageURL);
+    req = (u.protocol === 'http:' ? http : https).get({
+      host: u.hostname,
+      port: u.port,
+      path: u.path,
+      agent: false
+    });
+  } catch(e) {
+    return finish(false, pageURL + ": " + e.toString());
+  }
+
+  req.setTimeout(config.get('declaration_of_support_timeout_ms'), function() {
+    req.abort();
+    finish(false, pageURL + ": timeout");
+  });
+
+  req.on('error', function(e) {
+    finish(false, pageURL + ": " + e.toString());
+  });
+
+  req.on('response', function(res) {
+    res.resume();
+    if (res.statusCode !== 200) {
+      return finish(false, pageURL + ": HTTP status " + res.statusCode);
+    }
+    if (framed && res.headers['x-frame-options']) {
+      return finish(false, pageURL + ": X-Frame-Options is " + res.headers['x-frame-options'] +
+                    ", browserid can't load it in an iframe");
+    }
+    finish(true, pageURL);
+  });
+}
+
+// sign a certificate for `email` with the IdP's `secretKey`, and verify an
+// assertion backed by it
+function checkCertificate(issuer, email, secretKey, cb) {
+  function fail(e) {
+    cb({ passed: false, message: e.toString() });
+  }
+
+  jwcrypto.generateKeypair({ algorithm: 'DS', keysize: 128 }, function(err, kp) {
+    if (err) return fail(err);
+
+    var now = new Date().getTime();
+    jwcrypto.cert.sign({ publicKey: kp.publicKey, principal: { email: email } },
+                       { issuer: issuer, issuedAt: new Date(now),
+                         expiresAt: new Date(now + 60 * 1000) },
+                       {}, secretKey, function(err, cert) {
+      if (err) return fail(err);
+
+      jwcrypto.assertion.sign({}, { audience: AUDIENCE, expiresAt: new Date(now + 60 * 1000) },
+                              kp.secretKey, function(err, assertion) {
+        if (err) return fail(err);
+
+        certassertion.verify(
+          jwcrypto.cert.bundle([ cert ], assertion), AUDIENCE, undefined, false,
+          function(email, audience, expires, rootIssuer) {
+            cb({ passed: true, message: email + ", issued by " + rootIssuer });
+          },
+          fail);
+      });
+    });
+  });
+}
+
+// check the IdP of `domain`.  `options` may contain:
+//   * secretKey - the IdP's secret key, to sign a sample certificate with.
+//     Without it, the certificate isn't checked.
+//   * email - the address to certify, by default one at `domain`
+//
+// `cb(report)` is called with { domain, passed, checks }, where each check
+// is { name, passed, message }, and `passed` is null for skipped checks.
+exports.check = function(domain, options, cb) {
+  var checks = [];
+
+  function add(name, result) {
+    checks.push({ name: name, passed: result.passed, message: result.message });
+  }
+
+  function finish() {
+    cb({
+      domain: domain,
+      passed: checks.every(function(c) { return c.passed !== false; }),
+      checks: checks
+    });
+  }
+
+  primary.checkSupport(domain, function(err, r) {
+    if (err || !r || r.disabled) {
+      add('support document', {
+        passed: false,
+        message: err || (r && r.disabled ? "support is disabled" : "not a primary")
+      });
+      [ 'keys', 'authentication page', 'provisioning page', 'certificate' ].forEach(function(name) {
+        add(name, { passed: null, message: "no support document" });
+      });
+      return finish();
+    }
+
+    add('support document', {
+      passed: true,
+      message: "authority " + r.authoritativeDomain + ", via " + r.delegationChain.join(" > ")
+    });
+    add('keys', checkKeys(r.publicKeys));
+
+    checkPage(r.urls.auth, false, function(result) {
+      add('authentication page', result);
+
+      checkPage(r.urls.prov, true, function(result) {
+        add('provisioning page', result);
+
+        if (!options.secretKey) {
+          add('certificate', { passed: null, message: "no secret key given" });
+          return finish();
+        }
+
+        var email = options.email || 'conformance@' + domain;
+        checkCertificate(r.authoritativeDomain, email, options.secretKey, function(result) {
+          add('certificate', result);
+          finish();
+        });
+      });
+    });
+  });
+};
@@ -14,8 +14,14 @@ require("jwcrypto/lib/algs/rs");
 require("jwcrypto/lib/algs/ds");
 
 try {
-  const secret_key = secrets.loadSecretKey();
-  const public_key = secrets.loadPublicKey();
+  // certificates are signed with the current key of the key ring, and
+  // carry its id so verifiers can select the right key after rotation
+  const signing_key = secrets.loadCurrentSecretKey();
+  const public_key = secrets.loadKeyRing().publicKeys[signing_key.kid];
+
+  // certificates for unverified emails are signed with a distinct key, so
+  // that a leak of one key can't be used to forge the other kind
+  const unverified_signing_key = secrets.loadCurrentSecretKey('unverified');
 } catch(e){
   logger.error("can't read keys, exiting: " + e);
   setTimeout(function() { process.exit(1); }, 0);
@@ -29,19 +35,20 @@ function certify(hostname, email, publicKey, expiration, unverified, cb) {
   if (expiration == null)
     return cb("expiration cannot be null");
 
-  //TODO: use a different secret if unverified
-
   var principal = {};
   principal[ unverified ? 'unverified-email' : 'email' ] = email;
 
+  var key = unverified ? unverified_signing_key : signing_key;
 
   cert.sign({publicKey: publicKey, principal: principal},
             {issuer: hostname, issuedAt: new Date(), expiresAt: expiration},
-            null,
-            secret_key, cb);
+            {kid: key.kid},
+            key.secretKey, cb);
 }
 
 // exports, not the key stuff
 exports.certify = certify;
 exports.parsePublicKey = parsePublicKey;
 exports.PUBLIC_KEY = public_key;
+exports.KEY_ID = signing_key.kid;
+exports.UNVERIFIED_KEY_ID = unverified_signing_key.kid;
@@ -8,12 +8,14 @@ const PREFIX = "browserid." + config.get('process_type') + ".";
 
 var IncrementMessageMatches = {
   "assertion_failure": true,
-  "uncaught_exception": true
+  "uncaught_exception": true,
+  "replay_cache.full": true
 };
 
 var IncrementRegExpMatches = [
   /^wsapi_code_mismatch\./,
-  /^wsapi\./
+  /^wsapi\./,
+  /^support_document_cache\./
 ];
 
 exports.test = function(msg) {
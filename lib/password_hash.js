@@ -0,0 +1,115 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// password hashing.  Hashing is costly by design, so it runs in compute
+// processes, one module per algorithm (bcrypt-compute.js, pbkdf2-compute.js).
+//
+// every hash starts with `$<algorithm>$<cost>$`, which tells which algorithm
+// checks it.  New hashes use the algorithm configured as
+// `password_hash.algorithm`.  Hashes made with another algorithm or cost
+// keep working, and are replaced when their user next authenticates (see
+// wsapi/authenticate_user.js), which migrates users without a forced reset.
+
+const
+path = require('path'),
+computecluster = require('compute-cluster'),
+logger = require('./logging/logging.js').logger,
+config = require('./configuration.js');
+
+const ALGORITHMS = {
+  bcrypt: {
+    module: 'bcrypt-compute.js',
+    // bcrypt's own prefixes ($2$, $2a$, ...)
+    matches: /^\$2[a-z]?\$/,
+    cost: function() { return config.get('bcrypt_work_factor'); }
+  },
+  pbkdf2: {
+    module: 'pbkdf2-compute.js',
+    matches: /^\$pbkdf2\$/,
+    cost: function() { return config.get('password_hash.pbkdf2_cost'); }
+  }
+};
+
+// compute clusters by algorithm, started when first needed
+var clusters = {},
+    shutDown = false;
+
+function cluster(name) {
+  if (shutDown) throw "password hashing cluster is shut down";
+  if (clusters[name]) return clusters[name];
+
+  var cc = clusters[name] = new computecluster({
+    module: path.join(__dirname, ALGORITHMS[name].module),
+    max_backlog: 100000,
+    max_request_time: config.get('max_compute_duration')
+  });
+
+  cc.on('error', function(e) {
+    logger.error("error detected in " + name + " computation process!  fatal: " + e.toString());
+    setTimeout(function() { process.exit(1); }, 0);
+  }).on('info', function(msg) {
+    logger.info("(" + name + " compute cluster): " + msg);
+  }).on('debug', function(msg) {
+    logger.debug("(" + name + " compute cluster): " + msg);
+  });
+
+  return cc;
+}
+
+// the name of the algorithm which made a hash, or undefined
+function algorithmOf(hash) {
+  return Object.keys(ALGORITHMS).filter(function(name) {
+    return ALGORITHMS[name].matches.test(hash);
+  })[0];
+}
+
+// the cost parameter a hash was made with
+function costOf(hash) {
+  return parseInt(hash.split('$')[2], 10);
+}
+
+exports.hash = function(password, cb) {
+  var name = config.get('password_hash.algorithm');
+  cluster(name).enqueue({
+    op: 'encrypt',
+    factor: ALGORITHMS[name].cost(),
+    pass: password
+  }, function(err, r) {
+    cb(err, r ? r.r : undefined);
+  });
+};
+
+exports.compare = function(pass, hash, cb) {
+  var name = algorithmOf(hash);
+  if (!name) {
+    return process.nextTick(function() { cb("unknown password hash algorithm"); });
+  }
+  cluster(name).enqueue({
+    op: 'compare',
+    pass: pass,
+    hash: hash
+  }, function(err, r) {
+    cb(err, r ? r.r : undefined);
+  });
+};
+
+// whether a hash was made with other than the configured algorithm or cost,
+// and should be replaced.
+exports.needsUpdate = function(hash) {
+  var name = config.get('password_hash.algorithm');
+  return algorithmOf(hash) !== name || costOf(hash) !== ALGORITHMS[name].cost();
+};
+
+// a short description of a hash for logs, e.g. "bcrypt/12"
+exports.describe = function(hash) {
+  return (algorithmOf(hash) || "unknown") + "/" + costOf(hash);
+};
+
+exports.shutdown = function() {
+  shutDown = true;
+  Object.keys(clusters).forEach(function(name) {
+    clusters[name].exit();
+  });
+  clusters = {};
+};
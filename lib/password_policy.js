@@ -0,0 +1,113 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// the rules newly chosen passwords must follow, configured as
+// `password_policy`.  lib/validate.js only bounds the length of any password,
+// the policy is applied where a password is chosen (stage_user, stage_email,
+// stage_transition, update_password and complete_reset).  Passwords that are
+// already set keep working, so users are never locked out by a stricter
+// policy.
+//
+// a password which breaks the policy is refused with a response like
+// `{ success: false, reason: "password_policy", policy: "blocklisted" }`,
+// which the client turns into a hint next to the password field.
+
+const
+fs = require('fs'),
+crypto = require('crypto'),
+logger = require('./logging/logging.js').logger,
+config = require('./configuration.js');
+
+// lib/validate.js accepts no shorter password, whatever the configuration
+const MIN_LENGTH = 8;
+
+// local parts shorter than this are too likely to appear by chance
+const MIN_LOCAL_PART_LENGTH = 3;
+
+// the loaded blocklist, null if none is configured
+var blocklist = null;
+
+// load the configured blocklist.  Processes which check passwords (browserid
+// and dbwriter) call this as they start, and refuse to start if it throws,
+// so that requests never wait on reading the file nor fail for want of it.
+exports.loadBlocklist = function() {
+  var file = config.get('password_policy.blocklist_file');
+  if (!file) {
+    blocklist = null;
+    return;
+  }
+
+  var data;
+  try {
+    data = fs.readFileSync(file, 'utf8');
+  } catch(e) {
+    throw "can't read password blocklist " + file + ": " + e;
+  }
+
+  var hashes = {}, count = 0;
+  data.split('\n').forEach(function(line, i) {
+    line = line.trim().toLowerCase();
+    if (!line.length) return;
+    if (!/^[0-9a-f]{40}$/.test(line)) {
+      throw "line " + (i + 1) + " of password blocklist " + file + " isn't a hex SHA-1 hash";
+    }
+    if (!hashes.hasOwnProperty(line)) count++;
+    hashes[line] = true;
+  });
+  logger.info("loaded " + count + " hashes from password blocklist " + file);
+
+  blocklist = hashes;
+};
+
+function minLength() {
+  return Math.max(config.get('password_policy.min_length'), MIN_LENGTH);
+}
+
+function isBlocklisted(password) {
+  if (!blocklist) return false;
+  var hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex');
+  return blocklist.hasOwnProperty(hash);
+}
+
+function containsLocalPart(password, emails) {
+  password = password.toLowerCase();
+  return emails.some(function(email) {
+    var local = email.split('@')[0].toLowerCase();
+    return local.length >= MIN_LOCAL_PART_LENGTH && password.indexOf(local) !== -1;
+  });
+}
+
+// check a newly chosen password for the account of `emails` (an address or
+// a list of them).  Returns the name of the rule the password breaks, one of
+// 'too_short', 'contains_email' or 'blocklisted', or null if it is fine.
+exports.check = function(password, emails) {
+  if (!Array.isArray(emails)) emails = emails ? [ emails ] : [];
+
+  if (password.length < minLength()) {
+    return 'too_short';
+  }
+  if (config.get('password_policy.disallow_email_local_part') &&
+      containsLocalPart(password, emails)) {
+    return 'contains_email';
+  }
+  if (isBlocklisted(password)) {
+    return 'blocklisted';
+  }
+  return null;
+};
+
+// the rules the client can check itself, for hints as passwords are typed.
+// The blocklist stays on the server.
+exports.hints = function() {
+  return {
+    min_length: minLength(),
+    disallow_email_local_part: config.get('password_policy.disallow_email_local_part')
+  };
+};
+
+// the response to a request whose password breaks `rule`
+exports.refuse = function(res, rule) {
+  logger.info("password refused by policy: " + rule);
+  res.json({ success: false, reason: 'password_policy', policy: rule });
+};
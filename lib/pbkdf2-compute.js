@@ -0,0 +1,77 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// PBKDF2 password hashing, run in a compute process like bcrypt-compute.js.
+//
+// hashes look like `$pbkdf2$<cost>$<salt>$<key>`, where the cost is the
+// base 2 logarithm of the number of iterations, the salt is a random base64
+// string, and the derived key is base64 encoded.  The pseudorandom function
+// is HMAC-SHA1, the only one node before 0.12 offers, so that hashes check
+// the same on every node we run on.
+
+const crypto = require('crypto');
+
+const
+PREFIX = 'pbkdf2',
+DIGEST = 'sha1',
+SALT_BYTES = 16,
+KEY_BYTES = 20;
+
+// node 0.12 added the digest argument, which later versions require
+const TAKES_DIGEST = crypto.pbkdf2.length > 5;
+
+function deriveKey(pass, salt, cost, cb) {
+  var args = [ pass, salt, Math.pow(2, cost), KEY_BYTES ];
+  if (TAKES_DIGEST) args.push(DIGEST);
+  args.push(function(err, key) {
+    if (err) return cb(err);
+    // node 0.8 yields a binary string rather than a Buffer
+    if (typeof key === 'string') key = new Buffer(key, 'binary');
+    cb(null, key.toString('base64'));
+  });
+  crypto.pbkdf2.apply(crypto, args);
+}
+
+// compare strings in time independent of where they differ
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  var diff = 0;
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+exports.hash = function(pass, cost, cb) {
+  var salt = crypto.randomBytes(SALT_BYTES).toString('base64');
+  deriveKey(pass, salt, cost, function(err, key) {
+    if (err) return cb(err);
+    cb(null, [ '', PREFIX, cost, salt, key ].join('$'));
+  });
+};
+
+exports.compare = function(pass, hash, cb) {
+  var parts = hash.split('$');
+  if (parts.length !== 5 || parts[1] !== PREFIX) {
+    return process.nextTick(function() { cb(null, false); });
+  }
+
+  deriveKey(pass, parts[3], parseInt(parts[2], 10), function(err, key) {
+    if (err) return cb(err);
+    cb(null, constantTimeEquals(key, parts[4]));
+  });
+};
+
+process.on('message', function(m) {
+  function reply(err, r) {
+    // errors surface as a failed computation, as bcrypt's throwing would
+    if (err) throw err;
+    process.send({r:r});
+  }
+  if (m.op === 'encrypt') {
+    exports.hash(m.pass, m.factor, reply);
+  } else if (m.op === 'compare') {
+    exports.compare(m.pass, m.hash, reply);
+  }
+});
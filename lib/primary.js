@@ -16,7 +16,8 @@ config = require("./configuration.js"),
 primaryTimeout = config.get('declaration_of_support_timeout_ms'),
 secrets = require("./secrets.js"),
 events = require("events"),
-wellKnownParser = require('./well-known-parser.js');
+wellKnownParser = require('./well-known-parser.js'),
+supportDocumentCache = require('./support_document_cache.js');
 
 // alg
 require("jwcrypto/lib/algs/rs");
@@ -36,10 +37,9 @@ var g_shim_cache = {};
 exports.events = new events.EventEmitter();
 
 try {
-  const PUBLIC_KEY = secrets.loadPublicKey();
-  if (typeof PUBLIC_KEY !== 'object') throw "secrets.loadPublicKey() returns non-object, load failure";
+  const KEY_RING = secrets.loadKeyRing();
 } catch(e) {
-  logger.error("can't read public key, exiting: " + e);
+  logger.error("can't read public keys, exiting: " + e);
   setTimeout(function() { process.exit(1); }, 0);
 }
 
@@ -78,7 +78,8 @@ if (config.has('proxy_idps')) {
   });
 }
 
-// hit the network and fetch a .well-known document in its unparsed form
+// hit the network and fetch a .well-known document in its unparsed form,
+// `clientCB(err, body, headers)` is also given the headers of the response
 var fetchWellKnown = function (currentDomain, principalDomain, clientCB) {
   // in many cases the http layer can send both an 'error' and an 'end'.  In
   // other cases, only 'error' will be emitted.  We want to
@@ -132,14 +133,14 @@ var fetchWellKnown = function (currentDomain, principalDomain, clientCB) {
     var body = "";
     res.on('data', function(chunk) { body += chunk; });
     res.on('end', function() {
-      cb(null, body, currentDomain);
+      cb(null, body, res.headers);
     });
   }
 
   // if the domain is "shimmed" (for testing), then return a local document
   // as if it were fetched from the network.
   if (g_shim_cache[currentDomain]) {
-    return cb(null, g_shim_cache[currentDomain].body, currentDomain);
+    return cb(null, g_shim_cache[currentDomain].body);
   }
 
   // now we need to check to see if domain purports to being a primary
@@ -148,8 +149,8 @@ var fetchWellKnown = function (currentDomain, principalDomain, clientCB) {
 
   var req;
   if (httpProxy && httpProxy.port && httpProxy.host) {
-    // In production we use Squid as a reverse proxy cache to reduce how often
-    // we request this resource.
+    // Squid may be used as a reverse proxy cache, shared by all processes,
+    // in front of the cache in support_document_cache.js
     req = http.get({
       host: httpProxy.host,
       port: httpProxy.port,
@@ -181,6 +182,18 @@ var fetchWellKnown = function (currentDomain, principalDomain, clientCB) {
   });
 };
 
+// fetch the .well-known document of currentDomain, found by following the
+// delegationChain from principalDomain, unless it's cached.  Shimmed
+// documents are local, and aren't cached.
+function cachedFetchWellKnown(currentDomain, principalDomain, delegationChain, cb) {
+  function fetch(done) {
+    fetchWellKnown(currentDomain, principalDomain, done);
+  }
+
+  if (g_shim_cache[currentDomain]) return fetch(cb);
+  supportDocumentCache.fetch(delegationChain.join(' > '), fetch, cb);
+}
+
 // Fetch a .well-known file from the network, following delegation
 function deepFetchWellKnown(principalDomain, cb, currentDomain, delegationChain) {
   // this function is recursive, the last two parameters are only specified
@@ -188,7 +201,7 @@ function deepFetchWellKnown(principalDomain, cb, currentDomain, delegationChain)
   if (!currentDomain) currentDomain = principalDomain;
   if (!delegationChain) delegationChain = [ principalDomain ];
 
-  fetchWellKnown(currentDomain, principalDomain, function(err, unparsedDoc) {
+  cachedFetchWellKnown(currentDomain, principalDomain, delegationChain, function(err, unparsedDoc) {
     if (err) return cb(err);
 
     var supportDoc;
@@ -238,6 +251,7 @@ function deepFetchWellKnown(principalDomain, cb, currentDomain, delegationChain)
 
       var details = {
         publicKey: supportDoc.publicKey,
+        publicKeys: supportDoc.publicKeys,
         urls: {
           auth: url_prefix + supportDoc.paths.authentication,
           prov: url_prefix + supportDoc.paths.provisioning
@@ -307,13 +321,57 @@ exports.checkSupport = function(principalDomain, cb) {
 
 const EMAIL_REGEX = /\@(.*)$/;
 
+// get the set of public keys of a domain, as an array of
+// { kid: <id or undefined>, publicKey: <parsed key> }
 exports.getPublicKey = function(domain, cb) {
   exports.checkSupport(domain, function(err, r) {
-    if (err || !r || !r.publicKey) {
+    if (err || !r || !r.publicKeys) {
       cb("can't get public key for " + domain + (err ? ": " + err : ""));
     } else {
-      cb(err, r.publicKey);
+      cb(err, r.publicKeys);
+    }
+  });
+};
+
+// select, from the set of `keys` of a domain, the public key which should be
+// used to verify `cert` (a serialized certificate).  A cert may name the key
+// which signed it with a `kid` in its header or payload, otherwise each key is
+// tried in turn.  If none verifies the cert, the first key is given so that
+// verification fails as it would have with a single key.
+exports.publicKeyForCert = function(keys, cert, cb) {
+  var kid;
+  try {
+    var components = jwcrypto.extractComponents(cert);
+    kid = components.header.kid || components.payload.kid;
+  } catch(e) {
+    // malformed certs will fail verification with a clearer error
+  }
+
+  var named = kid && keys.filter(function(key) { return key.kid === kid; })[0];
+  if (named) return process.nextTick(function() { cb(null, named.publicKey); });
+
+  (function tryKey(i) {
+    if (i === keys.length) return cb(null, keys[0].publicKey);
+    jwcrypto.verify(cert, keys[i].publicKey, function(err) {
+      if (!err) return cb(null, keys[i].publicKey);
+      tryKey(i + 1);
+    });
+  })(0);
+};
+
+// get the public key of `domain` which should be used to verify the root
+// certificate of `assertion` (a bundle)
+exports.getPublicKeyForAssertion = function(domain, assertion, cb) {
+  exports.getPublicKey(domain, function(err, keys) {
+    if (err) return cb(err);
+    var rootCert;
+    try {
+      rootCert = jwcrypto.cert.unbundle(assertion).certs[0];
+    } catch(e) {
+      // a malformed bundle will fail verification with a clearer error
+      return cb(null, keys[0].publicKey);
     }
+    exports.publicKeyForCert(keys, rootCert, cb);
   });
 };
 
@@ -337,9 +395,9 @@ exports.verifyAssertion = function(assertion, cb) {
     // where we sign assertions for other domains.
     rootIssuer = issuer; // remember for policy check later
     if (issuer === HOSTNAME) {
-      next(null, PUBLIC_KEY);
+      next(null, secrets.publicKeyForCert(KEY_RING, jwcrypto.cert.unbundle(assertion).certs[0]));
     } else {
-      exports.getPublicKey(issuer, function(err, pubKey) {
+      exports.getPublicKeyForAssertion(issuer, assertion, function(err, pubKey) {
         if (err) return next(err);
         next(null, pubKey);
       });
@@ -0,0 +1,97 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// token buckets which rate limit wsapi calls.
+//
+// each bucket holds up to `capacity` tokens and gains one every `refill_ms`.
+// A call takes a token from each of its buckets, and is refused while one of
+// them is empty.  Buckets are named by a policy (whose capacity and refill
+// rate are configured under `rate_limit.policies` in lib/configuration.js)
+// and a key, such as the IP address or email address the call is made for.
+//
+// usage:
+//
+//   const rateLimit = require('./rate_limit.js');
+//
+//   rateLimit.take('authentication', 'ip:127.0.0.1', function(err, retryAfter) {
+//     // retryAfter is 0 if a token was taken, otherwise the number of
+//     // seconds until one will be available
+//   });
+//
+// buckets are kept in the memory of the process.  Deployments running several
+// processes share the buckets of their dbwriter (see `rate_limit.store`).
+
+const
+config = require('./configuration.js');
+
+// a full bucket is the same as no bucket at all, so full ones are dropped
+// every so many takes to bound the memory used.
+const SWEEP_INTERVAL = 1000;
+
+var buckets = {},
+    takesSinceSweep = 0;
+
+function policy(name) {
+  var p = config.get('rate_limit.policies')[name];
+  if (!p) throw "unknown rate limit policy: " + name;
+  return p;
+}
+
+// the (fractional) number of tokens in a bucket now
+function tokensIn(bucket, now) {
+  return Math.min(bucket.capacity,
+                  bucket.tokens + (now - bucket.updated) / bucket.refill_ms);
+}
+
+function sweep(now) {
+  Object.keys(buckets).forEach(function(k) {
+    if (tokensIn(buckets[k], now) >= buckets[k].capacity) delete buckets[k];
+  });
+}
+
+exports.take = function(policyName, key, cb) {
+  var p;
+  try {
+    p = policy(policyName);
+  } catch(e) {
+    return process.nextTick(function() { cb(e); });
+  }
+
+  var now = new Date().getTime(),
+      name = policyName + ':' + key,
+      bucket = buckets[name];
+
+  if (!bucket) {
+    bucket = {
+      capacity: p.capacity,
+      refill_ms: p.refill_ms,
+      tokens: p.capacity,
+      updated: now
+    };
+  }
+
+  bucket.tokens = tokensIn(bucket, now);
+  bucket.updated = now;
+
+  var retryAfter = 0;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+  } else {
+    retryAfter = Math.ceil((1 - bucket.tokens) * bucket.refill_ms / 1000);
+  }
+  buckets[name] = bucket;
+
+  if (++takesSinceSweep >= SWEEP_INTERVAL) {
+    takesSinceSweep = 0;
+    sweep(now);
+  }
+
+  process.nextTick(function() { cb(null, retryAfter); });
+};
+
+// forget all buckets, for tests
+exports.reset = function() {
+  buckets = {};
+  takesSinceSweep = 0;
+};
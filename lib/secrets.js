@@ -118,3 +118,88 @@ exports.loadPublicKey = function(name, dir) {
   var pkString = parsedCert['public-key'] || parsedCert.publicKey;
   return jwcrypto.loadPublicKey(JSON.stringify(pkString));
 };
+
+// The root key may be rotated without invalidating certificates in flight
+// by way of a key ring.  A key ring is described by `<name>.keyring` in the
+// key directory, a JSON document of the form:
+//
+//   { "current": "<kid>", "keys": [ "<kid>", "<kid>", ... ] }
+//
+// where each key id names a `<kid>.secretkey` / `<kid>.cert` pair in the same
+// directory.  `current` is the key used to issue new certificates, all keys
+// in `keys` are published for verification.  In the absence of a keyring
+// file the single legacy key `<name>` is used, with a key id of `<name>`.
+function readKeyRing(name, dir) {
+  name = checkName(name);
+  dir = checkDir(dir);
+  var ring;
+
+  try {
+    ring = JSON.parse(fs.readFileSync(path.join(dir, name + ".keyring")).toString());
+  } catch(e) {
+    if (e.code !== 'ENOENT') throw "can't read key ring: " + e;
+    ring = { current: name, keys: [ name ] };
+  }
+
+  if (!Array.isArray(ring.keys) || ring.keys.indexOf(ring.current) === -1) {
+    throw "malformed key ring: current key '" + ring.current + "' is not in the ring";
+  }
+
+  return ring;
+}
+
+exports.writeKeyRing = function(ring, name, dir) {
+  name = checkName(name);
+  dir = checkDir(dir);
+  fs.writeFileSync(path.join(dir, name + ".keyring"), JSON.stringify(ring, null, 2));
+};
+
+// load the public keys of a key ring.  returns an object with the id of
+// the `current` key, the ordered list of key `ids`, the `publicKeys`
+// indexed by id, and the creation date of the `oldest` key in the ring.
+exports.loadKeyRing = function(name, dir) {
+  var ring = readKeyRing(name, dir);
+  var keyRing = {
+    current: ring.current,
+    ids: ring.keys,
+    publicKeys: {},
+    oldest: undefined
+  };
+
+  ring.keys.forEach(function(kid) {
+    keyRing.publicKeys[kid] = exports.loadPublicKey(kid, dir);
+    var created = exports.publicKeyCreationDate(kid, dir);
+    if (!keyRing.oldest || created < keyRing.oldest) keyRing.oldest = created;
+  });
+
+  return keyRing;
+};
+
+// load the secret key for the current key in the key ring, along with its id
+exports.loadCurrentSecretKey = function(name, dir) {
+  var ring = readKeyRing(name, dir);
+  return {
+    kid: ring.current,
+    secretKey: exports.loadSecretKey(ring.current, dir)
+  };
+};
+
+// select the public key which should be used to verify `cert` (a
+// serialized certificate) from `keyRing`.  Certificates carry the id of the
+// key that signed them in a `kid` claim, those issued before key rotation
+// was supported have none and are checked against the legacy key.  The
+// `kid` comes from a cert that isn't verified yet, so only ids actually in
+// the ring are honored and anything else falls back to the current key.
+exports.publicKeyForCert = function(keyRing, cert, name) {
+  var kid;
+  try {
+    kid = jwcrypto.extractComponents(cert).payload.kid;
+  } catch(e) {
+    // malformed certs will fail verification with a clearer error
+  }
+  kid = kid || checkName(name);
+  if (typeof kid === 'string' && Object.prototype.hasOwnProperty.call(keyRing.publicKeys, kid)) {
+    return keyRing.publicKeys[kid];
+  }
+  return keyRing.publicKeys[keyRing.current];
+};
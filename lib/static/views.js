@@ -15,6 +15,7 @@ etagify = require('etagify'),
 i18n = require('i18n-abide'),
 secrets = require('../secrets'),
 version = require('../version'),
+passwordPolicy = require('../password_policy.js'),
 querystring = require('querystring'),
 generate_version_js = require('../generate_code_version');
 
@@ -365,7 +366,10 @@ exports.setup = function(app) {
   });
 
   app.get("/reset_password", function(req,res) {
-    renderCachableView(req, res, 'reset_password.ejs', {title: _('Reset Password')});
+    renderCachableView(req, res, 'reset_password.ejs', {
+      title: _('Reset Password'),
+      password_min_length: passwordPolicy.hints().min_length
+    });
   });
 
   app.get("/confirm", function(req,res) {
@@ -382,6 +386,13 @@ exports.setup = function(app) {
     });
   });
 
+  app.get("/sign_in", function(req,res) {
+    renderCachableView(req, res, 'confirm.ejs', {
+      title: _('Sign In'),
+      start_blank: true
+    });
+  });
+
   var humans = fs.readFileSync(path.join(__dirname, "..", "..", "CONTRIBUTORS")).toString();
   app.get("/humans.txt", function(req, res) {
     cacheAllTheThings(res);
@@ -451,9 +462,11 @@ exports.setup = function(app) {
   }
 
   try {
-    const publicKey = secrets.loadPublicKey();
+    const keyRing = secrets.loadKeyRing();
+    const publicKey = keyRing.publicKeys[keyRing.current];
+    const unverifiedKeyRing = secrets.loadKeyRing('unverified');
   } catch(e){
-    logger.error("can't read public key, exiting: " + e);
+    logger.error("can't read public keys, exiting: " + e);
     process.nextTick(function() { process.exit(1); });
   }
 
@@ -470,6 +483,20 @@ exports.setup = function(app) {
   // that this is a secondary, and verifiers should only trust
   // login.persona.org as a secondary (and anyone else they decide to for
   // whatever reason).
+  //
+  // `public-key` is the key currently used to issue certificates.  `keys`
+  // lists every key in our key ring, current and retired, tagged with the
+  // `kid` that certificates signed by it carry.  Certificates for unverified
+  // emails are signed by a separate key ring, advertised as
+  // `unverified-public-key` and `unverified-keys`.
+  function publishedKeys(ring) {
+    return ring.ids.map(function(kid) {
+      var key = ring.publicKeys[kid].toSimpleObject();
+      key.kid = kid;
+      return key;
+    });
+  }
+
   app.get("/.well-known/browserid", function(req, res) {
     // set a very conservative cache-control header on the .well-known,
     // verifiers should ping us frequently.  As we become more comfortable
@@ -489,6 +516,9 @@ exports.setup = function(app) {
     } else {
       res.json({
         'public-key': publicKey.toSimpleObject(),
+        'keys': publishedKeys(keyRing),
+        'unverified-public-key': unverifiedKeyRing.publicKeys[unverifiedKeyRing.current].toSimpleObject(),
+        'unverified-keys': publishedKeys(unverifiedKeyRing),
         'provisioning': '/provision',
         'authentication': '/auth#native'
       });
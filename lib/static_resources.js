@@ -118,6 +118,7 @@ var dialog_js = und.flatten([
     '/dialog/js/modules/primary_offline.js',
     '/dialog/js/modules/generate_assertion.js',
     '/dialog/js/modules/is_this_your_computer.js',
+    '/dialog/js/modules/verify_second_factor.js',
     '/dialog/js/modules/set_password.js',
     '/dialog/js/modules/rp_info.js',
     '/dialog/js/modules/inline_tospp.js',
@@ -0,0 +1,144 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// an in-process cache of support documents (/.well-known/browserid), so that
+// a slow primary doesn't slow down every request concerning its users.
+//
+// a document is cached for as long as its Cache-Control or Expires headers
+// allow, within `support_document_cache.min_ttl_ms` and `max_ttl_ms`.  A
+// failure to fetch a document is cached for `negative_ttl_ms`, unless a
+// document was fetched before, in which case that stale document keeps being
+// used for up to `max_stale_ms` past its expiry.
+//
+// hits and misses, and uses of stale documents, are counted in statsd as
+// support_document_cache.hit, .miss and .stale
+
+const
+config = require('./configuration.js'),
+logger = require('./logging/logging.js').logger;
+
+// the cached documents, in the order they were stored:
+//   key -> { body: <document>, err: <why it couldn't be fetched>,
+//            expires: <ms>, staleUntil: <ms> }
+var entries = {},
+    count = 0;
+
+// the callbacks waiting on a document being fetched, by key
+var fetching = {};
+
+function now() { return new Date().getTime(); }
+
+function setting(name) {
+  return config.get('support_document_cache.' + name);
+}
+
+// how long, in ms, the headers of a response say it may be cached for.
+// null if they don't say
+function freshnessLifetime(headers) {
+  var cacheControl = headers['cache-control'];
+  if (cacheControl) {
+    var directives = {};
+    cacheControl.toLowerCase().split(',').forEach(function(directive) {
+      var parts = directive.split('=');
+      directives[parts[0].trim()] = (parts[1] || '').trim().replace(/"/g, '');
+    });
+
+    if (directives.hasOwnProperty('no-store') || directives.hasOwnProperty('no-cache')) {
+      return 0;
+    }
+
+    // we are a shared cache, s-maxage takes precedence
+    var maxAge = parseInt(directives['s-maxage'] || directives['max-age'], 10);
+    if (!isNaN(maxAge)) return maxAge * 1000;
+  }
+
+  if (headers.expires) {
+    // an invalid date means the response has already expired
+    var expires = Date.parse(headers.expires);
+    if (isNaN(expires)) return 0;
+
+    var date = Date.parse(headers.date);
+    return expires - (isNaN(date) ? now() : date);
+  }
+
+  return null;
+}
+
+function timeToLive(headers) {
+  var lifetime = headers ? freshnessLifetime(headers) : null;
+  if (lifetime === null) lifetime = 0;
+  return Math.min(Math.max(lifetime, setting('min_ttl_ms')), setting('max_ttl_ms'));
+}
+
+function store(key, entry) {
+  if (entries.hasOwnProperty(key)) delete entries[key];
+  else count++;
+  entries[key] = entry;
+
+  // forget the documents stored longest ago
+  var max = setting('max_entries');
+  for (var oldest in entries) {
+    if (count <= max) break;
+    delete entries[oldest];
+    count--;
+  }
+}
+
+// call `cb(err, body)` with the support document cached as `key`.  If it
+// isn't cached, `fetcher(done)` is called to fetch it, and must call
+// `done(err, body, headers)` with the response.
+exports.fetch = function(key, fetcher, cb) {
+  var entry = entries[key];
+
+  if (entry && now() < entry.expires) {
+    logger.info('support_document_cache.hit');
+    return process.nextTick(function() { cb(entry.err, entry.body); });
+  }
+
+  logger.info('support_document_cache.miss');
+
+  // only fetch a document once at a time
+  if (fetching[key]) return fetching[key].push(cb);
+  fetching[key] = [ cb ];
+
+  fetcher(function(err, body, headers) {
+    var t = now(), waiting = fetching[key];
+    delete fetching[key];
+
+    if (!err) {
+      var expires = t + timeToLive(headers);
+      store(key, {
+        body: body,
+        expires: expires,
+        staleUntil: expires + setting('max_stale_ms')
+      });
+    } else if (entry && entry.body && t < entry.staleUntil) {
+      logger.info('support_document_cache.stale');
+      logger.warn("couldn't refresh support document " + key + ", using a stale one: " + err);
+      err = null;
+      body = entry.body;
+      // try again once a failure would have expired
+      store(key, {
+        body: body,
+        expires: t + setting('negative_ttl_ms'),
+        staleUntil: entry.staleUntil
+      });
+    } else {
+      store(key, {
+        err: err,
+        expires: t + setting('negative_ttl_ms')
+      });
+    }
+
+    waiting.forEach(function(cb) {
+      cb(err, body);
+    });
+  });
+};
+
+// forget all cached documents
+exports.clear = function() {
+  entries = {};
+  count = 0;
+};
@@ -0,0 +1,112 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Time-based one time passwords (RFC 6238), as generated by common
+ * authenticator apps: HMAC-SHA1 over a 30 second time step, truncated to
+ * six digits.  Secrets are exchanged and stored base32 encoded.
+ */
+
+const
+crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// how many steps either side of the current one we accept, to allow for
+// clock skew and slow typists
+const WINDOW = 1;
+const SECRET_BYTES = 20;
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  var out = "", bits = 0, value = 0;
+  for (var i = 0; i < buf.length; i++) {
+    value = (value << 8) | buf[i];
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32.charAt((value >>> (bits - 5)) & 31);
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32.charAt((value << (5 - bits)) & 31);
+  return out;
+}
+
+// returns null if `str` isn't base32.  padding, whitespace and case are
+// forgiven, as users sometimes type secrets in by hand.
+function base32Decode(str) {
+  if (typeof str !== 'string') return null;
+  str = str.replace(/[\s=]/g, '').toUpperCase();
+  var bytes = [], bits = 0, value = 0;
+  for (var i = 0; i < str.length; i++) {
+    var v = BASE32.indexOf(str.charAt(i));
+    if (v === -1) return null;
+    value = ((value << 5) | v) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Buffer(bytes);
+}
+
+// the time step `date` (default now) falls in
+function stepAt(date) {
+  var ms = (date || new Date()).getTime();
+  return Math.floor(ms / 1000 / STEP_SECONDS);
+}
+
+// the code for time step `step` of the base32 encoded `secret`
+function codeAt(secret, step) {
+  var key = base32Decode(secret);
+  if (!key || !key.length) throw "invalid totp secret";
+
+  var counter = new Buffer(8);
+  counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+  counter.writeUInt32BE(step % 0x100000000, 4);
+
+  var hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  var offset = hmac[hmac.length - 1] & 0xf;
+  var binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  var code = String(binary % Math.pow(10, DIGITS));
+  while (code.length < DIGITS) code = "0" + code;
+  return code;
+}
+
+exports.STEP_SECONDS = STEP_SECONDS;
+exports.base32Encode = base32Encode;
+exports.base32Decode = base32Decode;
+exports.stepAt = stepAt;
+exports.codeAt = codeAt;
+
+// a new random secret, base32 encoded
+exports.generateSecret = function() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+};
+
+// check `code` against `secret`.  Returns the time step the code matched,
+// or null.  Steps at or before `lastStep`, the last one accepted for this
+// secret, are refused so that an observed code can't be replayed.
+exports.verify = function(secret, code, lastStep, date) {
+  if (typeof code !== 'string' || code.length !== DIGITS) return null;
+  var now = stepAt(date);
+  for (var step = now - WINDOW; step <= now + WINDOW; step++) {
+    if (lastStep && step <= lastStep) continue;
+    if (codeAt(secret, step) === code) return step;
+  }
+  return null;
+};
+
+// the otpauth:// url authenticator apps read (usually from a QR code) to
+// enroll `secret` for `email`
+exports.provisioningURL = function(secret, email, issuer) {
+  issuer = issuer || "Persona";
+  return "otpauth://totp/" + encodeURIComponent(issuer) + ":" + encodeURIComponent(email) +
+    "?secret=" + secret + "&issuer=" + encodeURIComponent(issuer);
+};
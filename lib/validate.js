@@ -39,6 +39,27 @@ var types = {
   token: function(x) {
     check(x).len(48,48).isAlphanumeric();
   },
+  totp_code: function(x) {
+    check(x).len(6,6).isNumeric();
+  },
+  session_id: function(x) {
+    check(x).len(32,32).isAlphanumeric();
+  },
+  device: function(x) {
+    check(x).len(1,64);
+  },
+  timestamp: function(x) {
+    check(x).isInt();
+  },
+  rate_limit_policy: function(x) {
+    check(x).len(1,64).is(/^[a-z_]+$/);
+  },
+  rate_limit_key: function(x) {
+    check(x).len(1,300);
+  },
+  operator: function(x) {
+    check(x).len(1,64).is(/^[a-zA-Z0-9._@\-]+$/);
+  },
   assertion: function(x) {
     check(x).len(50,10240).regex(/[0-9a-zA-Z~_\-]+/);
   },
@@ -84,6 +105,44 @@ var types = {
   }
 };
 
+// JSON Schema descriptions of the types above, published as part of the
+// wsapi schema (see lib/wsapi_schema.js).  Each type must have one.
+var schemas = {
+  email: { type: 'string', format: 'email' },
+  email_type: { type: 'string', 'enum': [ 'primary', 'secondary' ] },
+  userid: { type: 'integer' },
+  password: { type: 'string', minLength: 8, maxLength: 80 },
+  boolean: { type: 'boolean' },
+  token: { type: 'string', minLength: 48, maxLength: 48, pattern: '^[a-zA-Z0-9]+$' },
+  totp_code: { type: 'string', pattern: '^[0-9]{6}$' },
+  session_id: { type: 'string', minLength: 32, maxLength: 32, pattern: '^[a-zA-Z0-9]+$' },
+  device: { type: 'string', minLength: 1, maxLength: 64 },
+  timestamp: { type: 'integer' },
+  rate_limit_policy: { type: 'string', minLength: 1, maxLength: 64, pattern: '^[a-z_]+$' },
+  rate_limit_key: { type: 'string', minLength: 1, maxLength: 300 },
+  operator: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    pattern: '^[a-zA-Z0-9._@\\-]+$',
+    description: 'who is acting, for the audit log'
+  },
+  assertion: { type: 'string', minLength: 50, maxLength: 10240 },
+  pubkey: {
+    type: 'string',
+    minLength: 50,
+    maxLength: 10240,
+    description: 'a JSON serialized public key'
+  },
+  hostname: { type: 'string', format: 'hostname' },
+  origin: {
+    type: 'string',
+    pattern: '^(?:https?|app)://[a-zA-Z0-9.\\-]+(:[0-9]+)?$'
+  },
+  color: { type: 'string', pattern: '^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$' },
+  image: { type: 'string', format: 'uri', description: 'an https:// url' }
+};
+
 module.exports = function (params) {
   // normalize the parameters description, verify all specified types are present
   if (Array.isArray(params) || typeof params !== 'object' || typeof params === null) {
@@ -156,3 +215,9 @@ module.exports = function (params) {
     next();
   };
 };
+
+// the JSON Schema of a type, throws for types that have none
+module.exports.schemaFor = function(type) {
+  if (!types[type] || !schemas[type]) throw "no schema for type: " + type;
+  return JSON.parse(JSON.stringify(schemas[type]));
+};
@@ -11,16 +11,19 @@ config = require("../configuration.js"),
 logger = require("../logging/logging.js").logger,
 secrets = require('../secrets.js'),
 primary = require('../primary.js'),
+errors = require('./error_codes.js'),
 urlparse = require('urlparse');
 
 require("jwcrypto/lib/algs/ds");
 require("jwcrypto/lib/algs/rs");
 
 try {
-  const publicKey = secrets.loadPublicKey();
-  if (typeof publicKey !== 'object') throw "secrets.loadPublicKey() returns non-object, load failure";
+  // all of our published keys, current and retired, are valid for verification
+  const keyRing = secrets.loadKeyRing();
+  // ... but unverified emails are certified with keys of their own
+  const unverifiedKeyRing = secrets.loadKeyRing('unverified');
 } catch(e){
-  logger.error("can't read public key, exiting: " + e);
+  logger.error("can't read public keys, exiting: " + e);
   setTimeout(function() { process.exit(1); }, 0);
 }
 
@@ -87,34 +90,91 @@ function compareAudiences(want, got) {
   }
 }
 
+// Given the list of verified certificates in a chain, check that each
+// intermediate was certified by its predecessor and is authorized by the
+// `certificate_chains.intermediates` configuration to issue certificates
+// for emails in `emailDomain`.  Returns an error, or undefined if the
+// chain is acceptable.  The error is accompanied by a code from
+// error_codes.js.
+function checkIntermediates(certParamsArray, emailDomain) {
+  const intermediates = config.get('certificate_chains.intermediates');
+
+  for (var i = 1; i < certParamsArray.length; i++) {
+    var issuer = certParamsArray[i].assertionParams.issuer;
+    var certifiedHost = certParamsArray[i - 1].certParams.principal.host;
+
+    // the intermediate must sign as the host its parent certified
+    if (!issuer || issuer !== certifiedHost) {
+      return {
+        reason: "certificate chain broken: '" + issuer + "' was not certified by its parent",
+        code: errors.INVALID_CERTIFICATE_CHAIN
+      };
+    }
+
+    var allowedDomains = intermediates[issuer];
+    if (!Array.isArray(allowedDomains) || allowedDomains.indexOf(emailDomain) === -1) {
+      return {
+        reason: "intermediate issuer '" + issuer + "' may not speak for emails from '"
+          + emailDomain + "'",
+        code: errors.ISSUER_NOT_AUTHORIZED
+      };
+    }
+  }
+}
+
 // verify the tuple certList, assertion, audience
 //
 // assertion is a bundle of the underlying assertion and the cert list
 // audience is a web origin, e.g. https://foo.com or http://foo.org:81
 // forceIssuer is a hostname or `undefined` for normal BID protocol
 // allowUnverified is boolean to check for email or unverified-email
+//
+// upon failure, errorCB is invoked with a human readable reason and a
+// stable code from error_codes.js.
+// upon success, successCB is invoked with the email, audience, expiration,
+// the issuer of the root certificate, whether the email is verified, and the
+// issuer path: an array of every issuer in the chain, starting with the root.
 function verify(assertion, audience, forceIssuer, allowUnverified, successCB, errorCB) {
   // assertion is bundle
-  var ultimateIssuer,
+  var rootIssuer,
       verified = true;
 
+  // the key from our key rings which signed the root certificate.  A cert
+  // which certifies only an unverified email must have been signed by an
+  // unverified key, all others by a verified key, so neither kind of key
+  // can vouch for the other kind of email.
+  function ourPublicKey() {
+    var rootCert, principal;
+    try {
+      rootCert = jwcrypto.cert.unbundle(assertion).certs[0];
+      principal = jwcrypto.extractComponents(rootCert).payload.principal;
+    } catch(e) {
+      // a malformed bundle will fail verification with a clearer error
+    }
+    if (principal && principal[UNVERIFIED_EMAIL] && !principal.email) {
+      return secrets.publicKeyForCert(unverifiedKeyRing, rootCert, 'unverified');
+    }
+    return secrets.publicKeyForCert(keyRing, rootCert);
+  }
+
   jwcrypto.cert.verifyBundle(
     assertion,
     new Date(), function(issuer, next) {
-      // update issuer with each issuer in the chain, so the
-      // returned issuer will be the last cert in the chain
-      ultimateIssuer = issuer;
+      // the key we're asked to fetch belongs to the root of the chain,
+      // keys for any subsequent certs are embedded in their parent cert
+      rootIssuer = issuer;
 
       // allow other retrievers for testing
-      if (issuer === HOSTNAME) return next(null, publicKey);
+      if (issuer === HOSTNAME) return next(null, ourPublicKey());
       else if (config.get('disable_primary_support')) {
         return errorCB("this verifier doesn't respect certs issued from domains other than: " +
-                       HOSTNAME);
+                       HOSTNAME, errors.ISSUER_NOT_AUTHORIZED);
       } else if (issuer === forceIssuer) {
         if (config.get('forcible_issuers').indexOf(forceIssuer) === -1) {
-          return errorCB("this verifier won't force issuer for " + forceIssuer);
+          return errorCB("this verifier won't force issuer for " + forceIssuer,
+                         errors.ISSUER_NOT_AUTHORIZED);
         } else {
-          return next(null, publicKey);
+          return next(null, ourPublicKey());
         }
       }
 
@@ -125,23 +185,29 @@ function verify(assertion, audience, forceIssuer, allowUnverified, successCB, er
       // compute process at some point.
 
       // let's go fetch the public key for this host
-      primary.getPublicKey(issuer, function(err, pubKey) {
-        if (err) return errorCB(err);
+      primary.getPublicKeyForAssertion(issuer, assertion, function(err, pubKey) {
+        if (err) return errorCB(err, errors.PRIMARY_FETCH_FAILED);
         next(null, pubKey);
       });
     }, function(err, certParamsArray, payload, assertionParams) {
-      if (err) return errorCB(err);
+      if (err) return errorCB(err, errors.cryptoCode(err));
 
-      // for now, to be extra safe, we don't allow cert chains
-      if (certParamsArray.length > 1)
-        return errorCB("certificate chaining is not yet allowed");
+      // chains are only permitted up to the configured length, and when
+      // chaining is disabled we refuse them outright
+      const maxChainLength = config.get('certificate_chains.max_length');
+      if (certParamsArray.length > 1 && maxChainLength <= 1)
+        return errorCB("certificate chaining is not yet allowed", errors.INVALID_CERTIFICATE_CHAIN);
+      if (certParamsArray.length > maxChainLength)
+        return errorCB("certificate chain too long: " + certParamsArray.length +
+                       " certificates, at most " + maxChainLength + " allowed",
+                       errors.INVALID_CERTIFICATE_CHAIN);
 
       // audience must match!
       err = compareAudiences(assertionParams.audience, audience);
       if (err) {
         logger.debug("verification failure, audience mismatch: '"
                      + assertionParams.audience + "' != '" + audience + "': " + err);
-        return errorCB("audience mismatch: " + err);
+        return errorCB("audience mismatch: " + err, errors.audienceCode(err));
       }
 
       // principal is in the last cert
@@ -149,7 +215,7 @@ function verify(assertion, audience, forceIssuer, allowUnverified, successCB, er
 
       // unverified assertions are only valid if they are expected
       if (principal[UNVERIFIED_EMAIL] && !allowUnverified) {
-        return errorCB("unverified email");
+        return errorCB("unverified email", errors.UNVERIFIED_EMAIL);
       }
 
       // verify that the issuer is the same as the email domain or
@@ -161,25 +227,35 @@ function verify(assertion, audience, forceIssuer, allowUnverified, successCB, er
       }
 
       if (!email) {
-        return errorCB("missing email");
+        return errorCB("missing email", errors.MISSING_EMAIL);
       }
 
       var domainFromEmail = primary.domainFromEmail(email);
 
-      if (ultimateIssuer !== HOSTNAME &&
-          ultimateIssuer !== domainFromEmail &&
-          ultimateIssuer !== forceIssuer)
+      // every intermediate in the chain must be allowed to speak for
+      // the email's domain
+      err = checkIntermediates(certParamsArray, domainFromEmail);
+      if (err) return errorCB(err.reason, err.code);
+
+      var issuerPath = [ rootIssuer ];
+      for (var i = 1; i < certParamsArray.length; i++) {
+        issuerPath.push(certParamsArray[i].assertionParams.issuer);
+      }
+
+      if (rootIssuer !== HOSTNAME &&
+          rootIssuer !== domainFromEmail &&
+          rootIssuer !== forceIssuer)
       {
-          primary.delegatesAuthority(domainFromEmail, ultimateIssuer, function (delegated) {
+          primary.delegatesAuthority(domainFromEmail, rootIssuer, function (delegated) {
             if (delegated) {
-              return successCB(email, assertionParams.audience, assertionParams.expiresAt, ultimateIssuer, verified);
+              return successCB(email, assertionParams.audience, assertionParams.expiresAt, rootIssuer, verified, issuerPath);
             } else {
-              return errorCB("issuer '" + ultimateIssuer + "' may not speak for emails from '"
-                         + domainFromEmail + "'");
+              return errorCB("issuer '" + rootIssuer + "' may not speak for emails from '"
+                         + domainFromEmail + "'", errors.ISSUER_NOT_AUTHORIZED);
             }
           });
       } else {
-        return successCB(email, assertionParams.audience, assertionParams.expiresAt, ultimateIssuer, verified);
+        return successCB(email, assertionParams.audience, assertionParams.expiresAt, rootIssuer, verified, issuerPath);
       }
     }, errorCB);
 }
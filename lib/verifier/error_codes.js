@@ -0,0 +1,67 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/*
+ * Stable, machine readable codes which accompany every verification
+ * failure `reason`.  Reasons are human readable and may change, codes
+ * may not: RPs and operators can branch on these.
+ */
+
+const CODES = {
+  // request level failures
+  MISSING_PARAMETERS: 'missing_parameters',
+  BAD_CONTENT_TYPE: 'bad_content_type',
+  BAD_BATCH: 'bad_batch',
+  BATCH_TOO_LARGE: 'batch_too_large',
+
+  // the audience provided by the RP does not match the assertion
+  AUDIENCE_MISMATCH_SCHEME: 'audience_mismatch_scheme',
+  AUDIENCE_MISMATCH_PORT: 'audience_mismatch_port',
+  AUDIENCE_MISMATCH_DOMAIN: 'audience_mismatch_domain',
+  AUDIENCE_MALFORMED: 'audience_malformed',
+
+  // problems with the assertion or its certificates
+  MALFORMED_ASSERTION: 'malformed_assertion',
+  BAD_SIGNATURE: 'bad_signature',
+  EXPIRED: 'expired',
+  ISSUED_IN_FUTURE: 'issued_in_future',
+  INVALID_CERTIFICATE_CHAIN: 'invalid_certificate_chain',
+  MISSING_EMAIL: 'missing_email',
+  UNVERIFIED_EMAIL: 'unverified_email',
+  REPLAYED: 'replayed',
+
+  // problems with the issuer
+  ISSUER_NOT_AUTHORIZED: 'issuer_not_authorized',
+  PRIMARY_FETCH_FAILED: 'primary_fetch_failed',
+
+  // something went wrong on our end
+  INTERNAL_ERROR: 'internal_error'
+};
+
+// map the failure strings returned by `compareAudiences()` to codes
+const AUDIENCE_CODES = {
+  'scheme mismatch': CODES.AUDIENCE_MISMATCH_SCHEME,
+  'port mismatch': CODES.AUDIENCE_MISMATCH_PORT,
+  'domain mismatch': CODES.AUDIENCE_MISMATCH_DOMAIN
+};
+
+// map the failure strings returned by jwcrypto to codes
+const CRYPTO_CODES = {
+  'assertion has expired': CODES.EXPIRED,
+  'assertion issued later than verification date': CODES.ISSUED_IN_FUTURE,
+  'bad signature in chain': CODES.BAD_SIGNATURE,
+  'invalid signature': CODES.BAD_SIGNATURE
+};
+
+exports.audienceCode = function(err) {
+  return AUDIENCE_CODES[err] || CODES.AUDIENCE_MALFORMED;
+};
+
+exports.cryptoCode = function(err) {
+  return CRYPTO_CODES[err] || CODES.MALFORMED_ASSERTION;
+};
+
+Object.keys(CODES).forEach(function(k) {
+  exports[k] = CODES[k];
+});
@@ -0,0 +1,52 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* An optional cache of verified assertions which lets the verifier detect
+ * replays.  Entries are keyed by the assertion's signature, scoped per
+ * audience, and are retained until the assertion expires.  Backends live
+ * in replay_cache/ and must implement `open`, `record` and `close`.
+ */
+
+const
+crypto = require('crypto'),
+logger = require('../logging/logging.js').logger;
+
+var backend;
+
+exports.open = function(cfg, cb) {
+  var backendName = cfg.backend || 'memory';
+  try {
+    backend = require('./replay_cache/' + backendName + '.js');
+  } catch(e) {
+    return cb("couldn't find replay cache backend: " + backendName + ": " + e.toString());
+  }
+  logger.info("assertion replay detection enabled, using " + backendName + " backend");
+  backend.open(cfg, cb);
+};
+
+exports.close = function(cb) {
+  if (!backend) return cb && cb(null);
+  backend.close(function(err) {
+    backend = undefined;
+    if (cb) cb(err);
+  });
+};
+
+// extract the signature of the assertion (not the certificates) from a
+// backed assertion bundle
+function signatureFromBundle(bundle) {
+  var signedAssertion = String(bundle).split('~').pop();
+  return signedAssertion.split('.').pop();
+}
+
+// record that the assertion in `bundle` was successfully verified for
+// `audience`, and expires at `expires` (ms since the epoch).  Calls back
+// with `true` as the second argument if the assertion was seen before.
+exports.checkAndRecord = function(bundle, audience, expires, cb) {
+  if (!backend) return cb("replay cache not open");
+  var key = crypto.createHash('sha256')
+    .update(audience + '\n' + signatureFromBundle(bundle))
+    .digest('hex');
+  backend.record(key, expires, cb);
+};
@@ -0,0 +1,60 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* An in-memory replay cache backend.  Only suitable when a single verifier
+ * process handles all verification for a given audience.
+ *
+ * Entries are only forgotten once their assertion expires: forgetting one
+ * sooner would let its assertion be replayed.  So when the cache is full of
+ * unexpired entries, recording another fails, and so does its verification.
+ */
+
+const logger = require('../../logging/logging.js').logger;
+
+// how often we sweep expired entries out of the cache
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+var entries, count, maxEntries, purgeTimer;
+
+function purge() {
+  var now = new Date().getTime();
+  Object.keys(entries).forEach(function(k) {
+    if (entries[k] <= now) {
+      delete entries[k];
+      count--;
+    }
+  });
+}
+
+exports.open = function(cfg, cb) {
+  entries = {};
+  count = 0;
+  maxEntries = cfg.max_entries;
+  purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+  process.nextTick(function() { cb(null); });
+};
+
+exports.close = function(cb) {
+  clearInterval(purgeTimer);
+  entries = undefined;
+  process.nextTick(function() { cb(null); });
+};
+
+exports.record = function(key, expires, cb) {
+  var now = new Date().getTime();
+  var seen = entries.hasOwnProperty(key) && entries[key] > now;
+
+  if (!seen && !entries.hasOwnProperty(key)) {
+    // when full, sweep out expired entries to make room
+    if (count >= maxEntries) purge();
+    if (count >= maxEntries) {
+      logger.warn('replay_cache.full');
+      return process.nextTick(function() { cb("replay cache is full"); });
+    }
+    count++;
+  }
+  if (!seen) entries[key] = expires;
+
+  process.nextTick(function() { cb(null, seen); });
+};
@@ -0,0 +1,110 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* A MySQL replay cache backend, which lets several verifier processes
+ * (typically behind the router) share knowledge of verified assertions.
+ * It uses the connection parameters of the main `database` configuration.
+ *
+ * The Schema:
+ *
+ *    +--- verifier_replay ---+
+ *    |*char(64)  id          |
+ *    | timestamp expires     |
+ *    +-----------------------+
+ *
+ * The table is created by the versioned migrations of the main database
+ * (see lib/db/mysql_migrate.js).
+ */
+
+const
+mysql = require('../../db/mysql_wrapper.js'),
+migrate = require('../../db/mysql_migrate.js'),
+logger = require('../../logging/logging.js').logger;
+
+// the schema version which adds the verifier_replay table
+const REQUIRED_VERSION = 7;
+
+// how often we sweep expired entries out of the table
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+var client, purgeTimer;
+
+function now() { return Math.floor(new Date().getTime() / 1000); }
+
+function purge() {
+  client.query("DELETE FROM verifier_replay WHERE expires < FROM_UNIXTIME(?)", [ now() ],
+               function(err) {
+    if (err) logger.warn("couldn't purge expired replay cache entries: " + err);
+  });
+}
+
+exports.open = function(cfg, cb) {
+  if (client) throw "replay cache is already open!";
+
+  var database = cfg.database.name || "browserid";
+  var options = {
+    host: cfg.database.host || '127.0.0.1',
+    port: "3306",
+    user: cfg.database.user || undefined,
+    password: cfg.database.password || undefined,
+    database: database
+  };
+  Object.keys(options).forEach(function(param) {
+    if (options[param] === undefined) delete options[param];
+  });
+
+  client = mysql.createClient(options);
+
+  function fail(err) {
+    client.end(function() { });
+    client = undefined;
+    cb(err);
+  }
+
+  function ready() {
+    // refuse to run against a schema newer than this code understands, or
+    // one without the table
+    migrate.checkVersion(client, function(err, version) {
+      if (err) return fail(err);
+      if (version < REQUIRED_VERSION) {
+        return fail("database schema is at version " + version + ", the replay cache needs " +
+                    "version " + REQUIRED_VERSION + ".  apply migrations with scripts/db_migrate.js");
+      }
+      purgeTimer = setInterval(purge, PURGE_INTERVAL_MS);
+      cb(null);
+    });
+  }
+
+  if (cfg.database.create_schema) {
+    logger.debug("migrating schema if required");
+    migrate.migrate(client, migrate.LATEST, function(err) {
+      if (err) return fail(err);
+      ready();
+    });
+  } else {
+    ready();
+  }
+};
+
+exports.close = function(cb) {
+  clearInterval(purgeTimer);
+  client.end(function(err) {
+    client = undefined;
+    cb(err === undefined ? null : err);
+  });
+};
+
+exports.record = function(key, expires, cb) {
+  // clear out a stale record for this key, if any, then try to claim it.
+  // if the insert is ignored, another verification beat us to it.
+  client.query("DELETE FROM verifier_replay WHERE id = ? AND expires < FROM_UNIXTIME(?)",
+               [ key, now() ], function(err) {
+    if (err) return cb(err);
+    client.query("INSERT IGNORE INTO verifier_replay (id, expires) VALUES(?, FROM_UNIXTIME(?))",
+                 [ key, Math.ceil(expires / 1000) ], function(err, r) {
+      if (err) return cb(err);
+      cb(null, r.affectedRows === 0);
+    });
+  });
+};
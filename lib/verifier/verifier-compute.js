@@ -3,27 +3,29 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 const
-certassertion = require('./certassertion.js');
+certassertion = require('./certassertion.js'),
+errors = require('./error_codes.js');
 
 process.on('message', function(m) {
   try {
     certassertion.verify(
       m.assertion, m.audience, m.forceIssuer, !!m.allowUnverified,
-      function(email, audienceFromAssertion, expires, issuer, verified) {
+      function(email, audienceFromAssertion, expires, issuer, verified, issuerPath) {
         var data = {
           success: {
             audience: audienceFromAssertion,
             expires: expires,
-            issuer: issuer
+            issuer: issuer,
+            issuerPath: issuerPath
           }
         };
         verified ? data.success.email = email : data.success['unverified-email'] = email;
         process.send(data);
       },
-      function(error) {
-        process.send({error: error});
+      function(error, code) {
+        process.send({error: error, code: code});
       });
   } catch(e) {
-    process.send({error: e.toString()});
+    process.send({error: e.toString(), code: errors.MALFORMED_ASSERTION});
   }
 });
@@ -11,6 +11,10 @@ var jwcrypto = require("jwcrypto");
 //     * authority - the domain authority is delegated to
 //   * if type is "supported":
 //     * publicKey - a parsed representation of the public key
+//     * publicKeys - every key of the domain, each as { kid: <id or undefined>,
+//       publicKey: <parsed key> }.  A domain rotating its key lists its old
+//       and new keys in `keys`, where `public-key` is the legacy key for
+//       verifiers which don't understand `keys`.
 //     * paths.authentication - the path to the 'authentication' html
 //     * paths.provisioning - the path to the 'provisioning' html
 module.exports = function(doc) {
@@ -26,7 +30,7 @@ module.exports = function(doc) {
 
   // there are three main types of support documents
   // 1. "supported" - declares the domain is a browserid authority,
-  //    contains public-key, authentication, and provisioning
+  //    contains public-key (and/or keys), authentication, and provisioning
   // 2. "delegation" - declares the domain allows a different domain
   //    to be authoritative for it.
   // 3. "disable" - domain declares explicitly that it wants a secondary
@@ -56,7 +60,8 @@ module.exports = function(doc) {
   var parsed = {
     type: "supported",
     paths: {},
-    publicKey: null
+    publicKey: null,
+    publicKeys: []
   };
 
   [ 'authentication', 'provisioning' ].forEach(function(requiredKey) {
@@ -67,15 +72,40 @@ module.exports = function(doc) {
     }
   });
 
-  if (!doc['public-key']) {
+  if (doc.keys !== undefined && (!Array.isArray(doc.keys) || !doc.keys.length)) {
+    throw "malformed keys";
+  }
+
+  if (!doc['public-key'] && !doc.keys) {
     throw "support document missing required 'public-key'";
   }
 
-  // can we parse that key?
-  try {
-    parsed.publicKey = jwcrypto.loadPublicKeyFromObject(doc['public-key']);
-  } catch(e) {
-    throw "mal-formed public key in support doc: " + e.toString();
+  // can we parse those keys?
+  function loadKey(obj) {
+    try {
+      return jwcrypto.loadPublicKeyFromObject(obj);
+    } catch(e) {
+      throw "mal-formed public key in support doc: " + e.toString();
+    }
+  }
+
+  (doc.keys || []).forEach(function(key) {
+    if (key === null || typeof key !== 'object') throw "malformed keys";
+    if (key.kid !== undefined && typeof key.kid !== 'string') throw "malformed key id";
+    parsed.publicKeys.push({ kid: key.kid, publicKey: loadKey(key) });
+  });
+
+  if (doc['public-key']) {
+    parsed.publicKey = loadKey(doc['public-key']);
+
+    // the legacy key is usually also listed in `keys`
+    var serialized = parsed.publicKey.serialize();
+    var listed = parsed.publicKeys.some(function(key) {
+      return key.publicKey.serialize() === serialized;
+    });
+    if (!listed) parsed.publicKeys.unshift({ publicKey: parsed.publicKey });
+  } else {
+    parsed.publicKey = parsed.publicKeys[0].publicKey;
   }
 
   // success!
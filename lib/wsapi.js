@@ -9,10 +9,18 @@
 // each handler under wsapi/ supports the following exports:
 //   exports.process - function(req, res) - process a request
 //   exports.writes_db - must be true if the processing causes a database write
+//   exports.on_dbwriter - if true, the wsapi is served by the dbwriter even
+//                         though it doesn't write, as it must see the writes
+//                         as they happen
 //   exports.method - either 'get' or 'post'
-//   exports.authed - whether the wsapi requires authentication
+//   exports.authed - whether the wsapi requires authentication, and at what
+//                    level: 'assertion', 'password' (or true) or 'mfa'
+//   exports.mfa - if true, a user who has enrolled a second factor must have
+//                 authenticated with it ('mfa' level) to use the wsapi
 //   exports.args - an array of arguments that should be verified
 //   exports.i18n - boolean, does this operation display user facing strings
+//   exports.rateLimit - the rate limit policies that apply to the wsapi, by
+//                       what they're applied to: { ip: <policy>, email: <policy> }
 
 const
 sessions = require('client-sessions'),
@@ -27,10 +35,15 @@ fs = require('fs'),
 path = require('path'),
 validate = require('./validate'),
 version = require('./version.js'),
-bcrypt = require('./bcrypt'),
+passwordHash = require('./password_hash'),
 i18n = require('i18n-abide'),
 i18n_check = require('./i18n_client_check'),
 db = require('./db'),
+coarse = require('./coarse_user_agent_parser'),
+querystring = require('querystring'),
+wsapiSchema = require('./wsapi_schema.js'),
+rateLimit = require('./rate_limit.js'),
+cef_logger = require('./logging/cef_logger').getInstance(),
 http = require('http'),
 https = require('https');
 
@@ -59,25 +72,184 @@ const WSAPI_PREFIX = '/wsapi';
 
 logger.info('session cookie name is: ' + COOKIE_KEY);
 
-function clearAuthenticatedUser(session) {
+// sign the user out of `session`.  `cb` is called once the session has
+// been removed from the registry, a failure to do so is only logged as the
+// session will no longer be used anyway.
+function clearAuthenticatedUser(session, cb) {
+  var sid = session.sid, uid = session.userid;
   session.reset(['csrf']);
+  if (!sid || !uid) {
+    if (cb) process.nextTick(cb);
+    return;
+  }
+  endRegisteredSession(uid, sid, function(err) {
+    if (err) logger.warn("couldn't remove session of user " + uid + " from the registry: " + err);
+    if (cb) cb();
+  });
+}
+
+/* The session registry.  Each authenticated session is given a random id,
+ * `sid`, and recorded in the database along with a coarse description of
+ * the device it was started on, so that the user can review where they're
+ * signed in and revoke a session (see wsapi/list_sessions.js and
+ * wsapi/revoke_session.js).  A session which is no longer in the registry
+ * is treated as signed out.
+ *
+ * Only the dbwriter may write the registry, other processes ask it to
+ * through internal apis.
+ */
+
+function now() { return Math.floor(new Date().getTime() / 1000); }
+
+// a coarse description of the browser a session was started in, i.e.
+// "Firefox on Linux".  Deliberately vague, see coarse_user_agent_parser.js
+function deviceLabel(userAgent) {
+  var ua = userAgent && coarse.parse(userAgent);
+  if (!ua || (ua.browser === 'Unknown' && ua.os === 'Unknown')) return 'Unknown';
+  return ua.browser + ' on ' + ua.os;
+}
+
+function requestRegistryWrite(operation, args, cb) {
+  exports.requestToDBWriter({
+    path: WSAPI_PREFIX + '/' + operation + '?' + querystring.stringify(args)
+  }, function(err, r) {
+    if (!err && !r.body.success) err = "non-success response from dbwriter";
+    cb(err ? err : null);
+  });
+}
+
+function registerSession(sid, uid, device, expiresAt, cb) {
+  if (config.get('database.may_write')) {
+    return db.addSession(sid, uid, device, expiresAt, cb);
+  }
+  requestRegistryWrite('register_session', {
+    sid: sid,
+    userid: uid,
+    device: device,
+    expires: expiresAt
+  }, cb);
+}
+
+// note that the session was just used, and extend it to `expiresAt`, if given
+function touchRegisteredSession(sid, expiresAt, cb) {
+  if (config.get('database.may_write')) {
+    return db.touchSession(sid, expiresAt, cb);
+  }
+  var args = { sid: sid };
+  if (expiresAt) args.expires = expiresAt;
+  requestRegistryWrite('touch_session', args, cb);
+}
+
+function endRegisteredSession(uid, sid, cb) {
+  if (config.get('database.may_write')) {
+    return db.removeSession(uid, sid, function(err) { cb(err); });
+  }
+  requestRegistryWrite('end_session', {
+    userid: uid,
+    sid: sid
+  }, cb);
+}
+
+/*
+ * Rate limiting.  Calls to wsapis that declare `exports.rateLimit` take a
+ * token from a bucket (see rate_limit.js) keyed by the IP address of the
+ * client, and/or one keyed by the `email` argument of the call, and are
+ * refused with a 429 while either is empty.
+ *
+ * With the 'dbwriter' store, processes which may not write ask the dbwriter
+ * for tokens, so all processes share the same buckets.
+ */
+
+// the address of the client.  The router (and a proxy in front of it) pass
+// it along in X-Real-IP, which is only believed from a trusted proxy, else
+// clients could claim a fresh address, and bucket, for each call.
+function clientIP(req) {
+  var remoteAddress = req.connection.remoteAddress;
+  if (req.headers['x-real-ip'] &&
+      config.get('rate_limit.trusted_proxies').indexOf(remoteAddress) !== -1) {
+    return req.headers['x-real-ip'];
+  }
+  return remoteAddress;
+}
+
+function takeRateLimitToken(policy, key, cb) {
+  if (config.get('rate_limit.store') === 'memory' || config.get('database.may_write')) {
+    return rateLimit.take(policy, key, cb);
+  }
+  exports.requestToDBWriter({
+    path: WSAPI_PREFIX + '/take_rate_limit_token?' + querystring.stringify({
+      policy: policy,
+      key: key
+    })
+  }, function(err, r) {
+    if (!err && !r.body.success) err = "non-success response from dbwriter";
+    if (err) return cb(err);
+    cb(null, r.body.retryAfter);
+  });
+}
+
+// calls back with the number of seconds until the call may be made, 0 if it
+// may be made now
+function checkRateLimit(req, limits, cb) {
+  var buckets = [];
+  if (limits.ip) {
+    buckets.push({ policy: limits.ip, key: 'ip:' + clientIP(req) });
+  }
+  if (limits.email && req.params.email) {
+    buckets.push({ policy: limits.email, key: 'email:' + req.params.email.toLowerCase() });
+  }
+
+  var retryAfter = 0;
+  function takeNext() {
+    var bucket = buckets.shift();
+    if (!bucket) return cb(retryAfter);
+    takeRateLimitToken(bucket.policy, bucket.key, function(err, wait) {
+      // a failure to rate limit should not fail the call
+      if (err) logger.error("can't check the " + bucket.policy + " rate limit: " + err);
+      else retryAfter = Math.max(retryAfter, wait);
+      takeNext();
+    });
+  }
+  takeNext();
+}
+
+// authentication levels, weakest first.  'assertion' authentication grants
+// access only to those apis that don't require 'password', and 'mfa' (a
+// password followed by a second factor) allows access to all apis.
+const AUTH_LEVELS = [ 'assertion', 'password', 'mfa' ];
+
+function authLevelRank(level) {
+  return AUTH_LEVELS.indexOf(level);
 }
 
 function isAuthed(req, requiredLevel) {
   if (req.session && req.session.userid && req.session.auth_level) {
-    // 'password' authentication allows access to all apis.
-    // 'assertion' authentication, grants access to only those apis
-    // that don't require 'password'
-    if (requiredLevel === 'assertion' || req.session.auth_level === 'password') {
+    // apis that just say they're authed require 'password'
+    if (authLevelRank(requiredLevel) === -1) requiredLevel = 'password';
+    if (authLevelRank(req.session.auth_level) >= authLevelRank(requiredLevel)) {
       return true;
     }
   }
   return false;
 }
 
-function bcryptPassword(password, cb) {
+// for apis which set `exports.mfa`, check that the user has authenticated
+// with their second factor, if they have one.
+function checkSecondFactor(req, resp, next) {
+  if (!req.session || !req.session.userid ||
+      req.session.auth_level === 'mfa') {
+    return next();
+  }
+  db.getTotpSecret(req.session.userid, function(err, secret) {
+    if (err) return databaseDown(resp, err);
+    if (secret) return httputils.badRequest(resp, "requires second factor");
+    next();
+  });
+}
+
+function hashPassword(password, cb) {
   var startTime = new Date();
-  bcrypt.encrypt(config.get('bcrypt_work_factor'), password, function() {
+  passwordHash.hash(password, function() {
     var reqTime = new Date() - startTime;
     logger.info('bcrypt.encrypt_time', reqTime);
     cb.apply(null, arguments);
@@ -90,6 +262,8 @@ function authenticateSession(options, cb) {
   var level = options.level;
   var duration_ms = options.duration_ms;
   var unverified = options.unverified;
+  // used to describe new sessions in the session registry
+  var userAgent = options.userAgent;
 
   // The caller should provide the timestamp when the password was
   // last reset when it's available.  When provided, this avoids a database
@@ -101,29 +275,53 @@ function authenticateSession(options, cb) {
   // See issue #3309 for more context
   var lastReset = options.lastPasswordReset;
 
-  if (['assertion', 'password'].indexOf(level) === -1)
-    cb(new Error("invalid authentication level: " + level));
+  if (authLevelRank(level) === -1)
+    return cb(new Error("invalid authentication level: " + level));
 
   function withPasswordReset(err, lastPasswordReset) {
     if (err)
       return cb(err);
     if (lastPasswordReset === undefined)
       return cb(new Error("authenticateSession called with undefined lastPasswordReset"));
-    // if the user is *already* authenticated as this uid with an equal or
-    // better level of auth, let's not lower them.  Issue #1049
-    if (session.userid === uid && session.auth_level === 'password' &&
-        session.auth_level !== level) {
-      logger.info("not resetting cookies to 'assertion' authenticate a user who is already password authenticated");
-    } else {
-      if (duration_ms) {
-        session.setDuration(duration_ms);
-      }
+    // if the user is *already* authenticated as this uid with a better
+    // level of auth, let's not lower them.  Issue #1049
+    if (session.userid === uid &&
+        authLevelRank(session.auth_level) > authLevelRank(level)) {
+      logger.info("not resetting cookies to '" + level + "' authenticate a user who is already " +
+                  session.auth_level + " authenticated");
+      // but they did just authenticate, so a password they just changed
+      // shouldn't end this session.
+      session.lastPasswordReset = lastPasswordReset;
+      return cb(null);
+    }
+
+    function withRegistry(err) {
+      if (err) return cb(err);
       session.userid = uid;
       session.auth_level = level;
       session.lastPasswordReset = lastPasswordReset;
       session.unverified = unverified;
+      cb(null);
+    }
+
+    var expiresAt = duration_ms ? now() + Math.floor(duration_ms / 1000) : null;
+    if (duration_ms) {
+      session.setDuration(duration_ms);
+    }
+
+    // a user signing in starts a new session, while one raising the level of,
+    // or prolonging, their session carries on with it.
+    if (session.userid !== uid || !session.sid) {
+      session.sid = secrets.generate(32);
+      if (!expiresAt) {
+        expiresAt = now() + Math.floor(config.get('authentication_duration_ms') / 1000);
+      }
+      registerSession(session.sid, uid, deviceLabel(userAgent), expiresAt, withRegistry);
+    } else if (expiresAt) {
+      touchRegisteredSession(session.sid, expiresAt, withRegistry);
+    } else {
+      withRegistry(null);
     }
-    cb(null);
   }
 
   // if the client provided last reset timestamp, use that.  otherwise,
@@ -194,6 +392,31 @@ function checkExpiredSession(req, resp, next) {
     if (token && token !== req.session.lastPasswordReset) {
       logger.warn("expired cookie (password changed since issued)");
       req.session.reset();
+      return next();
+    }
+    checkRevokedSession(req, resp, next);
+  });
+}
+
+function checkRevokedSession(req, resp, next) {
+  var sid = req.session.sid;
+  // sessions which predate the session registry aren't in it.  Allow them
+  // to pass, they're registered when the user next authenticates.
+  if (!sid) return next();
+  db.getSession(sid, function(err, registered) {
+    if (err) return databaseDown(resp, err);
+    if (!registered || registered.user !== req.session.userid) {
+      logger.warn("expired cookie (session revoked)");
+      req.session.reset();
+      return next();
+    }
+    // the time a session was last used is only recorded every so often,
+    // to keep database writes down
+    var resolution = Math.floor(config.get('sessions.last_seen_resolution_ms') / 1000);
+    if (now() - registered.lastSeen >= resolution) {
+      touchRegisteredSession(sid, null, function(err) {
+        if (err) logger.warn("couldn't update last use of session: " + err);
+      });
     }
     next();
   });
@@ -216,6 +439,17 @@ function databaseDown(res, err) {
   httputils.serviceUnavailable(res, "database unavailable");
 }
 
+// security relevant changes to an account are recorded so the user can
+// review them (see wsapi/list_account_events.js).  The change has already
+// been made when this is called, so failing to record it is logged rather
+// than failing the request.
+function recordAccountEvent(uid, type, detail, cb) {
+  db.recordAccountEvent(uid, type, detail, function(err) {
+    if (err) logger.warn("couldn't record " + type + " event for user " + uid + ": " + err);
+    cb();
+  });
+}
+
 function operationFromURL (path) {
   var purl = url.parse(path);
   return purl.pathname.substr(1); // drop leading slash
@@ -239,14 +473,24 @@ function allAPIs () {
   return APIs;
 }
 
+// the OpenAPI description of all wsapis, see lib/wsapi_schema.js
+var schema;
+function describeAPIs() {
+  if (!schema) schema = wsapiSchema.generate(allAPIs());
+  return schema;
+}
+
 // common functions exported, for use by different api calls
 exports.clearAuthenticatedUser = clearAuthenticatedUser;
 exports.isAuthed = isAuthed;
-exports.bcryptPassword = bcryptPassword;
+exports.hashPassword = hashPassword;
 exports.authenticateSession = authenticateSession;
 exports.forwardWritesTo = undefined;
 exports.langContext = langContext;
 exports.databaseDown = databaseDown;
+exports.recordAccountEvent = recordAccountEvent;
+exports.deviceLabel = deviceLabel;
+exports.describeAPIs = describeAPIs;
 
 // Explicitly forward a request over HTTP to the dbwriter.  This
 // is only useful in a process that is not the dbwriter.
@@ -378,12 +622,23 @@ exports.setup = function(options, app) {
       // - don't register read apis if we are configured as a writer,
       // with the exception of ping which tests database connection health.
       // - don't register write apis if we are not configured as a writer
-      if ((options.only_write_apis && !api.writes_db && operation !== 'ping') ||
-          (!options.only_write_apis && api.writes_db))
+      var onWriter = api.writes_db || api.on_dbwriter;
+      if ((options.only_write_apis && !onWriter && operation !== 'ping') ||
+          (!options.only_write_apis && onWriter))
             return;
 
       wsapis[operation] = api;
 
+      // check the rate limits refer to known policies
+      if (api.rateLimit) {
+        Object.keys(api.rateLimit).forEach(function(by) {
+          if ([ 'ip', 'email' ].indexOf(by) === -1) throw "can't rate limit by " + by;
+          if (!config.get('rate_limit.policies')[api.rateLimit[by]]) {
+            throw "unknown rate limit policy: " + api.rateLimit[by];
+          }
+        });
+      }
+
       // set up the argument validator
       if (api.args) {
         wsapis[operation].validate = validate(api.args);
@@ -418,15 +673,33 @@ exports.setup = function(options, app) {
       return httputils.badRequest(resp, "requires authentication");
     }
 
+    function checkMFA(next) {
+      if (wsapis[operation].mfa) checkSecondFactor(req, resp, next);
+      else next();
+    }
+
+    function checkRateLimited(next) {
+      if (!wsapis[operation].rateLimit) return next();
+      checkRateLimit(req, wsapis[operation].rateLimit, function(retryAfter) {
+        if (!retryAfter) return next();
+        cef_logger.warn("RATE_LIMITED", "Rate limit exceeded", req, { msg: operation });
+        httputils.throttled(resp, "too many requests, try again later", retryAfter);
+      });
+    }
+
     // validate the arguments of the request
     wsapis[operation].validate(req, resp, function() {
-      if (wsapis[operation].i18n) {
-        abide(req, resp, function () {
-          wsapis[operation].process(req, resp);
+      checkRateLimited(function() {
+        checkMFA(function() {
+          if (wsapis[operation].i18n) {
+            abide(req, resp, function () {
+              wsapis[operation].process(req, resp);
+            });
+          } else {
+            wsapis[operation].process(req, resp);
+          }
         });
-      } else {
-        wsapis[operation].process(req, resp);
-      }
+      });
     });
   });
 };
@@ -459,8 +732,12 @@ exports.routeSetup = function (app, options) {
         return httputils.notFound(resp);
     }
 
+    // pass the address of the client along, for rate limiting.  processes
+    // behind the router trust it, so a header sent by anyone else is replaced
+    req.headers['x-real-ip'] = clientIP(req);
+
     var destination_path = WSAPI_PREFIX + req.url;
-    var destination_url = (api.writes_db ? 
+    var destination_url = (api.writes_db || api.on_dbwriter ?
         options.write_url : options.read_url) + destination_path;
 
     var cb = function() {
@@ -0,0 +1,18 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+wsapi = require('../wsapi.js');
+
+// returns an OpenAPI (3.0) description of the wsapis that may be called from
+// outside, generated from the metadata of their handlers.  See
+// lib/wsapi_schema.js.
+
+exports.method = 'get';
+exports.writes_db = false;
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  res.json(wsapi.describeAPIs());
+};
@@ -62,6 +62,9 @@ exports.args = {
   }
 };
 exports.i18n = false;
+exports.rateLimit = {
+  ip: 'address_lookup'
+};
 
 // determine public hostname for use as the issuer for
 // secondary addresses
@@ -51,7 +51,8 @@ exports.process = function(req, res) {
             {
               session: req.session, uid: uid,
               level: 'assertion',
-              duration_ms: durationInfo.durationMS
+              duration_ms: durationInfo.durationMS,
+              userAgent: req.headers['user-agent']
             }, function(err) {
               if (err) return wsapi.databaseDown(res, err);
 
@@ -128,7 +129,8 @@ exports.process = function(req, res) {
             // call, rather than forcing the call to hit the database again.
             // issue #3309
             lastPasswordReset: r.lastPasswordReset,
-            duration_ms: durationInfo.durationMS
+            duration_ms: durationInfo.durationMS,
+            userAgent: req.headers['user-agent']
           }, function (err) {
             if (err) return wsapi.databaseDown(res, err);
             res.json({ success: true,
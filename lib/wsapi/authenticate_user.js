@@ -7,7 +7,7 @@ db = require('../db.js'),
 wsapi = require('../wsapi.js'),
 httputils = require('../httputils'),
 logger = require('../logging/logging.js').logger,
-bcrypt = require('../bcrypt'),
+passwordHash = require('../password_hash'),
 http = require('http'),
 https = require('https'),
 querystring = require('querystring'),
@@ -19,6 +19,10 @@ exports.method = 'post';
 exports.writes_db = false;
 exports.authed = false;
 exports.i18n = false;
+exports.rateLimit = {
+  ip: 'authentication',
+  email: 'authentication'
+};
 exports.args = {
   'email': 'email',
   'pass':  'password',
@@ -46,7 +50,7 @@ exports.process = function(req, res) {
       return fail('no such user');
     }
 
-    function compare(hash, failedAuthTries) {
+    function compare(hash, failedAuthTries, hasSecondFactor) {
       logger.debug("hash is " + hash);
       if (err) return wsapi.databaseDown(res, err);
 
@@ -55,7 +59,7 @@ exports.process = function(req, res) {
       }
 
       var startTime = new Date();
-      bcrypt.compare(req.params.pass, hash, function (err, success) {
+      passwordHash.compare(req.params.pass, hash, function (err, success) {
         var reqTime = new Date() - startTime;
         logger.info('bcrypt.compare_time', reqTime);
 
@@ -79,20 +83,27 @@ exports.process = function(req, res) {
           var durationInfo = wsapiutils.getDurationInfo(req);
           wsapi.authenticateSession({session: req.session, uid: uid,
                                      level: 'password',
-                                     duration_ms: durationInfo.durationMS
+                                     duration_ms: durationInfo.durationMS,
+                                     userAgent: req.headers['user-agent']
                                     }, function(err) {
                                       if (err)
                                         return wsapi.databaseDown(res, err);
                                       res.json({
                                         success: true,
                                         userid: uid,
+                                        // if so, the client must next call mfa_verify
+                                        has_second_factor: !!hasSecondFactor,
                                         suppress_ask_if_users_computer:
                                             durationInfo.suppressAskIsUsersComputer
                                       });
 
-                                      // if the work factor has changed, update the hash here.  issue #204
+                                      // if the hash algorithm or its work factor has changed,
+                                      // update the hash here.  issue #204
                                       // NOTE: this runs asynchronously and will not delay the response
-                                      if (config.get('bcrypt_work_factor') !== bcrypt.getRounds(hash)) {
+                                      // users with a second factor can't update their password
+                                      // until they've provided it, so their hash is updated when
+                                      // they next change their password.
+                                      if (!hasSecondFactor && passwordHash.needsUpdate(hash)) {
                                         updateHash(req, res, uid, hash);
                                       }
                                       // if the user previously had failed authentication attempts, let's
@@ -105,7 +116,7 @@ exports.process = function(req, res) {
       });
     }
 
-    db.checkAuth(uid, function(err, hash, failedAuthTries) {
+    db.checkAuth(uid, function(err, hash, failedAuthTries, hasSecondFactor) {
       if (err) return wsapi.databaseDown(res, err);
 
       logger.debug("checkAuth = hash = " + hash);
@@ -114,7 +125,7 @@ exports.process = function(req, res) {
       } else if (typeof hash !== 'string') {
         return fail('no password set for user');
       } else {
-        compare(hash);
+        compare(hash, failedAuthTries, hasSecondFactor);
       }
     });
   });
@@ -184,7 +195,7 @@ function resetFailedAuthCount(req, res, uid) {
 
 function updateHash(req, res, uid, hash) {
   cef_logger.warn("AUTH_UPDATE", "Updated password for user", req, {suser:uid});
-  logger.info("updating bcrypted password for user " + uid);
+  logger.info("updating password hash for user " + uid);
 
   // this request must be forwarded to dbwriter, and we'll use the
   // authentication cookie of the user just sent out.
@@ -214,19 +225,19 @@ function updateHash(req, res, uid, hash) {
       if (pres.statusCode !== 200) {
         cef_logger.alert("DB_FAILURE", "Cannot update password rounds; dbwriter error",
                                   req, {suser: uid, msg: pres.statusCode});
-        logger.error("failed to update bcrypt rounds of password for " + uid +
+        logger.error("failed to update password hash for " + uid +
                      " dbwriter returns " + pres.statusCode);
       } else {
-        logger.info("bcrypt rounds of password for " + uid +
+        logger.info("password hash for " + uid +
                     " successfully updated (from " +
-                    bcrypt.getRounds(hash) + " to "
-                    + config.get('bcrypt_work_factor') + ")");
+                    passwordHash.describe(hash) + " to " +
+                    config.get('password_hash.algorithm') + ")");
       }
     });
   }).on('error', function(e) {
     cef_logger.alert("AUTH_FAILURE", "Error updating password rounds",
                               req, {suser: uid, msg: e});
-    logger.error("failed to update bcrypt rounds of password for " + uid + ": " + e);
+    logger.error("failed to update password hash for " + uid + ": " + e);
   });
 
   preq.write(post_body);
@@ -14,6 +14,7 @@ wsapi = require('../wsapi.js');
 exports.method = 'post';
 exports.writes_db = false;
 exports.authed = 'password';
+exports.mfa = true;
 exports.args = {
   'email': 'email',
   'pubkey': 'pubkey',
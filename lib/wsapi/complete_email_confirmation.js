@@ -12,7 +12,7 @@ const
 db = require('../db.js'),
 logger = require('../logging/logging.js').logger,
 wsapi = require('../wsapi.js'),
-bcrypt = require('../bcrypt.js'),
+passwordHash = require('../password_hash.js'),
 httputils = require('../httputils.js');
 
 exports.method = 'post';
@@ -44,7 +44,7 @@ exports.process = function(req, res) {
     if (req.session.userid === initiator_uid) {
       postAuthentication();
     } else if (typeof req.params.pass === 'string') {
-      bcrypt.compare(req.params.pass, initiator_hash, function (err, success) {
+      passwordHash.compare(req.params.pass, initiator_hash, function (err, success) {
         if (err) {
           logger.warn("max load hit, failing on auth request with 503: " + err);
           return httputils.serviceUnavailable(res, "server is too busy");
@@ -66,7 +66,8 @@ exports.process = function(req, res) {
         } else {
           wsapi.authenticateSession({
             session: req.session, uid: uid,
-            level: 'password', duration_ms: undefined
+            level: 'password', duration_ms: undefined,
+            userAgent: req.headers['user-agent']
           }, function(err) {
             if (err)
               return wsapi.databaseDown(res, err);
@@ -6,9 +6,10 @@ const
 db = require('../db.js'),
 logger = require('../logging/logging.js').logger,
 wsapi = require('../wsapi.js'),
-bcrypt = require('../bcrypt.js'),
+passwordHash = require('../password_hash.js'),
 httputils = require('../httputils.js'),
 config = require('../configuration.js'),
+passwordPolicy = require('../password_policy.js'),
 wsapiutils = require('../wsapiutils');
 
 exports.method = 'post';
@@ -58,7 +59,7 @@ exports.process = function(req, res) {
             return wsapi.databaseDown(res, err);
           }
 
-          bcrypt.compare(req.params.pass, hash, function (err, success) {
+          passwordHash.compare(req.params.pass, hash, function (err, success) {
             if (err) {
               logger.warn("max load hit, failing on auth request with 503: " + err);
               return httputils.serviceUnavailable(res, "server is too busy");
@@ -75,17 +76,28 @@ exports.process = function(req, res) {
     } else {
       // new password provided as param
       if (typeof req.params.pass === 'string') {
-        // now bcrypt the password
-        wsapi.bcryptPassword(req.params.pass, function (err, hash) {
+        return db.emailForVerificationSecret(req.params.token, function(err, email) {
           if (err) {
-            if (err.indexOf('exceeded') !== -1) {
-              logger.warn("max load hit, failing on auth request with 503: " + err);
-              return httputils.serviceUnavailable(res, "server is too busy");
-            }
-            logger.error("can't bcrypt: " + err);
-            return res.json({ success: false });
+            logger.warn("couldn't get email for verification secret: " + err);
+            return wsapi.databaseDown(res, err);
           }
-          return postAuthentication(hash);
+
+          // refused before the token is used, so the user can choose again
+          var refused = passwordPolicy.check(req.params.pass, email);
+          if (refused) return passwordPolicy.refuse(res, refused);
+
+          // now hash the password
+          wsapi.hashPassword(req.params.pass, function (err, hash) {
+            if (err) {
+              if (err.indexOf('exceeded') !== -1) {
+                logger.warn("max load hit, failing on auth request with 503: " + err);
+                return httputils.serviceUnavailable(res, "server is too busy");
+              }
+              logger.error("can't hash password: " + err);
+              return res.json({ success: false });
+            }
+            return postAuthentication(hash);
+          });
         });
       } else {
         return httputils.authRequired(res, 'Provide your password');
@@ -121,7 +133,8 @@ exports.process = function(req, res) {
           wsapi.authenticateSession({session: req.session,
                                      uid: uid,
                                      level: 'password',
-                                     duration_ms: durationInfo.durationMS
+                                     duration_ms: durationInfo.durationMS,
+                                     userAgent: req.headers['user-agent']
                                     }, function(err) {
             if (err) return wsapi.databaseDown(res, err);
             // If the user started a password reset because of
@@ -132,8 +145,10 @@ exports.process = function(req, res) {
             // rid of the transition state.
             db.updateEmailLastUsedAs(email, "secondary", function (err) {
               if (err) return wsapi.databaseDown(res, err);
-              res.json({ success: true });
-              logger.info('complete_reset.success');
+              wsapi.recordAccountEvent(uid, 'password_reset', email, function() {
+                res.json({ success: true });
+                logger.info('complete_reset.success');
+              });
             });
           });
         }
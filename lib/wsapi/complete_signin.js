@@ -0,0 +1,58 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+logger = require('../logging/logging.js').logger,
+wsapi = require('../wsapi.js'),
+wsapiutils = require('../wsapiutils');
+
+/* Second half of passwordless sign-in (see stage_signin).  The token was
+ * delivered to the address, so whoever presents it controls the address and
+ * is authenticated as its owner, in whichever browser the link was followed.
+ */
+
+exports.method = 'post';
+exports.writes_db = true;
+exports.authed = false;
+exports.args = {
+  'token': 'token'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  db.haveVerificationSecret(req.params.token, function(err, known) {
+    if (err) return wsapi.databaseDown(res, err);
+
+    if (!known) {
+      // clear the pendingSignIn token from the session if we find no such
+      // token in the database
+      delete req.session.pendingSignIn;
+      return res.json({ success: false });
+    }
+
+    db.completeSignIn(req.params.token, function(err, email, uid) {
+      if (err) {
+        logger.warn("couldn't complete sign-in: " + err);
+        return res.json({ success: false });
+      }
+
+      delete req.session.pendingSignIn;
+
+      var durationInfo = wsapiutils.getDurationInfo(req);
+      wsapi.authenticateSession({session: req.session,
+                                 uid: uid,
+                                 level: 'password',
+                                 duration_ms: durationInfo.durationMS,
+                                 userAgent: req.headers['user-agent']
+                                }, function(err) {
+        if (err) return wsapi.databaseDown(res, err);
+        wsapi.recordAccountEvent(uid, 'signin_link', email, function() {
+          res.json({ success: true });
+          logger.info('complete_signin.success');
+        });
+      });
+    });
+  });
+};
@@ -6,7 +6,7 @@ const
 db = require('../db.js'),
 logger = require('../logging/logging.js').logger,
 wsapi = require('../wsapi.js'),
-bcrypt = require('../bcrypt.js'),
+passwordHash = require('../password_hash.js'),
 httputils = require('../httputils.js'),
 config = require('../configuration.js'),
 wsapiutils = require('../wsapiutils');
@@ -45,7 +45,7 @@ exports.process = function(req, res) {
         return wsapi.databaseDown(res, err);
       }
 
-      bcrypt.compare(req.params.pass, hash, function (err, success) {
+      passwordHash.compare(req.params.pass, hash, function (err, success) {
         if (err) {
           logger.warn("max load hit, failing on auth request with 503: " + err);
           return httputils.serviceUnavailable(res, "server is too busy");
@@ -87,7 +87,8 @@ exports.process = function(req, res) {
           wsapi.authenticateSession({session: req.session,
                                      uid: uid,
                                      level: 'password',
-                                     duration_ms: durationInfo.durationMS
+                                     duration_ms: durationInfo.durationMS,
+                                     userAgent: req.headers['user-agent']
                                     }, function(err) {
             if (err) return wsapi.databaseDown(res, err);
 
@@ -7,7 +7,7 @@ db = require('../db.js'),
 wsapi = require('../wsapi.js'),
 httputils = require('../httputils'),
 logger = require('../logging/logging.js').logger,
-bcrypt = require('../bcrypt'),
+passwordHash = require('../password_hash'),
 config = require('../configuration'),
 wsapiutils = require('../wsapiutils');
 
@@ -17,7 +17,8 @@ exports.authed = false;
 exports.args = {
   'token': 'token',
   // NOTE: 'pass' is required when a user completes on a different device
-  // than they initiate
+  // than they initiate.  It is the password chosen at stage_user, where the
+  // password policy was applied, so it is not checked against the policy again
   'pass': {
     type: 'password',
     required: false
@@ -50,7 +51,7 @@ exports.process = function(req, res) {
         return wsapi.databaseDown(res, err);
       }
 
-      bcrypt.compare(req.params.pass, hash, function (err, success) {
+      passwordHash.compare(req.params.pass, hash, function (err, success) {
         if (err) {
           logger.warn("max load hit, failing on auth request with 503: " + err);
           return httputils.serviceUnavailable(res, "server is too busy");
@@ -92,7 +93,8 @@ exports.process = function(req, res) {
           wsapi.authenticateSession({session: req.session,
                                      uid: uid,
                                      level: 'password',
-                                     duration_ms: durationInfo.durationMS
+                                     duration_ms: durationInfo.durationMS,
+                                     userAgent: req.headers['user-agent']
                                     }, function(err) {
             if (err) return wsapi.databaseDown(res, err);
             // If the user created an account for an address whose primary
@@ -25,7 +25,8 @@ exports.i18n = false;
 const HOSTNAME = urlparse(config.get('public_url')).host;
 
 try {
-  const fallbackPubKey = secrets.loadPublicKey();
+  const keyRing = secrets.loadKeyRing();
+  const fallbackPubKey = keyRing.publicKeys[keyRing.current];
 } catch(e){
   logger.error("can't read public key, exiting: " + e);
   process.nextTick(function() { process.exit(1); });
@@ -38,6 +39,11 @@ exports.process = function(req, res) {
     if (!err && r && r.urls) {
       wellKnown = {
         "public-key": JSON.parse(r.publicKey.serialize()), // gross
+        keys: r.publicKeys.map(function(key) {
+          var published = JSON.parse(key.publicKey.serialize());
+          if (key.kid) published.kid = key.kid;
+          return published;
+        }),
         authentication: r.urls.auth,
         provisioning: r.urls.prov,
       };
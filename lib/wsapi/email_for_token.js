@@ -49,8 +49,10 @@ exports.process = function(req, res) {
     // they're doing one of the following:
     // 1. resetting their password
     // 2. creating an account
+    // 3. signing in with an emailed link
     if ((req.params.token === req.session.pendingCreation) ||
-        (req.params.token === req.session.pendingReset))
+        (req.params.token === req.session.pendingReset) ||
+        (req.params.token === req.session.pendingSignIn))
     {
       must_auth = false;
     }
@@ -0,0 +1,27 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// remove a session the user signed out of from the session registry.
+// This is an internal api on the dbwriter, invoked by the browserid process.
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js');
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  userid: 'userid',
+  sid: 'session_id'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  db.removeSession(parseInt(req.params.userid, 10), req.params.sid, function(err) {
+    if (err) return wsapi.databaseDown(res, err);
+    res.json({ success: true });
+  });
+};
@@ -0,0 +1,95 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+logger = require('../logging/logging.js').logger,
+cef_logger = require('../logging/cef_logger').getInstance();
+
+// returns a copy of what's stored about the user's account, for them to
+// download.  Nothing secret is included - no password hash, second factor
+// or session ids:
+//
+// {
+//   "success": true,
+//   "account": {
+//     "lastPasswordReset": <seconds-since-epoch>,
+//     "emails": {
+//       "foo@foo.com": { "lastUsedAs": "secondary", "verified": true },
+//       ...
+//     },
+//     "idps": {
+//       "foo.com": { "lastSeen": <seconds-since-epoch, or null if never seen> },
+//       ...
+//     }
+//   }
+// }
+//
+// idps are the domains of the user's addresses, with when we last saw each
+// act as an identity provider.
+
+exports.method = 'get';
+exports.writes_db = false;
+exports.authed = 'assertion';
+exports.mfa = true;
+exports.i18n = false;
+
+function seconds(date) {
+  return date ? Math.floor(date.getTime() / 1000) : null;
+}
+
+exports.process = function(req, res) {
+  var uid = req.session.userid;
+  logger.debug('exporting account of user ' + uid);
+
+  var account = {
+    emails: {},
+    idps: {}
+  };
+
+  db.lastPasswordReset(uid, function(err, lastPasswordReset) {
+    if (err) return wsapi.databaseDown(res, err);
+    account.lastPasswordReset = lastPasswordReset || null;
+
+    db.listEmails(uid, function(err, emails) {
+      if (err) return wsapi.databaseDown(res, err);
+
+      var domains = [];
+      function describeNextEmail() {
+        var email = emails.shift();
+        if (!email) return describeNextDomain();
+
+        db.emailInfo(email, function(err, info) {
+          if (err) return wsapi.databaseDown(res, err);
+          account.emails[email] = {
+            lastUsedAs: info ? info.lastUsedAs : null,
+            verified: info ? !!info.verified : false
+          };
+
+          var domain = email.split('@')[1].toLowerCase();
+          if (domains.indexOf(domain) === -1) domains.push(domain);
+          describeNextEmail();
+        });
+      }
+
+      function describeNextDomain() {
+        var domain = domains.shift();
+        if (!domain) {
+          cef_logger.info("ACCOUNT_EXPORT", "User exported their account", req,
+                          {duser: uid});
+          return res.json({ success: true, account: account });
+        }
+
+        db.getIDPLastSeen(domain, function(err, lastSeen) {
+          if (err) return wsapi.databaseDown(res, err);
+          account.idps[domain] = { lastSeen: seconds(lastSeen) };
+          describeNextDomain();
+        });
+      }
+
+      describeNextEmail();
+    });
+  });
+};
@@ -14,6 +14,9 @@ exports.method = 'get';
 exports.writes_db = false;
 exports.authed = false;
 exports.i18n = false;
+exports.rateLimit = {
+  ip: 'address_lookup'
+};
 exports.args = {
   'email': 'email'
 };
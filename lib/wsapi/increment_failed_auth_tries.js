@@ -18,7 +18,9 @@ exports.i18n = false;
 exports.process = function(req, res) {
   db.incAuthFailures(req.params.userid, function(err) {
     if (err) return wsapi.databaseDown(res);
-    res.json({ success: true });
+    wsapi.recordAccountEvent(req.params.userid, 'auth_failure', null, function() {
+      res.json({ success: true });
+    });
   });
 };
 
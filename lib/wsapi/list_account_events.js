@@ -0,0 +1,41 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+config = require('../configuration.js'),
+logger = require('../logging/logging.js').logger,
+wsapi = require('../wsapi.js');
+
+// returns the most recent security relevant events of the user's account,
+// newest first:
+//
+// [
+//   { "type": "email_removed", "detail": "foo@foo.com", "at": <seconds-since-epoch> },
+//   { "type": "password_change", "detail": null, "at": <seconds-since-epoch> },
+//   ...
+// ]
+//
+// types are one of password_change, password_reset, email_removed,
+// account_cancel (which replaces all others when the account is cancelled,
+// and outlives it), auth_failure, mfa_enabled, mfa_disabled,
+// session_revoked (the detail being the device signed out) or signin_link
+// (the detail being the address the link was sent to).
+
+exports.method = 'get';
+exports.writes_db = false;
+exports.authed = 'assertion';
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  logger.debug('listing account events for user ' + req.session.userid);
+  var limit = config.get('account_events.list_limit');
+  db.listAccountEvents(req.session.userid, limit, function(err, events) {
+    if (err) return wsapi.databaseDown(res, err);
+    res.json({
+      success: true,
+      events: events
+    });
+  });
+};
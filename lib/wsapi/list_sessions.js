@@ -0,0 +1,39 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+logger = require('../logging/logging.js').logger,
+wsapi = require('../wsapi.js');
+
+// returns the sessions the user is signed in with, most recently used
+// first:
+//
+// [
+//   { "id": <string>, "device": "Firefox on Linux", "createdAt": <seconds-since-epoch>,
+//     "lastSeen": <seconds-since-epoch>, "current": true },
+//   ...
+// ]
+//
+// `current` marks the session making the request.  `device` is "Unknown"
+// when the browser couldn't be recognized.
+
+exports.method = 'get';
+exports.writes_db = false;
+exports.authed = 'assertion';
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  logger.debug('listing sessions for user ' + req.session.userid);
+  db.listSessions(req.session.userid, function(err, sessions) {
+    if (err) return wsapi.databaseDown(res, err);
+    res.json({
+      success: true,
+      sessions: sessions.map(function(s) {
+        s.current = (s.id === req.session.sid);
+        return s;
+      })
+    });
+  });
+};
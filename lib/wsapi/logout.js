@@ -12,7 +12,8 @@ exports.authed = 'assertion';
 exports.i18n = false;
 
 exports.process = function(req, res) {
-  wsapi.clearAuthenticatedUser(req.session);
-  cef_logger.info("USER_LOGOUT", "User logout", req);
-  res.json({ success: true });
+  wsapi.clearAuthenticatedUser(req.session, function() {
+    cef_logger.info("USER_LOGOUT", "User logout", req);
+    res.json({ success: true });
+  });
 };
@@ -0,0 +1,55 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+totp = require('../totp.js'),
+httputils = require('../httputils.js'),
+logger = require('../logging/logging.js').logger,
+wsapi = require('../wsapi.js'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+// complete the enrollment begun by mfa_enroll.  `code` must be a current
+// code of the secret it returned.  On success the second factor is
+// required from then on, and this session is authenticated with it.
+
+exports.method = 'post';
+exports.writes_db = true;
+exports.authed = 'password';
+exports.mfa = true;
+exports.args = {
+  code: 'totp_code'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var uid = req.session.userid;
+  var secret = req.session.pending_totp_secret;
+  if (!secret) return httputils.badRequest(res, "no second factor enrollment in progress");
+
+  var step = totp.verify(secret, req.params.code, 0);
+  if (step === null) {
+    logger.info("second factor enrollment fails for user " + uid + ", incorrect code");
+    return res.json({ success: false });
+  }
+
+  db.setTotpSecret(uid, secret, function(err) {
+    if (err) return wsapi.databaseDown(res, err);
+    db.updateTotpLastStep(uid, step, function(err) {
+      if (err) return wsapi.databaseDown(res, err);
+
+      delete req.session.pending_totp_secret;
+      cef_logger.info("MFA_ENABLED", "Enrolled a second factor", req, {suser: uid});
+
+      wsapi.authenticateSession({session: req.session, uid: uid, level: 'mfa',
+                                 duration_ms: req.session.duration_ms
+                                }, function(err) {
+        if (err) return wsapi.databaseDown(res, err);
+        wsapi.recordAccountEvent(uid, 'mfa_enabled', null, function() {
+          res.json({ success: true });
+        });
+      });
+    });
+  });
+};
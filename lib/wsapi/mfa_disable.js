@@ -0,0 +1,29 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+// remove the user's second factor.  Only a session authenticated with it
+// may do so.
+
+exports.method = 'post';
+exports.writes_db = true;
+exports.authed = 'password';
+exports.mfa = true;
+exports.args = {};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var uid = req.session.userid;
+  db.setTotpSecret(uid, null, function(err) {
+    if (err) return wsapi.databaseDown(res, err);
+    cef_logger.warn("MFA_DISABLED", "Removed a second factor", req, {suser: uid});
+    wsapi.recordAccountEvent(uid, 'mfa_disabled', null, function() {
+      res.json({ success: true });
+    });
+  });
+};
@@ -0,0 +1,45 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+totp = require('../totp.js'),
+logger = require('../logging/logging.js').logger,
+wsapi = require('../wsapi.js');
+
+// begin enrolling a TOTP second factor.  A new secret is generated and
+// returned for the user to add to their authenticator app:
+//
+// {
+//   "success": true,
+//   "secret": <base32 encoded secret>,
+//   "url": <otpauth:// url of the secret, suitable for a QR code>
+// }
+//
+// The secret is held in the session until a code generated from it is
+// given to mfa_confirm, which completes enrollment.
+
+exports.method = 'post';
+exports.writes_db = false;
+exports.authed = 'password';
+// replacing a second factor requires the one being replaced
+exports.mfa = true;
+exports.args = {};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  db.listEmails(req.session.userid, function(err, emails) {
+    if (err) return wsapi.databaseDown(res, err);
+
+    var secret = totp.generateSecret();
+    req.session.pending_totp_secret = secret;
+    logger.info("user " + req.session.userid + " is enrolling a second factor");
+
+    res.json({
+      success: true,
+      secret: secret,
+      url: totp.provisioningURL(secret, emails[0])
+    });
+  });
+};
@@ -0,0 +1,76 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+totp = require('../totp.js'),
+config = require('../configuration.js'),
+httputils = require('../httputils.js'),
+logger = require('../logging/logging.js').logger,
+wsapi = require('../wsapi.js'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+// check a code from the user's second factor, raising a password
+// authenticated session to 'mfa'.  Wrong codes count towards the same
+// lockout as wrong passwords, and each code is accepted only once.
+
+exports.method = 'post';
+exports.writes_db = true;
+exports.authed = 'password';
+exports.args = {
+  code: 'totp_code'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var uid = req.session.userid;
+
+  function fail(reason, code) {
+    var r = { success: false };
+    if (code) r.code = code;
+    if (reason) r.reason = reason;
+    cef_logger.warn("AUTH_FAILURE", "Second factor authentication failed", req,
+                    {suser: uid, msg: reason});
+    logger.debug('second factor authentication fails for user ' + uid + ' - ' + reason);
+    res.json(r);
+  }
+
+  db.checkAuth(uid, function(err, hash, failedAuthTries) {
+    if (err) return wsapi.databaseDown(res, err);
+    if (failedAuthTries >= config.get('max_authentication_attempts')) {
+      return fail('account is locked', 'account locked');
+    }
+
+    db.getTotpSecret(uid, function(err, secret, lastStep) {
+      if (err) return wsapi.databaseDown(res, err);
+      if (!secret) return httputils.badRequest(res, "no second factor enrolled");
+
+      var step = totp.verify(secret, req.params.code, lastStep);
+      if (step === null) {
+        return db.incAuthFailures(uid, function(err) {
+          if (err) return wsapi.databaseDown(res, err);
+          wsapi.recordAccountEvent(uid, 'auth_failure', null, function() {
+            fail('incorrect code');
+          });
+        });
+      }
+
+      // another request may have just used the same code
+      db.updateTotpLastStep(uid, step, function(err, updated) {
+        if (err) return wsapi.databaseDown(res, err);
+        if (!updated) return fail('code already used');
+
+        db.clearAuthFailures(uid, function(err) {
+          if (err) return wsapi.databaseDown(res, err);
+          wsapi.authenticateSession({session: req.session, uid: uid, level: 'mfa',
+                                     duration_ms: req.session.duration_ms
+                                    }, function(err) {
+            if (err) return wsapi.databaseDown(res, err);
+            res.json({ success: true });
+          });
+        });
+      });
+    });
+  });
+};
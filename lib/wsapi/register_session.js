@@ -0,0 +1,31 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// add a newly authenticated session to the session registry.  This is an
+// internal api on the dbwriter, invoked by the browserid process when a
+// user signs in (see authenticateSession in wsapi.js).
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js');
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  sid: 'session_id',
+  userid: 'userid',
+  device: 'device',
+  expires: 'timestamp'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  db.addSession(req.params.sid, parseInt(req.params.userid, 10), req.params.device,
+                parseInt(req.params.expires, 10), function(err) {
+    if (err) return wsapi.databaseDown(res, err);
+    res.json({ success: true });
+  });
+};
@@ -33,6 +33,8 @@ exports.process = function(req, res) {
     } else {
       cef_logger.info("REMOVE_EMAIL", "Removed user email",
                      req, {duser: req.session.userid});
-      res.json({ success: true });
+      wsapi.recordAccountEvent(req.session.userid, 'email_removed', email, function() {
+        res.json({ success: true });
+      });
     }});
 };
@@ -0,0 +1,51 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// sign the user out of one of their sessions (as listed by list_sessions),
+// i.e. on a device they've lost.  The session is signed out with its next
+// request.
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+logger = require('../logging/logging.js').logger,
+cef_logger = require('../logging/cef_logger').getInstance();
+
+exports.method = 'post';
+exports.writes_db = true;
+exports.authed = 'assertion';
+exports.args = {
+  session: 'session_id'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var uid = req.session.userid;
+  var sid = req.params.session;
+
+  db.getSession(sid, function(err, registered) {
+    if (err) return wsapi.databaseDown(res, err);
+    // a session of another user is as good as unknown
+    if (!registered || registered.user !== uid) {
+      return res.json({ success: false, reason: "no such session" });
+    }
+
+    db.removeSession(uid, sid, function(err, removed) {
+      if (err) return wsapi.databaseDown(res, err);
+      if (!removed) return res.json({ success: false, reason: "no such session" });
+
+      cef_logger.info("SESSION_REVOKED", "User revoked a session", req, {suser: uid});
+      logger.info("user " + uid + " revoked a session on " + registered.device);
+
+      function respond() {
+        wsapi.recordAccountEvent(uid, 'session_revoked', registered.device, function() {
+          res.json({ success: true });
+        });
+      }
+      // revoking the session making the request signs it out right away
+      if (sid === req.session.sid) wsapi.clearAuthenticatedUser(req.session, respond);
+      else respond();
+    });
+  });
+};
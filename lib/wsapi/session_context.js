@@ -9,6 +9,7 @@ crypto = require('crypto'),
 wsapi = require('../wsapi.js'),
 secrets = require('../secrets.js'),
 version = require('../version.js'),
+passwordPolicy = require('../password_policy.js'),
 config = require('../configuration.js');
 
 // return the CSRF token, authentication status, and current server time (for assertion signing)
@@ -20,8 +21,9 @@ exports.writes_db = false;
 exports.authed = false;
 exports.i18n = false;
 
-// determine the domain key creation date - issue #599
-const domainKeyCreationDate = secrets.publicKeyCreationDate();
+// determine the domain key creation date - issue #599.  Certificates signed
+// by any key still in the key ring are good, so we report the oldest.
+const domainKeyCreationDate = secrets.loadKeyRing().oldest;
 logger.debug("domain key was created at " + domainKeyCreationDate + " (certs issued prior to this are bogus)");
 
 function dataSampleRate(req) {
@@ -59,6 +61,7 @@ exports.process = function(req, res) {
 
   var auth_level;
   var has_password = false;
+  var has_second_factor = false;
   var authenticated = false;
 
   function sendResponse(sha) {
@@ -68,9 +71,12 @@ exports.process = function(req, res) {
       authenticated: authenticated,
       auth_level: auth_level,
       has_password: has_password,
+      has_second_factor: has_second_factor,
       domain_key_creation_time: domainKeyCreationDate.getTime(),
       random_seed: crypto.randomBytes(32).toString('base64'),
       data_sample_rate: dataSampleRate(req),
+      // for hints as the user chooses a password
+      password_policy: passwordPolicy.hints(),
       // If the user is authenticated, we know we can at least get the
       // authentication cookie, even if we can't get the cookie that was set in
       // the browser.
@@ -92,7 +98,7 @@ exports.process = function(req, res) {
     logger.debug("user is not authenticated");
     version(sendResponse);
   } else {
-    db.userKnown(req.session.userid, function (err, known, hasPassword) {
+    db.userKnown(req.session.userid, function (err, known, hasPassword, hasSecondFactor) {
       if (err) {
         return wsapi.databaseDown(res, err);
       } else if (!known) {
@@ -102,6 +108,7 @@ exports.process = function(req, res) {
         logger.debug("user is authenticated");
         auth_level = req.session.auth_level;
         has_password = hasPassword;
+        has_second_factor = !!hasSecondFactor;
         authenticated = true;
       }
       version(sendResponse);
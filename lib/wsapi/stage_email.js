@@ -8,7 +8,8 @@ wsapi = require('../wsapi.js'),
 httputils = require('../httputils'),
 logger = require('../logging/logging.js').logger,
 email = require('../email.js'),
-config = require('../configuration');
+config = require('../configuration'),
+passwordPolicy = require('../password_policy');
 
 /* Stage an email for addition to a user's account.  Causes email to be sent. */
 
@@ -32,6 +33,9 @@ exports.args = {
   }
 };
 exports.i18n = true;
+exports.rateLimit = {
+  ip: 'email_sending'
+};
 
 exports.process = function(req, res) {
   // a password *must* be supplied to this call iff the user's password
@@ -66,7 +70,10 @@ exports.process = function(req, res) {
       }
 
       if (needs_password) {
-        wsapi.bcryptPassword(req.params.pass, function(err, hash) {
+        var refused = passwordPolicy.check(req.params.pass, req.params.email);
+        if (refused) return passwordPolicy.refuse(res, refused);
+
+        wsapi.hashPassword(req.params.pass, function(err, hash) {
           if (err) {
             logger.warn("couldn't bcrypt password during email verification: " + err);
             return res.json({ success: false });
@@ -32,6 +32,9 @@ exports.args = {
   }
 };
 exports.i18n = true;
+exports.rateLimit = {
+  ip: 'email_sending'
+};
 
 exports.process = function(req, res) {
   db.lastStaged(req.params.email, function (err, last) {
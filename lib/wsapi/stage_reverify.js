@@ -29,6 +29,9 @@ exports.args = {
   }
 };
 exports.i18n = true;
+exports.rateLimit = {
+  ip: 'email_sending'
+};
 
 exports.process = function(req, res) {
   // Note, we do no throttling of emails in this case.  Because this call requires
@@ -0,0 +1,100 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+httputils = require('../httputils'),
+logger = require('../logging/logging.js').logger,
+email = require('../email.js'),
+config = require('../configuration');
+
+/* First half of passwordless sign-in.  Emails a one-time link to a secondary
+ * address of an existing account.  Following the link (complete_signin)
+ * authenticates the browser it is followed in, and the browser which asked
+ * for it learns of that through password_reset_status.
+ */
+
+exports.method = 'post';
+exports.writes_db = true;
+exports.authed = false;
+exports.args = {
+  email: 'email',
+  site:  'origin',
+  'backgroundColor': {
+    type: 'color',
+    required: false
+  },
+  'siteLogo': {
+    type: 'image',
+    required: false
+  }
+};
+exports.i18n = true;
+exports.rateLimit = {
+  ip: 'email_sending'
+};
+
+exports.process = function(req, res) {
+  db.lastStaged(req.params.email, function (err, last) {
+    if (err) return wsapi.databaseDown(res, err);
+
+    if (last && (new Date() - last) < config.get('min_time_between_emails_ms')) {
+      logger.warn('throttling request to stage email address ' + req.params.email + ', only ' +
+                  ((new Date() - last) / 1000.0) + "s elapsed");
+      return httputils.throttled(res, "Too many emails sent to that address, try again later.");
+    }
+
+    db.emailToUID(req.params.email, function(err, uid) {
+      if (err) {
+        logger.info("sign-in link fails: " + err);
+        return res.json({ success: false });
+      }
+
+      if (!uid) {
+        return res.json({
+          reason: "No such email address.",
+          success: false
+        });
+      }
+
+      db.emailType(req.params.email, function(err, type) {
+        if (err) return wsapi.databaseDown(res, err);
+
+        // users of primary addresses sign in with their IdP
+        if (type !== 'secondary') {
+          return res.json({
+            reason: "Not a secondary email address.",
+            success: false
+          });
+        }
+
+        // staging a sign-in logs you out.
+        wsapi.clearAuthenticatedUser(req.session);
+
+        // on failure stageSignIn may throw
+        try {
+          db.stageSignIn(uid, req.params.email, function(err, secret) {
+            if (err) return wsapi.databaseDown(res, err);
+
+            var langContext = wsapi.langContext(req);
+
+            // store the sign-in being requested in session data
+            req.session.pendingSignIn = secret;
+
+            res.json({ success: true });
+
+            logger.info('stage_signin.success');
+
+            email.sendSignInEmail(req.params.email, req.params.site, secret, langContext,
+                req.params.backgroundColor, req.params.siteLogo);
+          });
+        } catch (e) {
+          // we should differentiate tween' 400 and 500 here.
+          httputils.badRequest(res, e.toString());
+        }
+      });
+    });
+  });
+};
@@ -8,7 +8,8 @@ wsapi = require('../wsapi.js'),
 httputils = require('../httputils'),
 logger = require('../logging/logging.js').logger,
 email = require('../email.js'),
-config = require('../configuration');
+config = require('../configuration'),
+passwordPolicy = require('../password_policy');
 
 /* Stage an email address that is transitioning from a primary to a secondary
  * and doesn't have a password.
@@ -31,6 +32,9 @@ exports.args = {
   }
 };
 exports.i18n = true;
+exports.rateLimit = {
+  ip: 'email_sending'
+};
 
 exports.process = function(req, res) {
   db.lastStaged(req.params.email, function (err, last) {
@@ -55,17 +59,20 @@ exports.process = function(req, res) {
         });
       }
 
+      var refused = passwordPolicy.check(req.params.pass, req.params.email);
+      if (refused) return passwordPolicy.refuse(res, refused);
+
       // staging a user logs you out.
       wsapi.clearAuthenticatedUser(req.session);
 
-      // now bcrypt the password
-      wsapi.bcryptPassword(req.params.pass, function (err, hash) {
+      // now hash the password
+      wsapi.hashPassword(req.params.pass, function (err, hash) {
         if (err) {
           if (err.indexOf('exceeded') !== -1) {
             logger.warn("max load hit, failing on auth request with 503: " + err);
             return httputils.serviceUnavailable(res, "server is too busy");
           }
-          logger.error("can't bcrypt: " + err);
+          logger.error("can't hash password: " + err);
           return res.json({ success: false });
         }
 
@@ -9,6 +9,7 @@ httputils = require('../httputils'),
 logger = require('../logging/logging.js').logger,
 email = require('../email.js'),
 config = require('../configuration'),
+passwordPolicy = require('../password_policy'),
 cef_logger = require('../logging/cef_logger').getInstance();
 
 /* First half of account creation.  Stages a user account for creation.
@@ -38,6 +39,9 @@ exports.args = {
   }
 };
 exports.i18n = true;
+exports.rateLimit = {
+  ip: 'email_sending'
+};
 
 exports.process = function(req, res) {
   var langContext = wsapi.langContext(req);
@@ -55,11 +59,14 @@ exports.process = function(req, res) {
       return httputils.throttled(res, "Too many emails sent to that address, try again later.");
     }
 
+    var refused = passwordPolicy.check(req.params.pass, req.params.email);
+    if (refused) return passwordPolicy.refuse(res, refused);
+
     // staging a user logs you out.
     wsapi.clearAuthenticatedUser(req.session);
 
-    // now bcrypt the password
-    wsapi.bcryptPassword(req.params.pass, function (err, hash) {
+    // now hash the password
+    wsapi.hashPassword(req.params.pass, function (err, hash) {
       if (err) {
         if (err.indexOf('exceeded') !== -1) {
           cef_logger.alert("LOAD_HIGH", "Load exceeded on stage request", req);
@@ -67,7 +74,7 @@ exports.process = function(req, res) {
           return httputils.serviceUnavailable(res, "server is too busy");
         }
         cef_logger.alert("BCRYPT_ERROR", "Error bcrypting password", req, {msg: err});
-        logger.error("can't bcrypt: " + err);
+        logger.error("can't hash password: " + err);
         return res.json({ success: false });
       }
 
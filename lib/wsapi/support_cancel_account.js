@@ -0,0 +1,41 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// cancel an account on behalf of its user.  This is an internal api on the
+// dbwriter, for support engineers (see scripts/support.js).
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  userid: 'userid',
+  operator: 'operator'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var uid = parseInt(req.params.userid, 10);
+
+  db.userKnown(uid, function(err, known) {
+    if (err) return wsapi.databaseDown(res, err);
+    if (!known) return res.json({ success: false, reason: "no such account" });
+
+    db.cancelAccount(uid, function(err) {
+      if (err) {
+        cef_logger.alert("SUPPORT_ACCOUNT_CANCEL", "Error canceling account",
+                         req, {suser: req.params.operator, duser: uid, msg: err});
+        return wsapi.databaseDown(res, err);
+      }
+      cef_logger.warn("SUPPORT_ACCOUNT_CANCEL", "Support canceled user account",
+                      req, {suser: req.params.operator, duser: uid});
+      res.json({ success: true });
+    });
+  });
+};
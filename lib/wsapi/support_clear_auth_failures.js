@@ -0,0 +1,42 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// clear the failed authentication attempts of an account, unlocking it.
+// This is an internal api on the dbwriter, for support engineers (see
+// scripts/support.js).
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  userid: 'userid',
+  operator: 'operator'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var uid = parseInt(req.params.userid, 10);
+
+  db.userKnown(uid, function(err, known) {
+    if (err) return wsapi.databaseDown(res, err);
+    if (!known) return res.json({ success: false, reason: "no such account" });
+
+    db.clearAuthFailures(uid, function(err) {
+      if (err) {
+        cef_logger.alert("SUPPORT_CLEAR_AUTH_FAILURES", "Error clearing authentication failures",
+                         req, {suser: req.params.operator, duser: uid, msg: err});
+        return wsapi.databaseDown(res, err);
+      }
+      cef_logger.warn("SUPPORT_CLEAR_AUTH_FAILURES", "Support cleared authentication failures",
+                      req, {suser: req.params.operator, duser: uid});
+      res.json({ success: true });
+    });
+  });
+};
@@ -0,0 +1,71 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// describe the account an email address belongs to, for support engineers.
+// This is an internal api on the browserid process, see scripts/support.js.
+// Like all support_* apis it takes the name of the `operator` who is acting,
+// which is CEF logged.
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+exports.method = 'get';
+exports.writes_db = false;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  email: 'email',
+  operator: 'operator'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  db.emailToUID(req.params.email, function(err, uid) {
+    if (err) return wsapi.databaseDown(res, err);
+
+    cef_logger.info("SUPPORT_LOOKUP", "Support looked up account", req,
+                    {suser: req.params.operator, duser: uid || req.params.email});
+
+    if (!uid) return res.json({ success: false, reason: "no such account" });
+
+    db.checkAuth(uid, function(err, hash, failedAuthTries, hasSecondFactor) {
+      if (err) return wsapi.databaseDown(res, err);
+
+      db.lastPasswordReset(uid, function(err, lastPasswordReset) {
+        if (err) return wsapi.databaseDown(res, err);
+
+        db.listEmails(uid, function(err, addresses) {
+          if (err) return wsapi.databaseDown(res, err);
+
+          var emails = {};
+          function describeNext() {
+            var address = addresses.shift();
+            if (!address) {
+              return res.json({
+                success: true,
+                userid: uid,
+                hasPassword: typeof hash === 'string' && hash.length > 0,
+                hasSecondFactor: !!hasSecondFactor,
+                failedAuthTries: failedAuthTries || 0,
+                lastPasswordReset: lastPasswordReset || null,
+                emails: emails
+              });
+            }
+            db.emailInfo(address, function(err, info) {
+              if (err) return wsapi.databaseDown(res, err);
+              emails[address] = {
+                type: info ? info.lastUsedAs : null,
+                verified: info ? !!info.verified : false
+              };
+              describeNext();
+            });
+          }
+          describeNext();
+        });
+      });
+    });
+  });
+};
@@ -0,0 +1,51 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// remove an address from the account it belongs to.  This is an internal
+// api on the dbwriter, for support engineers (see scripts/support.js).  The
+// only address of an account can't be removed, cancel the account instead.
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  email: 'email',
+  operator: 'operator'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var email = req.params.email;
+
+  db.emailToUID(email, function(err, uid) {
+    if (err) return wsapi.databaseDown(res, err);
+    if (!uid) return res.json({ success: false, reason: "no such account" });
+
+    db.listEmails(uid, function(err, emails) {
+      if (err) return wsapi.databaseDown(res, err);
+      if (emails.length < 2) {
+        return res.json({ success: false, reason: "the only address of the account" });
+      }
+
+      db.removeEmail(uid, email, function(err) {
+        if (err) {
+          cef_logger.alert("SUPPORT_REMOVE_EMAIL", "Error removing email",
+                           req, {suser: req.params.operator, duser: uid, msg: err});
+          return wsapi.databaseDown(res, err);
+        }
+        cef_logger.warn("SUPPORT_REMOVE_EMAIL", "Support removed user email",
+                        req, {suser: req.params.operator, duser: uid});
+        wsapi.recordAccountEvent(uid, 'email_removed', email, function() {
+          res.json({ success: true });
+        });
+      });
+    });
+  });
+};
@@ -0,0 +1,58 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// send a password reset email, as if the user had asked for one (see
+// stage_reset.js).  This is an internal api on the dbwriter, for support
+// engineers (see scripts/support.js).  The current password keeps working
+// until the user completes the reset.
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+httputils = require('../httputils'),
+email = require('../email.js'),
+config = require('../configuration'),
+cef_logger = require('../logging/cef_logger').getInstance();
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  email: 'email',
+  operator: 'operator'
+};
+exports.i18n = true;
+
+exports.process = function(req, res) {
+  db.emailToUID(req.params.email, function(err, uid) {
+    if (err) return wsapi.databaseDown(res, err);
+    if (!uid) return res.json({ success: false, reason: "no such account" });
+
+    db.emailType(req.params.email, function(err, type) {
+      if (err) return wsapi.databaseDown(res, err);
+
+      // users of primary addresses reset their password with their IdP
+      if (type !== 'secondary') {
+        return res.json({ success: false, reason: "not a secondary email address" });
+      }
+
+      // on failure stageEmail may throw
+      try {
+        db.stageEmail(uid, req.params.email, null, function(err, secret) {
+          if (err) return wsapi.databaseDown(res, err);
+
+          cef_logger.warn("SUPPORT_RESET_PASSWORD", "Support sent a password reset email",
+                          req, {suser: req.params.operator, duser: uid});
+          res.json({ success: true });
+
+          email.sendForgotPasswordEmail(req.params.email, config.get('public_url'), secret,
+              wsapi.langContext(req));
+        });
+      } catch (e) {
+        httputils.badRequest(res, e.toString());
+      }
+    });
+  });
+};
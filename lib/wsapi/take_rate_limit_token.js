@@ -0,0 +1,30 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// take a token from a rate limiting bucket kept by the dbwriter, so that
+// all processes of a deployment share the same buckets.  This is an internal
+// api on the dbwriter, invoked by the browserid process when
+// `rate_limit.store` is 'dbwriter'.  It doesn't write the database, but runs
+// where writes do.
+
+const
+rateLimit = require('../rate_limit.js'),
+httputils = require('../httputils.js');
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  policy: 'rate_limit_policy',
+  key: 'rate_limit_key'
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  rateLimit.take(req.params.policy, req.params.key, function(err, retryAfter) {
+    if (err) return httputils.badRequest(res, err);
+    res.json({ success: true, retryAfter: retryAfter });
+  });
+};
@@ -0,0 +1,32 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// note that a session in the session registry was just used, and extend
+// it if `expires` is given.  This is an internal api on the dbwriter,
+// invoked by the browserid process.
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js');
+
+exports.method = 'get';
+exports.writes_db = true;
+exports.authed = false;
+exports.internal = true;
+exports.args = {
+  sid: 'session_id',
+  expires: {
+    type: 'timestamp',
+    required: false
+  }
+};
+exports.i18n = false;
+
+exports.process = function(req, res) {
+  var expires = req.params.expires ? parseInt(req.params.expires, 10) : null;
+  db.touchSession(req.params.sid, expires, function(err) {
+    if (err) return wsapi.databaseDown(res, err);
+    res.json({ success: true });
+  });
+};
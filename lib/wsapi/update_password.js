@@ -7,7 +7,8 @@ db = require('../db.js'),
 wsapi = require('../wsapi.js'),
 httputils = require('../httputils'),
 logger = require('../logging/logging.js').logger,
-bcrypt = require('../bcrypt');
+passwordHash = require('../password_hash'),
+passwordPolicy = require('../password_policy');
 
 exports.method = 'post';
 exports.writes_db = true;
@@ -16,6 +17,8 @@ exports.writes_db = true;
 // page to allow a user who has a session authed with a primary email address
 // to directly attempt to change their account password without extra http requests.
 exports.authed = 'assertion';
+// users who have enrolled a second factor must also have provided it
+exports.mfa = true;
 exports.args = {
   oldpass: 'password',
   newpass: 'password'
@@ -31,7 +34,7 @@ exports.process = function(req, res) {
       return res.json({ success: false });
     }
 
-    bcrypt.compare(req.params.oldpass, hash, function (err, success) {
+    passwordHash.compare(req.params.oldpass, hash, function (err, success) {
       if (err) {
         if (err.indexOf('exceeded') !== -1) {
           logger.warn("max load hit, failing on auth request with 503: " + err);
@@ -47,42 +50,64 @@ exports.process = function(req, res) {
         return res.json({ success: false });
       }
 
-      logger.info("updating password for user " + req.session.userid);
-      wsapi.bcryptPassword(req.params.newpass, function(err, hash) {
-        if (err) {
-          if (err.indexOf('exceeded') !== -1) {
-            logger.warn("max load hit, failing on auth request with 503: " + err);
-            res.status(503);
-            return res.json({ success: false, reason: "server is too busy" });
-          }
-          logger.error("error bcrypting password for password update for user " + req.session.userid, err);
-          return res.json({ success: false });
-        }
+      // the policy applies to new passwords only.  Posting the current
+      // password as the new one just rehashes it (see authenticate_user.js)
+      if (req.params.oldpass === req.params.newpass) return updatePassword();
+
+      db.listEmails(req.session.userid, function(err, emails) {
+        if (err) return wsapi.databaseDown(res, err);
 
-        var passwordChanged = (req.params.oldpass !== req.params.newpass);
-        db.updatePassword(req.session.userid, hash, passwordChanged,
-                          function(err) {
-          var success = true;
-          if (err) {
-            logger.error("error updating bcrypted password for user " + req.session.userid, err);
-            wsapi.databaseDown(res, err);
-          } else {
-            // need to update the session
-            wsapi.authenticateSession({session: req.session,
-                                       uid: req.session.userid,
-                                       // we just validated their password, regardless of
-                                       // what auth level the session had, now it's got
-                                       // 'password' level auth
-                                       level: 'password',
-                                       duration_ms: req.session.duration_ms
-                                      }, function(err) {
-                                        if (err)
-                                          return wsapi.databaseDown(res, err);
-                                        res.json({ success: success });
-                                      });
-          }
-        });
+        var refused = passwordPolicy.check(req.params.newpass, emails);
+        if (refused) return passwordPolicy.refuse(res, refused);
+
+        updatePassword();
       });
     });
   });
+
+  function updatePassword() {
+    logger.info("updating password for user " + req.session.userid);
+    wsapi.hashPassword(req.params.newpass, function(err, hash) {
+      if (err) {
+        if (err.indexOf('exceeded') !== -1) {
+          logger.warn("max load hit, failing on auth request with 503: " + err);
+          res.status(503);
+          return res.json({ success: false, reason: "server is too busy" });
+        }
+        logger.error("error bcrypting password for password update for user " + req.session.userid, err);
+        return res.json({ success: false });
+      }
+
+      var passwordChanged = (req.params.oldpass !== req.params.newpass);
+      db.updatePassword(req.session.userid, hash, passwordChanged,
+                        function(err) {
+        var success = true;
+        if (err) {
+          logger.error("error updating bcrypted password for user " + req.session.userid, err);
+          wsapi.databaseDown(res, err);
+        } else {
+          // need to update the session
+          wsapi.authenticateSession({session: req.session,
+                                     uid: req.session.userid,
+                                     // we just validated their password, regardless of
+                                     // what auth level the session had, now it's got
+                                     // 'password' level auth
+                                     level: 'password',
+                                     duration_ms: req.session.duration_ms
+                                    }, function(err) {
+                                      if (err)
+                                        return wsapi.databaseDown(res, err);
+                                      // a rehash of the same password isn't a change
+                                      if (!passwordChanged)
+                                        return res.json({ success: success });
+                                      wsapi.recordAccountEvent(
+                                        req.session.userid, 'password_change', null,
+                                        function() {
+                                          res.json({ success: success });
+                                        });
+                                    });
+        }
+      });
+    });
+  }
 };
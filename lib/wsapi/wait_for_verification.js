@@ -0,0 +1,87 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const
+db = require('../db.js'),
+wsapi = require('../wsapi.js'),
+config = require('../configuration.js');
+
+/* A long poll, for clients waiting on the user to verify an email address
+ * they've staged.  The request is held until a change staged by the session
+ * is completed, or until `verification_wait_ms` passes, so that the client
+ * only asks the matching *_status api once there's something to learn.
+ *
+ * Responds with { status: <status> }, where status is one of:
+ *   'changed' - a change staged by the session was completed or is gone,
+ *               the *_status api tells which
+ *   'pending' - nothing happened yet, ask again
+ *   'none'    - the session has no staged change to wait on
+ *
+ * Changes are completed by the dbwriter, which is why it serves this api.
+ */
+
+exports.method = 'get';
+exports.writes_db = false;
+exports.on_dbwriter = true;
+exports.authed = false;
+exports.i18n = false;
+
+// where stage_* apis keep the secrets of the changes they stage
+const PENDING = [
+  'pendingAddition',
+  'pendingCreation',
+  'pendingReset',
+  'pendingReverification',
+  'pendingSignIn'
+];
+
+exports.process = function(req, res) {
+  var secrets = PENDING.map(function(key) {
+    return req.session[key];
+  }).filter(function(secret) {
+    return typeof secret === 'string';
+  });
+
+  if (!secrets.length) return res.json({ status: 'none' });
+
+  var timeout, done = false;
+
+  function stop() {
+    done = true;
+    clearTimeout(timeout);
+    db.events.removeListener('verified', onVerified);
+  }
+
+  function respond(status) {
+    if (done) return;
+    stop();
+    res.json({ status: status });
+  }
+
+  function onVerified(secret) {
+    if (secrets.indexOf(secret) !== -1) respond('changed');
+  }
+
+  // listen before looking in the database, so that a change completed in
+  // between isn't missed
+  db.events.on('verified', onVerified);
+  res.on('close', function() {
+    if (!done) stop();
+  });
+  timeout = setTimeout(function() {
+    respond('pending');
+  }, config.get('verification_wait_ms'));
+
+  // the change may have been completed before the request was made
+  secrets.forEach(function(secret) {
+    db.haveVerificationSecret(secret, function(err, known) {
+      if (done) return;
+      if (err) {
+        stop();
+        return wsapi.databaseDown(res, err);
+      }
+      if (!known) respond('changed');
+    });
+  });
+};
@@ -0,0 +1,146 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// generate an OpenAPI (3.0) description of the wsapi from the metadata each
+// handler under wsapi/ exports (see the top of lib/wsapi.js).  Internal apis
+// are not part of the contract and are left out.
+//
+// The description of the tree is published in docs/wsapi_schema.json, which
+// scripts/wsapi_schema.js regenerates and tests/wsapi-schema-test.js keeps
+// honest.
+
+const
+validate = require('./validate.js');
+
+const WSAPI_PREFIX = '/wsapi/';
+
+// handlers give arguments either as a type name or as { type, required }
+function normalizeArg(arg) {
+  if (typeof arg === 'string') arg = { type: arg };
+  return {
+    type: arg.type,
+    required: arg.required !== false
+  };
+}
+
+// `authed` may be `true`, which means 'password'
+function authLevel(api) {
+  if (!api.authed) return false;
+  return api.authed === true ? 'password' : api.authed;
+}
+
+function describeGET(op, args) {
+  op.parameters = Object.keys(args).sort().map(function(name) {
+    var arg = normalizeArg(args[name]);
+    return {
+      name: name,
+      'in': 'query',
+      required: arg.required,
+      schema: validate.schemaFor(arg.type)
+    };
+  });
+}
+
+function describePOST(op, args) {
+  // every POST must carry the csrf token of the session, which
+  // session_context returns.
+  var body = {
+    type: 'object',
+    properties: {
+      csrf: { type: 'string', description: 'the csrf token of the session' }
+    },
+    required: [ 'csrf' ],
+    additionalProperties: false
+  };
+
+  Object.keys(args).sort().forEach(function(name) {
+    var arg = normalizeArg(args[name]);
+    body.properties[name] = validate.schemaFor(arg.type);
+    if (arg.required) body.required.push(name);
+  });
+
+  op.requestBody = {
+    required: true,
+    content: { 'application/json': { schema: body } }
+  };
+}
+
+function describeOperation(name, api) {
+  var method = api.method.toLowerCase(),
+      level = authLevel(api);
+
+  var op = {
+    operationId: name,
+    'x-authed': level,
+    'x-mfa': !!api.mfa,
+    'x-writes-db': !!api.writes_db,
+    'x-i18n': !!api.i18n,
+    responses: {
+      '200': { description: 'the request was processed' },
+      '400': { description: 'the arguments were invalid, or the session is not authenticated as required' },
+      '503': { description: 'the database is unavailable' }
+    }
+  };
+
+  if (level) op.security = [ { session: [] } ];
+
+  if (api.rateLimit) {
+    op['x-rate-limit'] = api.rateLimit;
+    op.responses['429'] = {
+      description: 'too many calls were made, from the client or for the address',
+      headers: {
+        'Retry-After': {
+          description: 'the number of seconds after which the call may be made',
+          schema: { type: 'integer' }
+        }
+      }
+    };
+  }
+
+  if (method === 'post') {
+    op.responses['403'] = { description: 'no session cookie was sent' };
+    describePOST(op, api.args || {});
+  } else {
+    describeGET(op, api.args || {});
+  }
+
+  var path = {};
+  path[method] = op;
+  return path;
+}
+
+// `apis` maps operation names to handler modules
+exports.generate = function(apis) {
+  var paths = {};
+
+  Object.keys(apis).sort().forEach(function(name) {
+    var api = apis[name];
+    if (api.internal) return;
+    try {
+      paths[WSAPI_PREFIX + name] = describeOperation(name, api);
+    } catch(e) {
+      throw "error describing " + name + " api: " + e;
+    }
+  });
+
+  return {
+    openapi: '3.0.0',
+    info: {
+      title: 'Persona web services api',
+      version: require('../package.json').version
+    },
+    paths: paths,
+    components: {
+      securitySchemes: {
+        session: {
+          type: 'apiKey',
+          'in': 'cookie',
+          name: 'browserid_state',
+          description: 'the session cookie, set by the wsapi.  Deployments ' +
+                       'other than login.persona.org suffix its name with a hash.'
+        }
+      }
+    }
+  };
+};
@@ -68,6 +68,10 @@ BrowserID.Errors = (function(){
       title: "Creating Account"
     },
 
+    exportAccount: {
+      title: "Downloading Account Data"
+    },
+
     getAssertion: {
       title: "Getting Assertion"
     },
@@ -112,10 +116,18 @@ BrowserID.Errors = (function(){
       title: "Resetting Password"
     },
 
+    requestSignInLink: {
+      title: "Sending a Sign-in Link"
+    },
+
     removeEmail: {
       title: "Remove Email Address from Account"
     },
 
+    revokeSession: {
+      title: "Signing Out of a Session"
+    },
+
     setComputerOwnershipStatus: {
       title: "Setting whether the user owns the computer"
     },
@@ -156,6 +168,10 @@ BrowserID.Errors = (function(){
       title: "Verifying email address"
     },
 
+    verifySecondFactor: {
+      title: "Verifying Second Factor"
+    },
+
     xhrError: {
       title: gettext("Communication Error")
     },
@@ -32,6 +32,7 @@ BrowserID.Models.RpInfo = (function() {
     returnTo: und,
     issuer: 'default',
     emailHint: und,
+    allowedDomains: und,
     userAssertedClaims: und,
     rpAPI: und,
 
@@ -51,6 +52,7 @@ BrowserID.Models.RpInfo = (function() {
         'returnTo',
         'rpAPI',
         'emailHint',
+        'allowedDomains',
         'userAssertedClaims'
         );
 
@@ -120,6 +122,18 @@ BrowserID.Models.RpInfo = (function() {
 
     getUserAssertedClaims: function() {
       return this.userAssertedClaims;
+    },
+
+    getAllowedDomains: function() {
+      return this.allowedDomains;
+    },
+
+    // an RP which passes allowedDomains only accepts addresses at them
+    isEmailAllowed: function(email) {
+      if (!this.allowedDomains) return true;
+
+      var domain = String(email).split("@").pop().toLowerCase();
+      return _.indexOf(this.allowedDomains, domain) > -1;
     }
   });
 
@@ -18,6 +18,7 @@ BrowserID.Models.UserContext = (function() {
     userid: und,
     auth_level: und,
     has_password: und,
+    has_second_factor: und,
 
     init: function(options) {
       var self = this;
@@ -31,7 +32,8 @@ BrowserID.Models.UserContext = (function() {
       this.importFrom(context,
         'userid',
         'auth_level',
-        'has_password'
+        'has_password',
+        'has_second_factor'
         );
     },
 
@@ -57,6 +59,14 @@ BrowserID.Models.UserContext = (function() {
 
     hasPassword: function() {
       return !!this.has_password;
+    },
+
+    setHasSecondFactor: function(hasSecondFactor) {
+      this.has_second_factor = hasSecondFactor;
+    },
+
+    hasSecondFactor: function() {
+      return !!this.has_second_factor;
     }
   });
 
@@ -42,6 +42,8 @@ BrowserID.Modules.XHR = (function() {
      *   {object} [config.data]
      *   {function} [config.success]
      *   {function} [config.error]
+     *   {boolean} [config.long_poll] - the server holds the request until it
+     *              has something to say, it is never reported as delayed.
      * @returns {object} xhr object
      */
     request: makeRequest,
@@ -54,6 +56,7 @@ BrowserID.Modules.XHR = (function() {
      *   {object} [config.data]
      *   {function} [config.success]
      *   {function} [config.error]
+     *   {boolean} [config.long_poll]
      * @returns {object} xhr object
      */
     get: get,
@@ -165,7 +168,7 @@ BrowserID.Modules.XHR = (function() {
      * long. If the delay timeout occurs, a message is displayed to
      * the user informing them of the slowness.
      */
-    if (self.time_until_delay) {
+    if (self.time_until_delay && !options.long_poll) {
       var timer = request.slowRequestTimeout = setTimeout(function() {
         removeTimer.call(self, timer);
         onXHRResponseDelayed.call(self, request);
@@ -76,6 +76,8 @@ BrowserID.Network = (function() {
       data: data,
       success: function(info) {
         if (info.success) complete(onComplete, info);
+        // a refused password is reported, so the user can choose another.
+        else if (info.reason === "password_policy") complete(onComplete, info);
         else complete(onComplete, false);
       },
       error: function(info) {
@@ -151,6 +153,26 @@ BrowserID.Network = (function() {
       });
     },
 
+    /**
+     * Verify a code from the current user's second factor
+     * @method verifySecondFactor
+     * @param {string} code - the six digit code.
+     * @param {function} [onComplete] - callback to call when complete.  Called
+     * with the response - its `success` is true if the code was accepted, and
+     * its `code` is "account locked" if too many codes were wrong.
+     * @param {function} [onFailure] - called on XHR failure
+     */
+    verifySecondFactor: function(code, onComplete, onFailure) {
+      post({
+        url: "/wsapi/mfa_verify",
+        data: {
+          code: code
+        },
+        success: onComplete,
+        error: onFailure
+      });
+    },
+
     /**
      * Authenticate with a primary generated assertion
      * @method authenticateWithAssertion
@@ -274,6 +296,28 @@ BrowserID.Network = (function() {
       });
     },
 
+    /**
+     * Wait for an address verification staged by this session to be
+     * completed. The server holds the request until then, or until it times
+     * out.
+     * @method waitForVerification
+     * @param {function} [onComplete] - Called when complete with the status:
+     *   "changed" if a staged verification was completed or is gone,
+     *   "pending" if the wait timed out, "none" if nothing is staged.
+     * @param {function} [onFailure] - Called on XHR failure, i.e. when the
+     * server doesn't support waiting.
+     */
+    waitForVerification: function(onComplete, onFailure) {
+      get({
+        url: "/wsapi/wait_for_verification",
+        long_poll: true,
+        success: function(resp) {
+          complete(onComplete, resp.status);
+        },
+        error: onFailure
+      });
+    },
+
     /**
      * Complete user registration, give user a password
      * @method completeUserRegistration
@@ -374,6 +418,38 @@ BrowserID.Network = (function() {
       });
     },
 
+    /**
+     * Request a one-time link which signs the user in to the given secondary
+     * address without a password.
+     * @method requestSignInLink
+     * @param {string} email
+     * @param {object} rpInfo - info about the RP user is signing in to
+     * @param {function} [onComplete] - Callback to call when complete.
+     * @param {function} [onFailure] - Called on XHR failure.
+     */
+    requestSignInLink: function(email, rpInfo, onComplete, onFailure) {
+      var postData = {
+        email: email,
+        site : rpInfo.getOrigin(),
+        backgroundColor: rpInfo.getBackgroundColor(),
+        siteLogo: rpInfo.getEmailableSiteLogo()
+      };
+      stageAddressForVerification(postData, "/wsapi/stage_signin", onComplete, onFailure);
+    },
+
+    /**
+     * Complete a sign-in with a token from an emailed link.
+     * @method completeSignInLink
+     * @param {string} token - token from the link.
+     * @param {string} password - ignored, the link needs none.
+     * @param {function} [onComplete] - Called when complete.
+     * @param {function} [onFailure] - Called on XHR failure.
+     */
+    completeSignInLink: function(token, password, onComplete, onFailure) {
+      completeAddressVerification("/wsapi/complete_signin", token, null,
+          onComplete, onFailure);
+    },
+
     /**
      * post interaction data
      * @method setPassword
@@ -590,6 +666,76 @@ BrowserID.Network = (function() {
       });
     },
 
+    /**
+     * List the recent security relevant events of the user's account
+     * @method listAccountEvents
+     * @param {function} [onComplete] - Called with the events, newest first.
+     * @param {function} [onFailure] - Called on XHR failure.
+     */
+    listAccountEvents: function(onComplete, onFailure) {
+      get({
+        url: "/wsapi/list_account_events",
+        success: function(resp) {
+          complete(onComplete, resp.events);
+        },
+        error: onFailure
+      });
+    },
+
+    /**
+     * List the sessions the user is signed in with
+     * @method listSessions
+     * @param {function} [onComplete] - Called with the sessions, most
+     * recently used first.
+     * @param {function} [onFailure] - Called on XHR failure.
+     */
+    listSessions: function(onComplete, onFailure) {
+      get({
+        url: "/wsapi/list_sessions",
+        success: function(resp) {
+          complete(onComplete, resp.sessions);
+        },
+        error: onFailure
+      });
+    },
+
+    /**
+     * Get a copy of what's stored about the user's account
+     * @method exportAccount
+     * @param {function} [onComplete] - Called with the account.
+     * @param {function} [onFailure] - Called on XHR failure.
+     */
+    exportAccount: function(onComplete, onFailure) {
+      get({
+        url: "/wsapi/export_account",
+        success: function(resp) {
+          complete(onComplete, resp.account);
+        },
+        error: onFailure
+      });
+    },
+
+    /**
+     * Sign the user out of one of their sessions
+     * @method revokeSession
+     * @param {string} id - id of the session, as given by listSessions.
+     * @param {function} [onComplete] - Called with whether the session was
+     * revoked.
+     * @param {function} [onFailure] - Called on XHR failure.
+     */
+    revokeSession: function(id, onComplete, onFailure) {
+      post({
+        url: "/wsapi/revoke_session",
+        data: {
+          session: id
+        },
+        success: function(status) {
+          complete(onComplete, status.success);
+        },
+        error: onFailure
+      });
+    },
+
     /**
      * Check if the user's cookies are enabled
      * @method cookiesEnabled
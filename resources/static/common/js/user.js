@@ -10,10 +10,14 @@ BrowserID.User = (function() {
       storage = bid.Storage,
       helpers = bid.Helpers,
       mediator = bid.Mediator,
+      validation = bid.Validation,
       cryptoLoader = bid.CryptoLoader,
       UserContext = bid.Models.UserContext,
       User,
       pollTimeout,
+      // incremented as polls are canceled, so that a wait which comes back
+      // after is ignored.
+      pollGeneration = 0,
       provisioning = bid.Provisioning,
       addressCache = {},
       primaryAuthCache = {},
@@ -114,7 +118,9 @@ BrowserID.User = (function() {
       if (!status) status = { success: false };
       var staged = status.success;
 
-      if (!staged) status.reason = "throttle";
+      // a reason is only passed on when the password was refused, any other
+      // failure is throttling.
+      if (!staged && !status.reason) status.reason = "throttle";
       // Used on the main site when the user verifies - once
       // verification is complete, the user is redirected back to the
       // RP and logged in.
@@ -133,6 +139,11 @@ BrowserID.User = (function() {
           var valid = resp.success;
           var result = invalidInfo;
 
+          // the new password was refused, the token can still be used.
+          if (resp.reason === "password_policy") {
+            result = { valid: false, reason: resp.reason, policy: resp.policy };
+          }
+
           withContext(function(context) {
             if (valid) {
               result = _.extend({ valid: valid }, info);
@@ -193,7 +204,8 @@ BrowserID.User = (function() {
         // the backend for an updated session_context.
         clearContext();
         User.checkAuthentication(function(authStatus) {
-          if (resp.status === "complete" && authStatus !== "password")
+          if (resp.status === "complete" &&
+              authStatus !== "password" && authStatus !== "mfa")
             resp.status = "mustAuth";
 
           // The address verification poll does not send back a userid.
@@ -252,7 +264,7 @@ BrowserID.User = (function() {
           userVerified(resp);
         }
         else if (status === 'pending') {
-          pollTimeout = setTimeout(poll, pollDuration);
+          waitThenPoll();
         }
         else {
           complete(onFailure, status);
@@ -260,10 +272,48 @@ BrowserID.User = (function() {
       }, onFailure);
     }
 
+    function pollLater() {
+      pollTimeout = setTimeout(poll, pollDuration);
+    }
+
+    // ask the server to tell when the verification lands, and check the
+    // status again then.  If it can't, poll on a timer instead.
+    var generation = pollGeneration,
+        canWait = true,
+        changed = false;
+
+    function waitThenPoll() {
+      // the status may lag behind the change the server saw, if so wait
+      // for it on the timer.
+      if (!canWait || changed) {
+        changed = false;
+        return pollLater();
+      }
+
+      network.waitForVerification(function(status) {
+        if (generation !== pollGeneration) return;
+
+        if (status === "changed" || status === "pending") {
+          changed = status === "changed";
+          poll();
+        }
+        else {
+          canWait = false;
+          pollLater();
+        }
+      }, function() {
+        if (generation !== pollGeneration) return;
+
+        canWait = false;
+        pollLater();
+      });
+    }
+
     poll();
   }
 
   function cancelRegistrationPoll() {
+    pollGeneration++;
     if (pollTimeout) {
       clearTimeout(pollTimeout);
       pollTimeout = null;
@@ -348,6 +398,9 @@ BrowserID.User = (function() {
 
   function onContextChange(msg, newContext) {
     context = UserContext.create(newContext);
+    if (newContext.password_policy) {
+      validation.setPasswordPolicy(newContext.password_policy);
+    }
     var authLevel = context.getAuthLevel();
     if (window.$) {
       // TODO get this out of here!
@@ -398,6 +451,12 @@ BrowserID.User = (function() {
         storage.usersComputer.setConfirmed(userid);
       }
 
+      // Password authentication tells us whether the user must go on to
+      // provide their second factor.
+      if ("has_second_factor" in status) {
+        context.setHasSecondFactor(!!status.has_second_factor);
+      }
+
       User.syncEmails(complete.curry(onComplete, authenticated), onFailure);
     }, onFailure);
   }
@@ -784,6 +843,64 @@ BrowserID.User = (function() {
      */
     cancelWaitForPasswordResetComplete: cancelRegistrationPoll,
 
+    /**
+     * Request a one-time link which signs the user in to a secondary address
+     * without their password.
+     * @method requestSignInLink
+     * @param {string} email
+     * @param {function} [onComplete] - Callback to call when complete, called
+     * with a single object, info.
+     *    info.status {boolean} - true or false whether request was successful.
+     *    info.reason {string} - if status false, reason of failure.
+     * @param {function} [onFailure] - Called on XHR failure.
+     */
+    requestSignInLink: function(email, onComplete, onFailure) {
+      var rpInfo = User.rpInfo;
+      User.addressInfo(email, function(info) {
+        if (info.state === "unknown") {
+          complete(onComplete, { success: false, reason: "invalid_email" });
+        }
+        // users of primary addresses sign in with their IdP.
+        else if (info.type === "primary") {
+          complete(onComplete, { success: false, reason: "primary_address" });
+        }
+        else {
+          stageAddressVerification(email, null,
+            network.requestSignInLink.bind(network, email, rpInfo),
+            onComplete, onFailure);
+        }
+      }, onFailure);
+    },
+
+    /**
+     * Complete a sign-in with the token of an emailed link.
+     * @method completeSignInLink
+     * @param {string} token - token to verify.
+     * @param {string} password - ignored, the link needs none.
+     * @param {function} [onComplete] - Called on completion.
+     *   Called with an object with valid, email, and origin if valid, called
+     *   with valid=false otw.
+     * @param {function} [onFailure] - Called on error.
+     */
+    completeSignInLink: completeAddressVerification.curry(network.completeSignInLink),
+
+    /**
+     * Wait for the sign-in link to be followed.  A sign-in is pending while
+     * its token is staged, just like a password reset, so the status of the
+     * password reset is checked.
+     * @method waitForSignInLinkComplete
+     * @param {string} email - email address to check.
+     * @param {function} [onSuccess] - Called to give status updates.
+     * @param {function} [onFailure] - Called on error.
+     */
+    waitForSignInLinkComplete: addressVerificationPoll.curry(network.checkPasswordReset),
+
+    /**
+     * Cancel the waitForSignInLinkComplete poll
+     * @method cancelWaitForSignInLinkComplete
+     */
+    cancelWaitForSignInLinkComplete: cancelRegistrationPoll,
+
     /**
      * Request the reverification of an unverified email address
      * @method requestEmailReverify
@@ -895,6 +1012,68 @@ BrowserID.User = (function() {
       }, onFailure);
     },
 
+    /**
+     * Get the recent security relevant events of the current user's
+     * account - password changes and resets, removed addresses and failed
+     * sign in attempts.
+     * @method listAccountEvents
+     * @param {function} [onComplete] - Called with an array of events, newest
+     * first.  Each has a `type`, a `detail` (the address concerned, if any)
+     * and `at`, the time in seconds since the epoch.
+     * @param {function} [onFailure] - called on error.
+     */
+    listAccountEvents: function(onComplete, onFailure) {
+      network.listAccountEvents(onComplete, onFailure);
+    },
+
+    /**
+     * Get the sessions the current user is signed in with.
+     * @method listSessions
+     * @param {function} [onComplete] - Called with an array of sessions,
+     * most recently used first.  Each has an `id`, a `device` (a coarse
+     * description of the browser, "Unknown" if it wasn't recognized),
+     * `createdAt` and `lastSeen`, times in seconds since the epoch, and
+     * `current`, true for the session of this browser.
+     * @param {function} [onFailure] - called on error.
+     */
+    listSessions: function(onComplete, onFailure) {
+      network.listSessions(onComplete, onFailure);
+    },
+
+    /**
+     * Get a copy of what's stored about the current user's account, for
+     * them to download.
+     * @method exportAccount
+     * @param {function} [onComplete] - Called with the account: its
+     * `emails`, keyed by address, each with `lastUsedAs` and `verified`,
+     * `lastPasswordReset`, in seconds since the epoch, and `idps`, keyed by
+     * the domains of the addresses, each with `lastSeen`.
+     * @param {function} [onFailure] - called on error.
+     */
+    exportAccount: function(onComplete, onFailure) {
+      network.exportAccount(onComplete, onFailure);
+    },
+
+    /**
+     * Sign the current user out of one of their sessions.  Revoking the
+     * current session signs the user out of this browser.
+     * @method revokeSession
+     * @param {object} session - a session as given by listSessions.
+     * @param {function} [onComplete] - Called with whether the session was
+     * revoked.
+     * @param {function} [onFailure] - called on error.
+     */
+    revokeSession: function(session, onComplete, onFailure) {
+      network.revokeSession(session.id, function(revoked) {
+        if (revoked && session.current) {
+          loggedOut(complete.curry(onComplete, revoked), onFailure);
+        }
+        else {
+          complete(onComplete, revoked);
+        }
+      }, onFailure);
+    },
+
     /**
      * Log the current user out.
      * @method logoutUser
@@ -1058,6 +1237,42 @@ BrowserID.User = (function() {
 
     },
 
+    /**
+     * Verify a code from the user's second factor.  On success, the user is
+     * authenticated to the "mfa" level.
+     * @method verifySecondFactor
+     * @param {string} code - the six digit code.
+     * @param {function} [onComplete] - Called on completion with status. true
+     * if the code was accepted, false otw.
+     * @param {function} [onFailure] - Called on error.
+     */
+    verifySecondFactor: function(code, onComplete, onFailure) {
+      network.verifySecondFactor(code, function(status) {
+        if (!status.success) return complete(onComplete, false);
+
+        withContext(function(context) {
+          context.setAuthLevel("mfa");
+          complete(onComplete, true);
+        }, onFailure);
+      }, onFailure);
+    },
+
+    /**
+     * Check whether the user has authenticated with their password but
+     * must still provide their second factor before certificates can be
+     * issued.
+     * @method needsSecondFactor
+     * @param {function} [onComplete] - Called with true if the second factor
+     * is needed, false otw.
+     * @param {function} [onFailure] - Called on error.
+     */
+    needsSecondFactor: function(onComplete, onFailure) {
+      withContext(function(context) {
+        complete(onComplete, context.hasSecondFactor() &&
+            context.getAuthLevel() === "password");
+      }, onFailure);
+    },
+
     /**
      * Check whether the email is already registered.
      * @method isEmailRegistered
@@ -3,7 +3,22 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 BrowserID.Validation = (function() {
   var bid = BrowserID,
-      tooltip = bid.Tooltip;
+      tooltip = bid.Tooltip,
+      // The server's rules for new passwords, updated from session_context.
+      // The server also refuses breached passwords, which can't be checked
+      // here.
+      passwordPolicy = {
+        min_length: bid.PASSWORD_MIN_LENGTH,
+        disallow_email_local_part: false
+      },
+      // server policy rule -> tooltip explaining it
+      POLICY_TOOLTIPS = {
+        too_short: "#password_length",
+        contains_email: "#password_contains_email",
+        blocklisted: "#password_blocklisted"
+      },
+      // see lib/password_policy.js
+      MIN_LOCAL_PART_LENGTH = 3;
 
   bid.verifyEmail = function(address) {
     if (typeof(address) !== "string")
@@ -83,7 +98,7 @@ BrowserID.Validation = (function() {
 
   function passwordLengthForNewPassword(password) {
     var valid = password
-                && (password.length >= bid.PASSWORD_MIN_LENGTH
+                && (password.length >= getMinLengthForNewPassword()
                     && password.length <= bid.PASSWORD_MAX_LENGTH);
 
     if (!valid) {
@@ -93,6 +108,33 @@ BrowserID.Validation = (function() {
     return valid;
   }
 
+  function passwordWithoutEmail(password, email) {
+    var local = email ? email.split("@")[0].toLowerCase() : "",
+        valid = !passwordPolicy.disallow_email_local_part
+                || local.length < MIN_LOCAL_PART_LENGTH
+                || password.toLowerCase().indexOf(local) === -1;
+
+    if (!valid) {
+      tooltip.showTooltip("#password_contains_email");
+    }
+
+    return valid;
+  }
+
+  function getMinLengthForNewPassword() {
+    return passwordPolicy.min_length;
+  }
+
+  function setPasswordPolicy(policy) {
+    passwordPolicy = policy;
+  }
+
+  // show why the server refused a new password, rule is the policy rule
+  // the password breaks.
+  function passwordRefused(rule) {
+    tooltip.showTooltip(POLICY_TOOLTIPS[rule] || "#password_length");
+  }
+
   function validationPasswordExists(vpass) {
     var valid = !!vpass;
 
@@ -103,16 +145,19 @@ BrowserID.Validation = (function() {
     return valid;
   }
 
-  function newPassword(pass) {
+  // email, if given, is the address the password is chosen for.
+  function newPassword(pass, email) {
     var valid = passwordExists(pass)
-                && passwordLengthForNewPassword(pass);
+                && passwordLengthForNewPassword(pass)
+                && passwordWithoutEmail(pass, email);
 
     return valid;
   }
 
-  function passwordAndValidationPassword(pass, vpass) {
+  function passwordAndValidationPassword(pass, vpass, email) {
     var valid = passwordExists(pass)
                 && passwordLengthForNewPassword(pass)
+                && passwordWithoutEmail(pass, email)
                 && validationPasswordExists(vpass);
 
     if (valid && pass !== vpass) {
@@ -128,7 +173,10 @@ BrowserID.Validation = (function() {
     password: authenticationPassword,
     emailAndPassword: validateEmailAndPassword,
     newPassword: newPassword,
-    passwordAndValidationPassword: passwordAndValidationPassword
+    passwordAndValidationPassword: passwordAndValidationPassword,
+    setPasswordPolicy: setPasswordPolicy,
+    getMinLengthForNewPassword: getMinLengthForNewPassword,
+    passwordRefused: passwordRefused
   };
 
 }());
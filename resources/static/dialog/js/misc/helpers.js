@@ -10,8 +10,19 @@
       user = bid.User,
       tooltip = bid.Tooltip,
       errors = bid.Errors,
+      validation = bid.Validation,
       dom = bid.DOM;
 
+  function showStagingFailure(status) {
+    // the server refuses passwords which break its password policy.
+    if (status.reason === "password_policy") {
+      validation.passwordRefused(status.policy);
+    }
+    else {
+      tooltip.showTooltip("#could_not_add");
+    }
+  }
+
   function authenticateUser(email, pass, callback) {
     /*jshint validthis:true*/
     var self=this;
@@ -39,7 +50,7 @@
         self.publish(msg, data, data);
       }
       else {
-        tooltip.showTooltip("#could_not_add");
+        showStagingFailure(status);
       }
       complete(callback, status);
     }, self.getErrorDialog(errors.createUser, callback));
@@ -59,6 +70,20 @@
     }, self.getErrorDialog(errors.requestPasswordReset, callback));
   }
 
+  function requestSignInLink(email, callback) {
+    /*jshint validthis:true*/
+    var self=this;
+    user.requestSignInLink(email, function(status) {
+      if (status.success) {
+        self.publish("signin_link_staged", { email: email });
+      }
+      else {
+        tooltip.showTooltip("#could_not_add");
+      }
+      complete(callback, status);
+    }, self.getErrorDialog(errors.requestSignInLink, callback));
+  }
+
   function transitionToSecondary(email, password, callback) {
     /*jshint validthis:true*/
     var self=this;
@@ -67,7 +92,7 @@
         self.publish("transition_to_secondary_staged", { email: email });
       }
       else {
-        tooltip.showTooltip("#could_not_add");
+        showStagingFailure(status);
       }
       complete(callback, status);
     }, self.getErrorDialog(errors.transitionToSecondary, callback));
@@ -130,7 +155,7 @@
         self.publish("email_staged", info, info );
       }
       else {
-        tooltip.showTooltip("#could_not_add");
+        showStagingFailure(status);
       }
       complete(callback, status);
     }, self.getErrorDialog(errors.addEmail, callback));
@@ -149,6 +174,7 @@
     refreshEmailInfo: refreshEmailInfo,
     addSecondaryEmail: addSecondaryEmail,
     resetPassword: resetPassword,
+    requestSignInLink: requestSignInLink,
     transitionToSecondary: transitionToSecondary,
     reverifyEmail: reverifyEmail,
     cancelEvent: helpers.cancelEvent,
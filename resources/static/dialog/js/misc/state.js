@@ -456,10 +456,10 @@ BrowserID.State = (function() {
         }
         else {
           // Address is verified, check the authentication, if the user is not
-          // authenticated to the assertion level, force them to enter their
-          // password.
+          // authenticated to the password level (or beyond, with a second
+          // factor), force them to enter their password.
           return user.checkAuthentication(function(authentication) {
-            if (authentication !== "password") {
+            if (authentication !== "password" && authentication !== "mfa") {
               // user must authenticate with their password, kick them over to
               // the authenticate screen to enter the password.
               addressInfo.email_mutable = false;
@@ -494,18 +494,36 @@ BrowserID.State = (function() {
       // address.  For secondaries, this means the email has been validated and
       // the user is authenticated to the password level.  For primaries, this
       // means the user is authenticated with their IdP and the certificate for
-      // the address is valid.  An assertion can be generated, but first we
-      // may have to check whether the user owns the computer.
-      user.shouldAskIfUsersComputer(function(shouldAsk) {
-        if (shouldAsk) {
-          redirectToState("is_this_your_computer", info);
-        }
-        else {
-          redirectToState("generate_assertion", info);
+      // the address is valid.  An assertion can be generated, but first the
+      // user may have to provide their second factor, and we may have to check
+      // whether the user owns the computer.
+      user.needsSecondFactor(function(needsSecondFactor) {
+        if (needsSecondFactor) {
+          return redirectToState("second_factor_required", info);
         }
+
+        user.shouldAskIfUsersComputer(function(shouldAsk) {
+          if (shouldAsk) {
+            redirectToState("is_this_your_computer", info);
+          }
+          else {
+            redirectToState("generate_assertion", info);
+          }
+        });
       });
     });
 
+    handleState("second_factor_required", function(msg, info) {
+      // The user has authenticated with their password, but has enrolled a
+      // second factor which must be provided before a certificate can be
+      // issued.
+      startAction("doVerifySecondFactor", info);
+    });
+
+    handleState("second_factor_verified", function(msg, info) {
+      redirectToState("email_valid_and_ready", info);
+    });
+
     handleState("is_this_your_computer", function(msg, info) {
       // We have to confirm the user's computer ownership status.  Save off
       // the selected email info for when the user_computer_status_set is
@@ -526,6 +544,12 @@ BrowserID.State = (function() {
     });
 
     handleState("generate_assertion", function(msg, info) {
+      // an RP which passes allowedDomains only accepts addresses at them,
+      // let the user pick one of those instead.
+      if (!self.rpInfo.isEmailAllowed(info.email)) {
+        return redirectToState("pick_email");
+      }
+
       info.rpInfo = self.rpInfo;
       startAction("doGenerateAssertion", info);
     });
@@ -541,6 +565,18 @@ BrowserID.State = (function() {
 
     handleState("reset_password_staged", handleEmailStaged.curry("doConfirmResetPassword"));
 
+    handleState("email_signin_link", function(msg, info) {
+      // User would rather not enter their password.  A one-time link which
+      // signs them in is emailed, and the user waits on the confirmation
+      // screen until it is followed.
+      startAction(false, "doStageSignInLink", info);
+      complete(info.complete);
+    });
+
+    handleState("signin_link_staged", handleEmailStaged.curry("doConfirmSignInLink"));
+
+    handleState("signin_link_confirmed", handleEmailConfirmed);
+
     handleState("assertion_generated", function(msg, info) {
       if (info.assertion !== null) {
         self.success = true;
@@ -577,6 +613,7 @@ BrowserID.State = (function() {
       // either 1) primary_user or 2) email_staged. #1 occurs if the email
       // address is a primary address, #2 occurs if the address is a secondary
       // and the verification email has been sent.
+      info = _.extend({ rpInfo: self.rpInfo }, info);
       startAction("doAddEmail", info);
       complete(info.complete);
     });
@@ -106,6 +106,14 @@ BrowserID.Modules.Actions = (function() {
       startRegCheckService.call(this, info, "waitForPasswordResetComplete", "reset_password_confirmed");
     },
 
+    doStageSignInLink: function(info) {
+      dialogHelpers.requestSignInLink.call(this, info.email, info.ready);
+    },
+
+    doConfirmSignInLink: function(info) {
+      startRegCheckService.call(this, info, "waitForSignInLinkComplete", "signin_link_confirmed");
+    },
+
     doStageReverifyEmail: function(info) {
       dialogHelpers.reverifyEmail.call(this, info.email, info.ready);
     },
@@ -170,6 +178,10 @@ BrowserID.Modules.Actions = (function() {
       startService("primary_offline", info);
     },
 
+    doVerifySecondFactor: function(info) {
+      startService("verify_second_factor", info);
+    },
+
     doIsThisYourComputer: function(info) {
       startService("is_this_your_computer", info);
     },
@@ -41,6 +41,12 @@ BrowserID.Modules.AddEmail = (function() {
     var email = helpers.getAndValidateEmail(EMAIL_SELECTOR),
         self=this;
 
+    // the RP may only accept addresses at some domains
+    if (email && self.rpInfo && !self.rpInfo.isEmailAllowed(email)) {
+      tooltip.showTooltip("#email_not_allowed");
+      email = null;
+    }
+
     if (email) {
       showHint("addressInfo");
 
@@ -75,7 +81,12 @@ BrowserID.Modules.AddEmail = (function() {
       var self=this,
           originEmail = user.getOriginEmail();
 
-      self.renderForm("add_email", options);
+      options = options || {};
+      self.rpInfo = options.rpInfo;
+
+      self.renderForm("add_email", _.extend({
+        allowedDomains: self.rpInfo && self.rpInfo.getAllowedDomains()
+      }, options));
       hideHint("addressInfo");
 
       self.click(CANCEL_SELECTOR, cancelAddEmail);
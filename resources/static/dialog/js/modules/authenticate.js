@@ -24,6 +24,7 @@ BrowserID.Modules.Authenticate = (function() {
       EMAIL_SELECTOR = "#authentication_email",
       PASSWORD_SELECTOR = "#authentication_password",
       FORGOT_PASSWORD_SELECTOR = ".forgotPassword",
+      SIGNIN_LINK_SELECTOR = ".emailSignInLink",
       RP_NAME_SELECTOR = ".start_rp_name",
       BODY_SELECTOR = "body",
       AUTHENTICATION_CLASS = "authentication",
@@ -294,6 +295,15 @@ BrowserID.Modules.Authenticate = (function() {
     }
   }
 
+  function emailSignInLink() {
+    /*jshint validthis: true*/
+    var email = getEmail();
+    if (email) {
+      var info = addressInfo || { email: email };
+      this.publish("email_signin_link", info, info);
+    }
+  }
+
   function emailChange() {
     /*jshint validthis: true*/
     var newEmail = dom.getInner(EMAIL_SELECTOR);
@@ -387,6 +397,7 @@ BrowserID.Modules.Authenticate = (function() {
       // element blurs but it has been updated via autofill.  See issue #406
       self.bind(EMAIL_SELECTOR, "change", emailChange);
       self.click(FORGOT_PASSWORD_SELECTOR, forgotPassword);
+      self.click(SIGNIN_LINK_SELECTOR, emailSignInLink);
       self.click(CANCEL_PASSWORD_SELECTOR, cancelPassword);
 
       Module.sc.start.call(self, options);
@@ -414,6 +425,7 @@ BrowserID.Modules.Authenticate = (function() {
     createFxAccount: createFxAccount,
     authenticate: authenticate,
     forgotPassword: forgotPassword,
+    emailSignInLink: emailSignInLink,
     emailChange: emailChange
     // END TESTING API
   });
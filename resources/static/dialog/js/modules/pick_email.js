@@ -75,8 +75,11 @@ BrowserID.Modules.PickEmail = (function() {
     }
   }
 
-  function getSortedIdentities() {
-    var identities = user.getSortedEmailKeypairs();
+  function getSortedIdentities(rpInfo) {
+    // only offer the addresses the RP accepts
+    var identities = _.filter(user.getSortedEmailKeypairs(), function(identity) {
+      return rpInfo.isEmailAllowed(identity.address);
+    });
     return identities;
   }
 
@@ -142,8 +145,9 @@ BrowserID.Modules.PickEmail = (function() {
       var rpInfo = options.rpInfo;
 
       self.renderForm("pick_email", {
-        identities: getSortedIdentities(),
+        identities: getSortedIdentities(rpInfo),
         preselectedEmail: getPreselectedEmail(rpInfo),
+        allowedDomains: rpInfo.getAllowedDomains(),
         privacyPolicy: rpInfo.getPrivacyPolicy(),
         termsOfService: rpInfo.getTermsOfService(),
         siteName: rpInfo.getSiteName()
@@ -29,13 +29,14 @@ BrowserID.Modules.SetPassword = (function() {
     if (!dom.is(VPASSWORD_SELECTOR, ":focus") && pass && !vpass) {
       // user is in the password field, hits enter and there is no vpass. User
       // should go to the vpass field without there being an error.
-      valid = bid.Validation.newPassword(pass);
+      valid = bid.Validation.newPassword(pass, options.email);
       if (valid) {
         dom.focus(VPASSWORD_SELECTOR);
       }
     }
     else {
-      valid = bid.Validation.passwordAndValidationPassword(pass, vpass);
+      valid = bid.Validation.passwordAndValidationPassword(pass, vpass,
+          options.email);
       if (valid) {
         this.publish("password_set", { password: pass });
       }
@@ -60,6 +61,8 @@ BrowserID.Modules.SetPassword = (function() {
         domain: helpers.getDomainFromEmail(options.email),
         fxaccount: !!options.fxaccount,
         cancelable: options.cancelable !== false,
+        password_min_length: bid.Validation.getMinLengthForNewPassword(),
+        password_max_length: bid.PASSWORD_MAX_LENGTH,
         personaTOSPP: options.personaTOSPP
       });
 
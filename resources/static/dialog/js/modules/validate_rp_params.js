@@ -120,6 +120,14 @@ BrowserID.Modules.ValidateRpParams = (function() {
             "experimental_emailHint");
       }
 
+      // allowedDomains restricts the addresses the user can sign in with to
+      // those at one of a list of domains, e.g. for intranet sites.
+      if (paramsFromRP.allowedDomains) {
+        params.allowedDomains = validateAllowedDomains(
+            paramsFromRP.allowedDomains,
+            "allowedDomains");
+      }
+
       // additional features available only to internal/native consumers
       if (isInternalRPAPI(params)) {
         // userAssertedClaims allows a user agent to include additional
@@ -333,6 +341,23 @@ BrowserID.Modules.ValidateRpParams = (function() {
     return email;
   }
 
+  function validateAllowedDomains(domains, name) {
+    if (!_.isArray(domains) || !domains.length) {
+      throw new Error("invalid value for " + name + ": " + domains);
+    }
+
+    // domains may be given with or without a leading @
+    return _.map(domains, function(domain) {
+      var normalized = typeof domain === "string" &&
+                       domain.replace(/^@/, "").toLowerCase();
+      if (!normalized || !bid.verifyEmail("user@" + normalized)) {
+        throw new Error("invalid domain for " + name + ": " + domain);
+      }
+
+      return normalized;
+    });
+  }
+
   function validateUserAssertedClaims(claims, name) {
     if (Object.prototype.toString.apply(claims) !== "[object Object]") {
       throw new Error("invalid value for " + name + ": " + claims);
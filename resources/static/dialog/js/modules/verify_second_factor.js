@@ -0,0 +1,82 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+BrowserID.Modules.VerifySecondFactor = (function() {
+  "use strict";
+
+  var bid = BrowserID,
+      dom = bid.DOM,
+      user = bid.User,
+      errors = bid.Errors,
+      tooltip = bid.Tooltip,
+      helpers = bid.Helpers,
+      complete = helpers.complete,
+      CANCEL_SELECTOR = "#cancel",
+      CODE_SELECTOR = "#second_factor_code",
+      sc;
+
+  function getAndValidateCode() {
+    // authenticator apps often display the code in two groups of three.
+    var code = (dom.getInner(CODE_SELECTOR) || "").replace(/\s/g, "");
+
+    if (!code) {
+      tooltip.showTooltip("#second_factor_code_required");
+      return null;
+    }
+
+    if (!/^[0-9]{6}$/.test(code)) {
+      tooltip.showTooltip("#second_factor_code_format");
+      return null;
+    }
+
+    return code;
+  }
+
+  function submit(callback) {
+    /*jshint validthis: true*/
+    var self = this,
+        code = getAndValidateCode();
+
+    if (!code) return complete(callback, false);
+
+    user.verifySecondFactor(code, function(verified) {
+      if (verified) {
+        self.publish("second_factor_verified", { email: self.email });
+      }
+      else {
+        dom.setInner(CODE_SELECTOR, "");
+        dom.focus(CODE_SELECTOR);
+        tooltip.showTooltip("#cannot_verify_second_factor");
+      }
+      complete(callback, verified);
+    }, self.getErrorDialog(errors.verifySecondFactor, callback));
+  }
+
+  function cancel() {
+    /*jshint validthis: true*/
+    this.close("cancel_state");
+  }
+
+  var Module = bid.Modules.PageModule.extend({
+    start: function(options) {
+      var self=this;
+      options = options || {};
+      self.email = options.email;
+
+      self.renderForm("verify_second_factor", {
+        email: options.email
+      });
+
+      self.click(CANCEL_SELECTOR, cancel);
+
+      sc.start.call(self, options);
+    },
+
+    submit: submit,
+    cancel: cancel
+  });
+
+  sc = Module.sc;
+
+  return Module;
+}());
@@ -45,6 +45,7 @@
       moduleManager.register("authenticate", modules.Authenticate);
       moduleManager.register("check_registration", modules.CheckRegistration);
       moduleManager.register("is_this_your_computer", modules.IsThisYourComputer);
+      moduleManager.register("verify_second_factor", modules.VerifySecondFactor);
       moduleManager.register("pick_email", modules.PickEmail);
       moduleManager.register("verify_primary_user", modules.VerifyPrimaryUser);
       moduleManager.register("provision_primary_user", modules.ProvisionPrimaryUser);
@@ -151,6 +151,93 @@
 
     var loggedInUser;
 
+    // whether the communication iframe has loaded, and the functions waiting
+    // on it to, for navigator.id.whenReady()
+    var isReady = false,
+        readyWaiters = [];
+
+    // the promises of navigator.id.requestAsync() calls waiting on the dialog,
+    // as { resolve: <function>, reject: <function> }
+    var requestWaiters = [];
+
+    // the native Promise, or a minimal shim of it for browsers without one.
+    // The shim only supports `new Promise(executor)`, `.then()` and `.catch()`.
+    var RPPromise = window.Promise || (function() {
+      function ShimPromise(executor) {
+        var state = "pending",
+            value,
+            handlers = [],
+            settled = false;
+
+        function handle(handler) {
+          setTimeout(function() {
+            var callback = state === "fulfilled" ? handler.onFulfilled : handler.onRejected;
+            if (typeof callback !== "function") {
+              if (state === "fulfilled") handler.resolve(value);
+              else handler.reject(value);
+              return;
+            }
+
+            try {
+              handler.resolve(callback(value));
+            } catch(e) {
+              handler.reject(e);
+            }
+          }, 0);
+        }
+
+        function settle(newState, newValue) {
+          state = newState;
+          value = newValue;
+          for (var i = 0; i < handlers.length; i++) handle(handlers[i]);
+          handlers = null;
+        }
+
+        function resolve(result) {
+          if (settled) return;
+          settled = true;
+          if (result && typeof result.then === "function") {
+            // adopt the state of a thenable
+            result.then(function(v) { settle("fulfilled", v); },
+                        function(e) { settle("rejected", e); });
+          } else {
+            settle("fulfilled", result);
+          }
+        }
+
+        function reject(reason) {
+          if (settled) return;
+          settled = true;
+          settle("rejected", reason);
+        }
+
+        this.then = function(onFulfilled, onRejected) {
+          return new ShimPromise(function(resolve, reject) {
+            var handler = {
+              onFulfilled: onFulfilled,
+              onRejected: onRejected,
+              resolve: resolve,
+              reject: reject
+            };
+            if (handlers) handlers.push(handler);
+            else handle(handler);
+          });
+        };
+
+        try {
+          executor(resolve, reject);
+        } catch(e) {
+          reject(e);
+        }
+      }
+
+      ShimPromise.prototype["catch"] = function(onRejected) {
+        return this.then(null, onRejected);
+      };
+
+      return ShimPromise;
+    }());
+
     var compatMode = undefined;
     function checkCompat(requiredMode) {
       if (requiredMode === true) {
@@ -223,6 +310,8 @@
               commChan.call({
                 method: 'loaded',
                 success: function(){
+                  isReady = true;
+                  while (readyWaiters.length) readyWaiters.shift()();
                   // NOTE: Do not modify without reading GH-2017
                   if (observers.ready) observers.ready();
                 }, error: function() {
@@ -346,7 +435,22 @@
       return rp_api;
     }
 
-    function internalRequest(options) {
+    // settle the promises of navigator.id.requestAsync() calls once the
+    // dialog is complete, with its assertion, or with why there is none
+    function settleRequestWaiters(assertion, reason) {
+      var waiters = requestWaiters;
+      requestWaiters = [];
+      for (var i = 0; i < waiters.length; i++) {
+        if (assertion) waiters[i].resolve(assertion);
+        else waiters[i].reject(new Error(reason));
+      }
+    }
+
+    // `waiter`, if given, is settled with the outcome of the dialog, see
+    // settleRequestWaiters
+    function internalRequest(options, waiter) {
+      if (waiter) requestWaiters.push(waiter);
+
       checkDeprecated(options, "requiredEmail");
       checkRenamed(options, "tosURL", "termsOfService");
       checkRenamed(options, "privacyURL", "privacyPolicy");
@@ -404,6 +508,7 @@
           ipServer + "/" + url,
           WINDOW_NAME,
           windowOpenOpts);
+        settleRequestWaiters(null, reason || "unsupported");
         return;
       }
 
@@ -412,6 +517,10 @@
       if (commChan) commChan.notify({ method: 'dialog_running' });
 
       function doPopupFix() {
+        // this page is navigated away from, the outcome of the dialog reaches
+        // the .onlogin observer of the page loaded when it completes.
+        settleRequestWaiters(null, "redirected");
+
         if (commChan) {
           return commChan.call({
             method: 'redirect_flow',
@@ -482,23 +591,62 @@
           if (options && options.oncancel) options.oncancel();
           delete options.oncancel;
         }
+
+        if (!err && r && r.assertion) settleRequestWaiters(r.assertion);
+        else settleRequestWaiters(null, err && err !== 'client closed window' ? err : "cancelled");
       });
     };
 
+    // the checks and defaults shared by navigator.id.request() and
+    // navigator.id.requestAsync()
+    function prepareRequest(self, options, name) {
+      if (self != navigator.id)
+        throw new Error("all navigator.id calls must be made on the navigator.id object");
+
+      if (!observers.login)
+        throw new Error("navigator.id.watch must be called before navigator.id." + name);
+
+      options = options || {};
+      checkCompat(false);
+      api_called = "request";
+      // returnTo is used for post-email-verification redirect
+      if (!options.returnTo) options.returnTo = document.location.pathname;
+      return options;
+    }
+
     navigator.id = {
       request: function(options) {
-        if (this != navigator.id)
-          throw new Error("all navigator.id calls must be made on the navigator.id object");
-
-        if (!observers.login)
-          throw new Error("navigator.id.watch must be called before navigator.id.request");
-
-        options = options || {};
-        checkCompat(false);
-        api_called = "request";
-        // returnTo is used for post-email-verification redirect
-        if (!options.returnTo) options.returnTo = document.location.pathname;
-        return internalRequest(options);
+        return internalRequest(prepareRequest(this, options, "request"));
+      },
+      // like .request(), but returns a promise which is resolved with the
+      // assertion, or rejected if the user cancels.  The .onlogin observer
+      // is invoked as usual.  On browsers which redirect to the dialog rather
+      // than opening it in a window, the page is navigated away from and the
+      // promise is rejected with "redirected".
+      requestAsync: function(options) {
+        var self = this;
+        return new RPPromise(function(resolve, reject) {
+          internalRequest(prepareRequest(self, options, "requestAsync"),
+                          { resolve: resolve, reject: reject });
+        });
+      },
+      // returns a promise which is resolved once navigator.id.watch() has
+      // determined the user's login state, when .onready is invoked.
+      whenReady: function() {
+        var self = this;
+        return new RPPromise(function(resolve, reject) {
+          if (self != navigator.id)
+            throw new Error("all navigator.id calls must be made on the navigator.id object");
+
+          if (!observers.login)
+            throw new Error("navigator.id.watch must be called before navigator.id.whenReady");
+
+          if (!browserSupported)
+            throw new Error(BrowserSupport.getNoSupportReason() || "unsupported");
+
+          if (isReady) resolve();
+          else readyWaiters.push(resolve);
+        });
       },
       watch: function(options) {
         if (this != navigator.id)
@@ -16,6 +16,7 @@ BrowserID.manageAccount = (function() {
       cancelEvent = pageHelpers.cancelEvent,
       /*globals confirm:true*/
       confirmAction = confirm,
+      saveFile = offerDownload,
       complete = helpers.complete,
       doc = document,
       tooltip = bid.Tooltip,
@@ -54,7 +55,9 @@ BrowserID.manageAccount = (function() {
         if (confirmAction(format(gettext("Remove %(email)s from your Persona account?"),
                                  { email: email }))) {
           user.removeEmail(email, function() {
-            displayStoredEmails.call(self, oncomplete);
+            displayStoredEmails.call(self, function() {
+              displayAccountEvents(oncomplete);
+            });
           }, pageHelpers.getFailure(errors.removeEmail, oncomplete));
         }
         else {
@@ -75,6 +78,13 @@ BrowserID.manageAccount = (function() {
     }, pageHelpers.getFailure(errors.syncEmails, oncomplete));
   }
 
+  function substitute(text, values, re) {
+    re = re || /\{\{([^\{\}]+)\}\}/g;
+    return String(text).replace(re, function(m, name) {
+      return (values[name] != null) ? values[name] : '';
+    });
+  }
+
   function renderEmails(emails) {
     /*jshint validthis:true*/
     var self=this,
@@ -82,13 +92,6 @@ BrowserID.manageAccount = (function() {
 
     dom.setInner(list, "");
 
-    function substitute(text, values, re) {
-      re = re || /\{\{([^\{\}]+)\}\}/g;
-      return String(text).replace(re, function(m, name) {
-        return (values[name] != null) ? values[name] : '';
-      });
-    }
-
     var template = dom.getInner("#templateUser");
 
     _.each(emails, function(item) {
@@ -102,6 +105,129 @@ BrowserID.manageAccount = (function() {
     });
   }
 
+  function describeAccountEvent(event) {
+    var email = _.escape(event.detail);
+
+    switch(event.type) {
+      case "password_change":
+        return gettext("Password changed");
+      case "password_reset":
+        return format(gettext("Password reset using %(email)s"), { email: email });
+      case "email_removed":
+        return format(gettext("%(email)s removed"), { email: email });
+      case "auth_failure":
+        return gettext("Failed sign in attempt");
+      case "mfa_enabled":
+        return gettext("Second factor enabled");
+      case "mfa_disabled":
+        return gettext("Second factor removed");
+      case "session_revoked":
+        return format(gettext("Signed out of %(device)s"), { device: _.escape(event.detail) });
+      case "signin_link":
+        return format(gettext("Signed in with a link sent to %(email)s"), { email: email });
+    }
+  }
+
+  function renderAccountEvents(events) {
+    var list = dom.getElements("#activityList"),
+        template = dom.getInner("#templateActivity"),
+        count = 0;
+
+    dom.setInner(list, "");
+
+    _.each(events, function(event) {
+      var description = describeAccountEvent(event);
+      // types this page doesn't know of are not shown
+      if (!description) return;
+
+      dom.appendTo(substitute(template, {
+        description: description,
+        when: _.escape(new Date(event.at * 1000).toLocaleString())
+      }), list);
+      count++;
+    });
+
+    dom[count ? "hide" : "show"]("#noActivity");
+  }
+
+  function displayAccountEvents(oncomplete) {
+    // recent activity is informational, failing to fetch it must not keep
+    // the user from managing their account.
+    user.listAccountEvents(function(events) {
+      dom.show("#activity");
+      renderAccountEvents(events);
+      complete(oncomplete);
+    }, function() {
+      dom.hide("#activity");
+      complete(oncomplete);
+    });
+  }
+
+  function describeDevice(session) {
+    var device = session.device === "Unknown" ?
+                     gettext("Unknown browser") : _.escape(session.device);
+    return session.current ?
+        format(gettext("%(device)s (this browser)"), { device: device }) : device;
+  }
+
+  function renderSessions(sessions) {
+    /*jshint validthis:true*/
+    var self=this,
+        list = dom.getElements("#sessionList"),
+        template = dom.getInner("#templateSession");
+
+    dom.setInner(list, "");
+
+    _.each(sessions, function(session) {
+      var sessionEl = dom.appendTo(substitute(template, {
+            device: describeDevice(session),
+            lastSeen: format(gettext("Last used %(when)s"),
+                { when: _.escape(new Date(session.lastSeen * 1000).toLocaleString()) })
+          }), list),
+          revokeButton = dom.getDescendentElements(".revoke", sessionEl);
+
+      self.click(revokeButton, revokeSession.curry(session));
+    });
+  }
+
+  function displaySessions(oncomplete) {
+    /*jshint validthis:true*/
+    var self=this;
+    // like recent activity, failing to list sessions must not keep the user
+    // from managing their account.
+    user.listSessions(function(sessions) {
+      dom.show("#sessions");
+      renderSessions.call(self, sessions);
+      complete(oncomplete);
+    }, function() {
+      dom.hide("#sessions");
+      complete(oncomplete);
+    });
+  }
+
+  function revokeSession(session, oncomplete) {
+    /*jshint validthis:true*/
+    var self=this,
+        question = session.current ?
+            gettext("Sign out of this browser?") :
+            format(gettext("Sign out of %(device)s?"), { device: describeDevice(session) });
+
+    if (!confirmAction(question)) return complete(oncomplete);
+
+    user.revokeSession(session, function(revoked) {
+      if (revoked && session.current) {
+        doc.location="/";
+        complete(oncomplete);
+      }
+      else {
+        // the session may have ended on its own, refresh the list either way.
+        displaySessions.call(self, function() {
+          displayAccountEvents(oncomplete);
+        });
+      }
+    }, pageHelpers.getFailure(errors.revokeSession, oncomplete));
+  }
+
   function cancelAccount(oncomplete) {
     if (confirmAction(gettext("Are you sure you want to delete your Persona account?"))) {
       user.cancelUser(function() {
@@ -111,6 +237,36 @@ BrowserID.manageAccount = (function() {
     }
   }
 
+  // offer `text` to the user as a file called `name`
+  function offerDownload(name, text) {
+    var type = "application/json";
+
+    if (!window.Blob) {
+      window.open("data:" + type + ";charset=utf-8," + encodeURIComponent(text));
+      return;
+    }
+
+    var blob = new window.Blob([text], { type: type });
+    if (window.navigator.msSaveBlob) {
+      window.navigator.msSaveBlob(blob, name);
+      return;
+    }
+
+    var link = document.createElement("a");
+    link.href = window.URL.createObjectURL(blob);
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+
+  function downloadData(oncomplete) {
+    user.exportAccount(function(account) {
+      saveFile("persona-account.json", JSON.stringify(account, null, 2));
+      complete(oncomplete);
+    }, pageHelpers.getFailure(errors.exportAccount, oncomplete));
+  }
+
   function startEdit(event) {
     event.preventDefault();
     dom.addClass(dom.closest("section", event.target), "edit");
@@ -134,12 +290,14 @@ BrowserID.manageAccount = (function() {
           dom.removeClass("#edit_password", "edit");
           dom.setInner("#old_password", "");
           dom.setInner("#new_password", "");
+          displayAccountEvents(function() {
+            complete(oncomplete, status);
+          });
         }
         else {
           tooltip.showTooltip("#tooltipInvalidPassword");
+          complete(oncomplete, status);
         }
-
-        complete(oncomplete, status);
       }, pageHelpers.getFailure(errors.updatePassword, oncomplete));
     }
 
@@ -192,6 +350,7 @@ BrowserID.manageAccount = (function() {
 
       if (options.document) doc = options.document;
       if (options.confirm) confirmAction = options.confirm;
+      if (options.saveFile) saveFile = options.saveFile;
 
       var self=this,
           oncomplete = options.ready,
@@ -200,6 +359,7 @@ BrowserID.manageAccount = (function() {
       dom.insertAfter(manage, "#hAlign");
 
       self.click("#cancelAccount", cancelAccount);
+      self.click("#downloadData", downloadData);
 
       self.bind("button.edit", "click", startEdit);
       self.bind("button.done", "click", cancelEdit);
@@ -209,7 +369,11 @@ BrowserID.manageAccount = (function() {
 
         syncAndDisplayEmails.call(self, function() {
           displayHelpTextToNewUser();
-          displayChangePassword(oncomplete);
+          displayChangePassword(function() {
+            displaySessions.call(self, function() {
+              displayAccountEvents(oncomplete);
+            });
+          });
         });
       }, pageHelpers.getFailure(errors.checkAuthentication, oncomplete));
 
@@ -221,7 +385,9 @@ BrowserID.manageAccount = (function() {
     // BEGIN TESTING API
     ,
     cancelAccount: cancelAccount,
+    downloadData: downloadData,
     removeEmail: removeEmail,
+    revokeSession: revokeSession,
     changePassword: submit
     // END TESTING API
   });
@@ -60,13 +60,19 @@ BrowserID.resetPassword = (function() {
     var self = this,
         pass = dom.getInner("#password") || null,
         vpass = dom.getInner("#vpassword") || null,
-        inputValid = ((!self.needsPassword || validation.passwordAndValidationPassword(pass, vpass))
+        inputValid = ((!self.needsPassword || validation.passwordAndValidationPassword(pass, vpass, self.email))
         // BEGIN TRANSITION CODE
                    && (!self.mustAuth || validation.password(pass)));
         // END TRANSITION CODE
 
     if (inputValid) {
       user.completePasswordReset(self.token, pass, function(info) {
+        // the new password was refused, the user can choose another.
+        if (info.reason === "password_policy") {
+          validation.passwordRefused(info.policy);
+          return complete(oncomplete, false);
+        }
+
         dom.addClass("body", "complete");
 
         var verified = info.valid;
@@ -24,7 +24,7 @@ $(function() {
       XHRDisableForm = modules.XHRDisableForm,
       Development = modules.Development,
       ANIMATION_TIME = 500,
-      checkCookiePaths = [ "/add_email_address", "/confirm", "/verify_email_address" ];
+      checkCookiePaths = [ "/add_email_address", "/confirm", "/verify_email_address", "/sign_in" ];
 
 
   function shouldCheckCookies(path) {
@@ -122,12 +122,12 @@ $(function() {
     start(true);
   }
 
-  function verifySecondaryAddress(verifyFunction) {
+  function verifySecondaryAddress(verifyFunction, options) {
     var module = bid.verifySecondaryAddress.create();
-    module.start({
+    module.start(_.extend({
       token: token,
       verifyFunction: verifyFunction
-    });
+    }, options));
   }
 
   function start(status) {
@@ -152,6 +152,10 @@ $(function() {
       else if (path === "/verify_email_address") {
         verifySecondaryAddress("verifyUser");
       }
+      else if (path === "/sign_in") {
+        // the link itself authenticates the user, no password is asked for.
+        verifySecondaryAddress("completeSignInLink", { passwordless: true });
+      }
       else if (path === "/reset_password") {
         module = bid.resetPassword.create();
         module.start({
@@ -80,7 +80,7 @@ BrowserID.verifySecondaryAddress = (function() {
         self.redirectTo = info.returnTo || "https://login.persona.org/";
         self.email = info.email;
         showRegistrationInfo.call(self, info);
-        self.mustAuth = info.must_auth;
+        self.mustAuth = info.must_auth && !self.passwordless;
 
         if (self.mustAuth) {
           // These are users who are authenticating in a different browser or
@@ -113,6 +113,7 @@ BrowserID.verifySecondaryAddress = (function() {
 
       self.token = options.token;
       self.verifyFunction = options.verifyFunction;
+      self.passwordless = !!options.passwordless;
       self.doc = options.document || document;
 
       startVerification.call(self, options.ready);
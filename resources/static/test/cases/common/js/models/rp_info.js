@@ -78,4 +78,24 @@
     equal(model.isDefaultIssuer(), false);
   });
 
+  test("isEmailAllowed with no allowedDomains - every address allowed", function() {
+    var model = Model.create({
+      origin: "http://testuser.com"
+    });
+
+    equal(model.isEmailAllowed("testuser@testuser.com"), true);
+  });
+
+  test("isEmailAllowed with allowedDomains - only addresses at them allowed", function() {
+    var model = Model.create({
+      origin: "http://testuser.com",
+      allowedDomains: [ "corp.example", "corp-partner.example" ]
+    });
+
+    equal(model.isEmailAllowed("testuser@corp.example"), true);
+    equal(model.isEmailAllowed("testuser@CORP-PARTNER.EXAMPLE"), true);
+    equal(model.isEmailAllowed("testuser@testuser.com"), false);
+    equal(model.isEmailAllowed("testuser@sub.corp.example"), false);
+  });
+
 }());
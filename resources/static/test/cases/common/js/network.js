@@ -43,6 +43,9 @@
     requestPasswordReset: {
       password: false
     },
+    requestSignInLink: {
+      password: false
+    },
     requestEmailReverify: {
       password: false
     },
@@ -134,6 +137,7 @@
     completeUserRegistration: true,
     completeEmailRegistration: true,
     completePasswordReset: true,
+    completeSignInLink: true,
     completeTransitionToSecondary: true
   };
 
@@ -192,6 +196,17 @@
     }
   }
 
+  asyncTest("waitForVerification with a verification completed", function() {
+    network.waitForVerification(function(status) {
+      equal(status, "changed");
+      start();
+    }, testHelpers.unexpectedFailure);
+  });
+
+  asyncTest("waitForVerification with XHR failure", function() {
+    failureCheck(network.waitForVerification);
+  });
+
   /*
    * The registration status check methods are generic and can be
    * generically tested.
@@ -279,6 +294,25 @@
     failureCheck(network.authenticate, TEST_EMAIL, false, "ajaxError");
   });
 
+  asyncTest("verifySecondFactor with a valid code", function() {
+    network.verifySecondFactor("123456", function(status) {
+      equal(status.success, true, "code verified");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("verifySecondFactor with an invalid code", function() {
+    transport.useResult("invalid");
+    network.verifySecondFactor("123456", function(status) {
+      equal(status.success, false, "code not verified");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("verifySecondFactor with XHR failure", function() {
+    failureCheck(network.verifySecondFactor, "123456");
+  });
+
   asyncTest("authenticateWithAssertion with valid email/assertioni, returns true status", function() {
     network.authenticateWithAssertion(TEST_EMAIL, "test_assertion",
         function(status) {
@@ -513,6 +547,61 @@
     failureCheck(network.changePassword, "oldpassword", "newpassword");
   });
 
+  asyncTest("listAccountEvents - call complete with the events", function() {
+    network.listAccountEvents(function(events) {
+      equal(events.length, 1, "one event listed");
+      equal(events[0].type, "password_change", "with the correct type");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("listAccountEvents with XHR failure", function() {
+    failureCheck(network.listAccountEvents);
+  });
+
+  asyncTest("listSessions - call complete with the sessions", function() {
+    network.listSessions(function(sessions) {
+      equal(sessions.length, 2, "two sessions listed");
+      equal(sessions[0].current, true, "the current session is marked");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("listSessions with XHR failure", function() {
+    failureCheck(network.listSessions);
+  });
+
+  asyncTest("exportAccount - call complete with the account", function() {
+    network.exportAccount(function(account) {
+      equal(account.emails["testuser@testuser.com"].lastUsedAs, "secondary", "the addresses are described");
+      equal(account.idps["testuser.com"].lastSeen, null, "the IdPs are described");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("exportAccount with XHR failure", function() {
+    failureCheck(network.exportAccount);
+  });
+
+  asyncTest("revokeSession valid - call complete with true status", function() {
+    network.revokeSession("otherSessionIdotherSessionIdothe", function(status) {
+      equal(status, true, "session revoked");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("revokeSession invalid - call complete with false status", function() {
+    transport.useResult("invalid");
+    network.revokeSession("otherSessionIdotherSessionIdothe", function(status) {
+      equal(status, false, "session not revoked");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("revokeSession with XHR failure", function() {
+    failureCheck(network.revokeSession, "otherSessionIdotherSessionIdothe");
+  });
+
   asyncTest("cookiesEnabled with cookies enabled - return true status", function() {
     network.cookiesEnabledOverride = true;
     network.cookiesEnabled(function(status) {
@@ -264,6 +264,17 @@
       testAddressVerificationPoll(undefined, "mustAuth", waitFuncName, "mustAuth");
     });
 
+    asyncTest(waitFuncName + " with the verification completed while waiting - `complete` response", function() {
+      xhr.useResult("waitable");
+      xhr.setContextInfo("auth_level", "password");
+
+      // the status only becomes complete as the wait returns
+      lib[waitFuncName]("registered@testuser.com", function(status) {
+        equal(status, "complete", "complete response expected");
+        start();
+      }, testHelpers.unexpectedXHRFailure);
+    });
+
     asyncTest(waitFuncName + " with `noRegistration` response", function() {
       testAddressVerificationPollNoRegistration(waitFuncName);
     });
@@ -351,6 +362,16 @@
       verificationFunction: "completePasswordReset"
     },
 
+    testSignInLink: {
+      stageAddress: {
+        stageFunction: "requestSignInLink",
+        config: { require_valid_email: true }
+      },
+      pollingFunction: "waitForSignInLinkComplete",
+      cancelPollingFunction: "cancelWaitForSignInLinkComplete",
+      verificationFunction: "completeSignInLink"
+    },
+
     testReverifyEmail: {
       stageAddress: {
         stageFunction: "requestEmailReverify",
@@ -709,6 +730,58 @@
     failureCheck(lib.authenticate, TEST_EMAIL, "testuser");
   });
 
+  asyncTest("authenticate without a second factor - second factor not needed", function() {
+    lib.authenticate(TEST_EMAIL, "testuser", function(authenticated) {
+      lib.needsSecondFactor(function(needed) {
+        equal(needed, false, "second factor not needed");
+        start();
+      }, testHelpers.unexpectedXHRFailure);
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("authenticate with a second factor - second factor needed", function() {
+    xhr.useResult("secondFactor");
+    lib.authenticate(TEST_EMAIL, "testuser", function(authenticated) {
+      equal(authenticated, true, "user is authenticated");
+      lib.needsSecondFactor(function(needed) {
+        equal(needed, true, "second factor needed");
+        start();
+      }, testHelpers.unexpectedXHRFailure);
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("verifySecondFactor with a valid code - user authenticated to mfa", function() {
+    xhr.setContextInfo("auth_level", "password");
+    xhr.setContextInfo("has_second_factor", true);
+    lib.verifySecondFactor("123456", function(verified) {
+      equal(verified, true, "code verified");
+      lib.checkAuthentication(function(authLevel) {
+        equal(authLevel, "mfa", "user authenticated to mfa");
+        lib.needsSecondFactor(function(needed) {
+          equal(needed, false, "second factor no longer needed");
+          start();
+        }, testHelpers.unexpectedXHRFailure);
+      }, testHelpers.unexpectedXHRFailure);
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("verifySecondFactor with an invalid code - user still needs second factor", function() {
+    xhr.setContextInfo("auth_level", "password");
+    xhr.setContextInfo("has_second_factor", true);
+    xhr.useResult("invalid");
+    lib.verifySecondFactor("123456", function(verified) {
+      equal(verified, false, "code not verified");
+      lib.needsSecondFactor(function(needed) {
+        equal(needed, true, "second factor still needed");
+        start();
+      }, testHelpers.unexpectedXHRFailure);
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("verifySecondFactor with XHR failure", function() {
+    failureCheck(lib.verifySecondFactor, "123456");
+  });
+
   asyncTest("authenticateWithAssertion with valid assertion", function() {
     lib.authenticateWithAssertion(TEST_EMAIL, "test_assertion", function(authenticated) {
       equal(true, authenticated, "we are authenticated!");
@@ -1221,6 +1294,56 @@
     }, testHelpers.unexpectedXHRFailure);
   });
 
+  asyncTest("listSessions", function() {
+    lib.listSessions(function(sessions) {
+      equal(sessions.length, 2, "two sessions");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("listSessions with XHR failure", function() {
+    failureCheck(lib.listSessions);
+  });
+
+  asyncTest("exportAccount", function() {
+    lib.exportAccount(function(account) {
+      ok(account.emails["testuser@testuser.com"], "the account is exported");
+      start();
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("exportAccount with XHR failure", function() {
+    failureCheck(lib.exportAccount);
+  });
+
+  asyncTest("revokeSession of another session - stay signed in", function() {
+    lib.authenticate(TEST_EMAIL, "testuser", function(authenticated) {
+      lib.syncEmails(function() {
+        lib.revokeSession({ id: "otherSessionIdotherSessionIdothe", current: false }, function(revoked) {
+          equal(revoked, true, "session revoked");
+          equal(_.size(storage.getEmails()), 1, "identities are kept");
+          start();
+        }, testHelpers.unexpectedXHRFailure);
+      }, testHelpers.unexpectedXHRFailure);
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("revokeSession of the current session - sign out", function() {
+    lib.authenticate(TEST_EMAIL, "testuser", function(authenticated) {
+      lib.syncEmails(function() {
+        lib.revokeSession({ id: "currentSessionIdcurrentSessionId", current: true }, function(revoked) {
+          equal(revoked, true, "session revoked");
+          equal(_.size(storage.getEmails()), 0, "all identities removed");
+          start();
+        }, testHelpers.unexpectedXHRFailure);
+      }, testHelpers.unexpectedXHRFailure);
+    }, testHelpers.unexpectedXHRFailure);
+  });
+
+  asyncTest("revokeSession with XHR failure", function() {
+    failureCheck(lib.revokeSession, { id: "otherSessionIdotherSessionIdothe", current: false });
+  });
+
   asyncTest("logoutUser", function(onSuccess) {
     lib.authenticate(TEST_EMAIL, "testuser", function(authenticated) {
       lib.syncEmails(function() {
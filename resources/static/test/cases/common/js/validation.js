@@ -8,10 +8,12 @@
       validation = bid.Validation,
       testHelpers = bid.TestHelpers,
       tooltipShown,
+      tooltipSelector,
       origShowTooltip;
 
   function showTooltip(el) {
     tooltipShown = true;
+    tooltipSelector = el;
   }
 
   function testInvalidAuthenticationPassword(password) {
@@ -36,10 +38,15 @@
       origShowTooltip = bid.Tooltip.showTooltip;
       bid.Tooltip.showTooltip = showTooltip;
       tooltipShown = false;
+      tooltipSelector = null;
     },
 
     teardown: function() {
       bid.Tooltip.showTooltip = origShowTooltip;
+      validation.setPasswordPolicy({
+        min_length: bid.PASSWORD_MIN_LENGTH,
+        disallow_email_local_part: false
+      });
     }
   });
 
@@ -229,6 +236,37 @@
     equal(tooltipShown, false);
   });
 
-}());
+  test("newPassword shorter than the policy's minimum length", function() {
+    validation.setPasswordPolicy({ min_length: 12, disallow_email_local_part: false });
+    var valid = validation.newPassword("elevenchars");
+    equal(valid, false);
+    equal(tooltipSelector, "#password_length");
+  });
 
+  test("newPassword containing the email's local part, allowed by policy", function() {
+    var valid = validation.newPassword("testuserpass", "testuser@testuser.com");
+    equal(valid, true);
+    equal(tooltipShown, false);
+  });
 
+  test("newPassword containing the email's local part, disallowed by policy", function() {
+    validation.setPasswordPolicy({ min_length: 8, disallow_email_local_part: true });
+    var valid = validation.newPassword("myTestUserpass", "testuser@testuser.com");
+    equal(valid, false);
+    equal(tooltipSelector, "#password_contains_email");
+  });
+
+  test("passwordAndValidationPassword containing the email's local part, disallowed by policy", function() {
+    validation.setPasswordPolicy({ min_length: 8, disallow_email_local_part: true });
+    var valid = validation.passwordAndValidationPassword("testuserpass",
+        "testuserpass", "testuser@testuser.com");
+    equal(valid, false);
+    equal(tooltipSelector, "#password_contains_email");
+  });
+
+  test("passwordRefused shows the tooltip of the rule", function() {
+    validation.passwordRefused("blocklisted");
+    equal(tooltipSelector, "#password_blocklisted");
+  });
+
+}());
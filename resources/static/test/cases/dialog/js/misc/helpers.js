@@ -234,6 +234,35 @@
   });
 
 
+  asyncTest("requestSignInLink happy case", function() {
+    expectedMessage("signin_link_staged", {
+      email: "registered@testuser.com"
+    });
+
+    dialogHelpers.requestSignInLink.call(controllerMock,
+        "registered@testuser.com", function(status) {
+      ok(status.success, "sign-in link sent");
+      start();
+    });
+  });
+
+  asyncTest("requestSignInLink throttled", function() {
+    xhr.useResult("throttle");
+    dialogHelpers.requestSignInLink.call(controllerMock,
+        "registered@testuser.com", function(status) {
+      equal(status.success, false, "sign-in link not sent");
+      start();
+    });
+  });
+
+  asyncTest("requestSignInLink with XHR error", function() {
+    errorCB = expectedError;
+
+    xhr.useResult("ajaxError");
+    dialogHelpers.requestSignInLink.call(controllerMock,
+        "registered@testuser.com", testHelpers.unexpectedSuccess);
+  });
+
   asyncTest("transitionToSecondary happy case", function() {
     expectedMessage("transition_to_secondary_staged", {
       email: "registered@testuser.com"
@@ -130,7 +130,7 @@
     machine.start({controller: actions});
   }
 
-  function setContextInfo(auth_level) {
+  function setContextInfo(auth_level, has_second_factor) {
     // Make sure there is context info for network.
     var serverTime = (new Date().getTime()) - 10;
     network.setContext({
@@ -138,6 +138,7 @@
       domain_key_creation_time: serverTime,
       code_version: "ABCDEF",
       auth_level: auth_level || "password",
+      has_second_factor: !!has_second_factor,
       userid: 1,
       random_seed: "ABCDEFGH"
     });
@@ -210,6 +211,13 @@
       stagedAction: "doConfirmResetPassword",
       confirmed: "reset_password_confirmed"
     },
+    {
+      stage: "email_signin_link",
+      stageAction: "doStageSignInLink",
+      staged: "signin_link_staged",
+      stagedAction: "doConfirmSignInLink",
+      confirmed: "signin_link_confirmed"
+    },
     {
       stage: "stage_reverify_email",
       stageAction: "doStageReverifyEmail",
@@ -494,6 +502,47 @@
     mediator.publish("email_valid_and_ready", { email: TEST_EMAIL });
   });
 
+  asyncTest("email_valid_and_ready, user must provide their second factor - redirect to second_factor_required", function() {
+    setContextInfo("password", true);
+
+    storage.addEmail(TEST_EMAIL);
+    mediator.subscribe("second_factor_required", function(msg, info) {
+      equal(info.email, TEST_EMAIL, "redirect to second_factor_required with the email");
+      start();
+    });
+    mediator.subscribe("generate_assertion", function() {
+      ok(false, "generate_assertion should not be called");
+    });
+    mediator.publish("email_valid_and_ready", { email: TEST_EMAIL });
+  });
+
+  asyncTest("email_valid_and_ready, user has provided their second factor - redirect to generate_assertion", function() {
+    setContextInfo("mfa", true);
+
+    storage.addEmail(TEST_EMAIL);
+    mediator.subscribe("generate_assertion", function() {
+      ok(true, "redirect to generate_assertion");
+      start();
+    });
+    mediator.publish("email_valid_and_ready", { email: TEST_EMAIL });
+  });
+
+  test("second_factor_required - start doVerifySecondFactor", function() {
+    mediator.publish("second_factor_required", { email: TEST_EMAIL });
+
+    testActionStarted("doVerifySecondFactor", { email: TEST_EMAIL });
+  });
+
+  test("second_factor_verified - redirect to email_valid_and_ready", function() {
+    var info;
+    mediator.subscribe("email_valid_and_ready", function(msg, data) {
+      info = data;
+    });
+    mediator.publish("second_factor_verified", { email: TEST_EMAIL });
+
+    equal(info && info.email, TEST_EMAIL, "email_valid_and_ready with the email");
+  });
+
   test("cancel_state goes back to previous state if available", function() {
     mediator.publish("pick_email");
     mediator.publish("add_email");
@@ -569,6 +618,19 @@
     });
   });
 
+  asyncTest("email_chosen with verified secondary email, user authenticated with their second factor - redirect to email_valid_and_ready", function() {
+    storage.addEmail(TEST_EMAIL);
+    xhr.setContextInfo("auth_level", "mfa");
+
+    mediator.subscribe("email_valid_and_ready", function(msg, info) {
+      equal(info.email, TEST_EMAIL, "correctly redirected to email_valid_and_ready with correct email");
+      start();
+    });
+    mediator.publish("email_chosen", {
+      email: TEST_EMAIL
+    });
+  });
+
   asyncTest("email_chosen with verified secondary email, user authenticated to secondary - redirect to email_valid_and_ready", function() {
     storage.addEmail(TEST_EMAIL);
     xhr.setContextInfo("auth_level", "password");
@@ -753,6 +815,31 @@
     });
   });
 
+  test("generate_assertion with an address the RP accepts - call doGenerateAssertion", function() {
+    var rpInfo = RpInfo.create({
+      origin: "https://testuser.com",
+      allowedDomains: [ "testuser.com" ]
+    });
+    mediator.publish("start", { rpInfo: rpInfo });
+
+    mediator.publish("generate_assertion", { email: TEST_EMAIL });
+
+    testActionStarted("doGenerateAssertion", { email: TEST_EMAIL, rpInfo: rpInfo });
+  });
+
+  test("generate_assertion with an address the RP does not accept - redirect to pick_email", function() {
+    var rpInfo = RpInfo.create({
+      origin: "https://testuser.com",
+      allowedDomains: [ "corp.example" ]
+    });
+    mediator.publish("start", { rpInfo: rpInfo });
+
+    mediator.publish("generate_assertion", { email: TEST_EMAIL });
+
+    equal(actions.called.doGenerateAssertion, undefined, "doGenerateAssertion not called");
+    testActionStarted("doPickEmail", { rpInfo: rpInfo });
+  });
+
   test("add_email - call doAddEmail", function() {
     mediator.publish("add_email");
 
@@ -137,6 +137,15 @@
       "check_registration");
   });
 
+  asyncTest("doStageSignInLink - trigger signin_link_staged", function() {
+    testStageAddress("doStageSignInLink", "signin_link_staged");
+  });
+
+  asyncTest("doConfirmSignInLink - start the check_registration service", function() {
+    testActionStartsModule("doConfirmSignInLink", {email: TEST_EMAIL, siteName: "Unit Test Site"},
+      "check_registration");
+  });
+
   asyncTest("doStageReverifyEmail - trigger reverify_email_staged", function() {
     storage.addEmail(TEST_EMAIL);
     testStageAddress("doStageReverifyEmail", "reverify_email_staged");
@@ -180,4 +180,46 @@
     });
   });
 
+  asyncTest("addEmail with an address the RP does not accept - show tooltip", function() {
+    createController({
+      rpInfo: bid.Models.RpInfo.create({
+        origin: "https://testuser.com",
+        allowedDomains: [ "corp.example" ]
+      })
+    });
+
+    $("#newEmail").val("unregistered@testuser.com");
+
+    register("stage_email", function(msg, info) {
+      ok(false, "unexpected stage_email message");
+    });
+
+    controller.addEmail(function(status) {
+      equal(status, false, "address not added");
+      testTooltipVisible();
+      start();
+    });
+  });
+
+  asyncTest("addEmail with an address the RP accepts - trigger stage_email", function() {
+    createController({
+      rpInfo: bid.Models.RpInfo.create({
+        origin: "https://testuser.com",
+        allowedDomains: [ "testuser.com" ]
+      })
+    });
+
+    $("#newEmail").val("unregistered@testuser.com");
+
+    var stagedEmail;
+    register("stage_email", function(msg, info) {
+      stagedEmail = info.email;
+    });
+
+    controller.addEmail(function() {
+      equal(stagedEmail, "unregistered@testuser.com", "stage_email called with correct email");
+      start();
+    });
+  });
+
 }());
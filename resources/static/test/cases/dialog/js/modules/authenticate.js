@@ -441,6 +441,17 @@
     controller.forgotPassword();
   });
 
+  asyncTest("emailSignInLink - trigger email_signin_link message", function() {
+    $(EMAIL_SELECTOR).val("registered@testuser.com");
+
+    register("email_signin_link", function(msg, info) {
+      equal(info.email, "registered@testuser.com", "email_signin_link with correct email triggered");
+      start();
+    });
+
+    controller.emailSignInLink();
+  });
+
   asyncTest("createUser with valid email", function() {
     $(EMAIL_SELECTOR).val("unregistered@testuser.com");
 
@@ -239,5 +239,19 @@
     ok($(".tospp.isMobile").length);
   });
 
+  test("RP with allowedDomains - only offer addresses at them", function() {
+    storage.addEmail("testuser@corp.example", {});
+    storage.addEmail("testuser@testuser.com", {});
+
+    createController({
+      allowedDomains: [ "corp.example" ]
+    });
+
+    var inputs = $(".inputs input[type=radio]");
+    equal(inputs.length, 1, "one address offered");
+    equal(inputs.eq(0).val(), "testuser@corp.example", "the allowed address is offered");
+    equal($("#allowed_domains").length, 1, "the allowed domains are explained");
+  });
+
 }());
 
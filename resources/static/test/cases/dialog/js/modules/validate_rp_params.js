@@ -498,6 +498,29 @@
     }, "invalid email for experimental_emailHint: testuser.testuser.com");
   });
 
+  asyncTest("valid allowedDomains - allowed, normalized", function() {
+    testExpectValidationSuccess({allowedDomains: ["@Corp.Example", "corp-partner.example"]},
+                         {allowedDomains: ["corp.example", "corp-partner.example"]});
+  });
+
+  asyncTest("non-array allowedDomains - not allowed", function() {
+    testExpectValidationFailure({
+      allowedDomains: "corp.example"
+    }, "invalid value for allowedDomains: corp.example");
+  });
+
+  asyncTest("empty allowedDomains - not allowed", function() {
+    testExpectValidationFailure({
+      allowedDomains: []
+    });
+  });
+
+  asyncTest("invalid domain in allowedDomains - not allowed", function() {
+    testExpectValidationFailure({
+      allowedDomains: ["corp.example", "<script>"]
+    }, "invalid domain for allowedDomains: <script>");
+  });
+
   asyncTest("non-object userAssertedClaims - not allowed", function() {
     testExpectValidationFailure({
       rp_api: "internal",
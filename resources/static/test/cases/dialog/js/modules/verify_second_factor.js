@@ -0,0 +1,117 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+(function() {
+  "use strict";
+
+  var controller,
+      bid = BrowserID,
+      user = bid.User,
+      xhr = bid.Mocks.xhr,
+      testHelpers = bid.TestHelpers,
+      testElementExists = testHelpers.testElementExists,
+      testElementTextContains = testHelpers.testElementTextContains,
+      testTooltipVisible = testHelpers.testTooltipVisible,
+      CODE_SELECTOR = "#second_factor_code",
+      CANCEL_SELECTOR = "#cancel",
+      register = testHelpers.register,
+      TEST_EMAIL = "testuser@testuser.com";
+
+  function createController(options) {
+    controller = bid.Modules.VerifySecondFactor.create();
+    controller.start(options);
+  }
+
+  module("dialog/js/modules/verify_second_factor", {
+    setup: function() {
+      testHelpers.setup();
+      xhr.setContextInfo("auth_level", "password");
+      xhr.setContextInfo("has_second_factor", true);
+      createController({ email: TEST_EMAIL });
+    },
+
+    teardown: function() {
+      controller.destroy();
+      testHelpers.teardown();
+    }
+  });
+
+  test("create - show template with the email address and a code field", function() {
+    ok($("#verify_second_factor").length, "verify_second_factor template added");
+    testElementExists(CODE_SELECTOR);
+    testElementExists(CANCEL_SELECTOR);
+    testElementTextContains("#verify_second_factor .inputs", TEST_EMAIL);
+  });
+
+  function testInvalidCode(code) {
+    asyncTest("submit with code '" + code + "' - tooltip shown, no request", function() {
+      $(CODE_SELECTOR).val(code);
+      register("second_factor_verified", function() {
+        ok(false, "second_factor_verified should not be raised");
+      });
+
+      controller.submit(function(verified) {
+        equal(verified, false, "code not verified");
+        testTooltipVisible();
+        equal(typeof xhr.getLastRequest("/wsapi/mfa_verify"), "undefined",
+            "no request made");
+        start();
+      });
+    });
+  }
+
+  testInvalidCode("");
+  testInvalidCode("12345");
+  testInvalidCode("12345a");
+
+  asyncTest("submit with a correct code - second_factor_verified raised, auth level is mfa", function() {
+    $(CODE_SELECTOR).val("123 456");
+
+    register("second_factor_verified", function(msg, info) {
+      equal(info.email, TEST_EMAIL, "email passed along");
+      equal(JSON.parse(xhr.getLastRequest("/wsapi/mfa_verify").data).code, "123456",
+          "spaces removed from the code");
+      user.checkAuthentication(function(authLevel) {
+        equal(authLevel, "mfa", "user is authenticated with their second factor");
+        start();
+      }, testHelpers.unexpectedXHRFailure);
+    });
+
+    controller.submit();
+  });
+
+  asyncTest("submit with an incorrect code - tooltip shown, code cleared", function() {
+    xhr.useResult("invalid");
+    $(CODE_SELECTOR).val("123456");
+
+    register("second_factor_verified", function() {
+      ok(false, "second_factor_verified should not be raised");
+    });
+
+    controller.submit(function(verified) {
+      equal(verified, false, "code not verified");
+      testTooltipVisible();
+      equal($(CODE_SELECTOR).val(), "", "code cleared");
+      start();
+    });
+  });
+
+  asyncTest("submit with XHR error - error screen shown", function() {
+    xhr.useResult("ajaxError");
+    $(CODE_SELECTOR).val("123456");
+
+    controller.submit(function() {
+      testHelpers.testErrorVisible();
+      start();
+    });
+  });
+
+  asyncTest("cancel - cancel_state message raised", function() {
+    register("cancel_state", function(msg, info) {
+      ok(true, "state cancelled");
+      start();
+    });
+
+    $(CANCEL_SELECTOR).click();
+  });
+}());
@@ -20,7 +20,9 @@
       "getVerifiedEmail",
       "logout",
       "request",
-      "watch"
+      "requestAsync",
+      "watch",
+      "whenReady"
     ], function(item, index) {
       equal(typeof navigator.id[ item ], "function", "navigator.id." + item + " is available");
     });
@@ -45,6 +47,129 @@
     });
   });
 
+  asyncTest("promise calls are rejected when unbound from navigator.id", function() {
+    var requestAsync = navigator.id.requestAsync,
+        whenReady = navigator.id.whenReady;
+
+    requestAsync().then(function() {
+      ok(false, "requestAsync should not be resolved");
+    }, function(err) {
+      ok(err instanceof Error, "requestAsync is rejected with an error");
+
+      whenReady().then(function() {
+        ok(false, "whenReady should not be resolved");
+        start();
+      }, function(err) {
+        ok(err instanceof Error, "whenReady is rejected with an error");
+        start();
+      });
+    });
+  });
+
+  // the first call to watch opens the communication iframe, so this test
+  // must come before any other which calls it.
+  asyncTest("whenReady is resolved once the communication iframe has loaded", function() {
+    var onreadyCalled = false;
+
+    navigator.id.watch({
+      onlogin: noOp,
+      onlogout: noOp,
+      onready: function() { onreadyCalled = true; }
+    });
+
+    navigator.id.whenReady().then(function() {
+      ok(onreadyCalled, "whenReady is resolved after the iframe's loaded call");
+      start();
+    }, function(err) {
+      ok(false, "unexpected rejection: " + err);
+      start();
+    });
+  });
+
+  // stand in for the dialog.  window.open is stubbed, and the dialog's
+  // `message` is delivered as WinChan expects, from the dialog's origin.
+  function fakeDialog(message) {
+    var realOpen = window.open;
+
+    window.open = function(url) {
+      window.open = realOpen;
+
+      var origin = url.replace(/^([a-z]+:\/\/[^\/]+).*$/, "$1");
+      setTimeout(function() {
+        var e = document.createEvent("MessageEvent");
+        e.initMessageEvent("message", false, false, JSON.stringify(message),
+            origin, "", window, null);
+        window.dispatchEvent(e);
+      }, 0);
+
+      return { closed: false, close: noOp, focus: noOp, postMessage: noOp };
+    };
+  }
+
+  asyncTest("requestAsync is resolved with the assertion", function() {
+    navigator.id.watch({ onlogin: noOp, onlogout: noOp });
+    fakeDialog({ a: "response", d: { assertion: "an.assertion", email: "testuser@testuser.com" } });
+
+    navigator.id.requestAsync().then(function(assertion) {
+      equal(assertion, "an.assertion", "requestAsync is resolved with the assertion");
+      start();
+    }, function(err) {
+      ok(false, "unexpected rejection: " + err);
+      start();
+    });
+  });
+
+  asyncTest("requestAsync is rejected when the user cancels", function() {
+    navigator.id.watch({ onlogin: noOp, onlogout: noOp });
+    fakeDialog({ a: "error", d: "client closed window" });
+
+    navigator.id.requestAsync().then(function() {
+      ok(false, "requestAsync should not be resolved");
+      start();
+    }, function(err) {
+      ok(err instanceof Error, "requestAsync is rejected with an error");
+      equal(err.message, "cancelled");
+      start();
+    });
+  });
+
+  // on browsers without a native Promise, such as PhantomJS, the promises
+  // are those of the shim in include.js.
+  asyncTest("promises settle, chain and catch", function() {
+    var unbound = navigator.id.requestAsync.call(null);
+    unbound["catch"](noOp);
+    var RPPromise = unbound.constructor;
+
+    new RPPromise(function(resolve) {
+      resolve(1);
+    }).then(function(value) {
+      equal(value, 1, "resolved with the value");
+      return value + 1;
+    }).then(function(value) {
+      equal(value, 2, "then yields a promise of the handler's result");
+      return new RPPromise(function(resolve) {
+        setTimeout(function() { resolve(3); }, 0);
+      });
+    }).then(function(value) {
+      equal(value, 3, "promises returned by handlers are adopted");
+      throw new Error("handler error");
+    }).then(function() {
+      ok(false, "fulfillment handlers are skipped after an error");
+    })["catch"](function(err) {
+      equal(err.message, "handler error", "errors thrown by handlers reject");
+      return new RPPromise(function(resolve, reject) {
+        reject("first");
+        resolve("second");
+      });
+    }).then(function() {
+      ok(false, "only the first settlement counts");
+      start();
+    }, function(reason) {
+      equal(reason, "first", "only the first settlement counts");
+      start();
+    });
+  });
+
   test("watch only accepts null, undefined, or a string for loggedInUser", function() {
     // a string, null, and undefined are valid
     testWatchIsHappy("strings@are.valid");
@@ -104,6 +104,81 @@
     });
   });
 
+  asyncTest("recent account activity is displayed", function() {
+    xhr.useResult("multiple");
+
+    createController(mocks, function() {
+      equal($("#activityList").children().length, 2, "both events are displayed");
+      ok($("#activityList .description").eq(0).text().indexOf("testuser3@testuser.com") > -1,
+          "newest event is displayed first, with the removed address");
+      equal($("#noActivity").is(":visible"), false, "no activity message is hidden");
+      start();
+    });
+  });
+
+  asyncTest("without recent account activity, no events are displayed", function() {
+    xhr.useResult("no_identities");
+
+    createController(mocks, function() {
+      equal($("#activityList").children().length, 0, "no events are displayed");
+      start();
+    });
+  });
+
+  asyncTest("recent account activity is refreshed after a password change", function() {
+    createController(mocks, function() {
+      $("#activityList").empty();
+      $("#old_password").val("oldpassword");
+      $("#new_password").val("newpassword");
+
+      controller.changePassword(function(status) {
+        equal(status, true, "password changed");
+        equal($("#activityList").children().length, 1, "activity is displayed again");
+        start();
+      });
+    });
+  });
+
+  asyncTest("sessions are displayed", function() {
+    createController(mocks, function() {
+      equal($("#sessions").is(":visible"), true, "sessions are shown");
+      equal($("#sessionList").children().length, 2, "both sessions are displayed");
+      ok($("#sessionList .device").eq(0).text().indexOf("Firefox on Linux") > -1,
+          "the current session is described");
+      start();
+    });
+  });
+
+  asyncTest("revokeSession of another session refreshes the sessions", function() {
+    createController(mocks, function() {
+      $("#sessionList").empty();
+      controller.revokeSession({ id: "otherSessionIdotherSessionIdothe", device: "Unknown", current: false }, function() {
+        notEqual(mocks.document.location, "/", "redirection did not happen");
+        equal($("#sessionList").children().length, 2, "sessions are displayed again");
+        start();
+      });
+    });
+  });
+
+  asyncTest("revokeSession of the current session redirects", function() {
+    createController(mocks, function() {
+      controller.revokeSession({ id: "currentSessionIdcurrentSessionId", device: "Firefox on Linux", current: true }, function() {
+        equal(mocks.document.location, "/", "redirection happened");
+        start();
+      });
+    });
+  });
+
+  asyncTest("revokeSession with XHR error", function() {
+    createController(mocks, function() {
+      xhr.useResult("ajaxError");
+      controller.revokeSession({ id: "otherSessionIdotherSessionIdothe", device: "Unknown", current: false }, function() {
+        equal(testHelpers.errorVisible(), true, "error message is visible on XHR error");
+        start();
+      });
+    });
+  });
+
   asyncTest("removeEmail with multiple emails", function() {
     // start with multiple addresses.
     xhr.useResult("multiple");
@@ -190,6 +265,32 @@
     });
   });
 
+  asyncTest("downloadData offers the account as a file", function() {
+    var name, text;
+    mocks.saveFile = function(fileName, fileText) {
+      name = fileName;
+      text = fileText;
+    };
+
+    createController(mocks, function() {
+      controller.downloadData(function() {
+        equal(name, "persona-account.json", "the file is named");
+        ok(JSON.parse(text).emails["testuser@testuser.com"], "the account is in the file");
+        start();
+      });
+    });
+  });
+
+  asyncTest("downloadData with XHR error", function() {
+    createController(mocks, function() {
+      xhr.useResult("ajaxError");
+      controller.downloadData(function() {
+        equal(testHelpers.errorVisible(), true, "error message is visible on XHR error");
+        start();
+      });
+    });
+  });
+
   asyncTest("first time a user goes to page should see help text", function() {
     createController(mocks,  function() {
       equal($("body").hasClass("newuser"), true, "body has the newuser class on first visit");
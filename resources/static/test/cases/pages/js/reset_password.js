@@ -26,7 +26,9 @@
   module("pages/js/reset_password", {
     setup: function() {
       testHelpers.setup();
-      bid.Renderer.render("#page_head", "site/reset_password", {});
+      bid.Renderer.render("#page_head", "site/reset_password", {
+        password_min_length: bid.PASSWORD_MIN_LENGTH
+      });
       $(document.body).append($('<div id=redirectTimeout>'));
       $(".siteinfo,.password_entry").hide();
     },
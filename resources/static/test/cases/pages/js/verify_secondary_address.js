@@ -106,6 +106,20 @@
     });
   });
 
+  asyncTest("passwordless, token from another browser - complete without asking for a password", function() {
+    xhr.useResult("mustAuth");
+    createController({
+      token: "token",
+      verifyFunction: "completeSignInLink",
+      passwordless: true
+    }, function() {
+      equal($("body").hasClass("enter_password"), false, "password is not asked for");
+      testHasClass("body", "complete");
+      testDocumentRedirected(doc, "https://login.persona.org/", "redirection occurred to correct URL");
+      start();
+    });
+  });
+
   asyncTest("invalid token - show cannot confirm error", function() {
     xhr.useResult("invalid");
 
@@ -15,7 +15,8 @@ BrowserID.Mocks.xhr = (function() {
       code_version: "ABC123",
       random_seed: "H+ZgKuhjVckv/H4i0Qvj/JGJEGDVOXSIS5RCOjY9/Bo=",
       data_sample_rate: 1,
-      has_password: false
+      has_password: false,
+      has_second_factor: false
     };
 
   // this cert is meaningless, but it has the right format
@@ -61,9 +62,18 @@ BrowserID.Mocks.xhr = (function() {
           userid: 1,
           suppress_ask_if_users_computer: true
       },
+      "post /wsapi/authenticate_user secondFactor": {
+          success: true,
+          userid: 1,
+          has_second_factor: true,
+          suppress_ask_if_users_computer: false
+      },
       "post /wsapi/authenticate_user invalid": { success: false },
       "post /wsapi/authenticate_user incorrectPassword": { success: false },
       "post /wsapi/authenticate_user ajaxError": undefined,
+      "post /wsapi/mfa_verify valid": { success: true },
+      "post /wsapi/mfa_verify invalid": { success: false, reason: "incorrect code" },
+      "post /wsapi/mfa_verify ajaxError": undefined,
       "post /wsapi/auth_with_assertion primary": {
           success: true,
           userid: 1,
@@ -107,12 +117,25 @@ BrowserID.Mocks.xhr = (function() {
       "post /wsapi/complete_reset invalid": { success: false },
       "post /wsapi/complete_reset ajaxError": undefined,
 
+      "post /wsapi/stage_signin unknown_secondary": { success: true },
+      "post /wsapi/stage_signin valid": { success: true },
+      "post /wsapi/stage_signin invalid": { success: false },
+      "post /wsapi/stage_signin throttle": 429,
+      "post /wsapi/stage_signin ajaxError": undefined,
+
+      "post /wsapi/complete_signin valid": { success: true },
+      "post /wsapi/complete_signin mustAuth": { success: true },
+      "post /wsapi/complete_signin badPassword": 401,
+      "post /wsapi/complete_signin invalid": { success: false },
+      "post /wsapi/complete_signin ajaxError": undefined,
+
       "get /wsapi/password_reset_status?email=registered%40testuser.com pending": { status: "pending" },
       "get /wsapi/password_reset_status?email=registered%40testuser.com complete": { status: "complete", userid: 4 },
       "get /wsapi/password_reset_status?email=registered%40testuser.com valid": { status: "complete", userid: 4 },
       "get /wsapi/password_reset_status?email=registered%40testuser.com mustAuth": { status: "mustAuth" },
       "get /wsapi/password_reset_status?email=registered%40testuser.com noRegistration": { status: "noRegistration" },
       "get /wsapi/password_reset_status?email=registered%40testuser.com ajaxError": undefined,
+      "get /wsapi/password_reset_status?email=registered%40testuser.com waitable": { status: "pending" },
 
       "post /wsapi/stage_reverify unknown_secondary": { success: true },
       "post /wsapi/stage_reverify valid": { success: true },
@@ -125,6 +148,7 @@ BrowserID.Mocks.xhr = (function() {
       "get /wsapi/email_reverify_status?email=registered%40testuser.com mustAuth": { status: "mustAuth" },
       "get /wsapi/email_reverify_status?email=registered%40testuser.com noRegistration": { status: "noRegistration" },
       "get /wsapi/email_reverify_status?email=registered%40testuser.com ajaxError": undefined,
+      "get /wsapi/email_reverify_status?email=registered%40testuser.com waitable": { status: "pending" },
 
       "get /wsapi/user_creation_status?email=registered%40testuser.com pending": { status: "pending" },
       "get /wsapi/user_creation_status?email=registered%40testuser.com complete": { status: "complete", userid: 4 },
@@ -133,6 +157,7 @@ BrowserID.Mocks.xhr = (function() {
       "get /wsapi/user_creation_status?email=registered%40testuser.com mustAuth": { status: "mustAuth" },
       "get /wsapi/user_creation_status?email=registered%40testuser.com noRegistration": { status: "noRegistration" },
       "get /wsapi/user_creation_status?email=registered%40testuser.com ajaxError": undefined,
+      "get /wsapi/user_creation_status?email=registered%40testuser.com waitable": { status: "pending" },
       "post /wsapi/complete_user_creation valid": { success: true },
       "post /wsapi/complete_user_creation badPassword": 401,
       "post /wsapi/complete_user_creation invalid": { success: false },
@@ -155,6 +180,17 @@ BrowserID.Mocks.xhr = (function() {
       "get /wsapi/transition_status?email=registered%40testuser.com mustAuth": { status: "mustAuth" },
       "get /wsapi/transition_status?email=registered%40testuser.com noRegistration": { status: "noRegistration" },
       "get /wsapi/transition_status?email=registered%40testuser.com ajaxError": undefined,
+      "get /wsapi/transition_status?email=registered%40testuser.com waitable": { status: "pending" },
+
+      // servers which can't hold the request are tested with "pending"
+      "get /wsapi/wait_for_verification pending": 404,
+      "get /wsapi/wait_for_verification valid": { status: "changed" },
+      "get /wsapi/wait_for_verification ajaxError": undefined,
+      // the verification is completed while the client waits
+      "get /wsapi/wait_for_verification waitable": function(xhrObj) {
+        xhr.useResult("complete");
+        xhrObj._request.success({ status: "changed" });
+      },
 
 
       "post /wsapi/logout valid": { success: true },
@@ -194,6 +230,7 @@ BrowserID.Mocks.xhr = (function() {
       "get /wsapi/email_addition_status?email=registered%40testuser.com mustAuth": { status: "mustAuth" },
       "get /wsapi/email_addition_status?email=registered%40testuser.com noRegistration": { status: "noRegistration" },
       "get /wsapi/email_addition_status?email=registered%40testuser.com ajaxError": undefined,
+      "get /wsapi/email_addition_status?email=registered%40testuser.com waitable": { status: "pending" },
       "get /wsapi/list_emails valid": { success: true, emails: [ "testuser@testuser.com" ] },
       "get /wsapi/list_emails primaryTransition": { success: true, emails: [ "testuser@testuser.com" ] },
       "get /wsapi/list_emails secondaryTransition": { success: true, emails: [ "testuser@testuser.com" ] },
@@ -208,6 +245,19 @@ BrowserID.Mocks.xhr = (function() {
       "get /wsapi/list_emails ajaxError": undefined,
       // Used in conjunction with registration to do a complete userflow
       "get /wsapi/list_emails complete": { success: true, emails: [ "registered@testuser.com", "synced_address@testuser.com" ] },
+      "get /wsapi/list_account_events valid": { success: true, events: [ { type: "password_change", detail: null, at: 1364000000 } ] },
+      "get /wsapi/list_account_events multiple": { success: true, events: [ { type: "email_removed", detail: "testuser3@testuser.com", at: 1364000100 }, { type: "auth_failure", detail: null, at: 1364000000 } ] },
+      "get /wsapi/list_account_events no_identities": { success: true, events: [] },
+      "get /wsapi/list_account_events ajaxError": undefined,
+      "get /wsapi/list_sessions valid": { success: true, sessions: [ { id: "currentSessionIdcurrentSessionId", device: "Firefox on Linux", createdAt: 1364000000, lastSeen: 1364000200, current: true }, { id: "otherSessionIdotherSessionIdothe", device: "Unknown", createdAt: 1363000000, lastSeen: 1364000100, current: false } ] },
+      "get /wsapi/list_sessions multiple": { success: true, sessions: [ { id: "currentSessionIdcurrentSessionId", device: "Firefox on Linux", createdAt: 1364000000, lastSeen: 1364000200, current: true } ] },
+      "get /wsapi/list_sessions no_identities": { success: true, sessions: [] },
+      "get /wsapi/list_sessions ajaxError": undefined,
+      "get /wsapi/export_account valid": { success: true, account: { lastPasswordReset: 1364000000, emails: { "testuser@testuser.com": { lastUsedAs: "secondary", verified: true } }, idps: { "testuser.com": { lastSeen: null } } } },
+      "get /wsapi/export_account ajaxError": undefined,
+      "post /wsapi/revoke_session valid": { success: true },
+      "post /wsapi/revoke_session invalid": { success: false, reason: "no such session" },
+      "post /wsapi/revoke_session ajaxError": undefined,
       "post /wsapi/set_password valid": { success: true },
       "post /wsapi/set_password invalid": { success: false },
       "post /wsapi/set_password ajaxError": undefined,
@@ -8,6 +8,14 @@ else
     echo ">> no keypair needed.  you gots one"
 fi
 
+if [ ! -f $HOME/var/unverified.cert ] ; then
+    echo ">> generating keypair for unverified emails"
+    node scripts/postinstall.js
+    mv var/unverified.cert var/unverified.secretkey $HOME/var
+else
+    echo ">> no unverified keypair needed.  you gots one"
+fi
+
 node scripts/l10n-update.js
 
 echo ">> generating ver.txt"
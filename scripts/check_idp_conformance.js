@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// run the whole checklist of a primary identity provider, see
+// lib/idp_conformance.js.  exits non-zero if any check fails.
+
+const
+fs = require('fs'),
+https = require('https'),
+path = require('path');
+
+var argv = require('optimist')
+.usage('Check that a primary identity provider conforms to what browserid expects.\n' +
+       'Usage: $0 [options] <domain>\n\n' +
+       'The support document of <domain> is fetched from the network, or read from\n' +
+       'a file with -d.  Domains may also be shimmed with SHIMMED_PRIMARIES.')
+.alias('h', 'help')
+.describe('h', 'display this usage message')
+.alias('d', 'document')
+.describe('d', 'a file holding the support document of the domain')
+.alias('o', 'origin')
+.describe('o', 'with -d, the origin serving the pages of the domain (default https://<domain>)')
+.alias('k', 'secret-key')
+.describe('k', "a file holding the IdP's secret key, to check a certificate signed by it")
+.alias('e', 'email')
+.describe('e', 'the address to certify (default conformance@<domain>)')
+.alias('c', 'ca')
+.describe('c', 'a CA certificate file to trust')
+.boolean('json')
+.describe('json', 'output the report as JSON');
+
+var args = argv.argv;
+
+if (args.h) {
+  argv.showHelp();
+  process.exit(0);
+}
+
+if (args._.length !== 1) {
+  argv.showHelp();
+  process.exit(1);
+}
+
+function fail(e) {
+  process.stderr.write("error: " + e.toString() + "\n");
+  process.exit(1);
+}
+
+var domain = args._[0];
+
+// a support document from a file is shimmed, as SHIMMED_PRIMARIES does,
+// before primary.js reads it
+if (args.d) {
+  var shim = [ domain, args.o || 'https://' + domain, path.resolve(args.d) ].join('|');
+  process.env.SHIMMED_PRIMARIES = process.env.SHIMMED_PRIMARIES ?
+    process.env.SHIMMED_PRIMARIES + ',' + shim : shim;
+}
+
+const
+conformance = require('../lib/idp_conformance.js'),
+jwcrypto = require('jwcrypto');
+
+var options = { email: args.e };
+
+try {
+  if (args.c) https.globalAgent.options.ca = [ fs.readFileSync(args.c) ];
+  if (args.k) {
+    options.secretKey = jwcrypto.loadSecretKey(fs.readFileSync(args.k).toString());
+  }
+} catch(e) {
+  fail(e);
+}
+
+conformance.check(domain, options, function(report) {
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.checks.forEach(function(check) {
+      var status = check.passed === null ? 'SKIP' : (check.passed ? 'PASS' : 'FAIL');
+      console.log(status + '  ' + check.name + ': ' + check.message);
+    });
+    console.log(report.passed ? 'PASS' : 'FAIL');
+  }
+  process.exit(report.passed ? 0 : 1);
+});
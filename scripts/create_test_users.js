@@ -19,7 +19,7 @@ db = require('../lib/db.js'),
 config = require('../lib/configuration.js'),
 logging = require('../lib/logging.js'),
 logger = logging.logger,
-bcrypt = require('../lib/bcrypt')
+passwordHash = require('../lib/password_hash')
 
 logging.enableConsoleLogging();
 
@@ -36,10 +36,10 @@ db.open(config.get('database'), function (error) {
     return setTimeout(function() { process.exit(1); }, 0);
   }
 
-  bcrypt.encrypt(
-    config.get('bcrypt_work_factor'), "THE PASSWORD", function(err, hash) {
+  passwordHash.hash(
+    "THE PASSWORD", function(err, hash) {
       if (err) {
-        logger.error("error creating test users - bcrypt encrypt pass: " + err);
+        logger.error("error creating test users - hashing pass: " + err);
         process.exit(1);
       }
       var have = 0;
@@ -47,7 +47,7 @@ db.open(config.get('database'), function (error) {
         db.addTestUser(i + "@loadtest.domain", hash, function(err, email) {
           if (++have == want) {
             logger.warn("created " + want + " test users");
-            bcrypt.shutdown();
+            passwordHash.shutdown();
             db.close();
           }
         });
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Show, apply and roll back the schema migrations of the mysql database
+ * (see lib/db/mysql_migrate.js).  The database to operate on is taken from
+ * the `database` configuration, so point CONFIG_FILES at the configuration
+ * of the deployment.
+ *
+ * Processes refuse to start against a schema newer than the code they run,
+ * so roll back before deploying older code.
+ */
+
+const
+mysql = require('mysql'),
+config = require('../lib/configuration.js'),
+migrate = require('../lib/db/mysql_migrate.js');
+
+var argv = require('optimist')
+.usage('Show, apply or roll back database schema migrations.\nUsage: $0 [--up [version] | --down <version>]')
+.alias('h', 'help')
+.describe('h', 'display this usage message')
+.describe('up', 'apply migrations up to the given version, or all of them')
+.describe('down', 'roll back migrations down to the given version, 0 removes all tables');
+
+var args = argv.argv;
+
+if (args.h) {
+  argv.showHelp();
+  process.exit(0);
+}
+
+var dbCfg = config.get('database');
+
+function fail(msg) {
+  process.stderr.write("error: " + msg + "\n");
+  process.exit(1);
+}
+
+if (dbCfg.driver !== 'mysql') fail("migrations only apply to the mysql driver, not " + dbCfg.driver);
+
+// --up only ever applies migrations, and --down only ever rolls them back,
+// so a mistyped version can't drop tables along with their data.
+var target, migrateFn;
+if (args.up !== undefined && args.down !== undefined) {
+  fail("specify only one of --up or --down");
+} else if (args.up !== undefined) {
+  target = (args.up === true) ? migrate.LATEST : args.up;
+  migrateFn = migrate.apply;
+} else if (args.down !== undefined) {
+  if (args.down === true) fail("--down requires the version to roll back to");
+  target = args.down;
+  migrateFn = migrate.rollBack;
+}
+
+// we don't use the application's mysql wrapper here, migrations may
+// legitimately run longer than it allows a query to take.
+var options = {
+  host: dbCfg.host || '127.0.0.1',
+  port: "3306",
+  user: dbCfg.user || undefined,
+  password: dbCfg.password || undefined,
+  database: dbCfg.name || "browserid"
+};
+Object.keys(options).forEach(function(param) {
+  if (options[param] === undefined) delete options[param];
+});
+
+var client = mysql.createClient(options);
+
+function done(err) {
+  client.end(function() {
+    if (err) fail(err);
+  });
+}
+
+function show(cb) {
+  migrate.currentVersion(client, function(err, version) {
+    if (err) return cb(err);
+    migrate.migrations.forEach(function(m) {
+      console.log((m.version <= version ? '* ' : '  ') + m.name + ' (' + m.description + ')');
+    });
+    console.log("schema of database '" + options.database + "' is at version " + version +
+                ", the latest is " + migrate.LATEST);
+    cb(null);
+  });
+}
+
+if (target === undefined) {
+  show(done);
+} else {
+  migrateFn(client, target, function(err) {
+    if (err) return done(err);
+    show(done);
+  });
+}
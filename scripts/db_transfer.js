@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Export the contents of a database to a file, or import such a file into
+ * a database, so deployments can move between database drivers.
+ *
+ * The file holds one JSON object per line: a header naming the format and
+ * its version, then one record per user, session, account event, staged
+ * email and IdP (see lib/db/dbutils.js).  Records are read and written
+ * through the database driver, so any driver can import what any other
+ * exported.  User ids and sessions are preserved, so users stay signed in
+ * across the move.
+ *
+ * The database used is that of the configuration (point CONFIG_FILES at the
+ * configuration of the deployment), or may be given on the command line.
+ *
+ * Example, moving a local JSON database into mysql:
+ *  $ scripts/db_transfer.js --driver json --export /tmp/browserid.jsonl
+ *  $ scripts/db_transfer.js --driver mysql --import /tmp/browserid.jsonl
+ */
+
+const
+fs = require('fs'),
+db = require('../lib/db.js'),
+dbutils = require('../lib/db/dbutils.js'),
+config = require('../lib/configuration.js');
+
+var argv = require('optimist')
+.usage('Export a database to, or import it from, a JSON-lines file.\nUsage: $0 [--export [file] | --import [file]]')
+.alias('h', 'help')
+.describe('h', 'display this usage message')
+.describe('export', 'write the contents of the database to a file, or to stdout if none is given')
+.describe('import', 'add the contents of a file (or stdin) to the database, which should be empty')
+.alias('d', 'driver')
+.describe('d', 'the database driver to use, defaults to that of the configuration')
+.alias('n', 'name')
+.describe('n', 'the name of the database (or path of the database file) to use');
+
+var args = argv.argv;
+
+if (args.h || (args['export'] && args['import']) || !(args['export'] || args['import'])) {
+  argv.showHelp();
+  process.exit(args.h ? 0 : 1);
+}
+
+function fail(msg) {
+  process.stderr.write("error: " + msg + "\n");
+  process.exit(1);
+}
+
+var dbCfg = config.get('database');
+if (args.d) dbCfg.driver = args.d;
+if (args.n) {
+  // the json driver takes the path of its file, others a name
+  if (dbCfg.driver === 'json') dbCfg.path = args.n;
+  else dbCfg.name = args.n;
+}
+
+// `--export` and `--import` without a file name use stdout and stdin
+function fileName(arg) {
+  return (arg === true) ? null : String(arg);
+}
+
+function doExport(file, cb) {
+  var out = file ? fs.createWriteStream(file) : process.stdout;
+  var count = 0;
+
+  function write(obj, next) {
+    if (out.write(JSON.stringify(obj) + "\n")) next();
+    else out.once('drain', next);
+  }
+
+  write({
+    format: dbutils.EXPORT_FORMAT,
+    version: dbutils.EXPORT_VERSION,
+    exported: new Date().toISOString()
+  }, function() {
+    db.exportRecords(function(record, next) {
+      count++;
+      write(record, next);
+    }, function(err) {
+      if (err) return cb(err);
+      process.stderr.write("exported " + count + " records\n");
+      if (out === process.stdout) cb(null);
+      else out.end(cb);
+    });
+  });
+}
+
+function doImport(file, cb) {
+  var input = file ? fs.createReadStream(file) : process.stdin;
+  var lineNo = 0, count = 0, buffered = '';
+  var sawHeader = false, busy = false, ended = false, done = false;
+
+  function checkHeader(header) {
+    if (!header || header.format !== dbutils.EXPORT_FORMAT) {
+      return "not a database export";
+    }
+    if (header.version !== dbutils.EXPORT_VERSION) {
+      return "unsupported export version " + header.version +
+        ", this code reads version " + dbutils.EXPORT_VERSION;
+    }
+  }
+
+  function importLines(lines, next) {
+    if (!lines.length) return next(null);
+    var line = lines.shift();
+    lineNo++;
+    if (!line.trim()) return importLines(lines, next);
+
+    var obj;
+    try {
+      obj = JSON.parse(line);
+    } catch(e) {
+      return next("line " + lineNo + ": invalid JSON");
+    }
+
+    if (!sawHeader) {
+      sawHeader = true;
+      var err = checkHeader(obj);
+      if (err) return next(err);
+      return importLines(lines, next);
+    }
+
+    db.importRecord(obj, function(err) {
+      if (err) return next("line " + lineNo + ": " + err);
+      count++;
+      importLines(lines, next);
+    });
+  }
+
+  function finish(err) {
+    if (done) return;
+    done = true;
+    if (!err && !sawHeader) err = "not a database export";
+    if (!err) process.stderr.write("imported " + count + " records\n");
+    cb(err);
+  }
+
+  // records are imported one at a time, so stop reading while we work
+  // through the complete lines we have.
+  function pump() {
+    if (busy || done) return;
+    var lines = buffered.split('\n');
+    buffered = lines.pop();
+    if (ended && buffered) {
+      lines.push(buffered);
+      buffered = '';
+    }
+    if (!lines.length) {
+      if (ended) finish(null);
+      return;
+    }
+
+    busy = true;
+    input.pause();
+    importLines(lines, function(err) {
+      busy = false;
+      if (err) return finish(err);
+      input.resume();
+      pump();
+    });
+  }
+
+  input.setEncoding('utf8');
+  input.on('data', function(chunk) {
+    buffered += chunk;
+    pump();
+  });
+  input.on('end', function() {
+    ended = true;
+    pump();
+  });
+  input.on('error', finish);
+  input.resume();
+}
+
+db.open(dbCfg, function(err) {
+  if (err) fail("can't open database: " + err);
+
+  var work = args['export'] ?
+    doExport.bind(null, fileName(args['export'])) :
+    doImport.bind(null, fileName(args['import']));
+
+  work(function(err) {
+    db.close(function() {
+      if (err) fail(err);
+      process.exit(0);
+    });
+  });
+});
@@ -8,7 +8,10 @@ var child_process = require('child_process');
 var existsSync = fs.existsSync || path.existsSync;
 
 var VAR = path.join(__dirname, '../var');
-var CERT = path.join(VAR, 'root.cert');
+
+// the root key signs certificates for verified emails, the unverified key
+// signs certificates for unverified emails.
+var KEY_NAMES = [ 'root', 'unverified' ];
 
 function exec(file, args, next) {
   // remove path prefix, to prevent spaces in paths causing problems on win32
@@ -22,7 +25,10 @@ function exec(file, args, next) {
 
 
 // if keys already exist, do nothing
-if (existsSync(CERT)) {
+KEY_NAMES = KEY_NAMES.filter(function(name) {
+  return !existsSync(path.join(VAR, name + '.cert'));
+});
+if (!KEY_NAMES.length) {
   process.exit(0);
 }
 
@@ -41,12 +47,20 @@ if (!existsSync(CERTIFY)) {
 
 console.log('*** Generating ephemeral keys used for testing ***');
 
-exec(GENERATE_KEYPAIR, '-k 256 -a rsa', function(stdout) {
-  if (stdout) console.log(stdout);
-  if (!existsSync(VAR)) fs.mkdirSync(VAR);
-  exec(CERTIFY, '-s key.secretkey -p key.publickey', function(cert) {
-    fs.writeFileSync(CERT, cert);
-    fs.unlinkSync('key.publickey');
-    fs.renameSync('key.secretkey', path.join(VAR, 'root.secretkey'));
+function generateNextKey() {
+  var name = KEY_NAMES.shift();
+  if (!name) return;
+
+  exec(GENERATE_KEYPAIR, '-k 256 -a rsa', function(stdout) {
+    if (stdout) console.log(stdout);
+    if (!existsSync(VAR)) fs.mkdirSync(VAR);
+    exec(CERTIFY, '-s key.secretkey -p key.publickey', function(cert) {
+      fs.writeFileSync(path.join(VAR, name + '.cert'), cert);
+      fs.unlinkSync('key.publickey');
+      fs.renameSync('key.secretkey', path.join(VAR, name + '.secretkey'));
+      generateNextKey();
+    });
   });
-});
+}
+
+generateNextKey();
@@ -3,39 +3,21 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
+// print the hash of a password, made with the configured algorithm and cost
+// (see `password_hash` in lib/configuration.js)
 
 const
-config = require('../lib/configuration'),
-bcrypt = require('bcrypt');
-
-function bcryptPassword(password, cb) {
-  var bcryptWorkFactor = config.get('bcrypt_work_factor');
-
-  bcrypt.gen_salt(bcryptWorkFactor, function (err, salt) {
-    if (err) {
-      var msg = "error generating salt with bcrypt: " + err;
-      logger.error(msg);
-      return cb(msg);
-    }
-    bcrypt.encrypt(password, salt, function(err, hash) {
-      if (err) {
-        var msg = "error generating password hash with bcrypt: " + err;
-        logger.error(msg);
-        return cb(msg);
-      }
-      return cb(undefined, hash);
-    });
-  });
-};
+passwordHash = require('../lib/password_hash');
 
 if (process.argv.length !== 3) {
   console.log('Usage:', process.argv[1], '<password>');
   process.exit(1);
 }
 
-bcryptPassword(process.argv[2], function(err, hash) {
+passwordHash.hash(process.argv[2], function(err, hash) {
+  passwordHash.shutdown();
   if (err) {
-    process.sterr.write("error: " + err.toString() + "\n");
+    process.stderr.write("error: " + err.toString() + "\n");
     process.exit(1);
   }
   console.log(hash);
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Manage the key rings used to sign certificates (see lib/secrets.js).
+ * The "root" ring signs certificates for verified emails, the "unverified"
+ * ring those for unverified emails.
+ *
+ * Rolling generates a new key and makes it current, while previous keys
+ * remain published so certificates they signed keep verifying.  Once those
+ * certificates have expired, the old keys may be retired.
+ *
+ * All processes which load keys (keysigner, verifier, browserid and static)
+ * must be restarted to pick up changes to the key ring.
+ */
+
+const
+fs = require('fs'),
+path = require('path'),
+jwcrypto = require('jwcrypto'),
+secrets = require('../lib/secrets.js'),
+config = require('../lib/configuration.js');
+
+require("jwcrypto/lib/algs/rs");
+require("jwcrypto/lib/algs/ds");
+
+var argv = require('optimist')
+.usage('Show, roll or retire keys in a certificate signing key ring.\nUsage: $0 [--roll | --retire <kid>]')
+.alias('h', 'help')
+.describe('h', 'display this usage message')
+.alias('n', 'name')
+.describe('n', 'the key ring to manage, "root" for verified emails or "unverified"')
+.default('n', 'root')
+.alias('d', 'dir')
+.describe('d', 'directory holding the keys')
+.default('d', config.get('var_path'))
+.describe('roll', 'generate a new key and make it current')
+.describe('retire', 'stop publishing the key with the given id')
+.alias('a', 'algorithm')
+.describe('a', 'algorithm of the new key, one of "dsa" or "rsa"')
+.default('a', 'rsa')
+.alias('k', 'keysize')
+.describe('k', 'size of the new key, one of 64, 128, or 256')
+.default('k', 256);
+
+var args = argv.argv;
+
+if (args.h) {
+  argv.showHelp();
+  process.exit(0);
+}
+
+function fail(msg) {
+  process.stderr.write("error: " + msg + "\n");
+  process.exit(1);
+}
+
+function loadRing() {
+  try {
+    return secrets.loadKeyRing(args.n, args.d);
+  } catch(e) {
+    fail("can't load key ring: " + e);
+  }
+}
+
+function showRing(ring) {
+  ring.ids.forEach(function(kid) {
+    console.log((kid === ring.current ? '* ' : '  ') + kid + ' (created ' +
+                secrets.publicKeyCreationDate(kid, args.d).toISOString() + ')');
+  });
+}
+
+function saveRing(current, ids) {
+  secrets.writeKeyRing({ current: current, keys: ids }, args.n, args.d);
+}
+
+var ring = loadRing();
+
+if (args.retire) {
+  var kid = String(args.retire);
+  if (ring.ids.indexOf(kid) === -1) fail("no such key: " + kid);
+  if (kid === ring.current) fail("can't retire the current key, roll first");
+
+  saveRing(ring.current, ring.ids.filter(function(k) { return k !== kid; }));
+  console.log("retired " + kid + ", its key files remain in " + args.d);
+  showRing(loadRing());
+} else if (args.roll) {
+  if (-1 === [ 64, 128, 256 ].indexOf(args.k)) fail("invalid keysize: " + args.k);
+  if (-1 === [ "dsa", "rsa" ].indexOf(args.a)) fail("invalid algorithm: " + args.a);
+
+  var newKid = args.n + '-' + Math.floor(new Date().getTime() / 1000);
+  if (ring.ids.indexOf(newKid) !== -1) fail("key " + newKid + " already exists, try again shortly");
+
+  jwcrypto.generateKeypair({
+    algorithm: args.a.substr(0, 2).toUpperCase(),
+    keysize: args.k
+  }, function(err, kp) {
+    if (err) fail("can't generate keypair: " + err);
+
+    // the key certifies itself, its issue date is the key's creation date
+    var expiration = new Date(new Date().getTime() + (365 * 24 * 60 * 60 * 1000));
+    jwcrypto.cert.sign({publicKey: kp.publicKey, principal: {}},
+                       {issuedAt: new Date(), expiresAt: expiration}, {},
+                       kp.secretKey, function(err, cert) {
+      if (err) fail("can't certify public key: " + err);
+
+      var secretPath = path.join(args.d, newKid + '.secretkey');
+      fs.writeFileSync(secretPath, '');
+      fs.chmodSync(secretPath, '0600');
+      fs.writeFileSync(secretPath, kp.secretKey.serialize());
+      fs.writeFileSync(path.join(args.d, newKid + '.cert'), cert);
+
+      saveRing(newKid, ring.ids.concat([ newKid ]));
+      console.log("rolled to new key " + newKid + ", restart processes to put it in use");
+      showRing(loadRing());
+    });
+  });
+} else {
+  showRing(ring);
+}
@@ -90,6 +90,9 @@ if (config.get('env').substr(0,5) === 'test_') {
   } else if (config.get('database').driver === 'json') {
     process.env['DATABASE_NAME'] =  process.env['DATABASE_NAME'] || temp.path({suffix: '.db'});
     console.log("temp json database:", process.env['DATABASE_NAME']);
+  } else if (config.get('database').driver === 'sqlite') {
+    process.env['DATABASE_NAME'] =  process.env['DATABASE_NAME'] || temp.path({suffix: '.sqlite'});
+    console.log("temp sqlite database:", process.env['DATABASE_NAME']);
   }
 }
 
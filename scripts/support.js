@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// look up and remediate accounts, for support engineers.  Wraps the
+// internal support_* wsapis, so it must be run from the internal network:
+// lookups go to the browserid process, changes to the dbwriter.
+
+const
+wcli = require("../lib/wsapi_client.js");
+
+var argv = require('optimist')
+.usage('Look up or fix the account an email address belongs to.\n' +
+       'Usage: $0 <command> <email>\n\n' +
+       'Commands:\n' +
+       '  lookup               describe the account and its addresses\n' +
+       '  clear-auth-failures  unlock an account locked by failed sign-in attempts\n' +
+       '  reset-password       send a password reset email to the address\n' +
+       '  remove-email         remove the address from its account\n' +
+       '  cancel-account       cancel the account')
+.alias('h', 'help')
+.describe('h', 'display this usage message')
+.alias('b', 'browserid')
+.describe('b', 'url of the browserid process')
+.default('b', process.env.BROWSERID_URL || 'http://127.0.0.1:10007')
+.alias('w', 'dbwriter')
+.describe('w', 'url of the dbwriter process')
+.default('w', process.env.DBWRITER_URL || 'http://127.0.0.1:10004')
+.alias('o', 'operator')
+.describe('o', 'who is acting, recorded in the audit log')
+.default('o', process.env.USER);
+
+var args = argv.argv;
+
+if (args.h) {
+  argv.showHelp();
+  process.exit(0);
+}
+
+var command = args._[0],
+    email = args._[1];
+
+if (args._.length !== 2 || !args.o) {
+  argv.showHelp();
+  process.exit(1);
+}
+
+function fail(e) {
+  process.stderr.write("error: " + e.toString() + "\n");
+  process.exit(1);
+}
+
+// call a support_* api, and call back with its response if it succeeded
+function call(server, api, params, cb) {
+  params.operator = args.o;
+  wcli.get({ browserid: server }, '/wsapi/' + api, {}, params, function(err, r) {
+    if (err) return fail(err);
+    var body;
+    try {
+      body = JSON.parse(r.body);
+    } catch(e) {
+      return fail("unexpected response (" + r.code + "): " + r.body);
+    }
+    if (body.success !== true) return fail(body.reason || r.body);
+    cb(body);
+  });
+}
+
+function lookup(cb) {
+  call(args.b, 'support_lookup_account', { email: email }, cb);
+}
+
+function done() {
+  console.log("ok");
+}
+
+var commands = {
+  'lookup': function() {
+    lookup(function(account) {
+      delete account.success;
+      console.log(JSON.stringify(account, null, 2));
+    });
+  },
+  'clear-auth-failures': function() {
+    lookup(function(account) {
+      call(args.w, 'support_clear_auth_failures', { userid: account.userid }, done);
+    });
+  },
+  'reset-password': function() {
+    call(args.w, 'support_reset_password', { email: email }, done);
+  },
+  'remove-email': function() {
+    call(args.w, 'support_remove_email', { email: email }, done);
+  },
+  'cancel-account': function() {
+    lookup(function(account) {
+      call(args.w, 'support_cancel_account', { userid: account.userid }, done);
+    });
+  }
+};
+
+if (!commands.hasOwnProperty(command)) fail("unknown command: " + command);
+commands[command]();
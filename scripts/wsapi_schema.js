@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* Print the OpenAPI description of the wsapi, as served from /wsapi/_schema.
+ *
+ * The published copy in docs/wsapi_schema.json must be regenerated whenever
+ * a handler's method, authentication or arguments change:
+ *  $ scripts/wsapi_schema.js > docs/wsapi_schema.json
+ */
+
+const
+wsapi = require('../lib/wsapi.js');
+
+var argv = require('optimist')
+.usage('Print the OpenAPI description of the wsapi.\nUsage: $0')
+.alias('h', 'help')
+.describe('h', 'display this usage message');
+
+var args = argv.argv;
+
+if (args.h) {
+  argv.showHelp();
+  process.exit(0);
+}
+
+process.stdout.write(JSON.stringify(wsapi.describeAPIs(), null, 2) + "\n");
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js'),
+db = require('../lib/db.js');
+
+var suite = vows.describe('account-events');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+suite.addBatch({
+  "creating a secondary account": {
+    topic: function() {
+      secondary.create({
+        email: 'first@fakeemail.com',
+        pass: 'firstfakepass',
+        site:'http://fakesite.com:123'
+      }, this.callback);
+    },
+    "succeeds": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "listing account events of a new account": {
+    topic: wsapi.get('/wsapi/list_account_events', {}),
+    "succeeds with HTTP 200" : function(err, r) {
+      assert.strictEqual(r.code, 200);
+    },
+    "returns no events": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.success, true);
+      assert.deepEqual(resp.events, []);
+    }
+  }
+});
+
+suite.addBatch({
+  "adding a second email address": {
+    topic: wsapi.post('/wsapi/stage_email', {
+      email: 'second@fakeemail.com',
+      site:'https://fakesite.foobar.bizbaz.uk'
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+    }
+  }
+});
+
+var token;
+
+suite.addBatch({
+  "a token": {
+    topic: function() {
+      start_stop.waitForToken(this.callback);
+    },
+    "is obtained": function (err, t) {
+      assert.isNull(err);
+      assert.strictEqual(typeof t, 'string');
+      token = t;
+    }
+  }
+});
+
+suite.addBatch({
+  "confirming the second address": {
+    topic: function() {
+      wsapi.post('/wsapi/complete_email_confirmation', { token: token }).call(this);
+    },
+    "works": function(err, r) {
+      assert.equal(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "removing the second address": {
+    topic: wsapi.post('/wsapi/remove_email', { email: 'second@fakeemail.com' }),
+    "succeeds with HTTP 200" : function(err, r) {
+      assert.strictEqual(r.code, 200);
+    }
+  }
+});
+
+suite.addBatch({
+  "changing the password": {
+    topic: wsapi.post('/wsapi/update_password', {
+      oldpass: 'firstfakepass',
+      newpass: 'secondfakepass'
+    }),
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "rehashing the password, as happens after a change of work factor": {
+    topic: wsapi.post('/wsapi/update_password', {
+      oldpass: 'secondfakepass',
+      newpass: 'secondfakepass'
+    }),
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "listing account events": {
+    topic: wsapi.get('/wsapi/list_account_events', {}),
+    "succeeds with HTTP 200" : function(err, r) {
+      assert.strictEqual(r.code, 200);
+    },
+    "returns the events, newest first, without the rehash": function(err, r) {
+      var events = JSON.parse(r.body).events;
+      assert.equal(events.length, 2);
+      assert.strictEqual(events[0].type, 'password_change');
+      assert.strictEqual(events[1].type, 'email_removed');
+      assert.strictEqual(events[1].detail, 'second@fakeemail.com');
+    },
+    "with the time of each": function(err, r) {
+      var now = Math.floor(new Date().getTime() / 1000);
+      JSON.parse(r.body).events.forEach(function(e) {
+        assert.isNumber(e.at);
+        assert.isTrue(Math.abs(now - e.at) < 60);
+      });
+    }
+  }
+});
+
+suite.addBatch({
+  "logging out": {
+    topic: wsapi.post('/wsapi/logout', {}),
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+    }
+  }
+});
+
+suite.addBatch({
+  "listing account events when not authenticated": {
+    topic: wsapi.get('/wsapi/list_account_events', {}),
+    "fails": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  }
+});
+
+// the account is gone once cancelled, so its events are read from the db
+var uid;
+
+suite.addBatch({
+  "authenticating again": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: 'first@fakeemail.com',
+      pass: 'secondfakepass',
+      ephemeral: false
+    }),
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    },
+    "and looking up the account": {
+      topic: function() {
+        db.emailToUID('first@fakeemail.com', this.callback);
+      },
+      "succeeds": function(err, r) {
+        assert.isNull(err);
+        assert.isNumber(r);
+        uid = r;
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "cancelling the account": {
+    topic: wsapi.post('/wsapi/account_cancel', {}),
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "the events of the cancelled account": {
+    topic: function() {
+      db.listAccountEvents(uid, 10, this.callback);
+    },
+    "are replaced by a record of its cancellation": function(err, events) {
+      assert.isNull(err);
+      assert.equal(events.length, 1);
+      assert.strictEqual(events[0].type, 'account_cancel');
+      assert.isNull(events[0].detail);
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -48,6 +48,10 @@ suite.addBatch({
       },
       "looks ok" : function(err, cert_raw) {
         assert.equal(cert_raw.split(".").length, 3);
+      },
+      "carries the id of the signing key" : function(err, cert_raw) {
+        var payload = jwcrypto.extractComponents(cert_raw).payload;
+        assert.equal(payload.kid, ca.KEY_ID);
       }
     }
   }
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+// schema migrations only apply to mysql
+if (process.env['NODE_ENV'] != 'test_mysql') process.exit(0);
+
+const
+assert = require('assert'),
+vows = require('vows'),
+db = require('../lib/db.js'),
+mysql = require('../lib/db/mysql_wrapper.js'),
+migrate = require('../lib/db/mysql_migrate.js'),
+configuration = require('../lib/configuration.js');
+
+var suite = vows.describe('db-migrate');
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+var dbCfg = configuration.get('database');
+
+var client;
+
+function tableExists(name, cb) {
+  client.query(
+    "SELECT COUNT(*) AS n FROM information_schema.tables " +
+      "WHERE table_schema = DATABASE() AND table_name = ?", [ name ],
+    function(err, rows) {
+      cb(err, rows && rows[0].n === 1);
+    });
+}
+
+suite.addBatch({
+  "opening the database": {
+    topic: function() {
+      db.open(dbCfg, this.callback);
+    },
+    "works": function(err) {
+      assert.isNull(err);
+    },
+    "and connecting to it directly": {
+      topic: function() {
+        client = mysql.createClient({
+          host: dbCfg.host || '127.0.0.1',
+          user: dbCfg.user || undefined,
+          password: dbCfg.password || undefined,
+          database: dbCfg.name
+        });
+        migrate.currentVersion(client, this.callback);
+      },
+      "shows the schema is at the latest version": function(err, version) {
+        assert.isNull(err);
+        assert.strictEqual(version, migrate.LATEST);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "migrating to a version that doesn't exist": {
+    topic: function() {
+      migrate.migrate(client, migrate.LATEST + 1, this.callback);
+    },
+    "fails": function(err, version) {
+      assert.strictEqual(err, "no such schema version: " + (migrate.LATEST + 1));
+    }
+  }
+});
+
+suite.addBatch({
+  "rolling back all migrations": {
+    topic: function() {
+      migrate.migrate(client, 0, this.callback);
+    },
+    "works": function(err, version) {
+      assert.isNull(err);
+      assert.strictEqual(version, 0);
+    },
+    "removes tables": {
+      topic: function() {
+        tableExists('user', this.callback);
+      },
+      "as expected": function(err, exists) {
+        assert.isNull(err);
+        assert.isFalse(exists);
+      }
+    },
+    "removes the replay cache table": {
+      topic: function() {
+        tableExists('verifier_replay', this.callback);
+      },
+      "too": function(err, exists) {
+        assert.isNull(err);
+        assert.isFalse(exists);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "applying all migrations again": {
+    topic: function() {
+      migrate.migrate(client, migrate.LATEST, this.callback);
+    },
+    "works": function(err, version) {
+      assert.isNull(err);
+      assert.strictEqual(version, migrate.LATEST);
+    },
+    "restores tables": {
+      topic: function() {
+        tableExists('user', this.callback);
+      },
+      "as expected": function(err, exists) {
+        assert.isNull(err);
+        assert.isTrue(exists);
+      }
+    },
+    "restores the replay cache table": {
+      topic: function() {
+        tableExists('verifier_replay', this.callback);
+      },
+      "too": function(err, exists) {
+        assert.isNull(err);
+        assert.isTrue(exists);
+      }
+    },
+    "and the database": {
+      topic: function() {
+        db.emailKnown('nobody@example.com', this.callback);
+      },
+      "is usable": function(err, known) {
+        assert.isNull(err);
+        assert.isFalse(known);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "applying migrations to an older version": {
+    topic: function() {
+      migrate.apply(client, migrate.LATEST - 1, this.callback);
+    },
+    "fails": function(err, version) {
+      assert.isString(err);
+    },
+    "and leaves the schema": {
+      topic: function() {
+        migrate.currentVersion(client, this.callback);
+      },
+      "at the latest version": function(err, version) {
+        assert.isNull(err);
+        assert.strictEqual(version, migrate.LATEST);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "rolling back one migration": {
+    topic: function() {
+      migrate.rollBack(client, migrate.LATEST - 1, this.callback);
+    },
+    "works": function(err, version) {
+      assert.isNull(err);
+      assert.strictEqual(version, migrate.LATEST - 1);
+    },
+    "and rolling back to a newer version": {
+      topic: function() {
+        migrate.rollBack(client, migrate.LATEST, this.callback);
+      },
+      "fails": function(err, version) {
+        assert.isString(err);
+      },
+      "and applying it again": {
+        topic: function() {
+          migrate.apply(client, migrate.LATEST, this.callback);
+        },
+        "works": function(err, version) {
+          assert.isNull(err);
+          assert.strictEqual(version, migrate.LATEST);
+        }
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "when the schema is newer than the code": {
+    topic: function() {
+      var cb = this.callback;
+      client.query("INSERT INTO schema_version (version, description) VALUES(?, ?)",
+                   [ migrate.LATEST + 1, "from the future" ], function(err) {
+        if (err) return cb(err);
+        db.close(function(err) {
+          if (err) return cb(err);
+          db.open(dbCfg, function(err) {
+            cb(null, err);
+          });
+        });
+      });
+    },
+    "opening the database fails": function(err, openErr) {
+      assert.isNull(err);
+      assert.strictEqual(openErr, "database schema is at version " + (migrate.LATEST + 1) +
+                         ", which is newer than the latest known to this code (" +
+                         migrate.LATEST + ")");
+    }
+  }
+});
+
+suite.addBatch({
+  "once the newer migration is rolled back": {
+    topic: function() {
+      var cb = this.callback;
+      client.query("DELETE FROM schema_version WHERE version > ?", [ migrate.LATEST ],
+                   function(err) {
+        if (err) return cb(err);
+        db.open(dbCfg, cb);
+      });
+    },
+    "opening the database works": function(err) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "closing the direct connection": {
+    topic: function() {
+      client.end(this.callback);
+    },
+    "works": function(err) {
+      assert.isTrue(!err);
+    }
+  }
+});
+
+suite.addBatch({
+  "closing and removing the database": {
+    topic: function() {
+      db.closeAndRemove(this.callback);
+    },
+    "works": function(err) {
+      assert.isTrue(!err);
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
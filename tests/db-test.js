@@ -377,6 +377,139 @@ suite.addBatch({
   }
 });
 
+suite.addBatch({
+  "staging a sign-in for an owned address": {
+    topic: function() {
+      var cb = this.callback;
+      db.emailToUID('lloyd@somewhe.re', function(err, uid) {
+        db.stageSignIn(uid, 'lloyd@somewhe.re', function(err, secret) {
+          cb(err, secret, uid);
+        });
+      });
+    },
+    "yields a valid secret": function(err, secret) {
+      assert.isNull(err);
+      assert.isString(secret);
+    },
+    "isn't reported by isStaged": {
+      topic: function() { db.isStaged('lloyd@somewhe.re', this.callback); },
+      "as a pending verification": function(err, r) {
+        assert.isNull(err);
+        assert.isFalse(r);
+      }
+    },
+    "lets you complete the sign-in": {
+      topic: function(err, secret, uid) {
+        var cb = this.callback;
+        db.completeSignIn(secret, function(err, email, signedInUID) {
+          cb(err, email, signedInUID, uid);
+        });
+      },
+      "as the owner of the address": function(err, email, signedInUID, uid) {
+        assert.isNull(err);
+        assert.strictEqual(email, 'lloyd@somewhe.re');
+        assert.strictEqual(signedInUID, uid);
+      },
+      "and isStaged": {
+        topic: function() { db.isStaged('lloyd@somewhe.re', this.callback); },
+        "returns false": function(err, r) {
+          assert.isNull(err);
+          assert.isFalse(r);
+        }
+      }
+    }
+  }
+});
+
+// staging replaces what the user has staged before, so this is a batch of its own
+suite.addBatch({
+  "staging an address the user doesn't own": {
+    topic: function() {
+      var cb = this.callback;
+      db.emailToUID('lloyd@somewhe.re', function(err, uid) {
+        db.stageSignIn(uid, 'lloyd@elsewhe.re', cb);
+      });
+    },
+    "and completing it as a sign-in": {
+      topic: function(err, secret) {
+        db.completeSignIn(secret, this.callback);
+      },
+      "fails": function(err) {
+        assert.isString(err);
+      },
+      "and the address": {
+        topic: function() { db.emailKnown('lloyd@elsewhe.re', this.callback); },
+        "is not added": function(err, r) {
+          assert.isNull(err);
+          assert.isFalse(r);
+        }
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "a staged sign-in": {
+    topic: function() {
+      var cb = this.callback;
+      db.emailToUID('lloyd@somewhe.re', function(err, uid) {
+        db.stageSignIn(uid, 'lloyd@somewhe.re', cb);
+      });
+    },
+    "when completed as a password reset": {
+      topic: function(err, secret) {
+        var cb = this.callback;
+        db.completePasswordReset(secret, 'anotherhashofapassword', function(err) {
+          cb(err, secret);
+        });
+      },
+      "fails": function(err, secret) {
+        assert.isString(err);
+      },
+      "and the link": {
+        topic: function(err, secret) {
+          db.haveVerificationSecret(secret, this.callback);
+        },
+        "can still be used to sign in": function(err, r) {
+          assert.isNull(err);
+          assert.isTrue(r);
+        }
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "a staged password reset": {
+    topic: function() {
+      var cb = this.callback;
+      db.emailToUID('lloyd@somewhe.re', function(err, uid) {
+        db.stageEmail(uid, 'lloyd@somewhe.re', 'anotherhashofapassword', cb);
+      });
+    },
+    "when completed as a sign-in": {
+      topic: function(err, secret) {
+        var cb = this.callback;
+        db.completeSignIn(secret, function(err) {
+          cb(err, secret);
+        });
+      },
+      "fails": function(err, secret) {
+        assert.isString(err);
+      },
+      "and the link": {
+        topic: function(err, secret) {
+          db.haveVerificationSecret(secret, this.callback);
+        },
+        "can still be used to reset the password": function(err, r) {
+          assert.isNull(err);
+          assert.isTrue(r);
+        }
+      }
+    }
+  }
+});
+
 suite.addBatch({
   "emailType of lloyd@anywhe.re": {
     topic: function() {
@@ -765,6 +898,341 @@ suite.addBatch({
 });
 
 
+suite.addBatch({
+  "recording account events": {
+    topic: function() {
+      var cb = this.callback;
+      db.recordAccountEvent(4242, 'password_change', null, function(err) {
+        if (err) return cb(err);
+        db.recordAccountEvent(4242, 'email_removed', 'gone@example.com', cb);
+      });
+    },
+    "works": function(err) {
+      assert.isNull(err);
+    },
+    "and listing them": {
+      topic: function() {
+        db.listAccountEvents(4242, 10, this.callback);
+      },
+      "returns them, newest first": function(err, events) {
+        assert.isNull(err);
+        assert.equal(events.length, 2);
+        assert.strictEqual(events[0].type, 'email_removed');
+        assert.strictEqual(events[0].detail, 'gone@example.com');
+        assert.strictEqual(events[1].type, 'password_change');
+        assert.isNull(events[1].detail);
+      },
+      "with recent times": function(err, events) {
+        var now = Math.floor(new Date().getTime() / 1000);
+        assert.isTrue(Math.abs(now - events[0].at) < 5);
+      }
+    },
+    "and listing fewer": {
+      topic: function() {
+        db.listAccountEvents(4242, 1, this.callback);
+      },
+      "returns only the most recent": function(err, events) {
+        assert.isNull(err);
+        assert.equal(events.length, 1);
+        assert.strictEqual(events[0].type, 'email_removed');
+      }
+    },
+    "and listing another user's": {
+      topic: function() {
+        db.listAccountEvents(4243, 10, this.callback);
+      },
+      "returns none": function(err, events) {
+        assert.isNull(err);
+        assert.deepEqual(events, []);
+      }
+    }
+  }
+});
+
+var totpUID;
+
+suite.addBatch({
+  "a new user": {
+    topic: function() {
+      var cb = this.callback;
+      db.addTestUser('totp@example.com', 'biglonghashofapassword', function(err) {
+        if (err) return cb(err);
+        db.emailToUID('totp@example.com', function(err, uid) {
+          if (err) return cb(err);
+          totpUID = uid;
+          db.getTotpSecret(uid, cb);
+        });
+      });
+    },
+    "has no totp secret": function(err, secret, lastStep) {
+      assert.isNull(err);
+      assert.isNull(secret);
+      assert.strictEqual(lastStep, 0);
+    }
+  },
+  "getting the totp secret of an unknown user": {
+    topic: function() {
+      db.getTotpSecret(4244, this.callback);
+    },
+    "fails": function(err) {
+      assert.strictEqual(err, "no such user");
+    }
+  }
+});
+
+suite.addBatch({
+  "setting a totp secret": {
+    topic: function() {
+      db.setTotpSecret(totpUID, 'MZXW6YTBOI', this.callback);
+    },
+    "works": function(err) {
+      assert.isTrue(!err);
+    },
+    "and getting it": {
+      topic: function() {
+        db.getTotpSecret(totpUID, this.callback);
+      },
+      "returns it": function(err, secret, lastStep) {
+        assert.isNull(err);
+        assert.strictEqual(secret, 'MZXW6YTBOI');
+        assert.strictEqual(lastStep, 0);
+      }
+    },
+    "and checkAuth": {
+      topic: function() {
+        db.checkAuth(totpUID, this.callback);
+      },
+      "reports a second factor": function(err, hash, failedAuthTries, hasSecondFactor) {
+        assert.isNull(err);
+        assert.isTrue(hasSecondFactor);
+      }
+    },
+    "and userKnown": {
+      topic: function() {
+        db.userKnown(totpUID, this.callback);
+      },
+      "reports a second factor": function(err, known, hasPass, hasSecondFactor) {
+        assert.isNull(err);
+        assert.isTrue(hasSecondFactor);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "using a totp time step": {
+    topic: function() {
+      db.updateTotpLastStep(totpUID, 100, this.callback);
+    },
+    "works": function(err, updated) {
+      assert.isNull(err);
+      assert.isTrue(updated);
+    },
+    "then using it again": {
+      topic: function() {
+        db.updateTotpLastStep(totpUID, 100, this.callback);
+      },
+      "is refused": function(err, updated) {
+        assert.isNull(err);
+        assert.isFalse(updated);
+      },
+      "as is an earlier step": {
+        topic: function() {
+          db.updateTotpLastStep(totpUID, 99, this.callback);
+        },
+        "is refused": function(err, updated) {
+          assert.isNull(err);
+          assert.isFalse(updated);
+        }
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "removing the totp secret": {
+    topic: function() {
+      var cb = this.callback;
+      db.setTotpSecret(totpUID, null, function(err) {
+        if (err) return cb(err);
+        db.getTotpSecret(totpUID, cb);
+      });
+    },
+    "clears the secret and last step": function(err, secret, lastStep) {
+      assert.isNull(err);
+      assert.isNull(secret);
+      assert.strictEqual(lastStep, 0);
+    },
+    "and checkAuth": {
+      topic: function() {
+        db.checkAuth(totpUID, this.callback);
+      },
+      "reports no second factor": function(err, hash, failedAuthTries, hasSecondFactor) {
+        assert.isNull(err);
+        assert.isFalse(hasSecondFactor);
+      }
+    }
+  }
+});
+
+var sessionUID;
+const SESSION_A = 'sessionAsessionAsessionAsessionA',
+      SESSION_B = 'sessionBsessionBsessionBsessionB',
+      SESSION_OLD = 'sessionOsessionOsessionOsessionO';
+
+function inSeconds(s) {
+  return Math.floor(new Date().getTime() / 1000) + s;
+}
+
+suite.addBatch({
+  "adding sessions": {
+    topic: function() {
+      var cb = this.callback;
+      db.addTestUser('sessions@example.com', 'biglonghashofapassword', function(err) {
+        if (err) return cb(err);
+        db.emailToUID('sessions@example.com', function(err, uid) {
+          if (err) return cb(err);
+          sessionUID = uid;
+          db.addSession(SESSION_A, uid, 'Firefox on Linux', inSeconds(3600), function(err) {
+            if (err) return cb(err);
+            db.addSession(SESSION_B, uid, 'Safari on iPhone', inSeconds(3600), function(err) {
+              if (err) return cb(err);
+              db.addSession(SESSION_OLD, uid, 'Opera on Macintosh', inSeconds(-1), cb);
+            });
+          });
+        });
+      });
+    },
+    "works": function(err) {
+      assert.isTrue(!err);
+    },
+    "and getting one": {
+      topic: function() {
+        db.getSession(SESSION_A, this.callback);
+      },
+      "returns it": function(err, session) {
+        assert.isNull(err);
+        assert.strictEqual(session.id, SESSION_A);
+        assert.strictEqual(session.user, sessionUID);
+        assert.strictEqual(session.device, 'Firefox on Linux');
+        assert.isNumber(session.createdAt);
+        assert.isNumber(session.lastSeen);
+      }
+    },
+    "and getting an expired one": {
+      topic: function() {
+        db.getSession(SESSION_OLD, this.callback);
+      },
+      "returns null": function(err, session) {
+        assert.isNull(err);
+        assert.isNull(session);
+      }
+    },
+    "and listing them": {
+      topic: function() {
+        db.listSessions(sessionUID, this.callback);
+      },
+      "returns those which haven't expired": function(err, sessions) {
+        assert.isNull(err);
+        assert.deepEqual(sessions.map(function(s) { return s.id; }).sort(),
+                         [ SESSION_A, SESSION_B ]);
+        assert.deepEqual(Object.keys(sessions[0]).sort(),
+                         [ 'createdAt', 'device', 'id', 'lastSeen' ]);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "touching a session": {
+    topic: function() {
+      var cb = this.callback;
+      db.touchSession(SESSION_A, inSeconds(7200), function(err) {
+        if (err) return cb(err);
+        db.getSession(SESSION_A, cb);
+      });
+    },
+    "extends it": function(err, session) {
+      assert.isNull(err);
+      assert.strictEqual(session.expiresAt, inSeconds(7200));
+    }
+  },
+  "touching an expired session": {
+    topic: function() {
+      var cb = this.callback;
+      db.touchSession(SESSION_OLD, inSeconds(7200), function(err) {
+        if (err) return cb(err);
+        db.getSession(SESSION_OLD, cb);
+      });
+    },
+    "doesn't revive it": function(err, session) {
+      assert.isNull(err);
+      assert.isNull(session);
+    }
+  }
+});
+
+suite.addBatch({
+  "removing another user's session": {
+    topic: function() {
+      db.removeSession(sessionUID + 1, SESSION_B, this.callback);
+    },
+    "does nothing": function(err, removed) {
+      assert.isNull(err);
+      assert.isFalse(removed);
+    }
+  },
+  "removing a session": {
+    topic: function() {
+      db.removeSession(sessionUID, SESSION_A, this.callback);
+    },
+    "works": function(err, removed) {
+      assert.isNull(err);
+      assert.isTrue(removed);
+    },
+    "and getting it": {
+      topic: function() {
+        db.getSession(SESSION_A, this.callback);
+      },
+      "returns null": function(err, session) {
+        assert.isNull(err);
+        assert.isNull(session);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "cancelling an account": {
+    topic: function() {
+      var cb = this.callback;
+      db.recordAccountEvent(sessionUID, 'email_removed', 'gone@example.com', function(err) {
+        if (err) return cb(err);
+        db.cancelAccount(sessionUID, function(err) {
+          if (err) return cb(err);
+          db.getSession(SESSION_B, cb);
+        });
+      });
+    },
+    "removes its sessions": function(err, session) {
+      assert.isNull(err);
+      assert.isNull(session);
+    },
+    "and listing its events": {
+      topic: function() {
+        db.listAccountEvents(sessionUID, 10, this.callback);
+      },
+      "returns only the record of its cancellation": function(err, events) {
+        assert.isNull(err);
+        assert.equal(events.length, 1);
+        assert.strictEqual(events[0].type, 'account_cancel');
+        assert.isNull(events[0].detail);
+      }
+    }
+  }
+});
+
+
 suite.addBatch({
   "closing the database": {
     topic: function() {
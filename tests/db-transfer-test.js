@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+db = require('../lib/db.js'),
+configuration = require('../lib/configuration.js');
+
+var suite = vows.describe('db-transfer');
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+var dbCfg = configuration.get('database');
+
+const HASH = "$2a$04$Q9ABo5rF/mFNxeOAA4hBSeN5Yi7QXDk/u6QxPx/x.4DUpqdwZKmVu";
+const SESSION_ID = "abcdefghijklmnopqrstuvwxyz012345";
+const SESSION_EXPIRES = Math.floor(new Date().getTime() / 1000) + 3600;
+
+// gathered before the export, checked after the import
+var secondaryUID, primaryUID, primaryLastReset, unverifiedUID, unverifiedSecret, stagedSecret;
+
+var exported = [];
+
+function exportAll(cb) {
+  var records = [];
+  db.exportRecords(function(r, next) {
+    records.push(r);
+    next();
+  }, function(err) {
+    cb(err, records);
+  });
+}
+
+function importAll(records, cb) {
+  records = records.slice();
+  function next(err) {
+    if (err || !records.length) return cb(err);
+    db.importRecord(records.shift(), next);
+  }
+  next();
+}
+
+suite.addBatch({
+  "opening the database": {
+    topic: function() {
+      db.open(dbCfg, this.callback);
+    },
+    "works": function(err) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "populating the database": {
+    topic: function() {
+      var cb = this.callback;
+      db.addTestUser('secondary@example.com', HASH, function(err) {
+        if (err) return cb(err);
+        db.createUserWithPrimaryEmail('primary@example.com', function(err, uid, lastReset) {
+          if (err) return cb(err);
+          primaryUID = uid;
+          primaryLastReset = lastReset;
+          db.createUnverifiedUser('unverified@example.com', HASH, function(err, uid, secret) {
+            if (err) return cb(err);
+            unverifiedUID = uid;
+            unverifiedSecret = secret;
+            db.stageUser('staged@example.com', HASH, function(err, secret) {
+              if (err) return cb(err);
+              stagedSecret = secret;
+              db.updateIDPLastSeen('idp.example.com', cb);
+            });
+          });
+        });
+      });
+    },
+    "works": function(err) {
+      assert.isNull(err);
+    },
+    "and changing how an email was last used": {
+      topic: function() {
+        db.updateEmailLastUsedAs('secondary@example.com', 'primary', this.callback);
+      },
+      "works": function(err) {
+        assert.isNull(err);
+      }
+    },
+    "and failing to authenticate": {
+      topic: function() {
+        var cb = this.callback;
+        db.emailToUID('secondary@example.com', function(err, uid) {
+          if (err) return cb(err);
+          secondaryUID = uid;
+          db.incAuthFailures(uid, cb);
+        });
+      },
+      "works": function(err) {
+        assert.isTrue(!err);
+      }
+    },
+    "and enrolling a second factor": {
+      topic: function() {
+        var cb = this.callback;
+        db.emailToUID('primary@example.com', function(err, uid) {
+          if (err) return cb(err);
+          db.setTotpSecret(uid, 'MZXW6YTBOI', function(err) {
+            if (err) return cb(err);
+            db.updateTotpLastStep(uid, 12345, cb);
+          });
+        });
+      },
+      "works": function(err) {
+        assert.isTrue(!err);
+      }
+    },
+    "and changing the password": {
+      topic: function() {
+        var cb = this.callback;
+        db.emailToUID('secondary@example.com', function(err, uid) {
+          if (err) return cb(err);
+          db.recordAccountEvent(uid, 'password_change', null, cb);
+        });
+      },
+      "works": function(err) {
+        assert.isTrue(!err);
+      }
+    },
+    "and signing in": {
+      topic: function() {
+        var cb = this.callback;
+        db.emailToUID('primary@example.com', function(err, uid) {
+          if (err) return cb(err);
+          db.addSession(SESSION_ID, uid, 'Firefox on Linux', SESSION_EXPIRES, cb);
+        });
+      },
+      "works": function(err) {
+        assert.isTrue(!err);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "exporting the database": {
+    topic: function() {
+      exportAll(this.callback);
+    },
+    "yields users, staged emails and idps": function(err, records) {
+      assert.isNull(err);
+      exported = records;
+      function count(kind) {
+        return records.filter(function(r) { return r.kind === kind; }).length;
+      }
+      assert.equal(count('user'), 3);
+      assert.equal(count('staged'), 2);
+      assert.equal(count('idp'), 1);
+      assert.equal(count('session'), 1);
+      assert.equal(count('event'), 1);
+    },
+    "with users before sessions, events and staged emails": function(err, records) {
+      var lastUser = -1, firstOther = records.length;
+      records.forEach(function(r, i) {
+        if (r.kind === 'user') lastUser = i;
+        if (r.kind !== 'user' && r.kind !== 'idp' && i < firstOther) firstOther = i;
+      });
+      assert.isTrue(lastUser < firstOther);
+    }
+  }
+});
+
+suite.addBatch({
+  "emptying the database": {
+    topic: function() {
+      var cb = this.callback;
+      db.closeAndRemove(function(err) {
+        if (err) return cb(err);
+        db.open(dbCfg, function(err) {
+          if (err) return cb(err);
+          db.emailKnown('secondary@example.com', cb);
+        });
+      });
+    },
+    "works": function(err, known) {
+      assert.isNull(err);
+      assert.isFalse(known);
+    }
+  }
+});
+
+suite.addBatch({
+  "importing a malformed record": {
+    topic: function() {
+      db.importRecord({ kind: 'user', id: 'one' }, this.callback);
+    },
+    "fails": function(err) {
+      assert.strictEqual(err, "user has an invalid id");
+    }
+  }
+});
+
+suite.addBatch({
+  "importing the export": {
+    topic: function() {
+      importAll(exported, this.callback);
+    },
+    "works": function(err) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "after the import": {
+    "password hashes survive": {
+      topic: function() {
+        db.checkAuth(secondaryUID, this.callback);
+      },
+      "along with failed authentication attempts": function(err, hash, failedAuthTries) {
+        assert.isNull(err);
+        assert.strictEqual(hash, HASH);
+        assert.strictEqual(failedAuthTries, 1);
+      }
+    },
+    "lastPasswordReset survives": {
+      topic: function() {
+        db.lastPasswordReset(primaryUID, this.callback);
+      },
+      "unchanged": function(err, lastReset) {
+        assert.isNull(err);
+        assert.strictEqual(lastReset, primaryLastReset);
+      }
+    },
+    "second factors survive": {
+      topic: function() {
+        db.getTotpSecret(primaryUID, this.callback);
+      },
+      "along with the last code used": function(err, secret, lastStep) {
+        assert.isNull(err);
+        assert.strictEqual(secret, 'MZXW6YTBOI');
+        assert.strictEqual(lastStep, 12345);
+      }
+    },
+    "sessions survive": {
+      topic: function() {
+        db.getSession(SESSION_ID, this.callback);
+      },
+      "unchanged": function(err, session) {
+        assert.isNull(err);
+        assert.strictEqual(session.user, primaryUID);
+        assert.strictEqual(session.device, 'Firefox on Linux');
+        assert.strictEqual(session.expiresAt, SESSION_EXPIRES);
+      }
+    },
+    "account events survive": {
+      topic: function() {
+        db.listAccountEvents(secondaryUID, 10, this.callback);
+      },
+      "unchanged": function(err, events) {
+        assert.isNull(err);
+        assert.equal(events.length, 1);
+        assert.strictEqual(events[0].type, 'password_change');
+        assert.isNull(events[0].detail);
+      }
+    },
+    "emailLastUsedAs survives": {
+      topic: function() {
+        db.emailLastUsedAs('secondary@example.com', this.callback);
+      },
+      "unchanged": function(err, type) {
+        assert.isNull(err);
+        assert.strictEqual(type, 'primary');
+      }
+    },
+    "primary emails": {
+      topic: function() {
+        db.emailType('primary@example.com', this.callback);
+      },
+      "are still primary": function(err, type) {
+        assert.isNull(err);
+        assert.strictEqual(type, 'primary');
+      }
+    },
+    "unverified emails": {
+      topic: function() {
+        db.emailIsVerified('unverified@example.com', this.callback);
+      },
+      "are still unverified": function(err, verified) {
+        assert.isNull(err);
+        assert.isFalse(verified);
+      }
+    },
+    "staged emails for existing users": {
+      topic: function() {
+        db.emailForVerificationSecret(unverifiedSecret, this.callback);
+      },
+      "keep their user": function(err, email, uid) {
+        assert.isNull(err);
+        assert.strictEqual(email, 'unverified@example.com');
+        assert.strictEqual(uid, unverifiedUID);
+      }
+    },
+    "staged new accounts": {
+      topic: function() {
+        db.verificationSecretForEmail('staged@example.com', this.callback);
+      },
+      "keep their secret": function(err, secret) {
+        assert.isNull(err);
+        assert.strictEqual(secret, stagedSecret);
+      }
+    },
+    "IdPs": {
+      topic: function() {
+        db.getIDPLastSeen('idp.example.com', this.callback);
+      },
+      "are still known": function(err, lastSeen) {
+        assert.isNull(err);
+        assert.instanceOf(lastSeen, Date);
+      }
+    },
+    "exporting again": {
+      topic: function() {
+        exportAll(this.callback);
+      },
+      "yields the same records": function(err, records) {
+        assert.isNull(err);
+        function canonical(records) {
+          return records.map(function(r) { return JSON.stringify(r); }).sort();
+        }
+        assert.deepEqual(canonical(records), canonical(exported));
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "importing a user that already exists": {
+    topic: function() {
+      var user = exported.filter(function(r) { return r.kind === 'user'; })[0];
+      db.importRecord(user, this.callback);
+    },
+    "fails": function(err) {
+      assert.ok(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "closing the database": {
+    topic: function() {
+      db.closeAndRemove(this.callback);
+    },
+    "works": function(err) {
+      assert.isTrue(!err);
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
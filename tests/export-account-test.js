@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js');
+
+var suite = vows.describe('export-account');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'exporter@fakeemail.com',
+      TEST_PASSWORD = 'firstfakepass';
+
+suite.addBatch({
+  "exporting an account without being authenticated": {
+    topic: wsapi.get('/wsapi/export_account', {}),
+    "is a bad request": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  }
+});
+
+suite.addBatch({
+  "creating a secondary account": {
+    topic: function() {
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: TEST_PASSWORD,
+        site: 'http://fakesite.com:123'
+      }, this.callback);
+    },
+    "succeeds": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "exporting the account": {
+    topic: wsapi.get('/wsapi/export_account', {}),
+    "succeeds with HTTP 200": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    },
+    "describes the addresses": function(err, r) {
+      var account = JSON.parse(r.body).account;
+      assert.deepEqual(account.emails, {
+        'exporter@fakeemail.com': { lastUsedAs: 'secondary', verified: true }
+      });
+    },
+    "tells when the password was last reset": function(err, r) {
+      var account = JSON.parse(r.body).account;
+      assert.strictEqual(typeof account.lastPasswordReset, 'number');
+    },
+    "describes the identity providers of the addresses": function(err, r) {
+      var account = JSON.parse(r.body).account;
+      assert.deepEqual(account.idps, {
+        'fakeemail.com': { lastSeen: null }
+      });
+    },
+    "includes nothing else": function(err, r) {
+      var account = JSON.parse(r.body).account;
+      assert.deepEqual(Object.keys(account).sort(), [ 'emails', 'idps', 'lastPasswordReset' ]);
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
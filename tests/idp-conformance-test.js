@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+path = require('path'),
+http = require('http'),
+fs = require('fs'),
+jwcrypto = require('jwcrypto');
+
+require("jwcrypto/lib/algs/ds");
+require("jwcrypto/lib/algs/rs");
+
+var suite = vows.describe('idp-conformance');
+
+const PRIMARY_DOC = path.join(__dirname, '..', 'example', 'primary', '.well-known', 'browserid'),
+      DELEGATED_DOC = path.join(__dirname, '..', 'example', 'delegated_primary', '.well-known', 'browserid'),
+      CYCLE_DOC = path.join(__dirname, 'data', 'cycle.domain', '.well-known', 'browserid'),
+      CYCLE2_DOC = path.join(__dirname, 'data', 'cycle2.domain', '.well-known', 'browserid'),
+      SECRET_KEY = jwcrypto.loadSecretKey(fs.readFileSync(
+        path.join(__dirname, '..', 'example', 'primary', 'sample.privatekey')));
+
+// the pages of the IdPs, served by `goodServer`, or by `framelessServer`
+// which forbids framing them
+function serve(headers) {
+  return http.createServer(function(req, res) {
+    if ([ '/sign_in.html', '/provision.html' ].indexOf(req.url) === -1) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, headers);
+    res.end('<html></html>');
+  });
+}
+
+var goodServer = serve({ 'Content-Type': 'text/html' }),
+    framelessServer = serve({ 'Content-Type': 'text/html', 'X-Frame-Options': 'DENY' }),
+    conformance;
+
+function origin(server) {
+  return 'http://127.0.0.1:' + server.address().port;
+}
+
+function statuses(report) {
+  var s = {};
+  report.checks.forEach(function(c) { s[c.name] = c.passed; });
+  return s;
+}
+
+function check(domain, options) {
+  return function() {
+    var cb = this.callback;
+    conformance.check(domain, options, function(report) { cb(null, report); });
+  };
+}
+
+suite.addBatch({
+  "starting the IdPs": {
+    topic: function() {
+      var cb = this.callback;
+      goodServer.listen(0, '127.0.0.1', function() {
+        framelessServer.listen(0, '127.0.0.1', function() {
+          // the shims must be in place before primary.js is loaded
+          process.env.SHIMMED_PRIMARIES = [
+            'example.domain|' + origin(goodServer) + '|' + PRIMARY_DOC,
+            'delegate.example.domain|' + origin(goodServer) + '|' + DELEGATED_DOC,
+            'frameless.domain|' + origin(framelessServer) + '|' + PRIMARY_DOC,
+            'cycle.domain|' + origin(goodServer) + '|' + CYCLE_DOC,
+            'cycle2.domain|' + origin(goodServer) + '|' + CYCLE2_DOC
+          ].join(',');
+          conformance = require('../lib/idp_conformance.js');
+          cb(null, true);
+        });
+      });
+    },
+    "succeeds": function(err, r) {
+      assert.isTrue(r);
+    }
+  }
+});
+
+suite.addBatch({
+  "checking a conforming IdP": {
+    topic: check('example.domain', { secretKey: SECRET_KEY }),
+    "passes every check": function(err, report) {
+      assert.strictEqual(report.domain, 'example.domain');
+      assert.strictEqual(report.passed, true);
+      assert.deepEqual(statuses(report), {
+        'support document': true,
+        'keys': true,
+        'authentication page': true,
+        'provisioning page': true,
+        'certificate': true
+      });
+    }
+  },
+  "checking an IdP without its secret key": {
+    topic: check('example.domain', {}),
+    "skips the certificate": function(err, report) {
+      assert.strictEqual(report.passed, true);
+      assert.strictEqual(statuses(report).certificate, null);
+    }
+  },
+  "checking an IdP with the wrong secret key": {
+    topic: function() {
+      var cb = this.callback;
+      jwcrypto.generateKeypair({ algorithm: 'RS', keysize: 64 }, function(err, kp) {
+        conformance.check('example.domain', { secretKey: kp.secretKey }, function(report) {
+          cb(null, report);
+        });
+      });
+    },
+    "fails the certificate": function(err, report) {
+      assert.strictEqual(report.passed, false);
+      assert.strictEqual(statuses(report).certificate, false);
+    }
+  },
+  "checking a domain delegating to an IdP": {
+    topic: check('delegate.example.domain', { secretKey: SECRET_KEY }),
+    "follows the delegation": function(err, report) {
+      assert.strictEqual(report.passed, true);
+      assert.strictEqual(report.checks[0].message,
+                         "authority example.domain, via delegate.example.domain > example.domain");
+    },
+    "certifies an address of the domain": function(err, report) {
+      assert.strictEqual(report.checks[4].message,
+                         "conformance@delegate.example.domain, issued by example.domain");
+    }
+  },
+  "checking an IdP which forbids framing its pages": {
+    topic: check('frameless.domain', {}),
+    "fails the provisioning page": function(err, report) {
+      assert.strictEqual(report.passed, false);
+      assert.strictEqual(statuses(report)['authentication page'], true);
+      assert.strictEqual(statuses(report)['provisioning page'], false);
+    }
+  },
+  "checking a domain whose delegation is circular": {
+    topic: check('cycle.domain', {}),
+    "fails the support document": function(err, report) {
+      assert.strictEqual(report.passed, false);
+      assert.deepEqual(statuses(report), {
+        'support document': false,
+        'keys': null,
+        'authentication page': null,
+        'provisioning page': null,
+        'certificate': null
+      });
+    }
+  }
+});
+
+suite.addBatch({
+  "stopping the IdPs": {
+    topic: function() {
+      var cb = this.callback;
+      goodServer.close(function() {
+        framelessServer.close(function() { cb(null, true); });
+      });
+    },
+    "succeeds": function(err, r) {
+      assert.isTrue(r);
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -50,6 +50,12 @@ suite.addBatch({
       assert.strictEqual(r.code, 404);
     }
   },
+  "taking a rate limiting token": {
+    topic: wsapi.get('/wsapi/take_rate_limit_token', { }),
+    "returns a 404": function(err, r) {
+      assert.strictEqual(r.code, 404);
+    }
+  },
   "indicating that a user has used an email as (primary|secondary)": {
     topic: wsapi.post('/wsapi/user_used_email_as', { }),
     "returns a 404": function(err, r) {
@@ -58,6 +64,41 @@ suite.addBatch({
   }
 });
 
+// the apis of support engineers
+const SUPPORT_APIS = [
+  'support_lookup_account', 'support_clear_auth_failures', 'support_reset_password',
+  'support_remove_email', 'support_cancel_account'
+];
+
+var supportBatch = {};
+SUPPORT_APIS.forEach(function(api) {
+  supportBatch["requesting " + api] = {
+    topic: wsapi.get('/wsapi/' + api, { email: 'someone@example.com', operator: 'someone' }),
+    "returns a 404": function(err, r) {
+      assert.strictEqual(r.code, 404);
+    }
+  };
+});
+suite.addBatch(supportBatch);
+
+suite.addBatch({
+  "the wsapi schema": {
+    topic: wsapi.get('/wsapi/_schema', { }),
+    "is served": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).openapi, '3.0.0');
+    },
+    "doesn't describe internal apis": function(err, r) {
+      var paths = JSON.parse(r.body).paths;
+      [ 'create_account_with_assertion', 'forget_idp', 'increment_failed_auth_tries',
+        'reset_failed_auth_tries', 'saw_idp', 'user_used_email_as' ].concat(SUPPORT_APIS).forEach(function(api) {
+        assert.isUndefined(paths['/wsapi/' + api]);
+      });
+      assert.isObject(paths['/wsapi/session_context']);
+    }
+  }
+});
+
 start_stop.addShutdownBatches(suite);
 
 // run or export the suite.
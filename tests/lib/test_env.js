@@ -22,4 +22,6 @@ if (process.env['NODE_ENV'] === 'test_mysql') {
     require('../../lib/secrets.js').generate(6);
 } else if (process.env['NODE_ENV'] === 'test_json') {
   process.env['DATABASE_NAME'] = require('temp').path({suffix: '.db'});
+} else if (process.env['NODE_ENV'] === 'test_sqlite') {
+  process.env['DATABASE_NAME'] = require('temp').path({suffix: '.sqlite'});
 }
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js'),
+totp = require('../lib/totp.js');
+
+var suite = vows.describe('mfa');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'mfa@fakeemail.com',
+      TEST_PASS = 'firstfakepass',
+      NEW_PASS = 'secondfakepass';
+
+var secret, confirmCode;
+
+// the code for `offset` time steps from now
+function codeFor(offset) {
+  return totp.codeAt(secret, totp.stepAt() + offset);
+}
+
+suite.addBatch({
+  "creating a secondary account": {
+    topic: function() {
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: TEST_PASS,
+        site:'http://fakesite.com:123'
+      }, this.callback);
+    },
+    "succeeds": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "verifying a second factor before one is enrolled": {
+    topic: wsapi.post('/wsapi/mfa_verify', { code: '123456' }),
+    "fails with HTTP 400": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  },
+  "confirming enrollment before it began": {
+    topic: wsapi.post('/wsapi/mfa_confirm', { code: '123456' }),
+    "fails with HTTP 400": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  }
+});
+
+suite.addBatch({
+  "beginning enrollment": {
+    topic: wsapi.post('/wsapi/mfa_enroll', {}),
+    "returns a secret": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.success, true);
+      assert.match(resp.secret, /^[A-Z2-7]+$/);
+      secret = resp.secret;
+    },
+    "and a provisioning url": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.url.indexOf('otpauth://totp/'), 0);
+      assert.notEqual(resp.url.indexOf(encodeURIComponent(TEST_EMAIL)), -1);
+    }
+  }
+});
+
+suite.addBatch({
+  "confirming enrollment with a malformed code": {
+    topic: wsapi.post('/wsapi/mfa_confirm', { code: 'abcdef' }),
+    "fails with HTTP 400": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  }
+});
+
+suite.addBatch({
+  "confirming enrollment with an old code": {
+    topic: function() {
+      wsapi.post('/wsapi/mfa_confirm', { code: codeFor(-5) }).call(this);
+    },
+    "fails": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, false);
+    }
+  }
+});
+
+suite.addBatch({
+  "confirming enrollment with a current code": {
+    topic: function() {
+      confirmCode = codeFor(0);
+      wsapi.post('/wsapi/mfa_confirm', { code: confirmCode }).call(this);
+    },
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "session_context": {
+    topic: wsapi.get('/wsapi/session_context'),
+    "shows the session is authenticated with the second factor": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.auth_level, 'mfa');
+      assert.strictEqual(resp.has_second_factor, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "logging out": {
+    topic: wsapi.post('/wsapi/logout', {}),
+    "works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+    }
+  }
+});
+
+suite.addBatch({
+  "authenticating with the password": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASS,
+      ephemeral: false
+    }),
+    "succeeds, telling the client a second factor is needed": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.success, true);
+      assert.strictEqual(resp.has_second_factor, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "session_context": {
+    topic: wsapi.get('/wsapi/session_context'),
+    "shows the session is authenticated with only the password": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.auth_level, 'password');
+      assert.strictEqual(resp.has_second_factor, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "updating the password without the second factor": {
+    topic: wsapi.post('/wsapi/update_password', {
+      oldpass: TEST_PASS,
+      newpass: NEW_PASS
+    }),
+    "fails with HTTP 400": function(err, r) {
+      assert.strictEqual(r.code, 400);
+      assert.strictEqual(r.body, "Bad Request: requires second factor");
+    }
+  },
+  "removing the second factor without providing it": {
+    topic: wsapi.post('/wsapi/mfa_disable', {}),
+    "fails with HTTP 400": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  }
+});
+
+suite.addBatch({
+  "verifying with the code used to enroll": {
+    topic: function() {
+      wsapi.post('/wsapi/mfa_verify', { code: confirmCode }).call(this);
+    },
+    "fails, as codes are only accepted once": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, false);
+    }
+  }
+});
+
+suite.addBatch({
+  "verifying with a new code": {
+    topic: function() {
+      wsapi.post('/wsapi/mfa_verify', { code: codeFor(1) }).call(this);
+    },
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "updating the password after providing the second factor": {
+    topic: wsapi.post('/wsapi/update_password', {
+      oldpass: TEST_PASS,
+      newpass: NEW_PASS
+    }),
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "session_context": {
+    topic: wsapi.get('/wsapi/session_context'),
+    "shows the password change kept the second factor authentication": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).auth_level, 'mfa');
+    }
+  }
+});
+
+suite.addBatch({
+  "removing the second factor": {
+    topic: wsapi.post('/wsapi/mfa_disable', {}),
+    "succeeds": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "listing account events": {
+    topic: wsapi.get('/wsapi/list_account_events', {}),
+    "shows the second factor's history": function(err, r) {
+      var types = JSON.parse(r.body).events.map(function(e) { return e.type; });
+      assert.deepEqual(types, [ 'mfa_disabled', 'password_change', 'auth_failure', 'mfa_enabled' ]);
+    }
+  }
+});
+
+suite.addBatch({
+  "session_context": {
+    topic: wsapi.get('/wsapi/session_context'),
+    "shows no second factor": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).has_second_factor, false);
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
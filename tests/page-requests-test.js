@@ -32,6 +32,7 @@ suite.addBatch({
   'GET /add_email_address':      respondsWith(200),
   'GET /confirm':                respondsWith(200),
   'GET /reset_password':         respondsWith(200),
+  'GET /sign_in':                respondsWith(200),
   'GET /pk':                     respondsWith(200),
   'GET /.well-known/browserid':  respondsWith(200),
   'GET /.well-known/browserid?domain=yahoo.com':
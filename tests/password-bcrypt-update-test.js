@@ -164,6 +164,67 @@ suite.addBatch({
   }
 });
 
+// now prefer pbkdf2, which replaces the bcrypt hash on authentication
+suite.addBatch({
+  "preferring pbkdf2": {
+    topic: function() {
+      process.env['PASSWORD_HASH_ALGORITHM'] = 'pbkdf2';
+      process.env['PBKDF2_COST'] = 10;
+      return true;
+    },
+    "succeeds": function() {}
+  }
+});
+
+start_stop.addRestartBatch(suite);
+
+suite.addBatch({
+  "authentication after preferring pbkdf2": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASSWORD,
+      ephemeral: false
+    }),
+    "works with the bcrypt hash": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "after waiting for the update": {
+    topic: function() {
+      setTimeout(this.callback, 2000);
+    },
+    "the auth hash": {
+      topic: function() {
+        var cb = this.callback;
+        db.emailToUID(TEST_EMAIL, function(err, uid) {
+          db.checkAuth(uid, cb);
+        });
+      },
+      "is a pbkdf2 hash": function(err, r) {
+        assert.isNull(err);
+        assert.equal(typeof r, 'string');
+        assert.strictEqual(r.indexOf('$pbkdf2$10$'), 0);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "authentication with the pbkdf2 hash": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASSWORD,
+      ephemeral: false
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
 start_stop.addShutdownBatches(suite);
 
 // run or export the suite.
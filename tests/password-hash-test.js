@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+config = require('../lib/configuration.js'),
+passwordHash = require('../lib/password_hash.js'),
+pbkdf2 = require('../lib/pbkdf2-compute.js');
+
+var suite = vows.describe('password-hash');
+
+// cheap enough to test
+const PBKDF2_COST = 4,
+      BCRYPT_HASH = '$2a$12$' + new Array(54).join('x');
+
+// hashes made before the batches which need them
+var hash, costlierHash;
+
+suite.addBatch({
+  "a pbkdf2 hash": {
+    topic: function() {
+      pbkdf2.hash('a password', PBKDF2_COST, this.callback);
+    },
+    "is prefixed with the algorithm and cost": function(err, h) {
+      assert.isNull(err);
+      hash = h;
+      assert.strictEqual(h.indexOf('$pbkdf2$4$'), 0);
+      assert.strictEqual(passwordHash.describe(h), 'pbkdf2/4');
+    },
+    "fits the database": function(err, h) {
+      assert.isTrue(h.length <= 128);
+    },
+    "compared with the password": {
+      topic: function(h) {
+        pbkdf2.compare('a password', h, this.callback);
+      },
+      "matches": function(err, r) {
+        assert.isNull(err);
+        assert.isTrue(r);
+      }
+    },
+    "compared with another password": {
+      topic: function(h) {
+        pbkdf2.compare('another password', h, this.callback);
+      },
+      "doesn't match": function(err, r) {
+        assert.isFalse(r);
+      }
+    },
+    "tampered with": {
+      topic: function(h) {
+        pbkdf2.compare('a password', h.replace('$4$', '$5$'), this.callback);
+      },
+      "doesn't match": function(err, r) {
+        assert.isFalse(r);
+      }
+    },
+    "and another of the same password": {
+      topic: function(h) {
+        var cb = this.callback;
+        pbkdf2.hash('a password', PBKDF2_COST, function(err, other) {
+          cb(err, other, h);
+        });
+      },
+      "differ, being salted": function(err, other, h) {
+        assert.notEqual(other, h);
+      }
+    }
+  },
+  "a costlier pbkdf2 hash": {
+    topic: function() {
+      pbkdf2.hash('a password', PBKDF2_COST + 1, this.callback);
+    },
+    "is made": function(err, h) {
+      assert.isNull(err);
+      costlierHash = h;
+    }
+  },
+  "a bcrypt hash": {
+    topic: BCRYPT_HASH,
+    "is recognized": function(h) {
+      assert.strictEqual(passwordHash.describe(h), 'bcrypt/12');
+    },
+    "compared by pbkdf2": {
+      topic: function(h) {
+        pbkdf2.compare('a password', h, this.callback);
+      },
+      "doesn't match": function(err, r) {
+        assert.isNull(err);
+        assert.isFalse(r);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "when bcrypt is preferred": {
+    topic: function() {
+      config.set('password_hash.algorithm', 'bcrypt');
+      config.set('bcrypt_work_factor', 12);
+      return true;
+    },
+    "bcrypt hashes of the configured work factor are kept": function() {
+      assert.isFalse(passwordHash.needsUpdate(BCRYPT_HASH));
+    },
+    "bcrypt hashes of another work factor are updated": function() {
+      assert.isTrue(passwordHash.needsUpdate(BCRYPT_HASH.replace('$12$', '$8$')));
+    },
+    "pbkdf2 hashes are updated": function() {
+      assert.isTrue(passwordHash.needsUpdate(hash));
+    }
+  }
+});
+
+suite.addBatch({
+  "when pbkdf2 is preferred": {
+    topic: function() {
+      config.set('password_hash.algorithm', 'pbkdf2');
+      config.set('password_hash.pbkdf2_cost', PBKDF2_COST);
+      return true;
+    },
+    "bcrypt hashes are updated": function() {
+      assert.isTrue(passwordHash.needsUpdate(BCRYPT_HASH));
+    },
+    "pbkdf2 hashes of the configured cost are kept": function() {
+      assert.isFalse(passwordHash.needsUpdate(hash));
+    },
+    "pbkdf2 hashes of another cost are updated": function() {
+      assert.isTrue(passwordHash.needsUpdate(costlierHash));
+    }
+  }
+});
+
+suite.addBatch({
+  "comparing with a hash of an unknown algorithm": {
+    topic: function() {
+      passwordHash.compare('a password', 'not a hash', this.callback);
+    },
+    "fails": function(err, r) {
+      assert.strictEqual(err, "unknown password hash algorithm");
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+fs = require('fs'),
+path = require('path'),
+crypto = require('crypto'),
+temp = require('temp'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js'),
+config = require('../lib/configuration.js'),
+passwordPolicy = require('../lib/password_policy.js');
+
+var suite = vows.describe('password-policy');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+const TEST_EMAIL = 'policyuser@somedomain.com',
+      PASSWORD = 'a decent passphrase',
+      NEW_PASSWORD = 'another decent passphrase',
+      BREACHED_PASSWORD = 'correcthorse',
+      BLOCKLIST_FILE = path.join(temp.mkdirSync(), 'blocklist.txt');
+
+function sha1(str) {
+  return crypto.createHash('sha1').update(str).digest('hex');
+}
+
+// the servers started below are configured with a strict policy
+fs.writeFileSync(BLOCKLIST_FILE, [
+  sha1('some other password'),
+  sha1(BREACHED_PASSWORD).toUpperCase(),
+  ''
+].join('\n'));
+process.env['PASSWORD_MIN_LENGTH'] = 10;
+process.env['PASSWORD_DISALLOW_EMAIL_LOCAL_PART'] = true;
+process.env['PASSWORD_BLOCKLIST_FILE'] = BLOCKLIST_FILE;
+
+// processes load the blocklist as they start, and refuse to if it's unusable
+function loadingBlocklist(file) {
+  return function() {
+    var original = config.get('password_policy.blocklist_file');
+    config.set('password_policy.blocklist_file', file);
+    try {
+      passwordPolicy.loadBlocklist();
+      return null;
+    } catch(e) {
+      return e;
+    } finally {
+      config.set('password_policy.blocklist_file', original);
+    }
+  };
+}
+
+const MALFORMED_BLOCKLIST_FILE = path.join(path.dirname(BLOCKLIST_FILE), 'malformed.txt');
+fs.writeFileSync(MALFORMED_BLOCKLIST_FILE, [
+  sha1('some other password'),
+  'password123'
+].join('\n'));
+
+suite.addBatch({
+  "loading a blocklist which can't be read": {
+    topic: loadingBlocklist(path.join(path.dirname(BLOCKLIST_FILE), 'missing.txt')),
+    "fails": function(err) {
+      assert.isString(err);
+      assert.notEqual(err.indexOf("can't read password blocklist"), -1);
+    }
+  },
+  "loading a blocklist with a line that isn't a hash": {
+    topic: loadingBlocklist(MALFORMED_BLOCKLIST_FILE),
+    "fails, naming the line": function(err) {
+      assert.isString(err);
+      assert.notEqual(err.indexOf("line 2"), -1);
+    }
+  }
+});
+
+suite.addBatch({
+  "loading the blocklist": {
+    topic: loadingBlocklist(BLOCKLIST_FILE),
+    "works": function(err) {
+      assert.isNull(err);
+    },
+    "and breached passwords": {
+      topic: function() {
+        return passwordPolicy.check(BREACHED_PASSWORD, []);
+      },
+      "are refused": function(rule) {
+        assert.strictEqual(rule, 'blocklisted');
+      }
+    }
+  }
+});
+
+start_stop.addStartupBatches(suite);
+
+function refusedBecause(rule) {
+  return function(err, r) {
+    assert.strictEqual(r.code, 200);
+    var resp = JSON.parse(r.body);
+    assert.strictEqual(resp.success, false);
+    assert.strictEqual(resp.reason, 'password_policy');
+    assert.strictEqual(resp.policy, rule);
+  };
+}
+
+suite.addBatch({
+  "session_context": {
+    topic: wsapi.get('/wsapi/session_context'),
+    "describes the policy to the client": function(err, r) {
+      assert.deepEqual(JSON.parse(r.body).password_policy, {
+        min_length: 10,
+        disallow_email_local_part: true
+      });
+    }
+  }
+});
+
+suite.addBatch({
+  "staging a user with a password shorter than the minimum": {
+    topic: wsapi.post('/wsapi/stage_user', {
+      email: TEST_EMAIL,
+      pass: 'ninechars',
+      site: 'https://fakesite.com'
+    }),
+    "is refused": refusedBecause('too_short')
+  },
+  "staging a user with a password containing their email": {
+    topic: wsapi.post('/wsapi/stage_user', {
+      email: TEST_EMAIL,
+      pass: 'I am PolicyUser!',
+      site: 'https://fakesite.com'
+    }),
+    "is refused": refusedBecause('contains_email')
+  },
+  "staging a user with a breached password": {
+    topic: wsapi.post('/wsapi/stage_user', {
+      email: TEST_EMAIL,
+      pass: BREACHED_PASSWORD,
+      site: 'https://fakesite.com'
+    }),
+    "is refused": refusedBecause('blocklisted')
+  }
+});
+
+suite.addBatch({
+  "creating an account with a password following the policy": {
+    topic: function() {
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: PASSWORD,
+        site: 'https://fakesite.com'
+      }, this.callback);
+    },
+    "works": function(err, r) {
+      assert.isNull(err);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "changing to a breached password": {
+    topic: wsapi.post('/wsapi/update_password', {
+      oldpass: PASSWORD,
+      newpass: BREACHED_PASSWORD
+    }),
+    "is refused": refusedBecause('blocklisted')
+  }
+});
+
+suite.addBatch({
+  "changing to a password containing the email": {
+    topic: wsapi.post('/wsapi/update_password', {
+      oldpass: PASSWORD,
+      newpass: 'policyuser forever'
+    }),
+    "is refused": refusedBecause('contains_email')
+  }
+});
+
+suite.addBatch({
+  "posting the current password as the new one": {
+    topic: wsapi.post('/wsapi/update_password', {
+      oldpass: PASSWORD,
+      newpass: PASSWORD
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "staging a password reset": {
+    topic: wsapi.post('/wsapi/stage_reset', {
+      email: TEST_EMAIL,
+      site: 'https://fakesite.com'
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+    }
+  }
+});
+
+var token;
+
+suite.addBatch({
+  "a token": {
+    topic: function() {
+      start_stop.waitForToken(this.callback);
+    },
+    "is obtained": function(err, t) {
+      assert.isNull(err);
+      token = t;
+    }
+  }
+});
+
+suite.addBatch({
+  "completing the reset with a breached password": {
+    topic: function() {
+      wsapi.post('/wsapi/complete_reset', {
+        token: token,
+        pass: BREACHED_PASSWORD
+      }).call(this);
+    },
+    "is refused": refusedBecause('blocklisted')
+  }
+});
+
+suite.addBatch({
+  "completing the reset with a password following the policy": {
+    topic: function() {
+      wsapi.post('/wsapi/complete_reset', {
+        token: token,
+        pass: NEW_PASSWORD
+      }).call(this);
+    },
+    "works, the token was not used up": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "the new password": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: NEW_PASSWORD,
+      ephemeral: false
+    }),
+    "authenticates": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
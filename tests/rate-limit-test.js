@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+config = require('../lib/configuration.js'),
+rateLimit = require('../lib/rate_limit.js');
+
+var suite = vows.describe('rate-limit');
+
+// buckets of three tokens, refilled quickly enough to test
+config.set('rate_limit.policies.authentication.capacity', 3);
+config.set('rate_limit.policies.authentication.refill_ms', 500);
+
+// take `n` tokens, calling back with the retryAfter of each take
+function take(n, key) {
+  return function() {
+    var cb = this.callback, results = [];
+    function next() {
+      if (results.length === n) return cb(null, results);
+      rateLimit.take('authentication', key, function(err, retryAfter) {
+        if (err) return cb(err);
+        results.push(retryAfter);
+        next();
+      });
+    }
+    next();
+  };
+}
+
+suite.addBatch({
+  "taking as many tokens as a bucket holds": {
+    topic: take(3, 'ip:10.0.0.1'),
+    "is allowed": function(err, results) {
+      assert.isNull(err);
+      assert.deepEqual(results, [ 0, 0, 0 ]);
+    },
+    "and then another": {
+      topic: take(1, 'ip:10.0.0.1'),
+      "is refused until the bucket refills": function(err, results) {
+        assert.isNull(err);
+        assert.deepEqual(results, [ 1 ]);
+      },
+      "while other buckets": {
+        topic: take(1, 'ip:10.0.0.2'),
+        "are unaffected": function(err, results) {
+          assert.deepEqual(results, [ 0 ]);
+        }
+      },
+      "and after a token was added": {
+        topic: function() {
+          setTimeout(take(1, 'ip:10.0.0.1').bind(this), 600);
+        },
+        "is allowed": function(err, results) {
+          assert.deepEqual(results, [ 0 ]);
+        },
+        "but only once": {
+          topic: take(1, 'ip:10.0.0.1'),
+          "is allowed": function(err, results) {
+            assert.deepEqual(results, [ 1 ]);
+          }
+        }
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "taking a token of an unknown policy": {
+    topic: function() {
+      rateLimit.take('no_such_policy', 'ip:10.0.0.1', this.callback);
+    },
+    "fails": function(err, retryAfter) {
+      assert.strictEqual(err, "unknown rate limit policy: no_such_policy");
+    }
+  }
+});
+
+suite.addBatch({
+  "after resetting": {
+    topic: function() {
+      rateLimit.reset();
+      take(3, 'ip:10.0.0.1').call(this);
+    },
+    "buckets are full again": function(err, results) {
+      assert.deepEqual(results, [ 0, 0, 0 ]);
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -8,8 +8,17 @@ require('./lib/test_env.js');
 
 const assert = require('assert'),
 vows = require('vows'),
+fs = require('fs'),
+path = require('path'),
+child_process = require('child_process'),
+temp = require('temp'),
+jwcrypto = require('jwcrypto'),
+config = require('../lib/configuration'),
 secrets = require('../lib/secrets');
 
+require("jwcrypto/lib/algs/rs");
+require("jwcrypto/lib/algs/ds");
+
 var suite = vows.describe('secrets');
 
 var LENGTH = 10;
@@ -53,6 +62,170 @@ suite.addBatch({
     }
   }  
 });
+
+// without a keyring file, the legacy root key makes up the key ring
+suite.addBatch({
+  "loading the key ring": {
+    topic: function() {
+      return secrets.loadKeyRing();
+    },
+    "yields the root key as current" : function(ring) {
+      assert.equal(ring.current, 'root');
+      assert.deepEqual(ring.ids, [ 'root' ]);
+      assert.isObject(ring.publicKeys.root);
+      assert.instanceOf(ring.oldest, Date);
+    }
+  }
+});
+
+// key rotation is exercised with scripts/roll_keys.js, on a copy of the
+// legacy root key in a directory of its own
+const ROLL_KEYS = path.join(__dirname, '..', 'scripts', 'roll_keys.js');
+
+var keyDir = temp.mkdirSync('keys');
+[ 'root.cert', 'root.secretkey' ].forEach(function(f) {
+  fs.writeFileSync(path.join(keyDir, f), fs.readFileSync(path.join(config.get('var_path'), f)));
+});
+
+function rollKeys(args, cb) {
+  child_process.execFile(process.execPath, [ ROLL_KEYS, '-d', keyDir ].concat(args), cb);
+}
+
+// sign a cert with the key `signingKid`, claiming to be signed by `kid`
+function signCert(signingKid, kid, cb) {
+  jwcrypto.generateKeypair({algorithm: "RS", keysize: 64}, function(err, kp) {
+    if (err) return cb(err);
+    var expiration = new Date(new Date().getTime() + 60000);
+    jwcrypto.cert.sign({publicKey: kp.publicKey, principal: {email: 'lloyd@example.com'}},
+                       {issuer: '127.0.0.1', issuedAt: new Date(), expiresAt: expiration},
+                       kid ? {kid: kid} : {},
+                       secrets.loadSecretKey(signingKid, keyDir), cb);
+  });
+}
+
+function verifyCert(cert, cb) {
+  var ring = secrets.loadKeyRing('root', keyDir);
+  jwcrypto.cert.verify(cert, secrets.publicKeyForCert(ring, cert), new Date(), cb);
+}
+
+// build a batch which signs a cert and checks the key it's verified with
+function certBatch(signingKid, kid, expectedKid, verifies) {
+  var batch = {
+    topic: function() {
+      signCert(signingKid(), kid && kid(), this.callback);
+    },
+    "selects the expected key": function(err, cert) {
+      assert.isNull(err);
+      var ring = secrets.loadKeyRing('root', keyDir);
+      assert.strictEqual(secrets.publicKeyForCert(ring, cert), ring.publicKeys[expectedKid()]);
+    }
+  };
+  batch[verifies ? "which verifies" : "which fails to verify"] = {
+    topic: function(cert) {
+      verifyCert(cert, this.callback);
+    },
+    "as expected": function(err, payload, assertionParams, certParams) {
+      if (verifies) {
+        assert.isNull(err);
+        assert.equal(certParams.principal.email, 'lloyd@example.com');
+      } else {
+        assert.ok(err);
+      }
+    }
+  };
+  return batch;
+}
+
+var rolledKid;
+function root() { return 'root'; }
+function rolled() { return rolledKid; }
+
+suite.addBatch({
+  "rolling the legacy root key": {
+    topic: function() {
+      var cb = this.callback;
+      rollKeys([ '--roll', '-k', '64' ], function(err) {
+        if (err) return cb(err);
+        cb(null, secrets.loadKeyRing('root', keyDir));
+      });
+    },
+    "adds a new current key": function(err, ring) {
+      assert.isNull(err);
+      assert.equal(ring.ids.length, 2);
+      assert.equal(ring.ids[0], 'root');
+      assert.equal(ring.current, ring.ids[1]);
+      assert.notEqual(ring.current, 'root');
+      rolledKid = ring.current;
+    },
+    "keeps publishing the previous key": function(err, ring) {
+      assert.isObject(ring.publicKeys.root);
+      assert.isObject(ring.publicKeys[ring.current]);
+      assert.notEqual(ring.publicKeys.root.serialize(), ring.publicKeys[ring.current].serialize());
+    },
+    "signs with the new key": function(err, ring) {
+      assert.equal(secrets.loadCurrentSecretKey('root', keyDir).kid, ring.current);
+    }
+  }
+});
+
+suite.addBatch({
+  "with a multi-key ring, a cert signed by the current key":
+    certBatch(rolled, rolled, rolled, true),
+  "with a multi-key ring, a cert signed by the previous key":
+    certBatch(root, root, root, true),
+  "with a multi-key ring, a cert without a kid":
+    certBatch(root, null, root, true),
+  "with a multi-key ring, a cert claiming an inherited property as kid":
+    certBatch(rolled, function() { return 'constructor'; }, rolled, true),
+  "with a multi-key ring, a cert claiming an unknown kid":
+    certBatch(root, function() { return 'root-0'; }, rolled, false)
+});
+
+suite.addBatch({
+  "retiring the current key": {
+    topic: function() {
+      rollKeys([ '--retire', rolledKid ], this.callback);
+    },
+    "fails": function(err, stdout, stderr) {
+      assert.ok(err);
+      assert.equal(secrets.loadKeyRing('root', keyDir).ids.length, 2);
+    }
+  },
+  "retiring an unknown key": {
+    topic: function() {
+      rollKeys([ '--retire', 'root-0' ], this.callback);
+    },
+    "fails": function(err, stdout, stderr) {
+      assert.ok(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "retiring the previous key": {
+    topic: function() {
+      var cb = this.callback;
+      rollKeys([ '--retire', 'root' ], function(err) {
+        if (err) return cb(err);
+        cb(null, secrets.loadKeyRing('root', keyDir));
+      });
+    },
+    "removes it from the ring": function(err, ring) {
+      assert.isNull(err);
+      assert.deepEqual(ring.ids, [ rolledKid ]);
+      assert.equal(ring.current, rolledKid);
+      assert.isFalse(ring.publicKeys.hasOwnProperty('root'));
+    }
+  }
+});
+
+suite.addBatch({
+  "after retirement, a cert signed by the retired key":
+    certBatch(root, root, rolled, false),
+  "after retirement, a cert signed by the current key":
+    certBatch(rolled, rolled, rolled, true)
+});
+
 // run or export the suite.
 if (process.argv[1] === __filename) suite.run();
 else suite.export(module);
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js');
+
+var suite = vows.describe('session-registry');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'sessions@fakeemail.com',
+      TEST_PASS = 'firstfakepass';
+
+// a second browser the user signs in with
+var laptop = {
+  headers: {
+    'user-agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:20.0) Gecko/20100101 Firefox/20.0'
+  }
+};
+
+var laptopSID, currentSID;
+
+function listSessions(err, r) {
+  assert.strictEqual(r.code, 200);
+  var resp = JSON.parse(r.body);
+  assert.strictEqual(resp.success, true);
+  return resp.sessions;
+}
+
+suite.addBatch({
+  "creating a secondary account": {
+    topic: function() {
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: TEST_PASS,
+        site:'http://fakesite.com:123'
+      }, this.callback);
+    },
+    "succeeds": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "signing in on a laptop": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASS,
+      ephemeral: false
+    }, laptop),
+    "works": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "listing sessions": {
+    topic: wsapi.get('/wsapi/list_sessions', {}),
+    "returns both": function(err, r) {
+      assert.lengthOf(listSessions(err, r), 2);
+    },
+    "marks the session making the request": function(err, r) {
+      var current = listSessions(err, r).filter(function(s) { return s.current; });
+      assert.lengthOf(current, 1);
+      assert.strictEqual(current[0].device, 'Unknown');
+      currentSID = current[0].id;
+    },
+    "describes the laptop": function(err, r) {
+      var other = listSessions(err, r).filter(function(s) { return !s.current; })[0];
+      assert.strictEqual(other.device, 'Firefox on Linux');
+      assert.isNumber(other.createdAt);
+      assert.isNumber(other.lastSeen);
+      laptopSID = other.id;
+    }
+  }
+});
+
+suite.addBatch({
+  "revoking a session that doesn't exist": {
+    topic: wsapi.post('/wsapi/revoke_session', {
+      session: 'ThisIsNotASessionThisIsNotASessi'
+    }),
+    "fails": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, false);
+    }
+  },
+  "revoking a malformed session id": {
+    topic: wsapi.post('/wsapi/revoke_session', {
+      session: 'nope'
+    }),
+    "fails with HTTP 400": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  }
+});
+
+suite.addBatch({
+  "revoking the laptop's session": {
+    topic: function() {
+      wsapi.post('/wsapi/revoke_session', { session: laptopSID }).call(this);
+    },
+    "works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "the laptop": {
+    topic: wsapi.get('/wsapi/session_context', {}, laptop),
+    "is signed out": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).authenticated, false);
+    }
+  },
+  "the revoking session": {
+    topic: wsapi.get('/wsapi/session_context', {}),
+    "is still signed in": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).authenticated, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "listing sessions after revoking one": {
+    topic: wsapi.get('/wsapi/list_sessions', {}),
+    "returns the remaining one": function(err, r) {
+      var sessions = listSessions(err, r);
+      assert.lengthOf(sessions, 1);
+      assert.strictEqual(sessions[0].id, currentSID);
+    }
+  },
+  "listing account events": {
+    topic: wsapi.get('/wsapi/list_account_events', {}),
+    "shows the revocation": function(err, r) {
+      var events = JSON.parse(r.body).events;
+      assert.strictEqual(events[0].type, 'session_revoked');
+      assert.strictEqual(events[0].detail, 'Firefox on Linux');
+    }
+  }
+});
+
+suite.addBatch({
+  "signing in on the laptop again": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASS,
+      ephemeral: false
+    }, laptop),
+    "works": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    },
+    "and signing out": {
+      topic: wsapi.post('/wsapi/logout', {}, laptop),
+      "works": function(err, r) {
+        assert.strictEqual(r.code, 200);
+      },
+      "and listing sessions": {
+        topic: wsapi.get('/wsapi/list_sessions', {}),
+        "doesn't show the signed out session": function(err, r) {
+          var sessions = listSessions(err, r);
+          assert.lengthOf(sessions, 1);
+          assert.strictEqual(sessions[0].id, currentSID);
+        }
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "revoking the current session": {
+    topic: function() {
+      wsapi.post('/wsapi/revoke_session', { session: currentSID }).call(this);
+    },
+    "works": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    },
+    "and the session": {
+      topic: wsapi.get('/wsapi/session_context', {}),
+      "is signed out": function(err, r) {
+        assert.strictEqual(JSON.parse(r.body).authenticated, false);
+      }
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js');
+
+var suite = vows.describe('signin-link');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'first@fakeemail.com',
+      TEST_PASS = 'firstfakepass',
+      TEST_SITE = 'http://localhost:123';
+
+var token, requestingContext;
+
+suite.addBatch({
+  "creating a secondary account": {
+    topic: function() {
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: TEST_PASS,
+        site: TEST_SITE
+      }, this.callback);
+    },
+    "succeeds": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+// ask for a link from a browser which isn't signed in
+suite.addBatch({
+  "new context": function() {
+    wsapi.setContext({});
+  }
+});
+
+suite.addBatch({
+  "asking for a sign-in link for an unknown address": {
+    topic: wsapi.post('/wsapi/stage_signin', {
+      email: 'unknown@fakeemail.com',
+      site: TEST_SITE
+    }),
+    "fails": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, false);
+    }
+  },
+  "asking for a sign-in link": {
+    topic: wsapi.post('/wsapi/stage_signin', {
+      email: TEST_EMAIL,
+      site: TEST_SITE
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "a token": {
+    topic: function() {
+      start_stop.waitForToken(this.callback);
+    },
+    "is obtained": function (err, t) {
+      assert.isNull(err);
+      assert.strictEqual(typeof t, 'string');
+      token = t;
+    }
+  }
+});
+
+suite.addBatch({
+  "given the token, getting an email": {
+    topic: function() {
+      wsapi.get('/wsapi/email_for_token', { token: token }).call(this);
+    },
+    "doesn't require authentication in the same browser": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      var body = JSON.parse(r.body);
+      assert.strictEqual(body.success, true);
+      assert.strictEqual(body.email, TEST_EMAIL);
+      assert.strictEqual(body.must_auth, false);
+    }
+  },
+  "the status of the sign-in": {
+    topic: wsapi.get('/wsapi/password_reset_status', { email: TEST_EMAIL }),
+    "is pending": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).status, 'pending');
+    }
+  }
+});
+
+// follow the link in another browser
+suite.addBatch({
+  "change context": function() {
+    requestingContext = wsapi.getContext();
+    wsapi.setContext({});
+  }
+});
+
+suite.addBatch({
+  "completing the sign-in": {
+    topic: function() {
+      wsapi.post('/wsapi/complete_signin', { token: token }).call(this);
+    },
+    "works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "the browser which followed the link": {
+    topic: wsapi.get('/wsapi/session_context'),
+    "is authenticated to the password level": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).auth_level, 'password');
+    }
+  },
+  "completing the sign-in again": {
+    topic: function() {
+      wsapi.post('/wsapi/complete_signin', { token: token }).call(this);
+    },
+    "fails": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, false);
+    }
+  },
+  "the account events": {
+    topic: wsapi.get('/wsapi/list_account_events'),
+    "include the sign-in": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      var events = JSON.parse(r.body).events;
+      assert.strictEqual(events[0].type, 'signin_link');
+      assert.strictEqual(events[0].detail, TEST_EMAIL);
+    }
+  }
+});
+
+// the password is untouched by a sign-in
+suite.addBatch({
+  "authenticating with the password": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASS,
+      ephemeral: false
+    }),
+    "still works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+// the browser which asked for the link must authenticate, just as after a
+// password reset completed elsewhere
+suite.addBatch({
+  "restore context": function() {
+    wsapi.setContext(requestingContext);
+  }
+});
+
+suite.addBatch({
+  "the status of the sign-in in the browser which asked for it": {
+    topic: wsapi.get('/wsapi/password_reset_status', { email: TEST_EMAIL }),
+    "is mustAuth": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).status, 'mustAuth');
+    }
+  }
+});
+
+// a link which adds an address to an account is no sign-in link
+suite.addBatch({
+  "authenticating": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASS,
+      ephemeral: false
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "adding an address": {
+    topic: wsapi.post('/wsapi/stage_email', {
+      email: 'second@fakeemail.com',
+      site: TEST_SITE
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "a token": {
+    topic: function() {
+      start_stop.waitForToken(this.callback);
+    },
+    "is obtained": function (err, t) {
+      assert.isNull(err);
+      token = t;
+    }
+  }
+});
+
+suite.addBatch({
+  "completing a sign-in with it": {
+    topic: function() {
+      wsapi.post('/wsapi/complete_signin', { token: token }).call(this);
+    },
+    "fails": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, false);
+    }
+  }
+});
+
+suite.addBatch({
+  "the address": {
+    topic: wsapi.get('/wsapi/have_email', { email: 'second@fakeemail.com' }),
+    "was not added": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).email_known, false);
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
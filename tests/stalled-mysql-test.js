@@ -134,6 +134,14 @@ suite.addBatch({
       assert.strictEqual(r.code, 503);
     }
   },
+  "complete_signin": {
+    topic: wsapi.post('/wsapi/complete_signin', {
+      token: 'bogusbogusbogusbogusbogusbogusbogusbogusbogusbog'
+    }),
+    "fails with 503": function(err, r) {
+      assert.strictEqual(r.code, 503);
+    }
+  },
   "email_for_token": {
     topic: wsapi.get('/wsapi/email_for_token', {
       token: 'bogusbogusbogusbogusbogusbogusbogusbogusbogusbog'
@@ -151,6 +159,15 @@ suite.addBatch({
     "fails with 503": function(err, r) {
       assert.strictEqual(r.code, 503);
     }
+  },
+  "stage_signin": {
+    topic: wsapi.post('/wsapi/stage_signin', {
+      email: 'bogus@bogus.edu',
+      site: 'https://whatev.er'
+    }),
+    "fails with 503": function(err, r) {
+      assert.strictEqual(r.code, 503);
+    }
   }
 });
 
@@ -249,6 +266,24 @@ suite.addBatch({
       assert.strictEqual(r.code, 503);
     }
   },
+  "list_account_events": {
+    topic: wsapi.get('/wsapi/list_account_events', {}),
+    "fails with 503": function(err, r) {
+      assert.strictEqual(r.code, 503);
+    }
+  },
+  "list_sessions": {
+    topic: wsapi.get('/wsapi/list_sessions', {}),
+    "fails with 503": function(err, r) {
+      assert.strictEqual(r.code, 503);
+    }
+  },
+  "export_account": {
+    topic: wsapi.get('/wsapi/export_account', {}),
+    "fails with 503": function(err, r) {
+      assert.strictEqual(r.code, 503);
+    }
+  },
   "remove_email": {
     topic: wsapi.post('/wsapi/remove_email', {
       email: "test@whatev.er"
@@ -257,6 +292,14 @@ suite.addBatch({
       assert.strictEqual(r.code, 503);
     }
   },
+  "revoke_session": {
+    topic: wsapi.post('/wsapi/revoke_session', {
+      session: "ThisIsNotASessionThisIsNotASessi"
+    }),
+    "fails with 503": function(err, r) {
+      assert.strictEqual(r.code, 503);
+    }
+  },
   "session_context": {
     topic: wsapi.get('/wsapi/session_context', { }),
     "fails with 503": function(err, r) {
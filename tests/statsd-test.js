@@ -26,7 +26,9 @@ var IncrementMessagesToTest = {
   "wsapi_code_mismatch.wsapi_url":
       "browserid.vows.wsapi_code_mismatch.wsapi_url",
   "wsapi.wsapi_url": "browserid.vows.wsapi.wsapi_url",
-  "uncaught_exception": "browserid.vows.uncaught_exception"
+  "uncaught_exception": "browserid.vows.uncaught_exception",
+  "support_document_cache.hit": "browserid.vows.support_document_cache.hit",
+  "replay_cache.full": "browserid.vows.replay_cache.full"
 };
 
 for (var logMessage in IncrementMessagesToTest) {
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+wcli = require('../lib/wsapi_client.js'),
+secondary = require('./lib/secondary.js');
+
+var suite = vows.describe('support-api');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'needshelp@somedomain.com',
+      TEST_PASSWORD = 'thisismypassword',
+      OPERATOR = 'support.engineer';
+
+// the support apis are internal, they're called on the processes directly
+const BROWSERID = { browserid: 'http://127.0.0.1:10007' },
+      DBWRITER = { browserid: 'http://127.0.0.1:10004' };
+
+function support(server, api, params) {
+  return function() {
+    params = typeof params === 'function' ? params() : params;
+    wcli.get(server, '/wsapi/' + api, {}, params, this.callback);
+  };
+}
+
+function succeeds(err, r) {
+  assert.strictEqual(r.code, 200);
+  assert.strictEqual(JSON.parse(r.body).success, true);
+}
+
+function failsBecause(reason) {
+  return function(err, r) {
+    assert.strictEqual(r.code, 200);
+    var resp = JSON.parse(r.body);
+    assert.strictEqual(resp.success, false);
+    assert.strictEqual(resp.reason, reason);
+  };
+}
+
+var userid;
+
+suite.addBatch({
+  "creating an account": {
+    topic: function() {
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: TEST_PASSWORD,
+        site: 'https://fakesite.com'
+      }, this.callback);
+    },
+    "works": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "failing to authenticate": {
+    topic: wsapi.post('/wsapi/authenticate_user', {
+      email: TEST_EMAIL,
+      pass: 'not my password',
+      ephemeral: false
+    }),
+    "fails": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, false);
+    }
+  }
+});
+
+suite.addBatch({
+  "looking up an account without naming the operator": {
+    topic: support(BROWSERID, 'support_lookup_account', { email: TEST_EMAIL }),
+    "is a bad request": function(err, r) {
+      assert.strictEqual(r.code, 400);
+    }
+  },
+  "looking up an unknown address": {
+    topic: support(BROWSERID, 'support_lookup_account', {
+      email: 'nobody@somedomain.com',
+      operator: OPERATOR
+    }),
+    "fails": failsBecause("no such account")
+  },
+  "looking up the account": {
+    topic: support(BROWSERID, 'support_lookup_account', {
+      email: TEST_EMAIL,
+      operator: OPERATOR
+    }),
+    "describes it": function(err, r) {
+      var account = JSON.parse(r.body);
+      assert.strictEqual(account.success, true);
+      assert.strictEqual(typeof account.userid, 'number');
+      assert.strictEqual(account.hasPassword, true);
+      assert.strictEqual(account.hasSecondFactor, false);
+      assert.strictEqual(account.failedAuthTries, 1);
+      assert.deepEqual(Object.keys(account.emails), [ TEST_EMAIL ]);
+      assert.strictEqual(account.emails[TEST_EMAIL].type, 'secondary');
+      assert.strictEqual(account.emails[TEST_EMAIL].verified, true);
+      userid = account.userid;
+    }
+  }
+});
+
+suite.addBatch({
+  "clearing authentication failures": {
+    topic: support(DBWRITER, 'support_clear_auth_failures', function() {
+      return { userid: userid, operator: OPERATOR };
+    }),
+    "works": succeeds,
+    "and looking up the account": {
+      topic: support(BROWSERID, 'support_lookup_account', {
+        email: TEST_EMAIL,
+        operator: OPERATOR
+      }),
+      "shows no failures": function(err, r) {
+        assert.strictEqual(JSON.parse(r.body).failedAuthTries, 0);
+      }
+    }
+  },
+  "removing the only address of the account": {
+    topic: support(DBWRITER, 'support_remove_email', {
+      email: TEST_EMAIL,
+      operator: OPERATOR
+    }),
+    "fails": failsBecause("the only address of the account")
+  }
+});
+
+suite.addBatch({
+  "sending a password reset email": {
+    topic: support(DBWRITER, 'support_reset_password', {
+      email: TEST_EMAIL,
+      operator: OPERATOR
+    }),
+    "works": succeeds
+  }
+});
+
+suite.addBatch({
+  "the password reset email": {
+    topic: function() {
+      start_stop.waitForToken(this.callback);
+    },
+    "is sent": function(err, t) {
+      assert.isNull(err);
+      assert.strictEqual(typeof t, 'string');
+    }
+  }
+});
+
+suite.addBatch({
+  "canceling the account": {
+    topic: support(DBWRITER, 'support_cancel_account', function() {
+      return { userid: userid, operator: OPERATOR };
+    }),
+    "works": succeeds,
+    "and looking up the address": {
+      topic: support(BROWSERID, 'support_lookup_account', {
+        email: TEST_EMAIL,
+        operator: OPERATOR
+      }),
+      "finds no account": failsBecause("no such account")
+    }
+  }
+});
+
+suite.addBatch({
+  "canceling an unknown account": {
+    topic: support(DBWRITER, 'support_cancel_account', function() {
+      return { userid: userid, operator: OPERATOR };
+    }),
+    "fails": failsBecause("no such account")
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+config = require('../lib/configuration.js'),
+cache = require('../lib/support_document_cache.js');
+
+var suite = vows.describe('support-document-cache');
+
+// short lived entries, to test expiry
+config.set('support_document_cache.min_ttl_ms', 100);
+config.set('support_document_cache.max_ttl_ms', 400);
+config.set('support_document_cache.negative_ttl_ms', 100);
+config.set('support_document_cache.max_stale_ms', 1000);
+config.set('support_document_cache.max_entries', 3);
+
+// a fetcher which counts how often it's called, and responds with the
+// document "doc <count>" and `headers`, or fails with `err`
+function fetcher(headers, err) {
+  var f = function(done) {
+    f.calls++;
+    setTimeout(function() {
+      if (err) done(err);
+      else done(null, "doc " + f.calls, headers);
+    }, 10);
+  };
+  f.calls = 0;
+  return f;
+}
+
+// fetch `key` through the cache, after `delay` ms
+function fetch(key, f, delay) {
+  return function() {
+    var cb = this.callback;
+    setTimeout(function() {
+      cache.fetch(key, f, function(err, body) {
+        cb(null, { err: err, body: body, calls: f.calls });
+      });
+    }, delay || 0);
+  };
+}
+
+var maxAge = fetcher({ 'cache-control': 'public, max-age=60' });
+
+suite.addBatch({
+  "fetching a document": {
+    topic: fetch('a.domain', maxAge),
+    "fetches it": function(err, r) {
+      assert.isNull(r.err);
+      assert.strictEqual(r.body, "doc 1");
+      assert.strictEqual(r.calls, 1);
+    },
+    "and fetching it again": {
+      topic: fetch('a.domain', maxAge),
+      "uses the cached document": function(err, r) {
+        assert.strictEqual(r.body, "doc 1");
+        assert.strictEqual(r.calls, 1);
+      }
+    },
+    "and fetching it once it expired": {
+      // max-age is a minute, but max_ttl_ms is shorter
+      topic: fetch('a.domain', maxAge, 500),
+      "fetches it again": function(err, r) {
+        assert.strictEqual(r.body, "doc 2");
+        assert.strictEqual(r.calls, 2);
+      }
+    }
+  },
+  "a document which may not be cached": {
+    topic: function() {
+      var f = fetcher({ 'cache-control': 'no-cache' }), self = this;
+      cache.fetch('b.domain', f, function() {
+        // min_ttl_ms still applies
+        fetch('b.domain', f, 50).call(self);
+      });
+    },
+    "is cached for the minimum time": function(err, r) {
+      assert.strictEqual(r.body, "doc 1");
+      assert.strictEqual(r.calls, 1);
+    }
+  },
+  "a document which expired in the past": {
+    topic: function() {
+      var f = fetcher({
+        'date': 'Thu, 01 Jan 2015 00:00:00 GMT',
+        'expires': 'Wed, 31 Dec 2014 00:00:00 GMT'
+      }), self = this;
+      cache.fetch('c.domain', f, function() {
+        fetch('c.domain', f, 150).call(self);
+      });
+    },
+    "is fetched again after the minimum time": function(err, r) {
+      assert.strictEqual(r.body, "doc 2");
+      assert.strictEqual(r.calls, 2);
+    }
+  }
+});
+
+suite.addBatch({
+  "fetching a document concurrently": {
+    topic: function() {
+      var f = fetcher({}), cb = this.callback, bodies = [];
+      function done(err, body) {
+        bodies.push(body);
+        if (bodies.length === 2) cb(null, { bodies: bodies, calls: f.calls });
+      }
+      cache.fetch('d.domain', f, done);
+      cache.fetch('d.domain', f, done);
+    },
+    "fetches it once": function(err, r) {
+      assert.deepEqual(r.bodies, [ "doc 1", "doc 1" ]);
+      assert.strictEqual(r.calls, 1);
+    }
+  }
+});
+
+var failing = fetcher({}, "connection refused");
+
+suite.addBatch({
+  "failing to fetch a document": {
+    topic: fetch('e.domain', failing),
+    "fails": function(err, r) {
+      assert.strictEqual(r.err, "connection refused");
+      assert.strictEqual(r.calls, 1);
+    },
+    "and fetching it again": {
+      topic: fetch('e.domain', failing),
+      "fails without trying": function(err, r) {
+        assert.strictEqual(r.err, "connection refused");
+        assert.strictEqual(r.calls, 1);
+      }
+    },
+    "and fetching it once the failure expired": {
+      topic: fetch('e.domain', failing, 150),
+      "tries again": function(err, r) {
+        assert.strictEqual(r.err, "connection refused");
+        assert.strictEqual(r.calls, 2);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "failing to refresh a document": {
+    topic: function() {
+      var self = this;
+      cache.fetch('f.domain', fetcher({}), function() {
+        fetch('f.domain', fetcher({}, "timeout"), 150).call(self);
+      });
+    },
+    "uses the stale one": function(err, r) {
+      assert.isNull(r.err);
+      assert.strictEqual(r.body, "doc 1");
+      assert.strictEqual(r.calls, 1);
+    }
+  },
+  "failing to refresh a document for too long": {
+    topic: function() {
+      var self = this;
+      cache.fetch('g.domain', fetcher({}), function() {
+        // min_ttl_ms and max_stale_ms have passed
+        fetch('g.domain', fetcher({}, "timeout"), 1200).call(self);
+      });
+    },
+    "fails": function(err, r) {
+      assert.strictEqual(r.err, "timeout");
+    }
+  }
+});
+
+suite.addBatch({
+  "caching more documents than allowed": {
+    topic: function() {
+      cache.clear();
+      var f = fetcher({ 'cache-control': 'max-age=60' }), self = this;
+      cache.fetch('h.domain', f, function() {
+        cache.fetch('i.domain', f, function() {
+          cache.fetch('j.domain', f, function() {
+            cache.fetch('k.domain', f, function() {
+              fetch('h.domain', f).call(self);
+            });
+          });
+        });
+      });
+    },
+    "forgets the one stored first": function(err, r) {
+      assert.strictEqual(r.body, "doc 5");
+      assert.strictEqual(r.calls, 5);
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
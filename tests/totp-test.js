@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+totp = require('../lib/totp.js');
+
+var suite = vows.describe('totp');
+
+// the SHA1 secret of the RFC 6238 test vectors, "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(new Buffer("12345678901234567890"));
+
+function at(seconds) {
+  return new Date(seconds * 1000);
+}
+
+suite.addBatch({
+  "base32": {
+    topic: function() {
+      return totp.base32Encode(new Buffer("foobar"));
+    },
+    "encodes as in RFC 4648": function(encoded) {
+      assert.strictEqual(encoded, "MZXW6YTBOI");
+    },
+    "round trips": function(encoded) {
+      assert.strictEqual(totp.base32Decode(encoded).toString(), "foobar");
+    },
+    "forgives case, spaces and padding": function(encoded) {
+      assert.strictEqual(totp.base32Decode("mzxw 6ytb oi======").toString(), "foobar");
+    },
+    "rejects other characters": function(encoded) {
+      assert.isNull(totp.base32Decode("MZXW1"));
+    }
+  }
+});
+
+suite.addBatch({
+  "codes": {
+    topic: function() {
+      return [ 59, 1111111109, 1111111111, 1234567890, 2000000000, 20000000000 ].map(function(t) {
+        return totp.codeAt(RFC_SECRET, totp.stepAt(at(t)));
+      });
+    },
+    "match the RFC 6238 test vectors": function(codes) {
+      assert.deepEqual(codes, [ "287082", "081804", "050471", "005924", "279037", "353130" ]);
+    }
+  }
+});
+
+suite.addBatch({
+  "a generated secret": {
+    topic: function() {
+      return totp.generateSecret();
+    },
+    "is base32 encoded": function(secret) {
+      assert.match(secret, /^[A-Z2-7]{32}$/);
+    },
+    "differs each time": function(secret) {
+      assert.notEqual(totp.generateSecret(), secret);
+    }
+  }
+});
+
+suite.addBatch({
+  "verifying": {
+    topic: function() {
+      return totp.stepAt(at(1234567890));
+    },
+    "the current code yields its step": function(step) {
+      assert.strictEqual(totp.verify(RFC_SECRET, "005924", 0, at(1234567890)), step);
+    },
+    "the previous code is accepted": function(step) {
+      var code = totp.codeAt(RFC_SECRET, step - 1);
+      assert.strictEqual(totp.verify(RFC_SECRET, code, 0, at(1234567890)), step - 1);
+    },
+    "the next code is accepted": function(step) {
+      var code = totp.codeAt(RFC_SECRET, step + 1);
+      assert.strictEqual(totp.verify(RFC_SECRET, code, 0, at(1234567890)), step + 1);
+    },
+    "older codes are refused": function(step) {
+      var code = totp.codeAt(RFC_SECRET, step - 2);
+      assert.isNull(totp.verify(RFC_SECRET, code, 0, at(1234567890)));
+    },
+    "a code that was already used is refused": function(step) {
+      assert.isNull(totp.verify(RFC_SECRET, "005924", step, at(1234567890)));
+    },
+    "malformed codes are refused": function(step) {
+      assert.isNull(totp.verify(RFC_SECRET, "5924", 0, at(1234567890)));
+      assert.isNull(totp.verify(RFC_SECRET, 5924, 0, at(1234567890)));
+    }
+  }
+});
+
+suite.addBatch({
+  "a provisioning url": {
+    topic: function() {
+      return totp.provisioningURL("MZXW6YTBOI", "lloyd@example.com");
+    },
+    "names the account and issuer": function(url) {
+      assert.strictEqual(url,
+        "otpauth://totp/Persona:lloyd%40example.com?secret=MZXW6YTBOI&issuer=Persona");
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -20,6 +20,7 @@ jwcrypto = require('jwcrypto'),
 http = require('http'),
 querystring = require('querystring'),
 logger = require('../lib/logging/logging.js').logger,
+secrets = require('../lib/secrets.js'),
 path = require('path');
 
 var suite = vows.describe('unverified-email-test');
@@ -161,10 +162,53 @@ suite.addBatch({
       // should not be an email property, only unverified-email
       assert.strictEqual(principal['unverified-email'], UNVERIFIED_EMAIL);
       assert.isUndefined(principal.email);
+    },
+    "signed by the unverified key": function(err, r) {
+      var payload = jwcrypto.extractComponents(r.body).payload;
+      assert.strictEqual(payload.kid, 'unverified');
     }
   }
 });
 
+// certs signed with the key for the wrong kind of email must not verify.
+// `principal` is certified with the secret key named `keyName`, using the
+// same issuer as the legitimate cert.
+function make_wrong_key_tests(keyName, principal) {
+  return {
+    topic: function() {
+      var self = this;
+      var expirationDate = new Date(new Date().getTime() + (2 * 60 * 1000));
+      var issuer = jwcrypto.extractComponents(unverified_cert).payload.iss;
+      jwcrypto.cert.sign({publicKey: unverified_keypair.publicKey, principal: principal},
+                         {issuer: issuer, issuedAt: new Date(), expiresAt: expirationDate},
+                         {kid: keyName}, secrets.loadSecretKey(keyName), function(err, cert) {
+        if (err) return self.callback(err);
+        jwcrypto.assertion.sign({}, {audience: UNVERIFIED_ORIGIN, expiresAt: expirationDate},
+                                unverified_keypair.secretKey, function(err, assertion) {
+          if (err) return self.callback(err);
+          wsapi.post('/verify', {
+            audience: UNVERIFIED_ORIGIN,
+            assertion: jwcrypto.cert.bundle([cert], assertion),
+            experimental_allowUnverified: true
+          }).call(self);
+        });
+      });
+    },
+    "fails to verify": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.status, "failure");
+      assert.strictEqual(resp.code, 'bad_signature');
+    }
+  };
+}
+
+suite.addBatch({
+  "an unverified email certified by the verified key":
+    make_wrong_key_tests('root', { 'unverified-email': UNVERIFIED_EMAIL }),
+  "a verified email certified by the unverified key":
+    make_wrong_key_tests('unverified', { 'email': UNVERIFIED_EMAIL })
+});
+
 suite.addBatch({
   "generating an assertion with allowsUnverified email": {
     topic: function() {
@@ -211,6 +255,7 @@ suite.addBatch({
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, "failure");
         assert.strictEqual(resp.reason, "unverified email");
+        assert.strictEqual(resp.code, 'unverified_email');
       }
     }
   }
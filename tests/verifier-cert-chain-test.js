@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+path = require('path'),
+fs = require('fs'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+jwcrypto = require('jwcrypto');
+
+require("jwcrypto/lib/algs/rs");
+require("jwcrypto/lib/algs/ds");
+
+var suite = vows.describe('verifier-cert-chain');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+const TEST_DOMAIN_PATH =
+  path.join(__dirname, '..', 'example', 'primary', '.well-known', 'browserid');
+
+const TEST_ORIGIN = 'http://fakesite.com:8080';
+
+process.env['SHIMMED_PRIMARIES'] =
+  'example.domain|http://127.0.0.1:10005|' + TEST_DOMAIN_PATH;
+
+// allow one level of intermediate issuers, and authorize hr.example.domain
+// to speak for example.domain
+process.env['CERTIFICATE_CHAIN_MAX_LENGTH'] = '2';
+process.env['CERTIFICATE_CHAIN_INTERMEDIATES'] = JSON.stringify({
+  "hr.example.domain": [ "example.domain" ]
+});
+
+// the private key of our simulated primary
+const g_rootKey = jwcrypto.loadSecretKey(
+  fs.readFileSync(path.join(__dirname, '..', 'example', 'primary', 'sample.privatekey')));
+
+start_stop.addStartupBatches(suite);
+
+var subCAKeypair, userKeypair;
+
+suite.addBatch({
+  "generating a keypair for the intermediate issuer": {
+    topic: function() {
+      jwcrypto.generateKeypair({algorithm: "DS", keysize: 256}, this.callback);
+    },
+    "succeeds": function(err, kp) {
+      assert.isNull(err);
+      subCAKeypair = kp;
+    }
+  },
+  "generating a keypair for the user": {
+    topic: function() {
+      jwcrypto.generateKeypair({algorithm: "DS", keysize: 256}, this.callback);
+    },
+    "succeeds": function(err, kp) {
+      assert.isNull(err);
+      userKeypair = kp;
+    }
+  }
+});
+
+// sign a cert for `host` with the primary's root key, then a cert for
+// `email` with the intermediate key claiming to be `issuer`, and bundle
+// an assertion for TEST_ORIGIN with that two cert chain.
+function chainedAssertion(host, issuer, email, cb) {
+  var expiration = new Date(new Date().getTime() + (2 * 60 * 1000));
+  jwcrypto.cert.sign({publicKey: subCAKeypair.publicKey, principal: {host: host}},
+                     {issuedAt: new Date(), issuer: "example.domain", expiresAt: expiration},
+                     {}, g_rootKey, function(err, rootCert) {
+    if (err) return cb(err);
+    jwcrypto.cert.sign({publicKey: userKeypair.publicKey, principal: {email: email}},
+                       {issuedAt: new Date(), issuer: issuer, expiresAt: expiration},
+                       {}, subCAKeypair.secretKey, function(err, userCert) {
+      if (err) return cb(err);
+      jwcrypto.assertion.sign({}, {audience: TEST_ORIGIN, expiresAt: expiration},
+                              userKeypair.secretKey, function(err, assertion) {
+        if (err) return cb(err);
+        cb(null, jwcrypto.cert.bundle([rootCert, userCert], assertion), rootCert, userCert);
+      });
+    });
+  });
+}
+
+function verifyAssertion() {
+  return function(err, assertion) {
+    wsapi.post('/verify', {
+      audience: TEST_ORIGIN,
+      assertion: assertion
+    }).call(this);
+  };
+}
+
+var g_rootCert, g_userCert;
+
+suite.addBatch({
+  "an assertion chained through an authorized intermediate": {
+    topic: function() {
+      var cb = this.callback;
+      chainedAssertion("hr.example.domain", "hr.example.domain", "bob@example.domain",
+                       function(err, assertion, rootCert, userCert) {
+        g_rootCert = rootCert;
+        g_userCert = userCert;
+        cb(err, assertion);
+      });
+    },
+    "verifies": {
+      topic: verifyAssertion(),
+      "and reports the issuer path": function(err, r) {
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'okay');
+        assert.strictEqual(resp.email, 'bob@example.domain');
+        assert.strictEqual(resp.issuer, 'example.domain');
+        assert.deepEqual(resp.issuerPath, [ 'example.domain', 'hr.example.domain' ]);
+      }
+    }
+  },
+  "an assertion chained through an intermediate with no authorization": {
+    topic: function() {
+      chainedAssertion("ops.example.domain", "ops.example.domain", "bob@example.domain",
+                       this.callback);
+    },
+    "fails": {
+      topic: verifyAssertion(),
+      "with a clear error": function(err, r) {
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'failure');
+        assert.strictEqual(resp.reason, "intermediate issuer 'ops.example.domain' may not speak for emails from 'example.domain'");
+        assert.strictEqual(resp.code, 'issuer_not_authorized');
+      }
+    }
+  },
+  "an assertion where the intermediate claims a host it wasn't certified for": {
+    topic: function() {
+      chainedAssertion("ops.example.domain", "hr.example.domain", "bob@example.domain",
+                       this.callback);
+    },
+    "fails": {
+      topic: verifyAssertion(),
+      "with a clear error": function(err, r) {
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'failure');
+        assert.strictEqual(resp.reason, "certificate chain broken: 'hr.example.domain' was not certified by its parent");
+        assert.strictEqual(resp.code, 'invalid_certificate_chain');
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "an assertion with a chain longer than allowed": {
+    topic: function() {
+      var expiration = new Date(new Date().getTime() + (2 * 60 * 1000));
+      var self = this;
+      jwcrypto.generateKeypair({algorithm: "DS", keysize: 256}, function(err, kp) {
+        if (err) return self.callback(err);
+        jwcrypto.cert.sign({publicKey: kp.publicKey, principal: {email: "bob@example.domain"}},
+                           {issuedAt: new Date(), issuer: "hr.example.domain", expiresAt: expiration},
+                           {}, userKeypair.secretKey, function(err, extraCert) {
+          if (err) return self.callback(err);
+          jwcrypto.assertion.sign({}, {audience: TEST_ORIGIN, expiresAt: expiration},
+                                  kp.secretKey, function(err, assertion) {
+            if (err) return self.callback(err);
+            self.callback(null, jwcrypto.cert.bundle([g_rootCert, g_userCert, extraCert], assertion));
+          });
+        });
+      });
+    },
+    "fails": {
+      topic: verifyAssertion(),
+      "with a clear error": function(err, r) {
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'failure');
+        assert.strictEqual(resp.reason, "certificate chain too long: 3 certificates, at most 2 allowed");
+        assert.strictEqual(resp.code, 'invalid_certificate_chain');
+      }
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
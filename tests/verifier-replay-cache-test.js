@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+replayCache = require('../lib/verifier/replay_cache.js');
+
+var suite = vows.describe('verifier-replay-cache');
+
+const AUDIENCE = 'http://fakesite.com:8080';
+
+// a backed assertion bundle whose assertion has signature `sig`
+function bundle(sig) {
+  return 'cert.payload.certsig~header.payload.' + sig;
+}
+
+function record(sig, expires) {
+  return function() {
+    replayCache.checkAndRecord(bundle(sig), AUDIENCE, expires, this.callback);
+  };
+}
+
+function inAMinute() {
+  return new Date().getTime() + 60 * 1000;
+}
+
+suite.addBatch({
+  "opening a memory replay cache for two assertions": {
+    topic: function() {
+      replayCache.open({ backend: 'memory', max_entries: 2 }, this.callback);
+    },
+    "works": function(err) {
+      assert.isTrue(!err);
+    }
+  }
+});
+
+suite.addBatch({
+  "recording an assertion": {
+    topic: record('first', inAMinute()),
+    "finds it new": function(err, replayed) {
+      assert.isNull(err);
+      assert.isFalse(replayed);
+    },
+    "and recording it again": {
+      topic: record('first', inAMinute()),
+      "finds it replayed": function(err, replayed) {
+        assert.isNull(err);
+        assert.isTrue(replayed);
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "recording an assertion which expires at once": {
+    topic: record('expired', new Date().getTime()),
+    "finds it new": function(err, replayed) {
+      assert.isNull(err);
+      assert.isFalse(replayed);
+    }
+  }
+});
+
+suite.addBatch({
+  "when full, recording another assertion": {
+    topic: record('second', inAMinute()),
+    "makes room by forgetting the expired one": function(err, replayed) {
+      assert.isNull(err);
+      assert.isFalse(replayed);
+    }
+  }
+});
+
+suite.addBatch({
+  "when full of unexpired assertions, recording another": {
+    topic: record('third', inAMinute()),
+    "fails": function(err, replayed) {
+      assert.strictEqual(err, "replay cache is full");
+    }
+  }
+});
+
+suite.addBatch({
+  "when full, recording the first assertion again": {
+    topic: record('first', inAMinute()),
+    "still finds it replayed": function(err, replayed) {
+      assert.isNull(err);
+      assert.isTrue(replayed);
+    }
+  }
+});
+
+suite.addBatch({
+  "closing the replay cache": {
+    topic: function() {
+      replayCache.close(this.callback);
+    },
+    "works": function(err) {
+      assert.isTrue(!err);
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
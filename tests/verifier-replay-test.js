@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+// enable replay detection in the verifier, backed by mysql when
+// we're testing against it
+process.env['VERIFIER_REPLAY_CACHE'] = 'true';
+process.env['VERIFIER_REPLAY_CACHE_BACKEND'] =
+  process.env['NODE_ENV'] === 'test_mysql' ? 'mysql' : 'memory';
+
+const
+assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+primary = require('./lib/primary.js');
+
+var suite = vows.describe('verifier-replay');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_DOMAIN = 'example.domain',
+      TEST_EMAIL = 'replay@' + TEST_DOMAIN,
+      TEST_ORIGIN = 'http://fakesite.com:8080',
+      OTHER_ORIGIN = 'http://othersite.com';
+
+var primaryUser = new primary({
+  email: TEST_EMAIL,
+  domain: TEST_DOMAIN
+});
+
+var g_assertion;
+
+suite.addBatch({
+  "setting up a primary user": {
+    topic: function() {
+      primaryUser.setup(this.callback);
+    },
+    "works": function(err) {
+      assert.isNull(err);
+    }
+  }
+});
+
+suite.addBatch({
+  "generating an assertion": {
+    topic: function() {
+      primaryUser.getAssertion(TEST_ORIGIN, this.callback);
+    },
+    "succeeds": function(err, r) {
+      assert.isString(r);
+      g_assertion = r;
+    }
+  }
+});
+
+suite.addBatch({
+  "verifying the assertion the first time": {
+    topic: function() {
+      wsapi.post('/verify', {
+        audience: TEST_ORIGIN,
+        assertion: g_assertion
+      }).call(this);
+    },
+    "works": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.status, 'okay');
+      assert.strictEqual(resp.email, TEST_EMAIL);
+    }
+  }
+});
+
+suite.addBatch({
+  "verifying the same assertion again": {
+    topic: function() {
+      wsapi.post('/verify', {
+        audience: TEST_ORIGIN,
+        assertion: g_assertion
+      }).call(this);
+    },
+    "fails as a replay": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.status, 'failure');
+      assert.strictEqual(resp.reason, 'assertion has already been verified');
+      assert.strictEqual(resp.code, 'replayed');
+    }
+  },
+  "verifying the same assertion for another audience": {
+    topic: function() {
+      wsapi.post('/verify', {
+        audience: OTHER_ORIGIN,
+        assertion: g_assertion
+      }).call(this);
+    },
+    "still fails on the audience mismatch": function(err, r) {
+      var resp = JSON.parse(r.body);
+      assert.strictEqual(resp.status, 'failure');
+      assert.strictEqual(resp.code, 'audience_mismatch_domain');
+    }
+  }
+});
+
+suite.addBatch({
+  "a fresh assertion": {
+    topic: function() {
+      primaryUser.getAssertion(TEST_ORIGIN, this.callback);
+    },
+    "verifies": {
+      topic: function(err, assertion) {
+        wsapi.post('/verify', {
+          audience: TEST_ORIGIN,
+          assertion: assertion
+        }).call(this);
+      },
+      "just fine": function(err, r) {
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'okay');
+      }
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -226,6 +226,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'audience mismatch: domain mismatch');
+        assert.strictEqual(resp.code, 'audience_mismatch_domain');
       }
     },
     "but specifying the wrong port": {
@@ -239,6 +240,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'audience mismatch: port mismatch');
+        assert.strictEqual(resp.code, 'audience_mismatch_port');
       }
     },
     "but specifying the wrong scheme": {
@@ -252,6 +254,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'audience mismatch: scheme mismatch');
+        assert.strictEqual(resp.code, 'audience_mismatch_scheme');
       }
     },
     "and providing just a domain and port": {
@@ -284,6 +287,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'audience mismatch: port mismatch');
+        assert.strictEqual(resp.code, 'audience_mismatch_port');
       }
     },
     "and trying to be clever with wildcard matching in the audience": {
@@ -297,6 +301,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'audience mismatch: domain missing');
+        assert.strictEqual(resp.code, 'audience_malformed');
       }
     },
     "and submitting an audience with an empty domain": {
@@ -310,6 +315,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'audience mismatch: domain missing');
+        assert.strictEqual(resp.code, 'audience_malformed');
       }
     },
     "leaving off the audience": {
@@ -322,6 +328,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'need assertion and audience');
+        assert.strictEqual(resp.code, 'missing_parameters');
       }
     },
     "leaving off the assertion": {
@@ -334,6 +341,7 @@ function make_basic_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'need assertion and audience');
+        assert.strictEqual(resp.code, 'missing_parameters');
       }
     }
   };
@@ -575,6 +583,75 @@ function make_post_format_2_tests(new_style) {
 suite.addBatch(make_post_format_2_tests(false));
 suite.addBatch(make_post_format_2_tests(true));
 
+// batch verification of several assertions in a single request
+suite.addBatch({
+  "generating an assertion for batch verification": {
+    topic: function() {
+      var expirationDate = new Date(new Date().getTime() + (2 * 60 * 1000));
+      var self = this;
+      jwcrypto.assertion.sign({}, {audience: TEST_ORIGIN, expiresAt: expirationDate},
+                             g_keypair.secretKey, function(err, assertion) {
+                               if (err) return self.callback(err);
+                               self.callback(null, jwcrypto.cert.bundle([g_cert], assertion));
+                             });
+    },
+    "succeeds": function(err, r) {
+      assert.isString(r);
+    },
+    "and verifying a batch with good and bad items": {
+      topic: function(err, assertion) {
+        wsapi.post('/verify/batch', {
+          assertions: [
+            { assertion: assertion, audience: TEST_ORIGIN },
+            { assertion: assertion, audience: "notfakesite.com" },
+            { audience: TEST_ORIGIN },
+            { assertion: assertion, audience: TEST_DOMAIN }
+          ]
+        }).call(this);
+      },
+      "returns per-item results in order": function(err, r) {
+        assert.equal(r.code, 200);
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'okay');
+        assert.lengthOf(resp.results, 4);
+        assert.strictEqual(resp.results[0].status, 'okay');
+        assert.strictEqual(resp.results[0].email, TEST_EMAIL);
+        assert.strictEqual(resp.results[0].audience, TEST_ORIGIN);
+        assert.strictEqual(resp.results[1].status, 'failure');
+        assert.strictEqual(resp.results[1].reason, 'audience mismatch: domain mismatch');
+        assert.strictEqual(resp.results[2].status, 'failure');
+        assert.strictEqual(resp.results[2].reason, 'need assertion and audience');
+        assert.strictEqual(resp.results[3].status, 'okay');
+        assert.strictEqual(resp.results[3].audience, TEST_DOMAIN);
+      }
+    },
+    "and verifying a batch larger than the configured maximum": {
+      topic: function(err, assertion) {
+        var items = [];
+        for (var i = 0; i <= config.get('verifier_batch.max_assertions'); i++) {
+          items.push({ assertion: assertion, audience: TEST_ORIGIN });
+        }
+        wsapi.post('/verify/batch', { assertions: items }).call(this);
+      },
+      "fails": function(err, r) {
+        assert.equal(r.code, 400);
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'failure');
+        assert.match(resp.reason, /^too many assertions/);
+      }
+    },
+    "and verifying a batch without an assertions array": {
+      topic: wsapi.post('/verify/batch', { assertion: "foo", audience: TEST_ORIGIN }),
+      "fails": function(err, r) {
+        assert.equal(r.code, 400);
+        var resp = JSON.parse(r.body);
+        assert.strictEqual(resp.status, 'failure');
+        assert.strictEqual(resp.reason, 'need a non-empty array of assertions');
+      }
+    }
+  }
+});
+
 var fakeDomainKeypair, newClientKeypair;
 
 // let's reuse the keys, cause we don't need new ones.
@@ -751,6 +828,7 @@ function make_crazy_assertion_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'malformed signature');
+        assert.strictEqual(resp.code, 'malformed_assertion');
       }
     },
     "and appending gunk to it": {
@@ -765,6 +843,7 @@ function make_crazy_assertion_tests(new_style) {
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, 'malformed signature');
+        assert.strictEqual(resp.code, 'malformed_assertion');
       }
     }
   };
@@ -802,6 +881,7 @@ suite.addBatch({
       var resp = JSON.parse(r.body);
       assert.strictEqual(resp.status, 'failure');
       assert.strictEqual(resp.reason, 'assertion has expired');
+      assert.strictEqual(resp.code, 'expired');
     }
   },
   "An assertion with a bundled bogus certificate": {
@@ -825,6 +905,7 @@ suite.addBatch({
       var resp = JSON.parse(r.body);
       assert.strictEqual(resp.status, 'failure');
       assert.strictEqual(resp.reason, 'malformed signature');
+      assert.strictEqual(resp.code, 'malformed_assertion');
     }
   },
   "An assertion with a no certificate": {
@@ -908,6 +989,7 @@ function make_other_issuer_tests(new_style) {
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, "can't get public key for no.such.domain: " +
                            "no.such.domain is not a browserid primary - non-200 response code to /.well-known/browserid");
+        assert.strictEqual(resp.code, 'primary_fetch_failed');
       }
     }
   };
@@ -975,6 +1057,7 @@ suite.addBatch({
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, "issuer 'example.domain' may not speak for emails from 'somedomain.com'");
+        assert.strictEqual(resp.code, 'issuer_not_authorized');
       }
     }
   }
@@ -1151,6 +1234,7 @@ suite.addBatch({
         var resp = JSON.parse(r.body);
         assert.strictEqual(resp.status, 'failure');
         assert.strictEqual(resp.reason, "certificate chaining is not yet allowed");
+        assert.strictEqual(resp.code, 'invalid_certificate_chain');
       }
     }
   }
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js');
+
+var suite = vows.describe('wait-for-verification');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+// don't hold requests for long, so that timing out can be tested
+process.env.VERIFICATION_WAIT_MS = 1000;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'waiting@somedomain.com',
+      TEST_PASSWORD = 'thisismypassword';
+
+function hasStatus(status) {
+  return function(err, r) {
+    assert.isNull(err);
+    assert.strictEqual(r.code, 200);
+    assert.strictEqual(JSON.parse(r.body).status, status);
+  };
+}
+
+suite.addBatch({
+  "waiting with nothing staged": {
+    topic: wsapi.get('/wsapi/wait_for_verification'),
+    "returns at once": hasStatus('none')
+  }
+});
+
+suite.addBatch({
+  "staging a user": {
+    topic: wsapi.post('/wsapi/stage_user', {
+      email: TEST_EMAIL,
+      pass: TEST_PASSWORD,
+      site: 'https://fakesite.com'
+    }),
+    "works": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+var token;
+
+suite.addBatch({
+  "a token": {
+    topic: function() {
+      start_stop.waitForToken(this.callback);
+    },
+    "is obtained": function(err, t) {
+      assert.isNull(err);
+      token = t;
+    }
+  }
+});
+
+suite.addBatch({
+  "waiting while the user doesn't verify": {
+    topic: wsapi.get('/wsapi/wait_for_verification'),
+    "times out": hasStatus('pending')
+  }
+});
+
+suite.addBatch({
+  "waiting while the user verifies in another browser": {
+    topic: function() {
+      var cb = this.callback;
+      wsapi.get('/wsapi/wait_for_verification', {}, undefined, function(err, r) {
+        cb(err, r);
+      })();
+
+      // once the request is held
+      setTimeout(function() {
+        wsapi.post('/wsapi/complete_user_creation', { token: token }, {}, function(err, r) {
+          if (err || JSON.parse(r.body).success !== true) cb("couldn't complete user creation");
+        })();
+      }, 200);
+    },
+    "returns as soon as it's verified": hasStatus('changed')
+  }
+});
+
+suite.addBatch({
+  "waiting once the verification is done": {
+    topic: wsapi.get('/wsapi/wait_for_verification'),
+    "returns at once": hasStatus('changed')
+  }
+});
+
+suite.addBatch({
+  "the user creation status": {
+    topic: wsapi.get('/wsapi/user_creation_status', { email: TEST_EMAIL }),
+    "is no longer pending": function(err, r) {
+      assert.strictEqual(JSON.parse(r.body).status, 'mustAuth');
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -32,8 +32,16 @@ function checkDefaultResponse(err, res) {
   assert.equal(res.code, 200);
   assert.equal(res.headers['content-type'].indexOf('application/json'), 0);
   var body = JSON.parse(res.body);
-  assert.equal(Object.keys(body).length, 3);
+  assert.equal(Object.keys(body).length, 6);
   assert.equal(Object.keys(body)[0], 'public-key');
+  // every key in the key ring is published, tagged with its id
+  assert.isArray(body.keys);
+  assert.equal(body.keys.length, 1);
+  assert.equal(body.keys[0].kid, 'root');
+  // as are keys used to certify unverified emails
+  assert.isObject(body['unverified-public-key']);
+  assert.isArray(body['unverified-keys']);
+  assert.equal(body['unverified-keys'][0].kid, 'unverified');
 }
 
 if (process.env.PROXY_IDPS) delete process.env.PROXY_IDPS;
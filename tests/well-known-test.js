@@ -10,7 +10,12 @@ const
 assert = require('assert'),
 vows = require('vows'),
 path = require('path'),
-util = require('util');
+util = require('util'),
+fs = require('fs'),
+jwcrypto = require('jwcrypto');
+
+require("jwcrypto/lib/algs/ds");
+require("jwcrypto/lib/algs/rs");
 
 const TEST_DOMAIN = 'example.domain',
       TEST_DOMAIN_PATH = path.join(__dirname,
@@ -61,6 +66,16 @@ process.env['SHIMMED_PRIMARIES'] += "," +
   util.format("disabled.domain|http://127.0.0.1:10005|%s", path.join(__dirname, 'data',
     'disabled.domain', '.well-known', 'browserid'));
 
+// a domain rotating its key, which lists an old and a new key
+process.env['SHIMMED_PRIMARIES'] += "," +
+  util.format("rotating.domain|http://127.0.0.1:10005|%s", path.join(__dirname, 'data',
+    'rotating.domain', '.well-known', 'browserid'));
+
+// a domain with a well-known document with unparsable keys
+process.env['SHIMMED_PRIMARIES'] += "," +
+  util.format("badkeys.domain|http://127.0.0.1:10005|%s", path.join(__dirname, 'data',
+    'badkeys.domain', '.well-known', 'browserid'));
+
 var primary = require('../lib/primary.js');
 
 var suite = vows.describe('delegated-primary');
@@ -77,9 +92,10 @@ suite.addBatch({
     topic: function() {
       return primary.getPublicKey(TEST_DOMAIN, this.callback);
     },
-    "succeeds": function(err, pubKey) {
-      assert.equal(pubKey.keysize, '256');
-      assert.equal(pubKey.algorithm, 'RS');
+    "succeeds": function(err, pubKeys) {
+      assert.equal(pubKeys.length, 1);
+      assert.equal(pubKeys[0].publicKey.keysize, '256');
+      assert.equal(pubKeys[0].publicKey.algorithm, 'RS');
     }
   }
 });
@@ -89,9 +105,10 @@ suite.addBatch({
     topic: function() {
       return primary.getPublicKey(TEST_DELEGATE_DOMAIN, this.callback);
     },
-    "succeeds": function(err, pubKey) {
-      assert.equal(pubKey.keysize, '256');
-      assert.equal(pubKey.algorithm, 'RS');
+    "succeeds": function(err, pubKeys) {
+      assert.equal(pubKeys.length, 1);
+      assert.equal(pubKeys[0].publicKey.keysize, '256');
+      assert.equal(pubKeys[0].publicKey.algorithm, 'RS');
     }
   }
 });
@@ -161,6 +178,91 @@ suite.addBatch({
 });
 
 
+suite.addBatch({
+  "if the keys are malformed": {
+    topic: function() {
+      return primary.checkSupport('badkeys.domain', this.callback);
+    },
+    "support is disabled": function(err, r) {
+      assert.equal(
+        err,
+        "bad support document for 'badkeys.domain': malformed keys");
+    }
+  }
+});
+
+// sign a cert for a user key with the example primary's secret key, naming
+// the key it's signed with if `kid` is given
+function certify(kid) {
+  return function() {
+    var secretKey = jwcrypto.loadSecretKey(fs.readFileSync(
+      path.join(__dirname, '..', 'example', 'primary', 'sample.privatekey')));
+    var cb = this.callback;
+    jwcrypto.generateKeypair({algorithm: 'DS', keysize: 128}, function(err, kp) {
+      if (err) return cb(err);
+      jwcrypto.cert.sign({publicKey: kp.publicKey, principal: {email: 'bob@rotating.domain'}},
+                         {issuedAt: new Date(), issuer: 'rotating.domain',
+                          expiresAt: new Date(new Date().getTime() + 60000)},
+                         kid ? {kid: kid} : {}, secretKey, cb);
+    });
+  };
+}
+
+// select the key of rotating.domain for the cert of the parent topic
+function selectKey() {
+  return function(cert) {
+    var cb = this.callback;
+    primary.getPublicKey('rotating.domain', function(err, pubKeys) {
+      if (err) return cb(err);
+      primary.publicKeyForCert(pubKeys, cert, cb);
+    });
+  };
+}
+
+suite.addBatch({
+  "Retrieving the public keys of a domain rotating its key": {
+    topic: function() {
+      return primary.getPublicKey('rotating.domain', this.callback);
+    },
+    "gets all of them": function(err, pubKeys) {
+      assert.isNull(err);
+      assert.deepEqual(pubKeys.map(function(key) { return key.kid; }), [ 'next', 'current' ]);
+      assert.equal(pubKeys[0].publicKey.algorithm, 'DS');
+      assert.equal(pubKeys[1].publicKey.algorithm, 'RS');
+    }
+  },
+  "A cert naming the key it's signed with": {
+    topic: certify('current'),
+    "is verified with that key": {
+      topic: selectKey(),
+      "succeeds": function(err, pubKey) {
+        assert.isNull(err);
+        assert.equal(pubKey.algorithm, 'RS');
+      }
+    }
+  },
+  "A cert naming no key": {
+    topic: certify(),
+    "is verified with the key which signed it": {
+      topic: selectKey(),
+      "succeeds": function(err, pubKey) {
+        assert.isNull(err);
+        assert.equal(pubKey.algorithm, 'RS');
+      }
+    }
+  },
+  "A cert naming an unknown key": {
+    topic: certify('retired'),
+    "is verified with the key which signed it": {
+      topic: selectKey(),
+      "succeeds": function(err, pubKey) {
+        assert.isNull(err);
+        assert.equal(pubKey.algorithm, 'RS');
+      }
+    }
+  }
+});
+
 // run or export the suite.
 if (process.argv[1] === __filename) suite.run();
 else suite.export(module);
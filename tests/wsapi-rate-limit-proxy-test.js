@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// allow only a few authentication attempts, and trust X-Real-IP from no
+// address the tests connect from, as if they reached the processes directly.
+process.env['RATE_LIMIT_AUTHENTICATION'] = 3;
+process.env['RATE_LIMIT_TRUSTED_PROXIES'] = '192.0.2.1';
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js');
+
+var suite = vows.describe('wsapi-rate-limit-proxy');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'ratelimited@fakeemail.com',
+      OTHER_EMAIL = 'notratelimited@fakeemail.com',
+      TEST_PASS = 'firstfakepass';
+
+// clients claiming different addresses, which aren't believed
+function client(ip) {
+  return { headers: { 'x-real-ip': ip } };
+}
+
+function authenticate(email, pass, ctx) {
+  return wsapi.post('/wsapi/authenticate_user', {
+    email: email,
+    pass: pass,
+    ephemeral: false
+  }, ctx);
+}
+
+function isNotThrottled(err, r) {
+  assert.strictEqual(r.code, 200);
+}
+
+suite.addBatch({
+  "creating accounts": {
+    topic: function() {
+      var cb = this.callback;
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: TEST_PASS,
+        site:'http://fakesite.com:123'
+      }, function(err) {
+        if (err) return cb(err);
+        secondary.create({
+          email: OTHER_EMAIL,
+          pass: TEST_PASS,
+          site:'http://fakesite.com:123'
+        }, cb);
+      });
+    },
+    "succeeds": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+// take the three tokens of the address the tests connect from, claiming a
+// different one each time
+suite.addBatch({
+  "authenticating once": {
+    topic: authenticate(TEST_EMAIL, 'wrongpassword', client('10.0.0.1')),
+    "is allowed": isNotThrottled,
+    "and twice": {
+      topic: authenticate(TEST_EMAIL, 'wrongpassword', client('10.0.0.2')),
+      "is allowed": isNotThrottled,
+      "and three times": {
+        topic: authenticate(TEST_EMAIL, TEST_PASS, client('10.0.0.3')),
+        "is allowed": isNotThrottled
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "authenticating to another address with a spoofed X-Real-IP": {
+    topic: authenticate(OTHER_EMAIL, TEST_PASS, client('10.0.0.4')),
+    "doesn't get a fresh bucket": function(err, r) {
+      assert.strictEqual(r.code, 429);
+      assert.ok(parseInt(r.headers['retry-after'], 10) > 0);
+    }
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// allow only a few authentication attempts, so we can test it easier, and
+// keep the buckets in the dbwriter, which the browserid process asks for
+// tokens.
+process.env['RATE_LIMIT_AUTHENTICATION'] = 3;
+process.env['RATE_LIMIT_STORE'] = 'dbwriter';
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+start_stop = require('./lib/start-stop.js'),
+wsapi = require('./lib/wsapi.js'),
+secondary = require('./lib/secondary.js');
+
+var suite = vows.describe('wsapi-rate-limit');
+
+// disable vows (often flakey?) async error behavior
+suite.options.error = false;
+
+start_stop.addStartupBatches(suite);
+
+const TEST_EMAIL = 'ratelimited@fakeemail.com',
+      OTHER_EMAIL = 'notratelimited@fakeemail.com',
+      TEST_PASS = 'firstfakepass';
+
+// clients on different addresses, as the router passes them along
+function client(ip) {
+  return { headers: { 'x-real-ip': ip } };
+}
+
+var first = client('10.0.0.1'),
+    second = client('10.0.0.2'),
+    third = client('10.0.0.3');
+
+function authenticate(email, pass, ctx) {
+  return wsapi.post('/wsapi/authenticate_user', {
+    email: email,
+    pass: pass,
+    ephemeral: false
+  }, ctx);
+}
+
+function isThrottled(err, r) {
+  assert.strictEqual(r.code, 429);
+  assert.ok(parseInt(r.headers['retry-after'], 10) > 0);
+}
+
+function isNotThrottled(err, r) {
+  assert.strictEqual(r.code, 200);
+}
+
+suite.addBatch({
+  "creating accounts": {
+    topic: function() {
+      var cb = this.callback;
+      secondary.create({
+        email: TEST_EMAIL,
+        pass: TEST_PASS,
+        site:'http://fakesite.com:123'
+      }, function(err) {
+        if (err) return cb(err);
+        secondary.create({
+          email: OTHER_EMAIL,
+          pass: TEST_PASS,
+          site:'http://fakesite.com:123'
+        }, cb);
+      });
+    },
+    "succeeds": function(err, r) {
+      assert.isNull(err);
+    }
+  }
+});
+
+// take the three tokens of the first client's address, and of the address
+// it signs in to
+suite.addBatch({
+  "authenticating once": {
+    topic: authenticate(TEST_EMAIL, 'wrongpassword', first),
+    "is allowed": isNotThrottled,
+    "and twice": {
+      topic: authenticate(TEST_EMAIL, 'wrongpassword', first),
+      "is allowed": isNotThrottled,
+      "and three times": {
+        topic: authenticate(TEST_EMAIL, TEST_PASS, first),
+        "is allowed": function(err, r) {
+          assert.strictEqual(r.code, 200);
+          assert.strictEqual(JSON.parse(r.body).success, true);
+        }
+      }
+    }
+  }
+});
+
+suite.addBatch({
+  "authenticating a fourth time": {
+    topic: authenticate(TEST_EMAIL, TEST_PASS, first),
+    "is throttled": isThrottled
+  }
+});
+
+suite.addBatch({
+  "authenticating to another address from the same client": {
+    topic: authenticate(OTHER_EMAIL, TEST_PASS, first),
+    "is throttled": isThrottled
+  },
+  "authenticating to the same address from another client": {
+    topic: authenticate(TEST_EMAIL, TEST_PASS, second),
+    "is throttled": isThrottled
+  },
+  "authenticating to another address from another client": {
+    topic: authenticate(OTHER_EMAIL, TEST_PASS, third),
+    "is allowed": function(err, r) {
+      assert.strictEqual(r.code, 200);
+      assert.strictEqual(JSON.parse(r.body).success, true);
+    }
+  }
+});
+
+suite.addBatch({
+  "wsapis without a rate limit": {
+    topic: wsapi.get('/wsapi/session_context', {}, first),
+    "are not throttled": isNotThrottled
+  },
+  "wsapis with another rate limit": {
+    topic: wsapi.get('/wsapi/have_email', { email: TEST_EMAIL }, first),
+    "are not throttled": isNotThrottled
+  }
+});
+
+start_stop.addShutdownBatches(suite);
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+require('./lib/test_env.js');
+
+const
+assert = require('assert'),
+vows = require('vows'),
+fs = require('fs'),
+path = require('path'),
+wsapi = require('../lib/wsapi.js'),
+wsapiSchema = require('../lib/wsapi_schema.js');
+
+var suite = vows.describe('wsapi-schema');
+
+const PUBLISHED = path.join(__dirname, '..', 'docs', 'wsapi_schema.json'),
+      HANDLERS = path.join(__dirname, '..', 'lib', 'wsapi');
+
+// the handler modules, by operation name
+function handlers() {
+  var apis = {};
+  fs.readdirSync(HANDLERS).forEach(function(f) {
+    if (f.substr(-3) !== '.js' || f.substr(0,1) === '.') return;
+    apis[f.substr(0, f.length - 3)] = require(path.join(HANDLERS, f));
+  });
+  return apis;
+}
+
+// the arguments of an operation in the schema, name -> required
+function publishedArgs(op) {
+  var args = {};
+  if (op.parameters) {
+    op.parameters.forEach(function(p) {
+      args[p.name] = p.required;
+    });
+  } else {
+    var body = op.requestBody.content['application/json'].schema;
+    Object.keys(body.properties).forEach(function(name) {
+      if (name !== 'csrf') args[name] = body.required.indexOf(name) !== -1;
+    });
+  }
+  return args;
+}
+
+suite.addBatch({
+  "the published schema": {
+    topic: function() {
+      return JSON.parse(fs.readFileSync(PUBLISHED));
+    },
+    "matches what the handlers describe (regenerate it with scripts/wsapi_schema.js)": function(published) {
+      assert.deepEqual(published, JSON.parse(JSON.stringify(wsapi.describeAPIs())));
+    },
+    "is OpenAPI": function(published) {
+      assert.strictEqual(published.openapi, '3.0.0');
+    },
+    "holds the version of the software": function(published) {
+      assert.strictEqual(published.info.version, require('../package.json').version);
+    }
+  }
+});
+
+suite.addBatch({
+  "the handlers": {
+    topic: function() {
+      return {
+        apis: handlers(),
+        paths: JSON.parse(fs.readFileSync(PUBLISHED)).paths
+      };
+    },
+    "that are internal are not published": function(t) {
+      Object.keys(t.apis).forEach(function(name) {
+        if (t.apis[name].internal) {
+          assert.isUndefined(t.paths['/wsapi/' + name], name + " is internal");
+        }
+      });
+    },
+    "that are not internal are all published": function(t) {
+      Object.keys(t.apis).forEach(function(name) {
+        if (!t.apis[name].internal) {
+          assert.isObject(t.paths['/wsapi/' + name], name + " is missing");
+        }
+      });
+    },
+    "are published with their method": function(t) {
+      Object.keys(t.paths).forEach(function(p) {
+        var name = p.substr('/wsapi/'.length);
+        assert.deepEqual(Object.keys(t.paths[p]), [ t.apis[name].method.toLowerCase() ]);
+      });
+    },
+    "are published with their arguments": function(t) {
+      Object.keys(t.paths).forEach(function(p) {
+        var name = p.substr('/wsapi/'.length),
+            api = t.apis[name],
+            op = t.paths[p][api.method.toLowerCase()],
+            expected = {};
+
+        Object.keys(api.args || {}).forEach(function(arg) {
+          expected[arg] = api.args[arg].required !== false;
+        });
+        assert.deepEqual(publishedArgs(op), expected, name + " arguments drifted");
+      });
+    },
+    "are published with the authentication they require": function(t) {
+      Object.keys(t.paths).forEach(function(p) {
+        var name = p.substr('/wsapi/'.length),
+            api = t.apis[name],
+            op = t.paths[p][api.method.toLowerCase()];
+
+        assert.strictEqual(!!op['x-authed'], !!api.authed, name);
+        assert.strictEqual(!!op.security, !!api.authed, name);
+        assert.strictEqual(op['x-mfa'], !!api.mfa, name);
+      });
+    }
+  }
+});
+
+suite.addBatch({
+  "describing an argument of an unknown type": {
+    topic: function() {
+      try {
+        wsapiSchema.generate({ foo: { method: 'get', args: { bar: 'no_such_type' } } });
+      } catch(e) {
+        return e;
+      }
+      return null;
+    },
+    "fails": function(e) {
+      assert.strictEqual(e, "error describing foo api: no schema for type: no_such_type");
+    }
+  }
+});
+
+// run or export the suite.
+if (process.argv[1] === __filename) suite.run();
+else suite.export(module);